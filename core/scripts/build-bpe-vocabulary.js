@@ -0,0 +1,201 @@
+/**
+ * 生成随包附带的 BPE 词表
+ *
+ * 只用仓库中的文档和源码训练字节级 BPE，不读取 node_modules，结果只取决于仓库内容：
+ * 预分词规则与 cl100k_base 相同，前 256 个 rank 为单字节，之后每个 rank 对应一次合并。
+ * 输出为 tiktoken 词表格式。词表与任何服务商的词表都不同，计出的 token 数只是近似值。
+ *
+ * 用法: node scripts/build-bpe-vocabulary.js [词表大小=8192] [输出文件]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CL100K_PATTERN } = require('../src/tokenizers/bpe-tokenizer');
+
+const ROOT = path.resolve(__dirname, '../..');
+const VOCAB_SIZE = Number(process.argv[2] || 8192);
+const OUTPUT = process.argv[3] || path.join(__dirname, '../src/tokenizers/data/acip_base.tiktoken');
+const EXTENSIONS = new Set(['.md', '.js', '.json', '.yaml', '.yml']);
+const SKIP = new Set(['node_modules', '.git', 'coverage', 'dist', 'data', 'package-lock.json', 'requests.jsonl']);
+
+/**
+ * 收集语料文件，按路径排序保证结果可复现
+ */
+function collectFiles(directory, extensions, skip, files = []) {
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (skip.has(entry.name)) {
+      continue;
+    }
+
+    const file = path.join(directory, entry.name);
+
+    if (entry.isDirectory()) {
+      collectFiles(file, extensions, skip, files);
+    } else if (entry.isFile() && extensions.has(path.extname(entry.name).toLowerCase())) {
+      files.push(file);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * 最大堆，按出现次数降序、合并对升序出队
+ */
+class PairHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  push(count, pair) {
+    const items = this.items;
+    items.push([count, pair]);
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this._before(items[i], items[parent])) {
+        break;
+      }
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let next = i;
+
+        if (left < items.length && this._before(items[left], items[next])) {
+          next = left;
+        }
+        if (right < items.length && this._before(items[right], items[next])) {
+          next = right;
+        }
+        if (next === i) {
+          break;
+        }
+
+        [items[i], items[next]] = [items[next], items[i]];
+        i = next;
+      }
+    }
+
+    return top;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  _before(a, b) {
+    return a[0] > b[0] || (a[0] === b[0] && a[1] < b[1]);
+  }
+}
+
+function train() {
+  // 片段 -> 出现次数
+  const pieces = new Map();
+
+  const files = collectFiles(ROOT, EXTENSIONS, SKIP);
+
+  for (const file of files) {
+    for (const piece of fs.readFileSync(file, 'utf8').match(CL100K_PATTERN) || []) {
+      pieces.set(piece, (pieces.get(piece) || 0) + 1);
+    }
+  }
+
+  const vocab = [];
+  for (let byte = 0; byte < 256; byte++) {
+    vocab.push(Buffer.from([byte]));
+  }
+
+  // 字节序列 -> rank；不同的合并路径可能得到相同的字节序列，只保留第一次的 rank
+  const known = new Map(vocab.map((bytes, rank) => [bytes.toString('latin1'), rank]));
+
+  const words = [...pieces].map(([piece, count]) => ({ symbols: [...Buffer.from(piece, 'utf8')], count }));
+
+  // 合并对（a * 65536 + b）-> 次数，以及包含该合并对的单词
+  const pairCounts = new Map();
+  const pairWords = new Map();
+  const heap = new PairHeap();
+
+  const addPairs = (index, sign) => {
+    const { symbols, count } = words[index];
+
+    for (let i = 0; i < symbols.length - 1; i++) {
+      const pair = symbols[i] * 65536 + symbols[i + 1];
+      const total = (pairCounts.get(pair) || 0) + sign * count;
+
+      pairCounts.set(pair, total);
+      if (sign > 0) {
+        if (!pairWords.has(pair)) {
+          pairWords.set(pair, new Set());
+        }
+        pairWords.get(pair).add(index);
+        heap.push(total, pair);
+      }
+    }
+  };
+
+  words.forEach((word, index) => addPairs(index, 1));
+
+  while (vocab.length < VOCAB_SIZE && heap.size > 0) {
+    const [count, pair] = heap.pop();
+
+    // 堆中的旧记录在次数变化后作废
+    if (pairCounts.get(pair) !== count || count < 2) {
+      continue;
+    }
+
+    const first = Math.floor(pair / 65536);
+    const second = pair % 65536;
+    const bytes = Buffer.concat([vocab[first], vocab[second]]);
+    let merged = known.get(bytes.toString('latin1'));
+
+    if (merged === undefined) {
+      merged = vocab.length;
+      vocab.push(bytes);
+      known.set(bytes.toString('latin1'), merged);
+    }
+
+    for (const index of pairWords.get(pair)) {
+      const word = words[index];
+
+      addPairs(index, -1);
+
+      const symbols = [];
+      for (let i = 0; i < word.symbols.length; i++) {
+        if (i < word.symbols.length - 1 && word.symbols[i] === first && word.symbols[i + 1] === second) {
+          symbols.push(merged);
+          i++;
+        } else {
+          symbols.push(word.symbols[i]);
+        }
+      }
+      word.symbols = symbols;
+
+      addPairs(index, 1);
+    }
+
+    pairWords.delete(pair);
+    pairCounts.delete(pair);
+  }
+
+  return vocab;
+}
+
+const vocab = train();
+fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+fs.writeFileSync(OUTPUT, vocab.map((bytes, rank) => `${bytes.toString('base64')} ${rank}\n`).join(''));
+console.log(`已写入 ${vocab.length} 个 token 到 ${OUTPUT}`);
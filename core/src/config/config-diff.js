@@ -0,0 +1,126 @@
+/**
+ * ACIP配置差异
+ *
+ * 比较两份配置，列出新增、删除和修改的值
+ *
+ * @module config
+ */
+
+const { toPointer } = require('../utils/json-schema');
+
+/**
+ * 配置变更类型
+ */
+const ConfigChangeType = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed'
+};
+
+/**
+ * 比较两份配置
+ *
+ * 对象逐个属性递归比较，数组默认和其他值一样作为整体比较。
+ * 每个变更包含 JSON Pointer 路径、类型以及旧值和新值。
+ *
+ * 设置 arrayItems 时数组按下标逐项比较：多出的旧元素从末尾开始记为删除，
+ * 多出的新元素按顺序记为新增，因此变更可以按顺序应用（参见 utils/json-diff）。
+ *
+ * @param {Object} previous - 旧配置
+ * @param {Object} current - 新配置
+ * @param {Object} [options={}] - 比较选项
+ * @param {boolean} [options.arrayItems=false] - 是否逐项比较数组
+ * @returns {Array<Object>} 变更列表 [{path, type, oldValue, newValue}]
+ */
+function diffConfig(previous, current, options = {}) {
+  const changes = [];
+  _diff(previous, current, [], changes, options);
+  return changes;
+}
+
+/**
+ * 递归比较配置值
+ * @private
+ * @param {*} previous - 旧值
+ * @param {*} current - 新值
+ * @param {Array<string|number>} segments - 当前路径
+ * @param {Array<Object>} changes - 收集的变更
+ * @param {Object} options - 比较选项
+ */
+function _diff(previous, current, segments, changes, options) {
+  if (previous === current) {
+    return;
+  }
+
+  if (options.arrayItems && Array.isArray(previous) && Array.isArray(current)) {
+    const shared = Math.min(previous.length, current.length);
+
+    for (let i = 0; i < shared; i++) {
+      _diff(previous[i], current[i], [...segments, i], changes, options);
+    }
+
+    // 从末尾开始删除，按顺序应用时后续下标仍然有效
+    for (let i = previous.length - 1; i >= shared; i--) {
+      changes.push({ path: toPointer([...segments, i]), type: ConfigChangeType.REMOVED, oldValue: previous[i] });
+    }
+
+    for (let i = shared; i < current.length; i++) {
+      changes.push({ path: toPointer([...segments, i]), type: ConfigChangeType.ADDED, newValue: current[i] });
+    }
+
+    return;
+  }
+
+  if (_isPlainObject(previous) && _isPlainObject(current)) {
+    const keys = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+    for (const key of keys) {
+      const path = [...segments, key];
+
+      if (previous[key] === undefined && current[key] !== undefined) {
+        changes.push({ path: toPointer(path), type: ConfigChangeType.ADDED, newValue: current[key] });
+      } else if (previous[key] !== undefined && current[key] === undefined) {
+        changes.push({ path: toPointer(path), type: ConfigChangeType.REMOVED, oldValue: previous[key] });
+      } else {
+        _diff(previous[key], current[key], path, changes, options);
+      }
+    }
+
+    return;
+  }
+
+  if (!_isEqual(previous, current)) {
+    changes.push({
+      path: toPointer(segments),
+      type: ConfigChangeType.CHANGED,
+      oldValue: previous,
+      newValue: current
+    });
+  }
+}
+
+/**
+ * 检查值是否为普通对象
+ * @private
+ * @param {*} value - 值
+ * @returns {boolean} 是否为普通对象
+ */
+function _isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * 按JSON语义比较两个值
+ * @private
+ * @param {*} a - 值
+ * @param {*} b - 值
+ * @returns {boolean} 是否相等
+ */
+function _isEqual(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+  diffConfig,
+  ConfigChangeType
+};
@@ -7,37 +7,149 @@
  */
 
 const fs = require('fs').promises;
+const { watch: watchFile, existsSync } = require('fs');
 const path = require('path');
+const yaml = require('js-yaml');
+const JSON5 = require('json5');
+const { ErrorCode, ValidationError, ResourceError } = require('../errors/acip-error');
+const { validateSchema, toPointer, formatErrors } = require('../utils/json-schema');
+const { deepClone } = require('../utils');
+const { ConfigSection } = require('./config-section');
+
+/**
+ * 支持的配置文件扩展名
+ */
+const CONFIG_EXTENSIONS = ['.yaml', '.yml', '.json', '.json5', '.js'];
+
+/**
+ * 字符串中的 ${...} 引用，$${...} 表示字面量
+ */
+const REFERENCE_PATTERN = /\$?\$\{([^}]*)\}/g;
+
+/**
+ * 未指定配置文件时在工作目录中查找的文件名（不含扩展名）
+ */
+const DEFAULT_CONFIG_NAME = 'acip.config';
+
+/**
+ * 文件变化后等待的时间（毫秒），合并编辑器保存时产生的多个事件
+ */
+const WATCH_DEBOUNCE = 100;
+
+/**
+ * 内置的密钥提供者
+ */
+const DEFAULT_SECRET_PROVIDERS = {
+  // ${secret:env:NAME} 读取环境变量
+  env: async (key) => process.env[key],
+  
+  // ${secret:file:/run/secrets/name} 读取文件内容（例如Docker/Kubernetes密钥）
+  file: async (key) => {
+    try {
+      return (await fs.readFile(key, 'utf8')).trim();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * 在目录中查找 acip.config.* 配置文件
+ * @param {string} dir - 目录
+ * @returns {string|undefined} 找到的文件路径
+ */
+function findConfigFile(dir) {
+  return CONFIG_EXTENSIONS
+    .map(ext => path.join(dir, `${DEFAULT_CONFIG_NAME}${ext}`))
+    .find(candidate => existsSync(candidate));
+}
+
+/**
+ * 按JSON Pointer设置对象中的值
+ * @private
+ * @param {Object} target - 目标对象
+ * @param {string} pointer - JSON Pointer
+ * @param {*} value - 值
+ */
+function setAtPointer(target, pointer, value) {
+  const segments = pointer.split('/').slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const last = segments.pop();
+  let current = target;
+  
+  for (const segment of segments) {
+    if (current[segment] === null || typeof current[segment] !== 'object') {
+      return;
+    }
+    current = current[segment];
+  }
+  
+  current[last] = value;
+}
 
 /**
  * 配置加载器类
  * 
- * 从文件系统、环境变量和默认值加载配置
+ * 按以下顺序加载并深度合并配置，后者覆盖前者：
+ * 默认值、配置文件（YAML、JSON、JSON5或JS）、环境覆盖文件（例如 config.production.yaml）、
+ * 带前缀的环境变量。随后解析字符串中的 ${ENV}、${ENV:-默认值} 和 ${secret:提供者:键} 引用，
+ * 最后按顶层配置段注册的JSON Schema验证。
  */
 class ConfigLoader {
   /**
    * 创建配置加载器实例
    * @param {Object} options - 配置选项
-   * @param {string} [options.configPath] - 配置文件路径
+   * @param {string} [options.configPath] - 配置文件路径，默认为 ACIP_CONFIG_PATH 或工作目录中的 acip.config.*
    * @param {boolean} [options.watchConfig=false] - 是否监视配置文件变化
    * @param {Object} [options.defaults={}] - 默认配置
    * @param {boolean} [options.useEnv=true] - 是否使用环境变量
    * @param {string} [options.envPrefix='ACIP_'] - 环境变量前缀
+   * @param {string} [options.environment=process.env.NODE_ENV] - 运行环境，用于查找环境覆盖文件
+   * @param {boolean} [options.interpolate=true] - 是否解析 ${...} 引用
+   * @param {Object} [options.secrets={}] - 额外的密钥提供者，{名称: async (键) => 值}
+   * @param {Object} [options.schemas={}] - 顶层配置段的JSON Schema，{配置段: Schema}
    * @param {Object} [logger=console] - 日志记录器
    */
   constructor(options = {}, logger = console) {
-    this.configPath = options.configPath;
+    this.configPath = options.configPath !== undefined
+      ? options.configPath
+      : process.env.ACIP_CONFIG_PATH || findConfigFile(process.cwd());
     this.watchConfig = options.watchConfig || false;
     this.defaults = options.defaults || {};
     this.useEnv = options.useEnv !== false;
     this.envPrefix = options.envPrefix || 'ACIP_';
+    this.environment = options.environment !== undefined ? options.environment : process.env.NODE_ENV;
+    this.interpolate = options.interpolate !== false;
+    this.secretProviders = { ...DEFAULT_SECRET_PROVIDERS, ...options.secrets };
+    this.schemas = new Map(Object.entries(options.schemas || {}));
     this.logger = logger;
     
     this.watcher = null;
+    this.watchTimer = null;
     this.callbacks = [];
     
+    // 最近一次加载中由密钥引用解析出的配置路径（JSON Pointer）
+    this.secretPaths = [];
+    
+    // 含密钥引用的配置路径 -> 原始字符串，保存配置时写回引用而不是密钥
+    this.secretReferences = new Map();
+    
+    // 最近一次加载的配置，尚未加载时为null
+    this.config = null;
+    
+    // 已创建视图的配置段名称，环境变量按这些名称划分配置段
+    this.sections = new Set();
+    
     // 绑定方法
     this.load = this.load.bind(this);
+    this.validate = this.validate.bind(this);
+    this.registerSchema = this.registerSchema.bind(this);
+    this.section = this.section.bind(this);
+    this.updateSection = this.updateSection.bind(this);
+    this.save = this.save.bind(this);
     this.watch = this.watch.bind(this);
     this.stopWatch = this.stopWatch.bind(this);
     this.onConfigChange = this.onConfigChange.bind(this);
@@ -47,23 +159,30 @@ class ConfigLoader {
    * 加载配置
    * @param {string} [configPath] - 可选的配置文件路径，覆盖构造函数中指定的路径
    * @returns {Promise<Object>} 加载的配置对象
+   * @throws {ValidationError} 如果配置文件无法解析、引用的环境变量不存在或配置不符合Schema
+   * @throws {ResourceError} 如果引用的密钥不存在
    */
   async load(configPath) {
     const targetPath = configPath || this.configPath;
-    let config = { ...this.defaults };
+    let config = this._deepMerge({}, this.defaults);
     
     // 从文件加载配置（如果指定了路径）
     if (targetPath) {
-      try {
-        const fileConfig = await this._loadFromFile(targetPath);
+      const fileConfig = await this._loadOptionalFile(targetPath);
+      
+      if (fileConfig) {
         config = this._deepMerge(config, fileConfig);
         this.logger.info(`从 ${targetPath} 加载配置成功`);
-      } catch (error) {
-        if (error.code !== 'ENOENT') {
-          this.logger.error(`加载配置文件失败: ${error.message}`);
-        } else {
-          this.logger.warn(`配置文件 ${targetPath} 不存在，使用默认配置`);
-        }
+      } else {
+        this.logger.warn(`配置文件 ${targetPath} 不存在，使用默认配置`);
+      }
+      
+      // 叠加当前环境的覆盖文件
+      const overlayPath = await this._findOverlayPath(targetPath);
+      
+      if (overlayPath) {
+        config = this._deepMerge(config, await this._loadOptionalFile(overlayPath));
+        this.logger.info(`已应用 ${this.environment} 环境的配置: ${overlayPath}`);
       }
     }
     
@@ -73,14 +192,160 @@ class ConfigLoader {
       config = this._deepMerge(config, envConfig);
     }
     
+    // 解析 ${ENV} 和密钥引用
+    this.secretPaths = [];
+    this.secretReferences = new Map();
+    
+    if (this.interpolate) {
+      config = await this._resolveReferences(config, []);
+    }
+    
+    // 按配置段的Schema验证
+    const validation = this.validate(config);
+    
+    if (!validation.valid) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `配置验证失败:\n${formatErrors(validation.errors)}`,
+        { details: { errors: validation.errors } }
+      );
+    }
+    
     // 如果启用了配置监视，开始监视配置文件
     if (this.watchConfig && targetPath && !this.watcher) {
       this.watch(targetPath);
     }
     
+    this.config = config;
+    
     return config;
   }
 
+  /**
+   * 获取顶层配置段的视图
+   * 
+   * 模块通过视图读取、更新、保存和监听自己的配置段，并共享加载器的
+   * 配置文件、环境变量规则和文件监视。
+   * 
+   * @param {string|null} name - 配置段名称，为null时视图覆盖整个配置（用于模块专用的配置文件）
+   * @param {Object} [options] - 视图选项
+   * @param {Object} [options.defaults] - 配置段的默认值，合并到加载器的默认配置中
+   * @param {Object} [options.schema] - 配置段的JSON Schema
+   * @param {Object} [options.overrides] - 仅对此视图生效的覆盖值，优先级最高
+   * @returns {ConfigSection} 配置段视图
+   */
+  section(name, options = {}) {
+    if (options.defaults) {
+      const defaults = name === null ? options.defaults : { [name]: options.defaults };
+      this.defaults = this._deepMerge(defaults, this.defaults);
+      
+      if (this.config) {
+        this.config = this._deepMerge(defaults, this.config);
+      }
+    }
+    
+    if (options.schema && name !== null) {
+      this.registerSchema(name, options.schema);
+    }
+    
+    this.sections.add(name);
+    
+    return new ConfigSection(this, name, options);
+  }
+
+  /**
+   * 替换已加载配置中的一个配置段并通知配置变更回调
+   * @param {string|null} name - 配置段名称，为null时替换整个配置
+   * @param {Object} value - 新的配置段
+   * @returns {Object} 更新后的完整配置
+   * @throws {ValidationError} 如果新配置段不符合其Schema
+   */
+  updateSection(name, value) {
+    const config = name === null ? value : { ...(this.config || this.defaults), [name]: value };
+    const validation = this.validate(config);
+    
+    if (!validation.valid) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `配置验证失败:\n${formatErrors(validation.errors)}`,
+        { details: { errors: validation.errors } }
+      );
+    }
+    
+    this.config = config;
+    this._notifyChange(config);
+    
+    return config;
+  }
+
+  /**
+   * 将已加载的配置保存到文件
+   * 
+   * 按扩展名写入YAML、JSON或JS。由密钥引用解析出的值写回原来的 ${secret:...} 引用。
+   * 先写入临时文件再改名，避免留下写了一半的配置文件。
+   * 
+   * @param {string} [filePath] - 目标文件路径，默认为加载的配置文件
+   * @returns {Promise<string>} 写入的文件路径
+   * @throws {ValidationError} 如果没有目标路径或格式不支持
+   */
+  async save(filePath) {
+    const targetPath = filePath || this.configPath;
+    
+    if (!targetPath) {
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, '未指定保存配置的文件路径');
+    }
+    
+    const config = deepClone(this.config || this.defaults);
+    
+    for (const [pointer, reference] of this.secretReferences.entries()) {
+      setAtPointer(config, pointer, reference);
+    }
+    
+    const tempPath = `${targetPath}.${process.pid}.tmp`;
+    
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(tempPath, this._serialize(config, targetPath), 'utf8');
+    await fs.rename(tempPath, targetPath);
+    
+    this.logger.info(`配置已保存到 ${targetPath}`);
+    
+    return targetPath;
+  }
+
+  /**
+   * 注册顶层配置段的JSON Schema
+   * 
+   * 例如 registerSchema('model_invocation', schema) 验证 config.model_invocation，
+   * 错误路径形如 /model_invocation/providers/openai/apiKey
+   * 
+   * @param {string} section - 配置段名称
+   * @param {Object} schema - JSON Schema
+   */
+  registerSchema(section, schema) {
+    this.schemas.set(section, schema);
+  }
+
+  /**
+   * 按已注册的Schema验证配置
+   * @param {Object} config - 配置对象
+   * @returns {Object} 验证结果 {valid, errors}，错误路径为JSON Pointer
+   */
+  validate(config) {
+    const errors = [];
+    
+    for (const [section, schema] of this.schemas.entries()) {
+      const value = config[section] !== undefined ? config[section] : {};
+      const result = validateSchema(schema, value, { path: toPointer([section]) });
+      
+      errors.push(...result.errors);
+    }
+    
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
   /**
    * 开始监视配置文件变化
    * @param {string} [configPath] - 要监视的配置文件路径
@@ -101,23 +366,14 @@ class ConfigLoader {
       const dir = path.dirname(targetPath);
       const file = path.basename(targetPath);
       
-      this.watcher = fs.watch(dir, (eventType, filename) => {
-        if (filename === file && eventType === 'change') {
-          this.logger.info(`检测到配置文件变化: ${targetPath}`);
-          this.load(targetPath)
-            .then(newConfig => {
-              for (const callback of this.callbacks) {
-                try {
-                  callback(newConfig);
-                } catch (error) {
-                  this.logger.error(`配置变更回调执行出错: ${error.message}`);
-                }
-              }
-            })
-            .catch(error => {
-              this.logger.error(`重新加载配置失败: ${error.message}`);
-            });
+      // 编辑器常以写临时文件再改名的方式保存，因此 change 和 rename 都视为变化
+      this.watcher = watchFile(dir, (eventType, filename) => {
+        if (filename !== file) {
+          return;
         }
+        
+        clearTimeout(this.watchTimer);
+        this.watchTimer = setTimeout(() => this._reloadWatched(targetPath), WATCH_DEBOUNCE);
       });
       
       this.logger.info(`开始监视配置文件: ${targetPath}`);
@@ -130,6 +386,9 @@ class ConfigLoader {
    * 停止监视配置文件
    */
   stopWatch() {
+    clearTimeout(this.watchTimer);
+    this.watchTimer = null;
+    
     if (this.watcher) {
       this.watcher.close();
       this.watcher = null;
@@ -137,6 +396,37 @@ class ConfigLoader {
     }
   }
 
+  /**
+   * 重新加载被监视的配置文件并通知回调
+   * @private
+   * @param {string} targetPath - 配置文件路径
+   */
+  _reloadWatched(targetPath) {
+    this.watchTimer = null;
+    this.logger.info(`检测到配置文件变化: ${targetPath}`);
+    
+    this.load(targetPath)
+      .then(newConfig => this._notifyChange(newConfig))
+      .catch(error => {
+        this.logger.error(`重新加载配置失败: ${error.message}`);
+      });
+  }
+
+  /**
+   * 调用配置变更回调
+   * @private
+   * @param {Object} config - 新配置
+   */
+  _notifyChange(config) {
+    for (const callback of this.callbacks) {
+      try {
+        callback(config);
+      } catch (error) {
+        this.logger.error(`配置变更回调执行出错: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * 注册配置变更回调
    * @param {Function} callback - 配置变更回调函数
@@ -153,6 +443,62 @@ class ConfigLoader {
     };
   }
 
+  /**
+   * 加载配置文件，文件不存在时返回null
+   * @private
+   * @param {string} filePath - 配置文件路径
+   * @returns {Promise<Object|null>} 从文件加载的配置
+   * @throws {ValidationError} 如果文件无法解析
+   */
+  async _loadOptionalFile(filePath) {
+    try {
+      return (await this._loadFromFile(filePath)) || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `加载配置文件 ${filePath} 失败: ${error.message}`,
+        { cause: error, details: { file: filePath } }
+      );
+    }
+  }
+
+  /**
+   * 查找当前环境的覆盖文件
+   * 
+   * config.yaml 在 production 环境下的覆盖文件为 config.production.yaml，
+   * 也可以使用其他支持的扩展名
+   * 
+   * @private
+   * @param {string} filePath - 基础配置文件路径
+   * @returns {Promise<string|null>} 覆盖文件路径，不存在时返回null
+   */
+  async _findOverlayPath(filePath) {
+    if (!this.environment) {
+      return null;
+    }
+    
+    const extension = path.extname(filePath);
+    const base = filePath.slice(0, filePath.length - extension.length);
+    const extensions = [extension, ...CONFIG_EXTENSIONS.filter(ext => ext !== extension.toLowerCase())];
+    
+    for (const ext of extensions) {
+      const candidate = `${base}.${this.environment}${ext}`;
+      
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch (error) {
+        // 尝试下一个扩展名
+      }
+    }
+    
+    return null;
+  }
+
   /**
    * 从文件加载配置
    * @private
@@ -165,6 +511,10 @@ class ConfigLoader {
     
     if (extension === '.json') {
       return JSON.parse(content);
+    } else if (extension === '.json5') {
+      return JSON5.parse(content);
+    } else if (extension === '.yaml' || extension === '.yml') {
+      return yaml.load(content, { filename: filePath });
     } else if (extension === '.js') {
       // 使用eval而不是require，避免缓存问题
       // 注意：这在生产环境中可能有安全风险
@@ -172,10 +522,36 @@ class ConfigLoader {
       eval(`(function(module) { ${content} })(module)`);
       return module.exports || {};
     } else {
-      throw new Error(`不支持的配置文件格式: ${extension}`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `不支持的配置文件格式: ${extension}`, { details: { extension } });
     }
   }
 
+  /**
+   * 按文件扩展名序列化配置
+   * @private
+   * @param {Object} config - 配置对象
+   * @param {string} filePath - 目标文件路径
+   * @returns {string} 文件内容
+   * @throws {ValidationError} 如果格式不支持
+   */
+  _serialize(config, filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    
+    if (extension === '.yaml' || extension === '.yml') {
+      return yaml.dump(config);
+    } else if (extension === '.json' || extension === '.json5') {
+      return `${JSON.stringify(config, null, 2)}\n`;
+    } else if (extension === '.js') {
+      return `module.exports = ${JSON.stringify(config, null, 2)};\n`;
+    }
+    
+    throw new ValidationError(
+      ErrorCode.VALIDATION_INVALID_FORMAT,
+      `不支持的配置文件格式: ${extension}`,
+      { details: { file: filePath } }
+    );
+  }
+
   /**
    * 从环境变量加载配置
    * @private
@@ -185,12 +561,19 @@ class ConfigLoader {
     const config = {};
     const envPrefix = this.envPrefix;
     
+    // 名称中含下划线的配置段作为一个整体，例如 ACIP_MODEL_INVOCATION_CACHING_ENABLED
+    const sections = [...this.schemas.keys(), ...this.sections]
+      .filter(name => name && name.includes('_'))
+      .map(name => name.toLowerCase())
+      .sort((a, b) => b.length - a.length);
+    
     for (const key in process.env) {
       if (key.startsWith(envPrefix)) {
-        const configPath = key
-          .substring(envPrefix.length)
-          .toLowerCase()
-          .split('_');
+        const name = key.substring(envPrefix.length).toLowerCase();
+        const section = sections.find(candidate => name.startsWith(`${candidate}_`));
+        const configPath = section
+          ? [section, ...name.substring(section.length + 1).split('_')]
+          : name.split('_');
         
         let current = config;
         
@@ -215,6 +598,132 @@ class ConfigLoader {
     return config;
   }
 
+  /**
+   * 递归解析配置中字符串的 ${...} 引用
+   * 
+   * 整个字符串只有一个环境变量引用时，结果按环境变量的规则转换类型，
+   * 例如 "${PORT}" 得到数字
+   * 
+   * @private
+   * @param {*} value - 配置值
+   * @param {Array<string>} segments - 当前值的路径
+   * @returns {Promise<*>} 解析后的值
+   */
+  async _resolveReferences(value, segments) {
+    const secretCount = this.secretPaths.length;
+    const resolved = await this._resolveValue(value, segments);
+    
+    // 记录含密钥引用的字符串，保存时写回引用
+    if (typeof value === 'string' && this.secretPaths.length > secretCount) {
+      this.secretReferences.set(toPointer(segments), value);
+    }
+    
+    return resolved;
+  }
+
+  /**
+   * 解析单个配置值中的引用
+   * @private
+   * @param {*} value - 配置值
+   * @param {Array<string>} segments - 当前值的路径
+   * @returns {Promise<*>} 解析后的值
+   */
+  async _resolveValue(value, segments) {
+    if (Array.isArray(value)) {
+      return Promise.all(value.map((item, i) => this._resolveReferences(item, [...segments, i])));
+    }
+    
+    if (value && typeof value === 'object') {
+      const output = {};
+      
+      for (const [key, item] of Object.entries(value)) {
+        output[key] = await this._resolveReferences(item, [...segments, key]);
+      }
+      
+      return output;
+    }
+    
+    if (typeof value !== 'string' || !value.includes('${')) {
+      return value;
+    }
+    
+    const pointer = toPointer(segments);
+    const matches = Array.from(value.matchAll(REFERENCE_PATTERN));
+    const replacements = [];
+    
+    for (const match of matches) {
+      replacements.push(match[0].startsWith('$$')
+        ? match[0].slice(1)
+        : await this._resolveReference(match[1].trim(), pointer));
+    }
+    
+    // 唯一的环境变量引用保留类型转换
+    if (matches.length === 1 && matches[0][0] === value && !value.startsWith('$$') &&
+      !matches[0][1].trim().startsWith('secret:')) {
+      return this._parseValue(replacements[0]);
+    }
+    
+    let index = 0;
+    return value.replace(REFERENCE_PATTERN, () => replacements[index++]);
+  }
+
+  /**
+   * 解析单个引用
+   * @private
+   * @param {string} reference - 引用内容，例如 'HOME'、'PORT:-8080' 或 'secret:file:/run/secrets/key'
+   * @param {string} pointer - 引用所在配置值的JSON Pointer
+   * @returns {Promise<string>} 引用的值
+   * @throws {ValidationError} 如果环境变量不存在且没有默认值，或密钥提供者未知
+   * @throws {ResourceError} 如果密钥不存在
+   */
+  async _resolveReference(reference, pointer) {
+    if (reference.startsWith('secret:')) {
+      const [, providerName, ...rest] = reference.split(':');
+      const key = rest.join(':');
+      const provider = this.secretProviders[providerName];
+      
+      if (!provider || !key) {
+        throw new ValidationError(
+          ErrorCode.VALIDATION_INVALID_FORMAT,
+          `${pointer}: 无效的密钥引用 "\${${reference}}"，可用的提供者: ${Object.keys(this.secretProviders).join(', ')}`,
+          { details: { path: pointer, reference } }
+        );
+      }
+      
+      const secret = await provider(key);
+      
+      if (secret === undefined || secret === null) {
+        throw new ResourceError(
+          ErrorCode.RESOURCE_NOT_FOUND,
+          `${pointer}: 找不到密钥 "${providerName}:${key}"`,
+          { details: { path: pointer, provider: providerName, key } }
+        );
+      }
+      
+      this.secretPaths.push(pointer);
+      
+      return String(secret);
+    }
+    
+    const separator = reference.indexOf(':-');
+    const name = separator === -1 ? reference : reference.slice(0, separator);
+    const value = process.env[name];
+    
+    if (value !== undefined && value !== '') {
+      return value;
+    }
+    
+    if (separator !== -1) {
+      return reference.slice(separator + 2);
+    }
+    
+    throw new ValidationError(
+      ErrorCode.VALIDATION_MISSING_REQUIRED,
+      `${pointer}: 环境变量 ${name} 未设置`,
+      { details: { path: pointer, variable: name } }
+    );
+  }
+
   /**
    * 解析配置值，尝试转换为合适的数据类型
    * @private
@@ -309,5 +818,8 @@ const defaultConfig = {
 
 module.exports = {
   ConfigLoader,
+  CONFIG_EXTENSIONS,
+  DEFAULT_CONFIG_NAME,
+  findConfigFile,
   defaultConfig
 }; 
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ * ACIP配置段视图
+ *
+ * 模块专用的配置管理器基于视图实现，所有模块共用同一个配置加载器
+ *
+ * @module config
+ */
+
+const { get, deepMerge } = require('../utils');
+const { ErrorCode, ValidationError } = require('../errors/acip-error');
+const { validateSchema, toPointer, formatErrors } = require('../utils/json-schema');
+const { diffConfig } = require('./config-diff');
+
+/**
+ * 用更新中的值替换对象中已存在的路径，不添加新路径
+ * @private
+ * @param {Object} target - 目标对象
+ * @param {Object} updates - 更新
+ * @returns {Object} 新对象
+ */
+function replaceExisting(target, updates) {
+  const output = { ...target };
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  for (const key of Object.keys(updates)) {
+    if (!(key in target)) {
+      continue;
+    }
+
+    output[key] = isObject(target[key]) && isObject(updates[key])
+      ? replaceExisting(target[key], updates[key])
+      : updates[key];
+  }
+
+  return output;
+}
+
+/**
+ * 配置段视图类
+ *
+ * 读取加载器最近一次加载的配置中的一个顶层配置段，并叠加视图自己的覆盖值。
+ * 通过 ConfigLoader#section 创建。
+ */
+class ConfigSection {
+  /**
+   * 创建配置段视图
+   * @param {ConfigLoader} loader - 配置加载器
+   * @param {string|null} name - 配置段名称，为null时视图覆盖整个配置
+   * @param {Object} [options] - 视图选项
+   * @param {Object} [options.defaults={}] - 配置段的默认值
+   * @param {Object} [options.schema] - 配置段的JSON Schema
+   * @param {Object} [options.overrides={}] - 仅对此视图生效的覆盖值
+   */
+  constructor(loader, name, options = {}) {
+    this.loader = loader;
+    this.name = name;
+    this.defaults = options.defaults || {};
+    this.schema = options.schema || null;
+    this.overrides = options.overrides || {};
+
+    // 绑定方法
+    this.get = this.get.bind(this);
+    this.getValue = this.getValue.bind(this);
+    this.load = this.load.bind(this);
+    this.validate = this.validate.bind(this);
+    this.update = this.update.bind(this);
+    this.save = this.save.bind(this);
+    this.onChange = this.onChange.bind(this);
+  }
+
+  /**
+   * 获取配置段
+   * @returns {Object} 默认值、加载的配置和覆盖值合并后的配置段
+   */
+  get() {
+    return deepMerge(deepMerge(this.defaults, this._read(this.loader.config)), this.overrides);
+  }
+
+  /**
+   * 按点分隔的路径获取配置值
+   * @param {string} path - 属性路径，例如 'caching.enabled'
+   * @param {*} [defaultValue] - 未找到时的默认值
+   * @returns {*} 配置值
+   */
+  getValue(path, defaultValue) {
+    return get(this.get(), path, defaultValue);
+  }
+
+  /**
+   * 加载配置，加载器已加载过时直接返回配置段
+   * @param {boolean} [reload=false] - 是否强制重新加载
+   * @returns {Promise<Object>} 配置段
+   * @throws {ValidationError} 如果配置无效
+   */
+  async load(reload = false) {
+    if (reload || !this.loader.config) {
+      await this.loader.load();
+    }
+
+    const config = this.get();
+    this._assertValid(config);
+
+    return config;
+  }
+
+  /**
+   * 按视图的Schema验证配置段
+   * @param {Object} config - 配置段
+   * @returns {Object} 验证结果 {valid, errors}，错误路径为JSON Pointer
+   */
+  validate(config) {
+    if (!this.schema) {
+      return { valid: true, errors: [] };
+    }
+
+    return validateSchema(this.schema, config, { path: toPointer(this.name === null ? [] : [this.name]) });
+  }
+
+  /**
+   * 深度合并更新到配置段并通知加载器的配置变更回调
+   * @param {Object} updates - 配置更新
+   * @returns {Object} 更新后的配置段
+   * @throws {ValidationError} 如果更新后的配置段不符合Schema
+   */
+  update(updates) {
+    const current = deepMerge(this.defaults, this._read(this.loader.config));
+    const next = deepMerge(current, updates);
+
+    // 显式的更新替换同一路径上的覆盖值
+    const overrides = replaceExisting(this.overrides, updates);
+
+    this._assertValid(deepMerge(next, overrides));
+    this.overrides = overrides;
+    this.loader.updateSection(this.name, next);
+
+    return this.get();
+  }
+
+  /**
+   * 将加载器的配置保存到文件
+   * @param {string} [filePath] - 目标文件路径，默认为加载的配置文件
+   * @returns {Promise<string>} 写入的文件路径
+   */
+  async save(filePath) {
+    return this.loader.save(filePath);
+  }
+
+  /**
+   * 注册配置段变更回调，只在配置段的内容变化时调用
+   * @param {Function} callback - 回调函数 (config, changes) => void
+   * @returns {Function} 用于移除回调的函数
+   */
+  onChange(callback) {
+    let previous = this.get();
+
+    return this.loader.onConfigChange(() => {
+      const current = this.get();
+      const changes = diffConfig(previous, current);
+
+      previous = current;
+
+      if (changes.length > 0) {
+        callback(current, changes);
+      }
+    });
+  }
+
+  /**
+   * 从完整配置中读取配置段
+   * @private
+   * @param {Object|null} config - 完整配置
+   * @returns {Object} 配置段
+   */
+  _read(config) {
+    if (!config) {
+      return {};
+    }
+
+    return (this.name === null ? config : config[this.name]) || {};
+  }
+
+  /**
+   * 配置段无效时抛出错误
+   * @private
+   * @param {Object} config - 配置段
+   * @throws {ValidationError} 如果配置段不符合Schema
+   */
+  _assertValid(config) {
+    const validation = this.validate(config);
+
+    if (!validation.valid) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `配置验证失败:\n${formatErrors(validation.errors)}`,
+        { details: { section: this.name, errors: validation.errors } }
+      );
+    }
+  }
+}
+
+module.exports = {
+  ConfigSection
+};
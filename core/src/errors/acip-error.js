@@ -0,0 +1,348 @@
+/**
+ * ACIP错误体系
+ *
+ * 按照协议规范 §6 定义的错误分类提供带稳定错误代码的错误类，
+ * 并支持转换为协议错误消息
+ *
+ * @module errors
+ */
+
+const { createErrorMessage } = require('../messages/message');
+
+/**
+ * 错误分类
+ */
+const ErrorCategory = {
+  PROTOCOL: 'protocol',      // 协议错误
+  VALIDATION: 'validation',  // 验证错误
+  AUTH: 'auth',              // 认证错误
+  RESOURCE: 'resource',      // 资源错误
+  SERVICE: 'service',        // 服务错误
+  NETWORK: 'network',        // 网络错误
+  INTERNAL: 'internal'       // 内部错误
+};
+
+/**
+ * 标准错误代码
+ *
+ * 代码一经发布即保持稳定，调用方可以根据代码进行分支处理
+ */
+const ErrorCode = {
+  PROTOCOL_INVALID_MESSAGE: 'PROTOCOL_INVALID_MESSAGE',
+  PROTOCOL_UNSUPPORTED_VERSION: 'PROTOCOL_UNSUPPORTED_VERSION',
+  VALIDATION_MISSING_REQUIRED: 'VALIDATION_MISSING_REQUIRED',
+  VALIDATION_INVALID_FORMAT: 'VALIDATION_INVALID_FORMAT',
+  AUTH_FAILED: 'AUTH_FAILED',
+  AUTH_UNAUTHORIZED: 'AUTH_UNAUTHORIZED',
+  AUTH_FORBIDDEN: 'AUTH_FORBIDDEN',
+  RESOURCE_NOT_FOUND: 'RESOURCE_NOT_FOUND',
+  RESOURCE_ALREADY_EXISTS: 'RESOURCE_ALREADY_EXISTS',
+  RESOURCE_EXHAUSTED: 'RESOURCE_EXHAUSTED',
+  RESOURCE_DEPENDENCY_UNSATISFIED: 'RESOURCE_DEPENDENCY_UNSATISFIED',
+  RESOURCE_DEPENDENCY_CYCLE: 'RESOURCE_DEPENDENCY_CYCLE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  SERVICE_TIMEOUT: 'SERVICE_TIMEOUT',
+  MODEL_UNAVAILABLE: 'MODEL_UNAVAILABLE',
+  CONTENT_BLOCKED: 'CONTENT_BLOCKED',
+  NETWORK_CONNECTION_FAILED: 'NETWORK_CONNECTION_FAILED',
+  NETWORK_REQUEST_TIMEOUT: 'NETWORK_REQUEST_TIMEOUT',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * 错误代码定义：分类和是否可重试
+ */
+const ErrorDefinitions = {
+  [ErrorCode.PROTOCOL_INVALID_MESSAGE]: { category: ErrorCategory.PROTOCOL, retryable: false },
+  [ErrorCode.PROTOCOL_UNSUPPORTED_VERSION]: { category: ErrorCategory.PROTOCOL, retryable: false },
+  [ErrorCode.VALIDATION_MISSING_REQUIRED]: { category: ErrorCategory.VALIDATION, retryable: false },
+  [ErrorCode.VALIDATION_INVALID_FORMAT]: { category: ErrorCategory.VALIDATION, retryable: false },
+  [ErrorCode.AUTH_FAILED]: { category: ErrorCategory.AUTH, retryable: false },
+  [ErrorCode.AUTH_UNAUTHORIZED]: { category: ErrorCategory.AUTH, retryable: false },
+  [ErrorCode.AUTH_FORBIDDEN]: { category: ErrorCategory.AUTH, retryable: false },
+  [ErrorCode.RESOURCE_NOT_FOUND]: { category: ErrorCategory.RESOURCE, retryable: false },
+  [ErrorCode.RESOURCE_ALREADY_EXISTS]: { category: ErrorCategory.RESOURCE, retryable: false },
+  [ErrorCode.RESOURCE_EXHAUSTED]: { category: ErrorCategory.RESOURCE, retryable: true },
+  [ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED]: { category: ErrorCategory.RESOURCE, retryable: false },
+  [ErrorCode.RESOURCE_DEPENDENCY_CYCLE]: { category: ErrorCategory.RESOURCE, retryable: false },
+  [ErrorCode.RATE_LIMITED]: { category: ErrorCategory.RESOURCE, retryable: true },
+  [ErrorCode.SERVICE_UNAVAILABLE]: { category: ErrorCategory.SERVICE, retryable: true },
+  [ErrorCode.SERVICE_TIMEOUT]: { category: ErrorCategory.SERVICE, retryable: true },
+  [ErrorCode.MODEL_UNAVAILABLE]: { category: ErrorCategory.SERVICE, retryable: true },
+  [ErrorCode.CONTENT_BLOCKED]: { category: ErrorCategory.VALIDATION, retryable: false },
+  [ErrorCode.NETWORK_CONNECTION_FAILED]: { category: ErrorCategory.NETWORK, retryable: true },
+  [ErrorCode.NETWORK_REQUEST_TIMEOUT]: { category: ErrorCategory.NETWORK, retryable: true },
+  [ErrorCode.INTERNAL_ERROR]: { category: ErrorCategory.INTERNAL, retryable: false }
+};
+
+/**
+ * 自定义错误代码格式：CATEGORY_ERROR_TYPE
+ */
+const ERROR_CODE_PATTERN = /^[A-Z]+(_[A-Z0-9]+)+$/;
+
+/**
+ * ACIP错误基类
+ */
+class AcipError extends Error {
+  /**
+   * 创建ACIP错误
+   * @param {string} code - 错误代码
+   * @param {string} [message] - 错误描述，默认使用错误代码
+   * @param {Object} [options={}] - 错误选项
+   * @param {Object} [options.details] - 错误详情
+   * @param {string} [options.help] - 解决建议
+   * @param {string} [options.requestId] - 相关请求ID
+   * @param {boolean} [options.retryable] - 是否可重试，默认由错误代码决定
+   * @param {Error} [options.cause] - 原始错误
+   */
+  constructor(code, message, options = {}) {
+    super(message || code);
+
+    const definition = ErrorDefinitions[code] || {};
+
+    this.name = this.constructor.name;
+    this.code = code;
+    this.category = options.category || definition.category || ErrorCategory.INTERNAL;
+    this.retryable = options.retryable !== undefined ? options.retryable : !!definition.retryable;
+    this.details = options.details;
+    this.help = options.help;
+    this.requestId = options.requestId;
+    this.timestamp = new Date().toISOString();
+
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+
+  /**
+   * 转换为规范 §6.2 定义的错误格式
+   * @returns {Object} 错误对象
+   */
+  toJSON() {
+    const json = {
+      code: this.code,
+      message: this.message,
+      category: this.category,
+      retryable: this.retryable
+    };
+
+    if (this.details !== undefined) json.details = this.details;
+    if (this.requestId !== undefined) json.requestId = this.requestId;
+    if (this.help !== undefined) json.help = this.help;
+
+    return json;
+  }
+
+  /**
+   * 转换为协议错误消息
+   * @param {string} source - 来源组件ID
+   * @param {string} target - 目标组件ID
+   * @param {Object} [options={}] - 选项
+   * @param {string} [options.requestId] - 相关请求ID，默认使用错误上的requestId
+   * @returns {Object} 错误消息
+   */
+  toMessage(source, target, options = {}) {
+    return createErrorMessage(source, target, {
+      code: this.code,
+      message: this.message,
+      details: this.details,
+      help: this.help
+    }, {
+      requestId: options.requestId || this.requestId,
+      metadata: {
+        ...(options.metadata || {}),
+        category: this.category,
+        retryable: this.retryable
+      }
+    });
+  }
+
+  /**
+   * 将任意错误转换为AcipError
+   *
+   * 已经是AcipError的直接返回；带有符合格式的 `code` 属性的错误保留其代码；
+   * 其余错误转换为 INTERNAL_ERROR
+   *
+   * @param {*} error - 原始错误
+   * @param {string} [fallbackCode='INTERNAL_ERROR'] - 无法识别时使用的错误代码
+   * @returns {AcipError} ACIP错误
+   */
+  static from(error, fallbackCode = ErrorCode.INTERNAL_ERROR) {
+    if (error instanceof AcipError) {
+      return error;
+    }
+
+    if (error instanceof Error) {
+      const code = typeof error.code === 'string' && ERROR_CODE_PATTERN.test(error.code)
+        ? error.code
+        : fallbackCode;
+
+      return createError(code, error.message, {
+        details: error.details,
+        cause: error
+      });
+    }
+
+    return createError(fallbackCode, String(error));
+  }
+
+  /**
+   * 检查错误是否可重试
+   * @param {*} error - 错误
+   * @returns {boolean} 是否可重试
+   */
+  static isRetryable(error) {
+    if (error instanceof AcipError) {
+      return error.retryable;
+    }
+
+    const definition = error && ErrorDefinitions[error.code];
+    return !!(definition && definition.retryable);
+  }
+}
+
+/**
+ * 协议错误
+ */
+class ProtocolError extends AcipError {
+  constructor(code = ErrorCode.PROTOCOL_INVALID_MESSAGE, message, options = {}) {
+    super(code, message, { ...options, category: ErrorCategory.PROTOCOL });
+  }
+}
+
+/**
+ * 验证错误
+ */
+class ValidationError extends AcipError {
+  constructor(code = ErrorCode.VALIDATION_INVALID_FORMAT, message, options = {}) {
+    super(code, message, { ...options, category: ErrorCategory.VALIDATION });
+  }
+}
+
+/**
+ * 认证和授权错误
+ */
+class AuthError extends AcipError {
+  constructor(code = ErrorCode.AUTH_FAILED, message, options = {}) {
+    super(code, message, { ...options, category: ErrorCategory.AUTH });
+  }
+}
+
+/**
+ * 资源错误
+ */
+class ResourceError extends AcipError {
+  constructor(code = ErrorCode.RESOURCE_NOT_FOUND, message, options = {}) {
+    super(code, message, { ...options, category: ErrorCategory.RESOURCE });
+  }
+}
+
+/**
+ * 服务错误
+ */
+class ServiceError extends AcipError {
+  constructor(code = ErrorCode.SERVICE_UNAVAILABLE, message, options = {}) {
+    super(code, message, { ...options, category: ErrorCategory.SERVICE });
+  }
+}
+
+/**
+ * 网络错误
+ */
+class NetworkError extends AcipError {
+  constructor(code = ErrorCode.NETWORK_CONNECTION_FAILED, message, options = {}) {
+    super(code, message, { ...options, category: ErrorCategory.NETWORK });
+  }
+}
+
+/**
+ * 内部错误
+ */
+class InternalError extends AcipError {
+  constructor(code = ErrorCode.INTERNAL_ERROR, message, options = {}) {
+    super(code, message, { ...options, category: ErrorCategory.INTERNAL });
+  }
+}
+
+/**
+ * 速率限制错误
+ */
+class RateLimitError extends ResourceError {
+  /**
+   * @param {string} message - 错误描述
+   * @param {Object} [options={}] - 错误选项
+   * @param {number} [options.retryAfter] - 建议的重试等待时间（毫秒）
+   */
+  constructor(message, options = {}) {
+    const details = options.retryAfter !== undefined
+      ? { ...(options.details || {}), retryAfter: options.retryAfter }
+      : options.details;
+
+    super(ErrorCode.RATE_LIMITED, message, { ...options, details });
+
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+/**
+ * 内容审核拦截错误
+ */
+class ContentBlockedError extends ValidationError {
+  constructor(message, options = {}) {
+    super(ErrorCode.CONTENT_BLOCKED, message, options);
+  }
+}
+
+/**
+ * 分类 -> 错误类
+ */
+const CategoryClasses = {
+  [ErrorCategory.PROTOCOL]: ProtocolError,
+  [ErrorCategory.VALIDATION]: ValidationError,
+  [ErrorCategory.AUTH]: AuthError,
+  [ErrorCategory.RESOURCE]: ResourceError,
+  [ErrorCategory.SERVICE]: ServiceError,
+  [ErrorCategory.NETWORK]: NetworkError,
+  [ErrorCategory.INTERNAL]: InternalError
+};
+
+/**
+ * 根据错误代码创建对应分类的错误实例
+ * @param {string} code - 错误代码
+ * @param {string} [message] - 错误描述
+ * @param {Object} [options={}] - 错误选项
+ * @returns {AcipError} 错误实例
+ */
+function createError(code, message, options = {}) {
+  if (code === ErrorCode.RATE_LIMITED) {
+    return new RateLimitError(message, options);
+  }
+
+  if (code === ErrorCode.CONTENT_BLOCKED) {
+    return new ContentBlockedError(message, options);
+  }
+
+  const definition = ErrorDefinitions[code];
+  const ErrorClass = (definition && CategoryClasses[definition.category]) || AcipError;
+
+  return ErrorClass === AcipError
+    ? new AcipError(code, message, options)
+    : new ErrorClass(code, message, options);
+}
+
+module.exports = {
+  ErrorCategory,
+  ErrorCode,
+  AcipError,
+  ProtocolError,
+  ValidationError,
+  AuthError,
+  ResourceError,
+  ServiceError,
+  NetworkError,
+  InternalError,
+  RateLimitError,
+  ContentBlockedError,
+  createError
+};
@@ -0,0 +1,320 @@
+/**
+ * ACIP事件总线
+ *
+ * 实现协议规范 §5.3.2 定义的事件总线接口，支持点分事件名称和通配符订阅
+ *
+ * @module events
+ */
+
+const { v4: generateUUID } = require('uuid');
+const { ErrorCode, ValidationError } = require('../errors/acip-error');
+
+/**
+ * 事件名称分隔符
+ */
+const EVENT_DELIMITER = '.';
+
+/**
+ * 事件总线内部事件
+ */
+const EventBusEvents = {
+  HANDLER_ERROR: 'eventbus.handlerError'
+};
+
+/**
+ * 检查事件名称是否匹配订阅模式
+ *
+ * 模式按 "." 分段：`*` 匹配恰好一个段，`**` 匹配零个或多个段。
+ * 例如 `context.*` 匹配 `context.updated`，`context.**` 还匹配 `context.memory.stored`。
+ *
+ * @param {string} pattern - 订阅模式
+ * @param {string} eventType - 事件名称
+ * @returns {boolean} 是否匹配
+ */
+function matchPattern(pattern, eventType) {
+  if (pattern === eventType || pattern === '**') {
+    return true;
+  }
+
+  const patternSegments = pattern.split(EVENT_DELIMITER);
+  const eventSegments = eventType.split(EVENT_DELIMITER);
+
+  function match(i, j) {
+    if (i === patternSegments.length) {
+      return j === eventSegments.length;
+    }
+
+    const segment = patternSegments[i];
+
+    if (segment === '**') {
+      // 尝试让 ** 吞掉 0..n 个段
+      for (let k = j; k <= eventSegments.length; k++) {
+        if (match(i + 1, k)) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    if (j === eventSegments.length) {
+      return false;
+    }
+
+    if (segment === '*' || segment === eventSegments[j]) {
+      return match(i + 1, j + 1);
+    }
+
+    return false;
+  }
+
+  return match(0, 0);
+}
+
+/**
+ * 事件总线类
+ *
+ * 提供发布/订阅机制。处理函数可以是同步或异步的，
+ * 单个处理函数的错误不会影响其他订阅者。
+ */
+class EventBus {
+  /**
+   * 创建新的事件总线实例
+   * @param {Object} options - 配置选项
+   * @param {number} [options.maxListeners=0] - 订阅数量告警阈值，0表示不限制
+   * @param {string} [options.defaultSource='core'] - 发布事件时的默认来源
+   * @param {Object} [logger=console] - 日志记录器
+   */
+  constructor(options = {}, logger = console) {
+    this.logger = logger;
+    this.maxListeners = options.maxListeners || 0;
+    this.defaultSource = options.defaultSource || 'core';
+
+    // 订阅ID -> 订阅对象
+    this.subscriptions = new Map();
+
+    // 绑定方法，确保this指向正确
+    this.publish = this.publish.bind(this);
+    this.subscribe = this.subscribe.bind(this);
+    this.unsubscribe = this.unsubscribe.bind(this);
+  }
+
+  /**
+   * 发布事件
+   *
+   * 所有匹配的处理函数会被同步调用，返回的Promise在所有异步处理函数完成后解决。
+   *
+   * @param {Object|string} event - 事件对象（必须包含type）或事件名称
+   * @param {*} [data] - 事件数据（当第一个参数为事件名称时使用）
+   * @param {Object} [options={}] - 发布选项
+   * @param {string} [options.source] - 事件来源
+   * @param {Object} [options.metadata] - 事件元数据
+   * @returns {Promise<Object>} 发布结果，包含事件对象、已投递数量和失败数量
+   */
+  async publish(event, data, options = {}) {
+    const normalizedEvent = this._normalizeEvent(event, data, options);
+    const matched = this._getMatchingSubscriptions(normalizedEvent.type);
+
+    const pending = [];
+
+    for (const subscription of matched) {
+      if (subscription.once) {
+        this.subscriptions.delete(subscription.id);
+      }
+
+      try {
+        const result = subscription.handler(normalizedEvent, subscription);
+
+        if (result && typeof result.then === 'function') {
+          pending.push(
+            Promise.resolve(result).then(
+              () => true,
+              error => this._handleHandlerError(error, normalizedEvent, subscription)
+            )
+          );
+        } else {
+          pending.push(true);
+        }
+      } catch (error) {
+        pending.push(this._handleHandlerError(error, normalizedEvent, subscription));
+      }
+    }
+
+    const outcomes = await Promise.all(pending);
+
+    return {
+      event: normalizedEvent,
+      delivered: outcomes.filter(Boolean).length,
+      failed: outcomes.filter(outcome => !outcome).length
+    };
+  }
+
+  /**
+   * 订阅事件
+   * @param {string} pattern - 事件名称或通配符模式
+   * @param {Function} handler - 处理函数，接收 (event, subscription)
+   * @param {Object} [options={}] - 订阅选项
+   * @param {boolean} [options.once=false] - 是否只触发一次
+   * @param {number} [options.priority=0] - 优先级，数值越大越先调用
+   * @param {string} [options.owner] - 订阅所有者，用于批量取消订阅
+   * @returns {Object} 订阅对象，包含 unsubscribe() 方法
+   * @throws {ValidationError} 如果模式或处理函数无效
+   */
+  subscribe(pattern, handler, options = {}) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, '订阅模式必须是非空字符串');
+    }
+
+    if (typeof handler !== 'function') {
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, '事件处理函数必须是函数');
+    }
+
+    const subscription = {
+      id: generateUUID(),
+      pattern,
+      handler,
+      once: options.once || false,
+      priority: options.priority || 0,
+      owner: options.owner || null,
+      createdAt: new Date(),
+      unsubscribe: () => this.unsubscribe(subscription)
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+
+    if (this.maxListeners > 0 && this.subscriptions.size > this.maxListeners) {
+      this.logger.warn(`事件总线订阅数量(${this.subscriptions.size})超过上限 ${this.maxListeners}，可能存在泄漏`);
+    }
+
+    return subscription;
+  }
+
+  /**
+   * 取消订阅
+   * @param {Object|string} subscription - 订阅对象或订阅ID
+   * @returns {Promise<boolean>} 是否成功取消
+   */
+  async unsubscribe(subscription) {
+    const id = typeof subscription === 'string' ? subscription : subscription && subscription.id;
+
+    if (!id) {
+      return false;
+    }
+
+    return this.subscriptions.delete(id);
+  }
+
+  /**
+   * 取消某个所有者的全部订阅
+   * @param {string} owner - 订阅所有者
+   * @returns {number} 取消的订阅数量
+   */
+  unsubscribeAll(owner) {
+    let count = 0;
+
+    for (const [id, subscription] of this.subscriptions.entries()) {
+      if (subscription.owner === owner) {
+        this.subscriptions.delete(id);
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * 获取匹配某个事件名称的订阅数量
+   * @param {string} [eventType] - 事件名称，不提供则返回全部订阅数量
+   * @returns {number} 订阅数量
+   */
+  listenerCount(eventType) {
+    if (!eventType) {
+      return this.subscriptions.size;
+    }
+
+    return this._getMatchingSubscriptions(eventType).length;
+  }
+
+  /**
+   * 清除所有订阅
+   */
+  clear() {
+    this.subscriptions.clear();
+  }
+
+  /**
+   * 规范化事件对象
+   * @private
+   * @param {Object|string} event - 事件对象或事件名称
+   * @param {*} data - 事件数据
+   * @param {Object} options - 发布选项
+   * @returns {Object} 规范化后的事件对象
+   */
+  _normalizeEvent(event, data, options) {
+    const base = typeof event === 'string' ? { type: event, data } : { ...event };
+
+    if (!base.type || typeof base.type !== 'string') {
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, '事件必须包含字符串类型的type字段');
+    }
+
+    return {
+      id: base.id || generateUUID(),
+      type: base.type,
+      source: base.source || options.source || this.defaultSource,
+      timestamp: base.timestamp || new Date().toISOString(),
+      data: base.data,
+      metadata: {
+        ...(base.metadata || {}),
+        ...(options.metadata || {})
+      }
+    };
+  }
+
+  /**
+   * 获取匹配事件名称的订阅，按优先级排序
+   * @private
+   * @param {string} eventType - 事件名称
+   * @returns {Array<Object>} 订阅数组
+   */
+  _getMatchingSubscriptions(eventType) {
+    const matched = [];
+
+    for (const subscription of this.subscriptions.values()) {
+      if (matchPattern(subscription.pattern, eventType)) {
+        matched.push(subscription);
+      }
+    }
+
+    // 稳定排序：优先级相同时保持订阅顺序
+    return matched.sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * 处理订阅处理函数抛出的错误
+   * @private
+   * @param {Error} error - 错误对象
+   * @param {Object} event - 事件对象
+   * @param {Object} subscription - 订阅对象
+   * @returns {boolean} 始终返回false，表示投递失败
+   */
+  _handleHandlerError(error, event, subscription) {
+    this.logger.error(`事件 "${event.type}" 的处理函数(订阅 ${subscription.pattern})执行出错: ${error.message}`);
+
+    // 将错误作为事件发布，错误事件自身的处理失败不再转发，避免递归
+    if (event.type !== EventBusEvents.HANDLER_ERROR) {
+      this.publish(EventBusEvents.HANDLER_ERROR, {
+        error,
+        event,
+        pattern: subscription.pattern,
+        subscriptionId: subscription.id
+      }, { source: 'eventbus' });
+    }
+
+    return false;
+  }
+}
+
+module.exports = {
+  EventBus,
+  EventBusEvents,
+  matchPattern
+};
@@ -8,19 +8,68 @@
 // 生命周期管理
 const { ModuleLifecycle, ModuleState } = require('./lifecycle/lifecycle');
 const { Core, CoreEvents } = require('./lifecycle/core');
+const { ModuleSupervisor, RestartStrategy } = require('./lifecycle/supervisor');
 
 // 模块注册表
 const { ModuleRegistry, RegistryEvents } = require('./registry/module-registry');
 
+// 事件总线
+const { EventBus, EventBusEvents, matchPattern } = require('./events/event-bus');
+
+// 协议消息
+const messages = require('./messages');
+
+// 错误类型
+const errors = require('./errors/acip-error');
+
+// 状态管理
+const { StateManager, StateChangeType } = require('./state/state-manager');
+const { MemoryStateStore, FileStateStore } = require('./state/state-stores');
+
+// 插件
+const { PluginLoader } = require('./plugins/plugin-loader');
+
 // 配置工具
 const { ConfigLoader } = require('./config/config-loader');
+const { ConfigSection } = require('./config/config-section');
+const { validateSchema, addSchema } = require('./utils/json-schema');
+const { diff, applyPatch } = require('./utils/json-diff');
 
 // 日志工具
-const { Logger, LogLevel } = require('./utils/logger');
+const { Logger, LogLevel, createConsoleHandler, createRedactor } = require('./utils/logger');
+const {
+  createJsonHandler,
+  createRotatingFileHandler,
+  createBufferedHandler,
+  RotatingFileWriter
+} = require('./utils/log-handlers');
+const {
+  runWithContext,
+  getContext,
+  updateContext,
+  ContextEventEmitter
+} = require('./utils/request-context');
+const {
+  Tracer,
+  SpanKind,
+  SpanStatusCode,
+  InMemorySpanExporter,
+  OtlpJsonFileExporter,
+  getTracer
+} = require('./utils/tracing');
 
 // 数据模型
 const models = require('./models');
 
+// 分词器
+const {
+  BpeTokenizer,
+  TokenizerRegistry,
+  HeuristicTokenizer,
+  countTokens,
+  tokenizers
+} = require('./tokenizers');
+
 /**
  * 创建一个新的ACIP核心实例
  * @param {Object} options - 核心选项
@@ -39,26 +88,89 @@ module.exports = {
   // 生命周期
   ModuleLifecycle,
   ModuleState,
+  ModuleSupervisor,
+  RestartStrategy,
   
   // 模块注册
   ModuleRegistry,
   RegistryEvents,
   
+  // 事件总线
+  EventBus,
+  EventBusEvents,
+  matchPattern,
+  
+  // 协议消息
+  messages,
+  MessageRouter: messages.MessageRouter,
+  MessageType: messages.MessageType,
+  
+  // 错误
+  errors,
+  ErrorCode: errors.ErrorCode,
+  ErrorCategory: errors.ErrorCategory,
+  AcipError: errors.AcipError,
+  createError: errors.createError,
+  
+  // 状态管理
+  StateManager,
+  StateChangeType,
+  MemoryStateStore,
+  FileStateStore,
+  
+  // 插件
+  PluginLoader,
+  
   // 配置
   ConfigLoader,
+  ConfigSection,
+  validateSchema,
+  addSchema,
+  diff,
+  applyPatch,
   
   // 日志
   Logger,
   LogLevel,
+  createConsoleHandler,
+  createJsonHandler,
+  createRotatingFileHandler,
+  createBufferedHandler,
+  RotatingFileWriter,
+  createRedactor,
+  
+  // 请求上下文
+  runWithContext,
+  getContext,
+  updateContext,
+  ContextEventEmitter,
+  
+  // 链路追踪
+  Tracer,
+  SpanKind,
+  SpanStatusCode,
+  InMemorySpanExporter,
+  OtlpJsonFileExporter,
+  getTracer,
   
   // 数据模型
   models,
   BaseModel: models.BaseModel,
   ContextModel: models.ContextModel,
   AgentModel: models.AgentModel,
+  ContextHistory: models.ContextHistory,
   
   // 序列化工具
   serialization: models.serialization,
+  MigrationRegistry: models.MigrationRegistry,
+  migrations: models.migrations,
+  
+  // 分词器
+  BpeTokenizer,
+  TokenizerRegistry,
+  HeuristicTokenizer,
+  countTokens,
+  tokenizers,
   
   // 核心API
   createCore,
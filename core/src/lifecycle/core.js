@@ -8,7 +8,28 @@
 
 const { ModuleLifecycle, ModuleState } = require('./lifecycle');
 const { ModuleRegistry, RegistryEvents } = require('../registry/module-registry');
-const EventEmitter = require('events');
+const path = require('path');
+const { EventBus } = require('../events/event-bus');
+const { MessageRouter } = require('../messages/message-router');
+const { StateManager } = require('../state/state-manager');
+const { MemoryStateStore, FileStateStore } = require('../state/state-stores');
+const { PluginLoader } = require('../plugins/plugin-loader');
+const { ModuleSupervisor, SupervisorEvents } = require('./supervisor');
+const { AcipError, ErrorCode, ResourceError, ServiceError, ValidationError } = require('../errors/acip-error');
+const { withTimeout, deepMerge } = require('../utils');
+const { validateSchema, toPointer, formatErrors } = require('../utils/json-schema');
+const { diffConfig } = require('../config/config-diff');
+const { findCycles, toDot } = require('../registry/dependency-graph');
+
+/**
+ * 注册选项中属于模块信息的字段
+ */
+const MODULE_INFO_FIELDS = ['name', 'version', 'description', 'author', 'dependencies', 'interfaces', 'configuration'];
+
+/**
+ * 注册选项中控制模块运行的字段
+ */
+const MODULE_RUNTIME_FIELDS = ['required', 'startTimeout', 'stopTimeout', 'restartStrategy', 'configKey'];
 
 /**
  * 核心模块事件
@@ -19,7 +40,13 @@ const CoreEvents = {
   MODULE_STATE_CHANGED: 'module:stateChanged',
   CORE_STATE_CHANGED: 'core:stateChanged',
   CORE_ERROR: 'core:error',
-  CONFIG_CHANGED: 'config:changed'
+  CONFIG_CHANGED: 'config:changed',
+  PLUGINS_LOADED: 'plugins:loaded',
+  MODULE_RELOADED: 'module:reloaded',
+  MODULE_HEALTH_CHANGED: SupervisorEvents.HEALTH_CHANGED,
+  MODULE_RESTARTING: SupervisorEvents.RESTARTING,
+  MODULE_RESTARTED: SupervisorEvents.RESTARTED,
+  MODULE_RESTART_FAILED: SupervisorEvents.RESTART_FAILED
 };
 
 /**
@@ -37,26 +64,73 @@ class Core extends ModuleLifecycle {
     
     this.name = 'ACIPCore';
     this.version = options.version || '0.1.0';
-    this.eventBus = new EventEmitter();
+    this.moduleId = 'core';
+    
+    // 创建事件总线，注册的模块共享同一个实例
+    this.eventBus = new EventBus({
+      maxListeners: options.maxListeners
+    }, this.logger);
     
     // 创建模块注册表
     this.registry = new ModuleRegistry({
-      maxListeners: options.maxListeners
+      maxListeners: options.maxListeners,
+      strictDependencies: options.strictDependencies,
+      // 模块可以通过 {id: 'core'} 依赖核心自身的版本
+      providedModules: { [this.moduleId]: this.version }
+    }, this.logger);
+    
+    // 协议消息路由器，按target将消息投递给注册表中的模块
+    this.messageRouter = new MessageRouter({
+      registry: this.registry,
+      eventBus: this.eventBus,
+      source: this.moduleId
     }, this.logger);
     
-    // 模块实例缓存，包含已初始化和启动的模块
+    // 实例ID -> 模块实例，同一模块的不同版本各占一项
     this.modules = new Map();
     
-    // 配置事件总线的最大监听器数量
-    if (options.maxListeners) {
-      this.eventBus.setMaxListeners(options.maxListeners);
-    }
+    // 实例ID -> 启动选项（required、startTimeout、stopTimeout、restartStrategy）
+    this.moduleOptions = new Map();
+    
+    // 实例ID -> 移除模块状态监听器的函数
+    this.stateListeners = new Map();
+    
+    // 实例ID -> 启动超时后仍在进行的启动，完成后模块会被停止
+    this.abandonedStarts = new Map();
+    
+    // 已加载的配置，在初始化时加载
+    this.config = null;
+    
+    // 取消监听配置加载器变更的函数
+    this.configSubscription = null;
+    
+    // 模块启动和停止的默认超时时间（毫秒），0表示不限制
+    this.moduleStartTimeout = options.moduleStartTimeout !== undefined ? options.moduleStartTimeout : 30000;
+    this.moduleStopTimeout = options.moduleStopTimeout !== undefined ? options.moduleStopTimeout : 30000;
+    
+    // 状态管理器，在初始化内部服务时创建
+    this.stateManager = null;
+    
+    // 插件加载器，从插件目录和node_modules发现模块
+    this.pluginLoader = new PluginLoader({
+      core: this,
+      baseDir: options.baseDir
+    }, this.logger);
+    
+    // 模块监督器，核心启动后检查模块健康并重启失败的模块
+    this.supervisor = new ModuleSupervisor({
+      core: this,
+      ...options.supervisor
+    }, this.logger);
     
     // 绑定方法，确保this指向正确
     this.registerModule = this.registerModule.bind(this);
     this.unregisterModule = this.unregisterModule.bind(this);
+    this.reloadModule = this.reloadModule.bind(this);
     this.getModule = this.getModule.bind(this);
     this.getAllModules = this.getAllModules.bind(this);
+    this.getModuleConfig = this.getModuleConfig.bind(this);
+    this.reloadConfig = this.reloadConfig.bind(this);
     this.on = this.on.bind(this);
     this.off = this.off.bind(this);
     this.emit = this.emit.bind(this);
@@ -81,6 +155,12 @@ class Core extends ModuleLifecycle {
     // 初始化内部服务
     await this._initServices();
     
+    // 自动加载插件
+    const pluginConfig = this.config.plugins;
+    if (pluginConfig && pluginConfig.autoload) {
+      await this.loadPlugins(pluginConfig);
+    }
+    
     this.logger.info('ACIP核心初始化完成');
   }
 
@@ -92,7 +172,7 @@ class Core extends ModuleLifecycle {
   async _doStart() {
     this.logger.info('启动ACIP核心...');
     
-    // 按照依赖顺序启动所有已注册模块
+    // 按照依赖层级并发启动所有已注册模块
     const startResults = await this._startModules();
     
     if (startResults.failed.length > 0) {
@@ -102,6 +182,11 @@ class Core extends ModuleLifecycle {
       }
     }
     
+    // 只有传入 options.supervisor 时才启动监督器；enabled 为 false 时保留配置但不启动
+    if (this.options.supervisor && this.options.supervisor.enabled !== false) {
+      this.supervisor.start();
+    }
+    
     this.logger.info(`ACIP核心启动完成，成功启动了${startResults.success.length}个模块`);
   }
 
@@ -113,6 +198,9 @@ class Core extends ModuleLifecycle {
   async _doStop() {
     this.logger.info('停止ACIP核心...');
     
+    // 先停止监督器，避免重启正在停止的模块
+    this.supervisor.stop();
+    
     // 按照依赖关系的反向顺序停止所有模块
     const stopResults = await this._stopModules();
     
@@ -123,6 +211,11 @@ class Core extends ModuleLifecycle {
       }
     }
     
+    // 持久化模块状态
+    if (this.stateManager) {
+      await this.stateManager.flush();
+    }
+    
     this.logger.info(`ACIP核心停止完成，成功停止了${stopResults.success.length}个模块`);
   }
 
@@ -141,8 +234,23 @@ class Core extends ModuleLifecycle {
       this.logger.warn(`${destroyResults.failed.length}个模块销毁失败`);
     }
     
-    // 移除所有事件监听器
-    this.eventBus.removeAllListeners();
+    // 结束所有等待响应的请求
+    this.messageRouter.close();
+    
+    // 停止接收配置变更
+    if (this.configSubscription) {
+      this.configSubscription();
+      this.configSubscription = null;
+    }
+    
+    // 关闭状态管理器
+    if (this.stateManager) {
+      await this.stateManager.close();
+      this.stateManager = null;
+    }
+    
+    // 移除所有事件订阅
+    this.eventBus.clear();
     
     // 清空模块映射
     this.modules.clear();
@@ -150,17 +258,50 @@ class Core extends ModuleLifecycle {
     this.logger.info('ACIP核心已销毁');
   }
 
+  /**
+   * 检查核心健康状况
+   * 
+   * 所有已启动的模块都健康时核心才健康，details.modules 包含每个模块的健康状况
+   * 
+   * @protected
+   * @returns {Promise<Object>}
+   */
+  async _doHealthCheck() {
+    const modules = await this.supervisor.checkHealth();
+    
+    const healthy = Object.values(modules).every(status =>
+      status.healthy || (status.state !== ModuleState.RUNNING && status.state !== ModuleState.ERROR));
+    
+    return {
+      healthy,
+      details: { modules }
+    };
+  }
+
   /**
    * 注册模块
+   * 
+   * 同一模块的不同版本可以并存，依赖方解析到满足其版本范围的最高版本
+   * 
    * @param {string} moduleId - 模块ID
    * @param {Object} moduleInstance - 模块实例，必须实现ModuleLifecycle接口
    * @param {Object} [options={}] - 注册选项
+   * @param {string} [options.version='0.1.0'] - 模块版本
+   * @param {Array<Object>|Object} [options.dependencies] - 依赖，[{id, version, optional}] 或 {模块ID: 版本范围}
+   * @param {boolean} [options.required=false] - 启动失败时是否回滚并中止核心启动
+   * @param {number} [options.startTimeout] - 初始化和启动的超时时间（毫秒），默认使用核心的 moduleStartTimeout
+   * @param {number} [options.stopTimeout] - 停止的超时时间（毫秒），默认使用核心的 moduleStopTimeout
+   * @param {string} [options.restartStrategy] - 监督器的重启策略（one-for-one、rest-for-one、none），默认使用监督器的策略
+   * @param {Object} [options.configuration] - 配置说明，default 为配置段的默认值，schema 为配置段的JSON Schema
+   * @param {string} [options.configKey] - 模块配置段在顶层配置中的键，默认为模块ID
    * @returns {Object} 注册的模块实例
-   * @throws {Error} 如果模块ID已被注册或模块实例不是有效的ModuleLifecycle实例
+   * @throws {ValidationError} 如果模块实例不是有效的ModuleLifecycle实例
+   * @throws {ResourceError} 如果该模块的同一版本已经注册
+   * @throws {ValidationError} 如果模块的配置段不符合其Schema
    */
   async registerModule(moduleId, moduleInstance, options = {}) {
     if (!(moduleInstance instanceof ModuleLifecycle)) {
-      throw new Error(`模块实例必须实现ModuleLifecycle接口`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, '模块实例必须实现ModuleLifecycle接口');
     }
     
     // 创建模块信息对象
@@ -175,83 +316,340 @@ class Core extends ModuleLifecycle {
       configuration: options.configuration || {}
     };
     
+    if (this.registry.listInstances(moduleId).some(entry => entry.version === moduleInfo.version)) {
+      throw new ResourceError(ErrorCode.RESOURCE_ALREADY_EXISTS, `模块 "${moduleId}" 的版本 ${moduleInfo.version} 已注册`, {
+        details: { moduleId, version: moduleInfo.version }
+      });
+    }
+    
     // 在注册表中注册模块
-    await this.registry.register(moduleInfo, moduleInstance);
+    const instanceId = await this.registry.register(moduleInfo, moduleInstance);
+    const moduleOptions = this._pickOptions(options, MODULE_RUNTIME_FIELDS);
     
-    // 监听模块状态变化
-    moduleInstance.onStateChange((newState, oldState, module) => {
-      this.emit(CoreEvents.MODULE_STATE_CHANGED, {
-        moduleId,
-        newState,
-        oldState,
-        module
-      });
-    });
+    // 配置已加载时，配置段不符合模块的Schema则拒绝注册
+    try {
+      this._checkModuleConfig(this.config, instanceId, moduleOptions);
+    } catch (error) {
+      await this.registry.unregister(moduleId, instanceId);
+      throw error;
+    }
     
-    // 缓存模块实例
-    this.modules.set(moduleId, moduleInstance);
+    // 注入核心服务并缓存模块实例
+    this.moduleOptions.set(instanceId, moduleOptions);
+    this._attachModule(instanceId, moduleInstance);
     
-    this.logger.info(`模块 "${moduleId}" 已注册到核心`);
+    this.logger.info(`模块 "${moduleId}" v${moduleInfo.version} 已注册到核心`);
     
     return moduleInstance;
   }
 
   /**
    * 注销模块
+   * 
+   * 指定版本时只停止并注销该版本，同一模块的其他版本继续运行
+   * 
    * @param {string} moduleId - 要注销的模块ID
+   * @param {string} [version] - 要注销的版本，省略时注销该模块的所有版本
    * @returns {Promise<boolean>} 是否成功注销
    */
-  async unregisterModule(moduleId) {
-    const moduleInstance = this.modules.get(moduleId);
+  async unregisterModule(moduleId, version) {
+    const target = version ? `${moduleId}@${version}` : moduleId;
+    const instanceIds = this.registry.listInstances(moduleId)
+      .filter(entry => this.modules.has(entry.instanceId) && (!version || entry.version === version))
+      .map(entry => entry.instanceId);
     
-    if (!moduleInstance) {
-      this.logger.warn(`尝试注销不存在的模块 "${moduleId}"`);
+    if (instanceIds.length === 0) {
+      this.logger.warn(`尝试注销不存在的模块 "${target}"`);
       return false;
     }
     
     // 如果模块正在运行，先尝试停止它
-    if (moduleInstance.getState() === ModuleState.RUNNING) {
-      this.logger.info(`停止模块 "${moduleId}" 以便注销`);
-      try {
-        await moduleInstance.stop();
-      } catch (error) {
-        this.logger.error(`停止模块 "${moduleId}" 时出错: ${error.message}`);
+    for (const instanceId of instanceIds) {
+      const moduleInstance = this.modules.get(instanceId);
+      
+      if (moduleInstance.getState() === ModuleState.RUNNING) {
+        this.logger.info(`停止模块 "${this._label(instanceId)}" 以便注销`);
+        try {
+          await moduleInstance.stop();
+        } catch (error) {
+          this.logger.error(`停止模块 "${this._label(instanceId)}" 时出错: ${error.message}`);
+        }
       }
     }
     
-    // 从注册表中注销模块
-    const unregistered = await this.registry.unregister(moduleId);
+    // 从注册表中注销模块，只注销一个版本时其余版本仍要满足依赖方
+    const unregistered = version
+      ? await this.registry.unregister(moduleId, instanceIds[0])
+      : await this.registry.unregister(moduleId);
     
     if (unregistered) {
-      // 从模块缓存中移除
-      this.modules.delete(moduleId);
-      this.logger.info(`模块 "${moduleId}" 已从核心注销`);
+      // 断开核心服务，取消模块的全部订阅，并从模块缓存中移除
+      for (const instanceId of instanceIds) {
+        this._detachModule(instanceId, this.modules.get(instanceId));
+        this.moduleOptions.delete(instanceId);
+        this.supervisor.forget(instanceId);
+      }
+      
+      this.logger.info(`模块 "${target}" 已从核心注销`);
     }
     
     return unregistered;
   }
 
   /**
-   * 获取已注册模块
+   * 热重载模块
+   *
+   * 先停止依赖该模块的运行中模块，再用旧实例 exportState() 的结果调用新实例的
+   * importState()，替换实例后按依赖顺序重新启动它们。核心不需要停止。
+   * 新实例启动失败时恢复旧实例并抛出错误。多个版本并存时替换 options.currentVersion
+   * 指定的版本，默认替换最高版本。
+   *
    * @param {string} moduleId - 模块ID
-   * @returns {Promise<Object|null>} 模块实例，如果不存在则返回null
+   * @param {Object} newInstance - 新的模块实例，必须实现ModuleLifecycle接口
+   * @param {Object} [options={}] - 要更新的注册选项，与 registerModule() 相同，未提供的沿用原值
+   * @param {string} [options.currentVersion] - 要替换的已注册版本
+   * @returns {Promise<Object>} 新的模块实例
+   * @throws {ResourceError} 如果模块不存在、新版本已由另一个实例注册，或新版本不再满足依赖方
+   * @throws {ServiceError} 如果新实例启动失败（已尽量恢复旧实例）
    */
-  async getModule(moduleId) {
-    // 首先检查本地缓存
-    const cachedModule = this.modules.get(moduleId);
-    if (cachedModule) {
-      return cachedModule;
+  async reloadModule(moduleId, newInstance, options = {}) {
+    if (!(newInstance instanceof ModuleLifecycle)) {
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, '模块实例必须实现ModuleLifecycle接口');
     }
     
-    // 如果缓存中没有，从注册表获取
-    const moduleInstance = await this.registry.getModule(moduleId);
+    const instanceId = this.registry.resolveInstanceId(moduleId, options.currentVersion || '*');
+    const oldInstance = instanceId && this.modules.get(instanceId);
     
-    // 如果找到了模块，更新缓存
-    if (moduleInstance) {
-      this.modules.set(moduleId, moduleInstance);
+    if (!oldInstance) {
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `模块 "${moduleId}" 不存在`, {
+        details: { moduleId, version: options.currentVersion }
+      });
     }
     
-    return moduleInstance;
+    const oldState = oldInstance.getState();
+    const wasRunning = oldState === ModuleState.RUNNING;
+    const previousOptions = this.moduleOptions.get(instanceId);
+    const dependents = (await this._getActiveDependents(instanceId))
+      .filter(id => this.modules.get(id).getState() === ModuleState.RUNNING);
+    
+    const nextOptions = {
+      ...previousOptions,
+      ...this._pickOptions(options, MODULE_RUNTIME_FIELDS)
+    };
+    
+    const duplicate = options.version && this.registry.listInstances(moduleId)
+      .find(entry => entry.instanceId !== instanceId && entry.version === options.version);
+    
+    if (duplicate) {
+      throw new ResourceError(ErrorCode.RESOURCE_ALREADY_EXISTS, `模块 "${moduleId}" 的版本 ${options.version} 已注册`, {
+        details: { moduleId, version: options.version }
+      });
+    }
+    
+    // 先替换注册信息：新版本无效、不再满足依赖方或配置不符合新的Schema时，在停止任何模块之前失败
+    const { previousInfo } = await this.registry.replace(
+      moduleId, oldInstance, newInstance, this._pickOptions(options, MODULE_INFO_FIELDS));
+    
+    try {
+      this._checkModuleConfig(this.config, instanceId, nextOptions);
+    } catch (error) {
+      await this.registry.replace(moduleId, newInstance, oldInstance, previousInfo);
+      throw error;
+    }
+    
+    this.logger.info(`正在热重载模块 "${moduleId}"...`);
+    
+    // 重载期间监督器不重启相关模块
+    this.supervisor.pause([instanceId, ...dependents]);
+    
+    const stopped = [];
+    
+    try {
+      // 依赖方先于被重载的模块停止
+      for (const dependentId of [...dependents].reverse()) {
+        await this._stopModule(dependentId, this.modules.get(dependentId));
+        stopped.unshift(dependentId);
+      }
+      
+      const state = oldState === ModuleState.CREATED ? undefined : await oldInstance.exportState();
+      
+      if (wasRunning) {
+        await this._stopModule(instanceId, oldInstance);
+      }
+      
+      this._detachModule(instanceId, oldInstance);
+      this.moduleOptions.set(instanceId, nextOptions);
+      this._attachModule(instanceId, newInstance);
+      
+      // 旧实例尚未初始化时，新实例随核心正常初始化
+      if (oldState !== ModuleState.CREATED) {
+        await this._startReloadedModule(instanceId, newInstance, state, wasRunning);
+      }
+      
+      await this._restartModules(stopped);
+    } catch (error) {
+      this.logger.error(`热重载模块 "${moduleId}" 失败: ${error.message}`);
+      
+      const rolledBack = await this._restoreModule(instanceId, {
+        oldInstance,
+        newInstance,
+        previousInfo,
+        previousOptions,
+        wasRunning,
+        stopped
+      });
+      
+      throw new ServiceError(
+        ErrorCode.SERVICE_UNAVAILABLE,
+        `热重载模块 "${moduleId}" 失败: ${error.message}`,
+        { cause: error, details: { moduleId, rolledBack } }
+      );
+    } finally {
+      this.supervisor.resume([instanceId, ...dependents]);
+    }
+    
+    // 旧实例不再使用，释放其资源
+    try {
+      await oldInstance.destroy();
+    } catch (error) {
+      this.logger.warn(`销毁模块 "${moduleId}" 的旧实例失败: ${error.message}`);
+    }
+    
+    const { version } = this._getInstanceInfo(instanceId);
+    
+    this.logger.info(`模块 "${moduleId}" 已热重载，版本: ${previousInfo.version} -> ${version}`);
+    
+    this.emit(CoreEvents.MODULE_RELOADED, {
+      moduleId,
+      previousVersion: previousInfo.version,
+      version,
+      dependents: stopped.map(id => this._label(id))
+    });
+    
+    return newInstance;
+  }
+
+  /**
+   * 获取核心加载的完整配置
+   * @returns {Object} 配置对象，初始化之前为空对象
+   */
+  getConfig() {
+    return this.config || {};
+  }
+
+  /**
+   * 获取模块的配置段
+   *
+   * 配置段是顶层配置中以模块 configKey（默认为模块ID）为键的部分，
+   * 并以模块信息中的 configuration.default 为默认值
+   *
+   * @param {string} moduleId - 模块ID
+   * @param {string} [range='*'] - 语义化版本范围，多个版本并存时取满足范围的最高版本
+   * @returns {Object|null} 配置段，如果模块不存在则返回null
+   */
+  getModuleConfig(moduleId, range = '*') {
+    const instanceId = this.registry.resolveInstanceId(moduleId, range);
+    
+    if (!instanceId || !this.modules.has(instanceId)) {
+      return null;
+    }
+    
+    return this._sliceConfig(this.getConfig(), instanceId);
+  }
+
+  /**
+   * 重新加载配置并通知配置段发生变化的模块
+   *
+   * 先按各模块的Schema验证全部新配置段，再按依赖顺序调用受影响模块的 onConfigChange(diff)。
+   * 任何模块拒绝新配置时，已接受的模块会收到反向的差异并恢复旧配置，核心配置保持不变。
+   *
+   * @param {Object} [newConfig] - 新配置，省略时使用配置加载器重新加载
+   * @returns {Promise<Object>} 重载结果 {modules}，modules 为模块名称 -> 配置差异
+   * @throws {ValidationError} 如果新配置不符合模块的Schema，或有模块拒绝新配置
+   */
+  async reloadConfig(newConfig) {
+    const config = newConfig !== undefined ? newConfig : await this._readConfig();
+    const previousConfig = this.getConfig();
+    const updates = [];
+    
+    // 先验证所有配置段，任何一个无效都不通知模块
+    for (const instanceId of await this._getConfigUpdateOrder()) {
+      const moduleInstance = this.modules.get(instanceId);
+      const previous = this._sliceConfig(previousConfig, instanceId);
+      const current = this._checkModuleConfig(config, instanceId);
+      const changes = diffConfig(previous, current);
+      
+      if (changes.length > 0) {
+        const { id: moduleId } = this._getInstanceInfo(instanceId);
+        
+        updates.push({
+          moduleInstance,
+          name: this._label(instanceId),
+          diff: { moduleId, previous, current, changes }
+        });
+      }
+    }
+    
+    const applied = [];
+    
+    for (const update of updates) {
+      const { moduleInstance, diff } = update;
+      let rejection = null;
+      
+      try {
+        if (await this._notifyConfigChange(moduleInstance, diff) === false) {
+          rejection = new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, '模块拒绝了新配置');
+        }
+      } catch (error) {
+        rejection = error;
+      }
+      
+      if (rejection) {
+        const rolledBack = await this._rollbackConfig(applied);
+        
+        throw new ValidationError(
+          ErrorCode.VALIDATION_INVALID_FORMAT,
+          `模块 "${diff.moduleId}" 拒绝了新配置: ${rejection.message}`,
+          {
+            cause: rejection,
+            details: { moduleId: diff.moduleId, changes: diff.changes, rolledBack }
+          }
+        );
+      }
+      
+      moduleInstance.setConfig(diff.current);
+      applied.push(update);
+    }
+    
+    this.config = config;
+    
+    const modules = Object.fromEntries(updates.map(({ name, diff }) => [name, diff.changes]));
+    
+    this.logger.info(`配置已重新加载，${updates.length}个模块的配置发生变化`);
+    
+    this.emit(CoreEvents.CONFIG_CHANGED, { modules });
+    
+    return { modules };
+  }
+
+  /**
+   * 获取已注册模块
+   * 
+   * 多个版本并存时返回满足版本范围的最高版本
+   * 
+   * @param {string} moduleId - 模块ID
+   * @param {string} [range='*'] - 语义化版本范围
+   * @returns {Promise<Object|null>} 模块实例，如果不存在则返回null
+   */
+  async getModule(moduleId, range = '*') {
+    const instanceId = this.registry.resolveInstanceId(moduleId, range);
+    
+    if (!instanceId) {
+      return null;
+    }
+    
+    // 首先检查本地缓存，没有时从注册表获取
+    return this.modules.get(instanceId) || this.registry.getModule(moduleId, instanceId);
   }
 
   /**
@@ -290,33 +688,149 @@ class Core extends ModuleLifecycle {
     return this.registry.listModules({ interface: interfaceName });
   }
 
+  /**
+   * 导出模块依赖图
+   * 
+   * JSON格式包含 nodes（模块ID、版本、状态）、edges（依赖方 -> 被依赖模块及版本范围）
+   * 和 cycles（依赖循环路径）；DOT格式可以直接交给Graphviz渲染。
+   * 
+   * @param {string} [format='json'] - 导出格式，'json' 或 'dot'
+   * @returns {Promise<Object|string>} 依赖图对象或DOT文本
+   */
+  async getDependencyGraph(format = 'json') {
+    const modules = await this.registry.listModules();
+    const nodes = new Map();
+    const edges = [];
+    
+    for (const moduleInfo of modules) {
+      const moduleInstance = await this.getModule(moduleInfo.id);
+      
+      nodes.set(moduleInfo.id, {
+        id: moduleInfo.id,
+        version: moduleInfo.version,
+        versions: moduleInfo.versions,
+        state: moduleInstance ? moduleInstance.getState() : null,
+        registered: true
+      });
+    }
+    
+    for (const moduleInfo of modules) {
+      for (const dep of await this.registry.getDependencies(moduleInfo.id)) {
+        // 未注册的依赖也作为节点输出，便于发现缺失的模块
+        if (!nodes.has(dep.id)) {
+          const versions = this.registry.getVersions(dep.id);
+          
+          nodes.set(dep.id, {
+            id: dep.id,
+            version: versions.length > 0 ? versions[versions.length - 1] : null,
+            versions,
+            state: null,
+            registered: false
+          });
+        }
+        
+        edges.push({
+          from: moduleInfo.id,
+          to: dep.id,
+          range: dep.version || '*',
+          optional: dep.optional,
+          satisfied: dep.satisfied,
+          resolvedVersion: dep.resolvedVersion
+        });
+      }
+    }
+    
+    const graph = {
+      nodes: Array.from(nodes.values()),
+      edges,
+      cycles: findCycles(new Map(modules.map(moduleInfo =>
+        [moduleInfo.id, (moduleInfo.dependencies || []).map(dep => dep.id)])))
+    };
+    
+    if (format === 'dot') {
+      return toDot(graph);
+    }
+    
+    if (format !== 'json') {
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `不支持的依赖图格式: ${format}`, { details: { format } });
+    }
+    
+    return graph;
+  }
+
+  /**
+   * 发现并加载插件模块
+   * 
+   * 插件按清单中声明的依赖顺序实例化并注册，核心启动时随其他模块一起启动
+   * 
+   * @param {Object} [pluginConfig] - 插件配置，默认使用配置中的 plugins 部分
+   * @returns {Promise<Object>} 加载结果，包含 loaded 和 failed
+   */
+  async loadPlugins(pluginConfig = (this.config && this.config.plugins) || {}) {
+    const result = await this.pluginLoader.load(pluginConfig);
+    
+    if (result.failed.length > 0) {
+      this.logger.warn(`${result.failed.length}个插件加载失败`);
+    }
+    
+    this.emit(CoreEvents.PLUGINS_LOADED, {
+      loaded: result.loaded.map(({ id, version }) => ({ id, version })),
+      failed: result.failed.map(({ id, dir, error }) => ({ id, dir, error: error.message }))
+    });
+    
+    return result;
+  }
+
+  /**
+   * 发送ACIP协议消息
+   * 
+   * 请求消息会被路由到target指定的模块，并返回响应或错误消息
+   * 
+   * @param {Object} message - ACIP消息
+   * @param {Object} [options={}] - 发送选项
+   * @returns {Promise<Object|boolean|null>} 发送结果
+   */
+  async sendMessage(message, options = {}) {
+    return this.messageRouter.send(message, options);
+  }
+
   /**
    * 注册事件监听器
-   * @param {string} event - 事件名称
+   * 
+   * 兼容旧的EventEmitter风格接口，监听器只接收事件数据。
+   * 需要完整事件对象或通配符时请使用 subscribe()。
+   * 
+   * @param {string} event - 事件名称或通配符模式
    * @param {Function} listener - 监听器函数
    * @returns {Function} 用于移除监听器的函数
    */
   on(event, listener) {
-    this.eventBus.on(event, listener);
-    return () => this.eventBus.off(event, listener);
+    const subscription = this.eventBus.subscribe(event, (evt) => listener(evt.data));
+    subscription.listener = listener;
+    return () => this.eventBus.unsubscribe(subscription);
   }
 
   /**
    * 移除事件监听器
-   * @param {string} event - 事件名称
+   * @param {string} event - 事件名称或通配符模式
    * @param {Function} listener - 监听器函数
    */
   off(event, listener) {
-    this.eventBus.off(event, listener);
+    for (const subscription of this.eventBus.subscriptions.values()) {
+      if (subscription.pattern === event && subscription.listener === listener) {
+        this.eventBus.unsubscribe(subscription);
+      }
+    }
   }
 
   /**
    * 触发事件
    * @param {string} event - 事件名称
    * @param {*} data - 事件数据
+   * @returns {Promise<Object>} 发布结果
    */
   emit(event, data) {
-    this.eventBus.emit(event, data);
+    return this.eventBus.publish(event, data, { source: this.moduleId });
   }
 
   /**
@@ -351,20 +865,58 @@ class Core extends ModuleLifecycle {
   async _loadConfig() {
     this.logger.info('加载ACIP核心配置...');
     
-    // 如果提供了配置加载器，则使用它加载配置
+    // 如果提供了配置加载器（ConfigLoader实例或返回配置的函数），则使用它加载配置
     if (this.options.configLoader) {
       try {
-        this.config = await this.options.configLoader();
+        this.config = await this._readConfig();
         this.logger.info('成功加载配置');
       } catch (error) {
+        // 配置无效（无法解析、不符合Schema或缺少引用）时启动失败，而不是静默忽略
+        if (error instanceof AcipError) {
+          throw error;
+        }
+        
         this.logger.error(`加载配置失败: ${error.message}`);
         this.config = {};
       }
+      
+      // 配置加载器监视到文件变化时重新加载
+      const configLoader = this.options.configLoader;
+      
+      if (typeof configLoader.onConfigChange === 'function' && !this.configSubscription) {
+        this.configSubscription = configLoader.onConfigChange(config => {
+          this.reloadConfig(config).catch(error => {
+            this.logger.error(`应用新配置失败，继续使用旧配置: ${error.message}`);
+          });
+        });
+      }
     } else {
       // 使用默认配置
       this.config = this.options.config || {};
       this.logger.info('使用默认配置');
     }
+    
+    // 为初始化前已注册的模块注入配置段
+    for (const [instanceId, moduleInstance] of this.modules.entries()) {
+      moduleInstance.setConfig(this._checkModuleConfig(this.config, instanceId));
+    }
+  }
+
+  /**
+   * 使用配置加载器读取配置
+   * @private
+   * @returns {Promise<Object>} 配置对象
+   */
+  async _readConfig() {
+    const configLoader = this.options.configLoader;
+    
+    if (!configLoader) {
+      return this.options.config || {};
+    }
+    
+    return typeof configLoader.load === 'function'
+      ? configLoader.load()
+      : configLoader();
   }
 
   /**
@@ -373,18 +925,60 @@ class Core extends ModuleLifecycle {
    * @returns {Promise<void>}
    */
   async _initServices() {
-    // 这里初始化核心内部服务
     this.logger.info('初始化核心内部服务...');
     
-    // 示例: 可以在这里初始化各种内部服务
+    // 状态管理器
+    this.stateManager = new StateManager({
+      store: this._createStateStore()
+    }, this.logger);
+    await this.stateManager.load();
+    
+    // 为初始化前已注册的模块注入状态命名空间
+    for (const [instanceId, moduleInstance] of this.modules.entries()) {
+      moduleInstance.setStateManager(this.stateManager.namespace(this._getInstanceInfo(instanceId).id));
+    }
     
     this.logger.info('核心内部服务初始化完成');
   }
 
   /**
-   * 按依赖顺序启动所有模块
+   * 根据配置创建状态存储后端
+   * 
+   * 优先使用 options.stateStore，否则读取配置中的 state.persistence，
+   * 未启用持久化时使用内存存储
+   * 
+   * @private
+   * @returns {Object} 状态存储后端
+   */
+  _createStateStore() {
+    if (this.options.stateStore) {
+      return this.options.stateStore;
+    }
+    
+    const persistence = (this.config.state && this.config.state.persistence) || {};
+    
+    if (persistence.enabled) {
+      return new FileStateStore({
+        filePath: path.join(persistence.path || './state', 'state.json'),
+        // 配置中的同步间隔以秒为单位
+        syncInterval: (persistence.syncInterval || 0) * 1000
+      }, this.logger);
+    }
+    
+    return new MemoryStateStore();
+  }
+
+  /**
+   * 按依赖层级启动所有模块
+   * 
+   * 同一模块的每个版本分别启动，依赖方在它解析到的版本之后启动。
+   * 同一层级的模块互不依赖，并发启动；下一层级在上一层级全部完成后启动。
+   * 依赖启动失败的模块不会启动。必需模块（注册选项 required）启动失败时，
+   * 已启动的模块按相反顺序停止，并抛出错误。
+   * 
    * @private
    * @returns {Promise<Object>} 启动结果
+   * @throws {ServiceError} 如果必需模块启动失败
    */
   async _startModules() {
     const result = {
@@ -392,36 +986,100 @@ class Core extends ModuleLifecycle {
       failed: []
     };
     
-    // 获取所有模块
-    const modules = await this.registry.listModules();
+    // 构建实例依赖图并按层级分组，存在依赖循环时启动失败
+    const dependencyMap = this._buildDependencyMap();
     
-    if (modules.length === 0) {
+    if (dependencyMap.size === 0) {
       this.logger.info('没有已注册的模块需要启动');
       return result;
     }
     
-    // 构建依赖图并获取启动顺序
-    const moduleDependencies = new Map();
+    const levels = this._getModuleDependencyLevels(dependencyMap);
+    const failedIds = new Set();
     
-    for (const moduleInfo of modules) {
-      const dependencies = moduleInfo.dependencies || [];
-      moduleDependencies.set(moduleInfo.id, dependencies.map(dep => dep.id));
+    for (const level of levels) {
+      const outcomes = await Promise.all(level.map(instanceId => this._startModule(instanceId, failedIds)));
+      
+      for (const outcome of outcomes) {
+        if (!outcome) {
+          continue;
+        }
+        
+        if (outcome.error) {
+          failedIds.add(outcome.instanceId);
+          result.failed.push(outcome);
+        } else {
+          result.success.push(outcome);
+        }
+      }
+      
+      const requiredFailure = outcomes.find(outcome => outcome && outcome.error &&
+        this._getModuleOptions(outcome.instanceId).required);
+      
+      if (requiredFailure) {
+        const rolledBack = await this._rollbackModules(result.success);
+        
+        throw new ServiceError(
+          ErrorCode.SERVICE_UNAVAILABLE,
+          `必需模块 "${requiredFailure.id}" 启动失败: ${requiredFailure.error.message}`,
+          {
+            cause: requiredFailure.error,
+            retryable: false,
+            details: { moduleId: requiredFailure.id, rolledBack }
+          }
+        );
+      }
     }
     
-    const startOrder = this._getModuleDependencyOrder(moduleDependencies);
+    return result;
+  }
+
+  /**
+   * 启动单个模块实例
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @param {Set<string>} failedIds - 已启动失败的实例ID
+   * @returns {Promise<Object|null>} 启动结果，无法获取实例时返回null
+   */
+  async _startModule(instanceId, failedIds) {
+    const moduleInfo = this._getInstanceInfo(instanceId);
+    const moduleId = this._label(instanceId);
+    let moduleInstance = this.modules.get(instanceId);
     
-    // 按顺序启动每个模块
-    for (const moduleId of startOrder) {
-      const moduleInstance = await this.getModule(moduleId);
+    // 直接在注册表中注册的模块随核心一起启动
+    if (!moduleInstance) {
+      moduleInstance = await this.registry.getModule(moduleInfo.id, instanceId);
       
       if (!moduleInstance) {
         this.logger.warn(`模块 "${moduleId}" 在注册表中但无法获取实例，跳过启动`);
-        continue;
+        return null;
       }
       
-      try {
-        this.logger.info(`正在启动模块 "${moduleId}"...`);
-        
+      this.modules.set(instanceId, moduleInstance);
+    }
+    
+    const { startTimeout } = this._getModuleOptions(instanceId);
+    let starting = null;
+    
+    try {
+      // 必需依赖解析到的版本启动失败时不启动依赖方
+      const failedDependency = (moduleInfo.dependencies || [])
+        .find(dep => !dep.optional && failedIds.has(this.registry.resolveInstanceId(dep.id, dep.version || '*')));
+      
+      if (failedDependency) {
+        throw new ResourceError(
+          ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED,
+          `模块 "${moduleId}" 的依赖 "${failedDependency.id}" 启动失败`,
+          { details: { moduleId, dependency: failedDependency } }
+        );
+      }
+      
+      // 启动前确认必需依赖存在满足版本范围的版本
+      await this._assertDependenciesSatisfied(instanceId);
+      
+      this.logger.info(`正在启动模块 "${moduleId}"...`);
+      
+      starting = (async () => {
         // 如果模块尚未初始化，先初始化
         if (moduleInstance.getState() === ModuleState.CREATED) {
           await moduleInstance.initialize();
@@ -429,29 +1087,166 @@ class Core extends ModuleLifecycle {
         
         // 启动模块
         await moduleInstance.start();
-        
-        result.success.push({
-          id: moduleId,
-          module: moduleInstance
-        });
-        
-        this.logger.info(`模块 "${moduleId}" 已成功启动`);
+      })();
+      
+      await withTimeout(starting, startTimeout, () => new ServiceError(
+        ErrorCode.SERVICE_TIMEOUT,
+        `模块 "${moduleId}" 在 ${startTimeout}ms 内未完成启动`,
+        { details: { moduleId, timeout: startTimeout } }
+      ));
+      
+      this.logger.info(`模块 "${moduleId}" 已成功启动`);
+      
+      return {
+        id: moduleId,
+        instanceId,
+        module: moduleInstance
+      };
+    } catch (error) {
+      this.logger.error(`启动模块 "${moduleId}" 失败: ${error.message}`);
+      
+      // 超时的启动仍在进行，完成后停止模块，避免已记为失败的模块继续运行
+      if (starting && error.code === ErrorCode.SERVICE_TIMEOUT) {
+        this._abandonStart(instanceId, moduleInstance, starting);
+      }
+      
+      return {
+        id: moduleId,
+        instanceId,
+        module: moduleInstance,
+        error
+      };
+    }
+  }
+
+  /**
+   * 跟踪启动超时的模块，启动最终完成时停止它
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @param {ModuleLifecycle} moduleInstance - 模块实例
+   * @param {Promise<void>} starting - 仍在进行的启动
+   */
+  _abandonStart(instanceId, moduleInstance, starting) {
+    const settled = starting.then(() => true, () => false).then(async (started) => {
+      if (!started || moduleInstance.getState() !== ModuleState.RUNNING) {
+        return false;
+      }
+      
+      this.logger.warn(`模块 "${this._label(instanceId)}" 在启动超时后才完成启动，正在停止`);
+      
+      try {
+        await this._stopModule(instanceId, moduleInstance);
+        return true;
       } catch (error) {
-        result.failed.push({
-          id: moduleId,
-          module: moduleInstance,
-          error
-        });
+        this.logger.error(`停止启动超时的模块 "${this._label(instanceId)}" 失败: ${error.message}`);
+        return false;
+      }
+    }).finally(() => {
+      if (this.abandonedStarts.get(instanceId) === settled) {
+        this.abandonedStarts.delete(instanceId);
+      }
+    });
+    
+    this.abandonedStarts.set(instanceId, settled);
+  }
+
+  /**
+   * 等待启动超时的模块完成启动并停止
+   * 
+   * 每个模块最多等待其 stopTimeout，仍未完成的启动留给后台处理
+   * 
+   * @private
+   * @returns {Promise<Array<string>>} 已停止的实例ID
+   */
+  async _settleAbandonedStarts() {
+    const stopped = [];
+    
+    for (const [instanceId, settled] of [...this.abandonedStarts.entries()]) {
+      const moduleId = this._label(instanceId);
+      const { stopTimeout } = this._getModuleOptions(instanceId);
+      
+      try {
+        const wasStopped = await withTimeout(settled, stopTimeout, () => new ServiceError(
+          ErrorCode.SERVICE_TIMEOUT,
+          `模块 "${moduleId}" 的启动在 ${stopTimeout}ms 内仍未完成`,
+          { details: { moduleId, timeout: stopTimeout } }
+        ));
         
-        this.logger.error(`启动模块 "${moduleId}" 失败: ${error.message}`);
+        if (wasStopped) {
+          stopped.push(instanceId);
+        }
+      } catch (error) {
+        this.logger.warn(`${error.message}，完成后再停止该模块`);
       }
     }
     
-    return result;
+    return stopped;
   }
 
   /**
-   * 停止所有模块
+   * 回滚已启动的模块
+   * 
+   * 启动超时的模块在启动完成后停止，同样计入回滚结果
+   * 
+   * @private
+   * @param {Array<Object>} started - 按启动顺序排列的启动结果
+   * @returns {Promise<Array<string>>} 已停止的模块名称
+   */
+  async _rollbackModules(started) {
+    const rolledBack = [];
+    
+    this.logger.warn(`必需模块启动失败，回滚${started.length}个已启动的模块`);
+    
+    for (const { id, instanceId, module } of [...started].reverse()) {
+      try {
+        await this._stopModule(instanceId, module);
+        rolledBack.push(id);
+      } catch (error) {
+        this.logger.error(`回滚时停止模块 "${id}" 失败: ${error.message}`);
+      }
+    }
+    
+    for (const instanceId of await this._settleAbandonedStarts()) {
+      rolledBack.push(this._label(instanceId));
+    }
+    
+    return rolledBack;
+  }
+
+  /**
+   * 确认模块实例的必需依赖都已满足
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @returns {Promise<void>}
+   * @throws {ResourceError} 如果存在缺失或版本冲突的必需依赖
+   */
+  async _assertDependenciesSatisfied(instanceId) {
+    const moduleId = this._label(instanceId);
+    const check = await this.registry.checkDependencies(this._getInstanceInfo(instanceId).id, instanceId);
+    
+    if (check.allSatisfied) {
+      return;
+    }
+    
+    const summary = check.required.unsatisfied
+      .map(dep => dep.installed
+        ? `${dep.id}@${dep.version} 与已注册版本 ${dep.availableVersions.join(', ')} 冲突`
+        : `缺少 ${dep.id}@${dep.version || '*'}`)
+      .join('; ');
+    
+    throw new ResourceError(
+      ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED,
+      `模块 "${moduleId}" 的依赖不满足: ${summary}`,
+      { details: { moduleId, unsatisfied: check.required.unsatisfied, conflicts: check.conflicts } }
+    );
+  }
+
+  /**
+   * 按依赖层级的相反顺序停止所有模块
+   * 
+   * 同一层级的模块并发停止，依赖方总是先于其依赖停止；
+   * 启动超时的模块等待其启动完成后停止
+   * 
    * @private
    * @returns {Promise<Object>} 停止结果
    */
@@ -461,60 +1256,90 @@ class Core extends ModuleLifecycle {
       failed: []
     };
     
-    // 获取所有模块
-    const modules = await this.registry.listModules();
+    // 构建实例依赖图并按层级分组（反转以获取停止顺序）
+    const dependencyMap = this._buildDependencyMap();
     
-    if (modules.length === 0) {
+    if (dependencyMap.size === 0) {
       return result;
     }
     
-    // 构建依赖图并获取启动顺序（反转以获取停止顺序）
-    const moduleDependencies = new Map();
+    let levels;
     
-    for (const moduleInfo of modules) {
-      const dependencies = moduleInfo.dependencies || [];
-      moduleDependencies.set(moduleInfo.id, dependencies.map(dep => dep.id));
+    try {
+      levels = this._getModuleDependencyLevels(dependencyMap).reverse();
+    } catch (error) {
+      // 启动后才注册的模块可能引入循环，此时仍要逐个停止所有模块
+      this.logger.warn(`${error.message}，按注册的相反顺序停止模块`);
+      levels = [...dependencyMap.keys()].map(instanceId => [instanceId]).reverse();
     }
     
-    const stopOrder = this._getModuleDependencyOrder(moduleDependencies).reverse();
-    
-    // 按顺序停止每个模块
-    for (const moduleId of stopOrder) {
-      const moduleInstance = this.modules.get(moduleId);
-      
-      if (!moduleInstance) {
-        continue;
-      }
-      
-      // 只停止运行中的模块
-      if (moduleInstance.getState() !== ModuleState.RUNNING) {
-        continue;
-      }
-      
-      try {
-        this.logger.info(`正在停止模块 "${moduleId}"...`);
-        await moduleInstance.stop();
+    for (const level of levels) {
+      await Promise.all(level.map(async (instanceId) => {
+        const moduleInstance = this.modules.get(instanceId);
         
-        result.success.push({
-          id: moduleId,
-          module: moduleInstance
-        });
+        // 只停止运行中的模块
+        if (!moduleInstance || moduleInstance.getState() !== ModuleState.RUNNING) {
+          return;
+        }
         
-        this.logger.info(`模块 "${moduleId}" 已成功停止`);
-      } catch (error) {
-        result.failed.push({
-          id: moduleId,
-          module: moduleInstance,
-          error
-        });
+        const moduleId = this._label(instanceId);
         
-        this.logger.error(`停止模块 "${moduleId}" 失败: ${error.message}`);
-      }
+        try {
+          await this._stopModule(instanceId, moduleInstance);
+          
+          result.success.push({
+            id: moduleId,
+            instanceId,
+            module: moduleInstance
+          });
+        } catch (error) {
+          result.failed.push({
+            id: moduleId,
+            instanceId,
+            module: moduleInstance,
+            error
+          });
+          
+          this.logger.error(`停止模块 "${moduleId}" 失败: ${error.message}`);
+        }
+      }));
+    }
+    
+    // 启动超时的模块在启动完成后停止
+    for (const instanceId of await this._settleAbandonedStarts()) {
+      result.success.push({
+        id: this._label(instanceId),
+        instanceId,
+        module: this.modules.get(instanceId)
+      });
     }
     
     return result;
   }
 
+  /**
+   * 在超时限制内停止单个模块实例
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @param {ModuleLifecycle} moduleInstance - 模块实例
+   * @returns {Promise<void>}
+   * @throws {ServiceError} 如果模块未在 stopTimeout 内停止
+   */
+  async _stopModule(instanceId, moduleInstance) {
+    const moduleId = this._label(instanceId);
+    const { stopTimeout } = this._getModuleOptions(instanceId);
+    
+    this.logger.info(`正在停止模块 "${moduleId}"...`);
+    
+    await withTimeout(moduleInstance.stop(), stopTimeout, () => new ServiceError(
+      ErrorCode.SERVICE_TIMEOUT,
+      `模块 "${moduleId}" 在 ${stopTimeout}ms 内未完成停止`,
+      { details: { moduleId, timeout: stopTimeout } }
+    ));
+    
+    this.logger.info(`模块 "${moduleId}" 已成功停止`);
+  }
+
   /**
    * 销毁所有模块
    * @private
@@ -529,7 +1354,9 @@ class Core extends ModuleLifecycle {
     // 获取所有模块
     const modules = Array.from(this.modules.entries());
     
-    for (const [moduleId, moduleInstance] of modules) {
+    for (const [instanceId, moduleInstance] of modules) {
+      const moduleId = this._label(instanceId);
+      
       try {
         this.logger.info(`正在销毁模块 "${moduleId}"...`);
         await moduleInstance.destroy();
@@ -554,47 +1381,476 @@ class Core extends ModuleLifecycle {
     return result;
   }
 
+  /**
+   * 为模块注入核心服务、监听状态变化并缓存实例
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @param {ModuleLifecycle} moduleInstance - 模块实例
+   */
+  _attachModule(instanceId, moduleInstance) {
+    const { id: moduleId, version } = this._getInstanceInfo(instanceId);
+    
+    // 注入核心事件总线
+    moduleInstance.setEventBus(this.eventBus, moduleId);
+    
+    // 注入模块专属的状态命名空间，同一模块的不同版本共享该命名空间
+    if (this.stateManager) {
+      moduleInstance.setStateManager(this.stateManager.namespace(moduleId));
+    }
+    
+    // 注入模块的配置段
+    if (this.config) {
+      moduleInstance.setConfig(this._sliceConfig(this.config, instanceId));
+    }
+    
+    // 监听模块状态变化
+    this.stateListeners.set(instanceId, moduleInstance.onStateChange((newState, oldState, module) => {
+      this.emit(CoreEvents.MODULE_STATE_CHANGED, {
+        moduleId,
+        version,
+        instanceId,
+        newState,
+        oldState,
+        module
+      });
+      
+      this.supervisor.notifyStateChange(instanceId, newState, oldState);
+    }));
+    
+    this.modules.set(instanceId, moduleInstance);
+  }
+
+  /**
+   * 断开模块与核心服务的连接，取消其全部订阅并移出缓存
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @param {ModuleLifecycle} moduleInstance - 模块实例
+   */
+  _detachModule(instanceId, moduleInstance) {
+    const removeListener = this.stateListeners.get(instanceId);
+    
+    if (removeListener) {
+      removeListener();
+      this.stateListeners.delete(instanceId);
+    }
+    
+    moduleInstance.setEventBus(null);
+    moduleInstance.setStateManager(null);
+    moduleInstance.setConfig(null);
+    
+    this.modules.delete(instanceId);
+  }
+
+  /**
+   * 初始化热重载的新实例并导入状态，旧实例在运行时同时启动新实例
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @param {ModuleLifecycle} moduleInstance - 新的模块实例
+   * @param {*} state - 旧实例导出的状态
+   * @param {boolean} start - 是否启动
+   * @returns {Promise<void>}
+   */
+  async _startReloadedModule(instanceId, moduleInstance, state, start) {
+    const moduleId = this._label(instanceId);
+    const { startTimeout } = this._getModuleOptions(instanceId);
+    
+    if (start) {
+      await this._assertDependenciesSatisfied(instanceId);
+    }
+    
+    await withTimeout((async () => {
+      await moduleInstance.initialize();
+      
+      if (state !== undefined) {
+        await moduleInstance.importState(state);
+      }
+      
+      if (start) {
+        await moduleInstance.start();
+      }
+    })(), startTimeout, () => new ServiceError(
+      ErrorCode.SERVICE_TIMEOUT,
+      `模块 "${moduleId}" 在 ${startTimeout}ms 内未完成启动`,
+      { details: { moduleId, timeout: startTimeout } }
+    ));
+  }
+
+  /**
+   * 按顺序重新启动模块
+   * @private
+   * @param {Array<string>} instanceIds - 按依赖顺序排列的实例ID
+   * @returns {Promise<void>}
+   */
+  async _restartModules(instanceIds) {
+    for (const instanceId of instanceIds) {
+      const moduleId = this._label(instanceId);
+      const { startTimeout } = this._getModuleOptions(instanceId);
+      
+      await withTimeout(this.modules.get(instanceId).restart(), startTimeout, () => new ServiceError(
+        ErrorCode.SERVICE_TIMEOUT,
+        `模块 "${moduleId}" 在 ${startTimeout}ms 内未完成重启`,
+        { details: { moduleId, timeout: startTimeout } }
+      ));
+    }
+  }
+
+  /**
+   * 热重载失败时换回旧实例，并重新启动已停止的模块
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @param {Object} reload - 重载过程的信息
+   * @returns {Promise<boolean>} 是否完整恢复
+   */
+  async _restoreModule(instanceId, { oldInstance, newInstance, previousInfo, previousOptions, wasRunning, stopped }) {
+    const moduleId = previousInfo.id;
+    
+    try {
+      if (newInstance.getState() === ModuleState.RUNNING) {
+        await newInstance.stop();
+      }
+    } catch (error) {
+      this.logger.warn(`停止模块 "${moduleId}" 的新实例失败: ${error.message}`);
+    }
+    
+    try {
+      await this.registry.replace(moduleId, newInstance, oldInstance, previousInfo);
+      
+      this.moduleOptions.set(instanceId, previousOptions);
+      
+      if (this.modules.get(instanceId) === newInstance) {
+        this._detachModule(instanceId, newInstance);
+        this._attachModule(instanceId, oldInstance);
+      }
+      
+      if (wasRunning && oldInstance.getState() !== ModuleState.RUNNING) {
+        await this._restartModules([instanceId]);
+      }
+      
+      await this._restartModules(stopped.filter(id => this.modules.get(id).getState() !== ModuleState.RUNNING));
+      
+      this.logger.info(`已恢复模块 "${moduleId}" 的原实例`);
+      
+      return true;
+    } catch (error) {
+      this.logger.error(`恢复模块 "${moduleId}" 的原实例失败: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 获取模块实例注册时的模块信息
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @returns {Object} 模块信息，找不到时为空对象
+   */
+  _getInstanceInfo(instanceId) {
+    return this.registry.getInstanceInfo(instanceId) || {};
+  }
+
+  /**
+   * 获取实例在日志、事件和结果中使用的名称
+   * 
+   * 模块只注册了一个版本时为模块ID，多个版本并存时为 "模块ID@版本"
+   * 
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @returns {string} 模块名称，实例不在注册表中时返回原值
+   */
+  _label(instanceId) {
+    const { id, version } = this._getInstanceInfo(instanceId);
+    
+    if (!id) {
+      return instanceId;
+    }
+    
+    return this.registry.listInstances(id).length > 1 ? `${id}@${version}` : id;
+  }
+
+  /**
+   * 获取事件和错误详情中标识实例的字段
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @returns {Object} {moduleId, version}
+   */
+  _describe(instanceId) {
+    const { id, version } = this._getInstanceInfo(instanceId);
+    
+    return { moduleId: id || instanceId, version };
+  }
+
+  /**
+   * 将模块名称解析为实例ID
+   * @private
+   * @param {string} name - 实例ID、"模块ID@版本"，或模块ID（解析到最高版本）
+   * @returns {string|null} 实例ID，找不到时返回null
+   */
+  _resolveInstance(name) {
+    if (this.modules.has(name)) {
+      return name;
+    }
+    
+    const separator = name.lastIndexOf('@');
+    
+    if (separator > 0) {
+      const instanceId = this.registry.resolveInstanceId(name.slice(0, separator), name.slice(separator + 1));
+      
+      if (instanceId) {
+        return instanceId;
+      }
+    }
+    
+    return this.registry.resolveInstanceId(name);
+  }
+
+  /**
+   * 从完整配置中取出模块实例的配置段
+   * @private
+   * @param {Object} config - 完整配置
+   * @param {string} instanceId - 实例ID
+   * @param {Object} [options] - 模块的注册选项，默认使用已保存的选项
+   * @returns {Object} 配置段
+   */
+  _sliceConfig(config, instanceId, options = this.moduleOptions.get(instanceId) || {}) {
+    const { id: moduleId, configuration = {} } = this._getInstanceInfo(instanceId);
+    const section = config[options.configKey || moduleId];
+    
+    return deepMerge(configuration.default || {}, section || {});
+  }
+
+  /**
+   * 取出模块实例的配置段并按其Schema验证
+   * @private
+   * @param {Object|null} config - 完整配置，为null（尚未加载）时不验证
+   * @param {string} instanceId - 实例ID
+   * @param {Object} [options] - 模块的注册选项，默认使用已保存的选项
+   * @returns {Object|null} 配置段
+   * @throws {ValidationError} 如果配置段不符合Schema
+   */
+  _checkModuleConfig(config, instanceId, options = this.moduleOptions.get(instanceId) || {}) {
+    if (!config) {
+      return null;
+    }
+    
+    const slice = this._sliceConfig(config, instanceId, options);
+    const { id: moduleId, configuration = {} } = this._getInstanceInfo(instanceId);
+    const { schema } = configuration;
+    
+    if (schema) {
+      const result = validateSchema(schema, slice, { path: toPointer([options.configKey || moduleId]) });
+      
+      if (!result.valid) {
+        throw new ValidationError(
+          ErrorCode.VALIDATION_INVALID_FORMAT,
+          `模块 "${moduleId}" 的配置无效:\n${formatErrors(result.errors)}`,
+          { details: { moduleId, errors: result.errors } }
+        );
+      }
+    }
+    
+    return slice;
+  }
+
+  /**
+   * 获取应用配置变更的模块顺序，依赖先于依赖方
+   * @private
+   * @returns {Promise<Array<string>>} 实例ID数组
+   */
+  async _getConfigUpdateOrder() {
+    let order;
+    
+    try {
+      order = this._getModuleDependencyOrder(this._buildDependencyMap());
+    } catch (error) {
+      order = [...this.modules.keys()];
+    }
+    
+    return order.filter(instanceId => this.modules.has(instanceId));
+  }
+
+  /**
+   * 通知模块配置变更，尚未初始化或已销毁的模块只更新配置
+   * @private
+   * @param {ModuleLifecycle} moduleInstance - 模块实例
+   * @param {Object} diff - 配置差异
+   * @returns {Promise<boolean|void>} onConfigChange 的返回值
+   */
+  async _notifyConfigChange(moduleInstance, diff) {
+    const state = moduleInstance.getState();
+    
+    if (state === ModuleState.CREATED || state === ModuleState.DESTROYED) {
+      return undefined;
+    }
+    
+    return moduleInstance.onConfigChange(diff);
+  }
+
+  /**
+   * 撤销已应用的配置变更
+   * @private
+   * @param {Array<Object>} applied - 已应用的更新 {moduleInstance, diff}
+   * @returns {Promise<Array<string>>} 已恢复旧配置的模块ID
+   */
+  async _rollbackConfig(applied) {
+    const rolledBack = [];
+    
+    for (const { moduleInstance, diff } of [...applied].reverse()) {
+      const reverse = {
+        moduleId: diff.moduleId,
+        previous: diff.current,
+        current: diff.previous,
+        changes: diffConfig(diff.current, diff.previous)
+      };
+      
+      try {
+        await this._notifyConfigChange(moduleInstance, reverse);
+      } catch (error) {
+        this.logger.error(`模块 "${diff.moduleId}" 恢复旧配置时出错: ${error.message}`);
+      }
+      
+      moduleInstance.setConfig(diff.previous);
+      rolledBack.push(diff.moduleId);
+    }
+    
+    return rolledBack;
+  }
+
+  /**
+   * 从注册选项中选取提供了的字段
+   * @private
+   * @param {Object} options - 注册选项
+   * @param {Array<string>} fields - 字段名
+   * @returns {Object} 选取的字段
+   */
+  _pickOptions(options, fields) {
+    const picked = {};
+    
+    for (const field of fields) {
+      if (options[field] !== undefined) {
+        picked[field] = options[field];
+      }
+    }
+    
+    return picked;
+  }
+
+  /**
+   * 获取直接或间接依赖该实例、且正在运行或出错的实例，按依赖顺序排列
+   * 
+   * 只包括依赖解析到该实例的模块，依赖同一模块其他版本的模块不受影响
+   * 
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @returns {Promise<Array<string>>} 实例ID数组
+   */
+  async _getActiveDependents(instanceId) {
+    const dependencies = this._buildDependencyMap();
+    const affected = new Set([instanceId]);
+    
+    // 反复扩展直到没有新的依赖方
+    let changed = true;
+    while (changed) {
+      changed = false;
+      
+      for (const [id, deps] of dependencies.entries()) {
+        if (!affected.has(id) && deps.some(depId => affected.has(depId))) {
+          affected.add(id);
+          changed = true;
+        }
+      }
+    }
+    
+    let order;
+    try {
+      order = this._getModuleDependencyOrder(dependencies);
+    } catch (error) {
+      order = [...affected];
+    }
+    
+    return order.filter(id => {
+      if (id === instanceId || !affected.has(id)) {
+        return false;
+      }
+      
+      const instance = this.modules.get(id);
+      const state = instance && instance.getState();
+      
+      return state === ModuleState.RUNNING || state === ModuleState.ERROR;
+    });
+  }
+
+  /**
+   * 获取模块实例的启动选项，未指定的超时使用核心默认值
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @returns {Object} 启动选项，包含 required、startTimeout、stopTimeout 和 restartStrategy
+   */
+  _getModuleOptions(instanceId) {
+    const options = this.moduleOptions.get(instanceId) || {};
+    
+    return {
+      required: options.required || false,
+      startTimeout: options.startTimeout !== undefined ? options.startTimeout : this.moduleStartTimeout,
+      stopTimeout: options.stopTimeout !== undefined ? options.stopTimeout : this.moduleStopTimeout,
+      restartStrategy: options.restartStrategy
+    };
+  }
+
+  /**
+   * 构建模块实例的依赖映射
+   * 
+   * 每个依赖解析到满足其版本范围的最高版本实例，因此同一模块的不同版本可以分别
+   * 被不同的依赖方使用；没有满足版本的依赖不在映射中，由启动前的依赖检查报告
+   * 
+   * @private
+   * @returns {Map<string, string[]>} 实例ID -> 依赖的实例ID数组
+   */
+  _buildDependencyMap() {
+    const moduleDependencies = new Map();
+    
+    for (const { instanceId, moduleInfo } of this.registry.listInstances()) {
+      moduleDependencies.set(instanceId, (moduleInfo.dependencies || [])
+        .map(dep => this.registry.resolveInstanceId(dep.id, dep.version || '*'))
+        .filter(Boolean));
+    }
+    
+    return moduleDependencies;
+  }
+
   /**
    * 获取模块的依赖顺序
    * @private
    * @param {Map<string, string[]>} dependencies - 模块依赖映射
    * @returns {Array<string>} 按依赖顺序排列的模块ID数组
+   * @throws {ResourceError} 如果存在依赖循环，错误详情中的 cycles 列出所有循环路径
    */
   _getModuleDependencyOrder(dependencies) {
-    const graph = {};
-    const moduleIds = Array.from(dependencies.keys());
+    const cycles = findCycles(dependencies).map(cycle => cycle.map(id => this._label(id)));
     
-    for (const id of moduleIds) {
-      graph[id] = dependencies.get(id) || [];
+    if (cycles.length > 0) {
+      throw new ResourceError(
+        ErrorCode.RESOURCE_DEPENDENCY_CYCLE,
+        `检测到依赖循环: ${cycles.map(cycle => cycle.join(' -> ')).join('; ')}`,
+        { details: { cycles } }
+      );
     }
     
-    // 执行拓扑排序
     const visited = new Set();
-    const temp = new Set();
     const order = [];
     
-    function visit(id) {
-      if (temp.has(id)) {
-        throw new Error(`检测到依赖循环: ${Array.from(temp).join(' -> ')} -> ${id}`);
-      }
+    // 无环图的深度优先后序即为拓扑顺序
+    const visit = (id) => {
+      visited.add(id);
       
-      if (!visited.has(id)) {
-        temp.add(id);
-        
-        for (const depId of graph[id]) {
-          if (graph[depId]) { // 确保依赖项在图中
-            visit(depId);
-          }
+      for (const depId of dependencies.get(id) || []) {
+        if (dependencies.has(depId) && !visited.has(depId)) { // 确保依赖项在图中
+          visit(depId);
         }
-        
-        temp.delete(id);
-        visited.add(id);
-        order.push(id);
       }
-    }
+      
+      order.push(id);
+    };
     
-    // 对每个未访问的节点执行DFS
-    for (const id of moduleIds) {
+    for (const id of dependencies.keys()) {
       if (!visited.has(id)) {
         visit(id);
       }
@@ -602,6 +1858,33 @@ class Core extends ModuleLifecycle {
     
     return order;
   }
+
+  /**
+   * 将模块按依赖层级分组
+   * 
+   * 第0层不依赖其他已注册模块，第n层只依赖前n层中的模块
+   * 
+   * @private
+   * @param {Map<string, string[]>} dependencies - 模块依赖映射
+   * @returns {Array<Array<string>>} 层级数组，每个层级是模块ID数组
+   * @throws {ResourceError} 如果存在依赖循环
+   */
+  _getModuleDependencyLevels(dependencies) {
+    const depth = new Map();
+    const levels = [];
+    
+    // 拓扑顺序保证依赖的层级先于依赖方计算
+    for (const id of this._getModuleDependencyOrder(dependencies)) {
+      const level = (dependencies.get(id) || [])
+        .filter(depId => depth.has(depId))
+        .reduce((max, depId) => Math.max(max, depth.get(depId) + 1), 0);
+      
+      depth.set(id, level);
+      (levels[level] = levels[level] || []).push(id);
+    }
+    
+    return levels;
+  }
 }
 
 module.exports = {
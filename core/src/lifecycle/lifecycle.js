@@ -6,6 +6,8 @@
  * @module lifecycle
  */
 
+const { ErrorCode, ResourceError, ServiceError } = require('../errors/acip-error');
+
 /**
  * 模块状态枚举
  */
@@ -37,6 +39,17 @@ class ModuleLifecycle {
     this.options = options;
     this.logger = options.logger || console;
     this.events = [];
+    
+    // 事件总线，由Core在注册模块时注入
+    this.eventBus = options.eventBus || null;
+    this.moduleId = options.moduleId || null;
+    this.subscriptions = [];
+    
+    // 状态管理器的命名空间视图，由Core在注册模块时注入
+    this.stateManager = options.stateManager || null;
+    
+    // 模块的配置段，由Core在加载配置后注入
+    this.moduleConfig = null;
   }
 
   /**
@@ -68,7 +81,7 @@ class ModuleLifecycle {
    */
   async start() {
     if (this.state !== ModuleState.INITIALIZED) {
-      throw new Error(`无法启动模块，当前状态为 ${this.state}，需要先初始化`);
+      throw new ServiceError(ErrorCode.SERVICE_UNAVAILABLE, `无法启动模块，当前状态为 ${this.state}，需要先初始化`, { details: { state: this.state } });
     }
 
     try {
@@ -92,7 +105,7 @@ class ModuleLifecycle {
    */
   async stop() {
     if (this.state !== ModuleState.RUNNING) {
-      throw new Error(`无法停止模块，当前状态为 ${this.state}，需要先启动`);
+      throw new ServiceError(ErrorCode.SERVICE_UNAVAILABLE, `无法停止模块，当前状态为 ${this.state}，需要先启动`, { details: { state: this.state } });
     }
 
     try {
@@ -123,6 +136,7 @@ class ModuleLifecycle {
       this._changeState(ModuleState.DESTROYING);
       // 子类应该重写这个方法实现具体销毁逻辑
       await this._doDestroy();
+      this._clearSubscriptions();
       this._changeState(ModuleState.DESTROYED);
       this.logger.info(`模块 ${this.constructor.name} 已销毁`);
     } catch (error) {
@@ -131,6 +145,94 @@ class ModuleLifecycle {
     }
   }
 
+  /**
+   * 检查模块健康状况
+   * 
+   * 只有运行中的模块会调用 _doHealthCheck()；检查抛出的异常视为不健康
+   * 
+   * @returns {Promise<Object>} 健康状况 {healthy, state, details?, error?}
+   */
+  async healthCheck() {
+    if (this.state !== ModuleState.RUNNING) {
+      return {
+        healthy: false,
+        state: this.state
+      };
+    }
+
+    try {
+      const result = await this._doHealthCheck();
+      
+      // 子类可以只返回布尔值
+      const status = typeof result === 'boolean' ? { healthy: result } : { healthy: true, ...result };
+      
+      return {
+        ...status,
+        state: this.state
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        state: this.state,
+        error
+      };
+    }
+  }
+
+  /**
+   * 重启模块
+   * 
+   * 运行中的模块先停止；处于错误状态的模块先尽力清理，再重新初始化后启动
+   * 
+   * @returns {Promise<void>}
+   */
+  async restart() {
+    if (this.state === ModuleState.RUNNING) {
+      await this.stop();
+    }
+
+    if (this.state === ModuleState.ERROR) {
+      try {
+        await this._doStop();
+      } catch (error) {
+        this.logger.warn(`清理错误状态的模块 ${this.constructor.name} 时出错: ${error.message}`);
+      }
+      
+      await this.initialize();
+    } else if (this.state === ModuleState.STOPPED) {
+      // 停止的模块保留了初始化结果，可以直接重新启动
+      this._changeState(ModuleState.INITIALIZED);
+    } else if (this.state === ModuleState.CREATED) {
+      await this.initialize();
+    }
+
+    await this.start();
+  }
+
+  /**
+   * 导出需要在热重载时迁移的状态
+   * 
+   * Core.reloadModule() 在停止旧实例之前调用，返回值传给新实例的 importState()。
+   * 返回undefined表示没有需要迁移的状态。
+   * 
+   * @returns {Promise<*>} 模块状态
+   */
+  async exportState() {
+    return undefined;
+  }
+
+  /**
+   * 导入旧实例导出的状态
+   * 
+   * Core.reloadModule() 在新实例初始化之后、启动之前调用
+   * 
+   * @param {*} state - 旧实例 exportState() 的返回值
+   * @returns {Promise<void>}
+   */
+  async importState(state) {
+    // 空实现，需要迁移状态的子类应该重写这个方法
+  }
+
   /**
    * 获取模块当前状态
    * @returns {string} 当前状态
@@ -154,6 +256,121 @@ class ModuleLifecycle {
     };
   }
 
+  /**
+   * 设置模块使用的事件总线
+   * 
+   * 更换或移除事件总线时，会取消模块在旧总线上的全部订阅
+   * 
+   * @param {EventBus|null} eventBus - 事件总线实例
+   * @param {string} [moduleId] - 模块ID，作为发布事件的来源
+   */
+  setEventBus(eventBus, moduleId) {
+    if (this.eventBus && this.eventBus !== eventBus) {
+      this._clearSubscriptions();
+    }
+    
+    this.eventBus = eventBus;
+    
+    if (moduleId) {
+      this.moduleId = moduleId;
+    }
+  }
+
+  /**
+   * 设置模块使用的状态存储
+   * @param {Object|null} stateManager - 状态管理器的命名空间视图
+   */
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+  }
+
+  /**
+   * 设置模块的配置段
+   * @param {Object|null} config - 配置段
+   */
+  setConfig(config) {
+    this.moduleConfig = config;
+  }
+
+  /**
+   * 获取模块的配置段
+   * @returns {Object} 配置段，尚未注入时为空对象
+   */
+  getConfig() {
+    return this.moduleConfig || {};
+  }
+
+  /**
+   * 处理配置变更
+   * 
+   * Core重新加载配置且该模块的配置段发生变化时调用，此时 getConfig() 仍返回旧配置。
+   * 抛出异常或返回false表示拒绝新配置，Core会回滚已应用该配置的其他模块。
+   * 
+   * @param {Object} diff - 配置差异 {moduleId, previous, current, changes}
+   * @returns {Promise<boolean|void>} 返回false表示拒绝
+   */
+  async onConfigChange(diff) {
+    // 默认接受新配置，子类可以重写以便在运行时应用变更
+  }
+
+  /**
+   * 通过事件总线发布事件
+   * @param {string} type - 事件名称，例如 'context.updated'
+   * @param {*} [data] - 事件数据
+   * @param {Object} [options={}] - 发布选项
+   * @returns {Promise<Object|null>} 发布结果，没有事件总线时返回null
+   */
+  async publish(type, data, options = {}) {
+    if (!this.eventBus) {
+      return null;
+    }
+    
+    return this.eventBus.publish(type, data, {
+      source: this.moduleId || this.constructor.name,
+      ...options
+    });
+  }
+
+  /**
+   * 通过事件总线订阅事件
+   * 
+   * 订阅会在模块销毁或更换事件总线时自动取消
+   * 
+   * @param {string} pattern - 事件名称或通配符模式
+   * @param {Function} handler - 处理函数
+   * @param {Object} [options={}] - 订阅选项
+   * @returns {Object} 订阅对象
+   * @throws {ResourceError} 如果模块尚未连接事件总线
+   */
+  subscribe(pattern, handler, options = {}) {
+    if (!this.eventBus) {
+      throw new ResourceError(ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED, `模块 ${this.constructor.name} 尚未连接事件总线`);
+    }
+    
+    const subscription = this.eventBus.subscribe(pattern, handler, {
+      owner: this.moduleId || this.constructor.name,
+      ...options
+    });
+    
+    this.subscriptions.push(subscription);
+    
+    return subscription;
+  }
+
+  /**
+   * 取消通过 subscribe() 创建的订阅
+   * @param {Object} subscription - 订阅对象
+   * @returns {Promise<boolean>} 是否成功取消
+   */
+  async unsubscribe(subscription) {
+    const index = this.subscriptions.indexOf(subscription);
+    if (index !== -1) {
+      this.subscriptions.splice(index, 1);
+    }
+    
+    return this.eventBus ? this.eventBus.unsubscribe(subscription) : false;
+  }
+
   /**
    * 实际初始化逻辑
    * @protected
@@ -190,6 +407,18 @@ class ModuleLifecycle {
     // 空实现，子类应该重写这个方法
   }
 
+  /**
+   * 实际健康检查逻辑
+   * 
+   * 返回布尔值或包含 healthy 和 details 的对象，默认运行中即健康
+   * 
+   * @protected
+   * @returns {Promise<boolean|Object>}
+   */
+  async _doHealthCheck() {
+    return true;
+  }
+
   /**
    * 改变模块状态并通知监听器
    * @private
@@ -209,6 +438,20 @@ class ModuleLifecycle {
     }
   }
 
+  /**
+   * 取消模块在事件总线上的全部订阅
+   * @private
+   */
+  _clearSubscriptions() {
+    if (this.eventBus) {
+      for (const subscription of this.subscriptions) {
+        this.eventBus.unsubscribe(subscription);
+      }
+    }
+    
+    this.subscriptions = [];
+  }
+
   /**
    * 处理生命周期过程中的错误
    * @private
@@ -0,0 +1,501 @@
+/**
+ * ACIP模块监督器
+ *
+ * 定期检查模块健康状况，并按重启策略和退避时间重启失败的模块，
+ * 类似OTP的监督树
+ *
+ * @module lifecycle
+ */
+
+const { ModuleState } = require('./lifecycle');
+const { ErrorCode, ResourceError, ServiceError, ValidationError } = require('../errors/acip-error');
+const { withTimeout } = require('../utils');
+
+/**
+ * 重启策略枚举
+ */
+const RestartStrategy = {
+  ONE_FOR_ONE: 'one-for-one',   // 只重启失败的模块
+  REST_FOR_ONE: 'rest-for-one', // 重启失败的模块及所有依赖它的模块
+  NONE: 'none'                  // 不自动重启
+};
+
+/**
+ * 监督器事件
+ */
+const SupervisorEvents = {
+  HEALTH_CHANGED: 'module:healthChanged',
+  RESTARTING: 'module:restarting',
+  RESTARTED: 'module:restarted',
+  RESTART_FAILED: 'module:restartFailed'
+};
+
+/**
+ * 模块监督器类
+ *
+ * 模块进入错误状态，或连续 failureThreshold 次健康检查失败时安排重启。
+ * 第n次重启前等待 initialDelay * factor^(n-1) 毫秒（不超过 maxDelay）；
+ * restartWindow 内重启超过 maxRestarts 次后放弃，直到窗口过去。
+ */
+class ModuleSupervisor {
+  /**
+   * 创建新的模块监督器实例
+   * @param {Object} options - 配置选项
+   * @param {Core} options.core - 被监督模块所在的核心实例
+   * @param {number} [options.interval=10000] - 健康检查间隔（毫秒），0表示不定期检查
+   * @param {number} [options.checkTimeout=5000] - 单次健康检查的超时时间（毫秒）
+   * @param {number} [options.failureThreshold=1] - 触发重启的连续失败次数
+   * @param {string} [options.strategy='one-for-one'] - 默认重启策略
+   * @param {number} [options.maxRestarts=5] - 时间窗口内的最大重启次数
+   * @param {number} [options.restartWindow=60000] - 重启次数的统计窗口（毫秒）
+   * @param {Object} [options.backoff] - 退避配置 {initialDelay, maxDelay, factor}
+   * @param {Object} [logger=console] - 日志记录器
+   */
+  constructor(options = {}, logger = console) {
+    if (!options.core) {
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, '模块监督器需要核心实例');
+    }
+
+    if (options.strategy && !Object.values(RestartStrategy).includes(options.strategy)) {
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `未知的重启策略: ${options.strategy}`, { details: { strategy: options.strategy } });
+    }
+
+    this.core = options.core;
+    this.logger = logger;
+    this.interval = options.interval !== undefined ? options.interval : 10000;
+    this.checkTimeout = options.checkTimeout || 5000;
+    this.failureThreshold = options.failureThreshold || 1;
+    this.strategy = options.strategy || RestartStrategy.ONE_FOR_ONE;
+    this.maxRestarts = options.maxRestarts !== undefined ? options.maxRestarts : 5;
+    this.restartWindow = options.restartWindow || 60000;
+    this.backoff = {
+      initialDelay: 1000,
+      maxDelay: 30000,
+      factor: 2,
+      ...options.backoff
+    };
+
+    // 实例ID -> 最近一次健康状况，同一模块的不同版本分别监督
+    this.health = new Map();
+
+    // 实例ID -> 重启记录 {attempts, history, timer}
+    this.restarts = new Map();
+
+    // 正在重启的模块，重启期间的状态变化不会再次触发重启
+    this.restarting = new Set();
+    
+    // 暂停监督的模块，例如正在热重载的模块
+    this.paused = new Set();
+
+    this.running = false;
+    this.timer = null;
+
+    // 绑定方法，确保this指向正确
+    this.start = this.start.bind(this);
+    this.stop = this.stop.bind(this);
+    this.checkHealth = this.checkHealth.bind(this);
+    this.restartModule = this.restartModule.bind(this);
+    this.notifyStateChange = this.notifyStateChange.bind(this);
+  }
+
+  /**
+   * 开始监督模块
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+
+    if (this.interval > 0) {
+      this.timer = setInterval(() => {
+        this.checkHealth().catch(error => {
+          this.logger.error(`模块健康检查失败: ${error.message}`);
+        });
+      }, this.interval);
+
+      // 不阻止进程退出
+      if (this.timer.unref) {
+        this.timer.unref();
+      }
+    }
+
+    this.logger.info(`模块监督器已启动，默认重启策略 ${this.strategy}`);
+  }
+
+  /**
+   * 停止监督模块，取消所有待执行的重启
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    for (const instanceId of this.restarts.keys()) {
+      this._cancelRestart(instanceId);
+    }
+
+    this.logger.info('模块监督器已停止');
+  }
+
+  /**
+   * 检查所有模块的健康状况
+   *
+   * 健康状况变化时发布 module:healthChanged 事件，
+   * 监督器运行时为失败的模块安排重启
+   *
+   * @returns {Promise<Object>} 模块名称 -> 健康状况，多个版本并存时名称为 "模块ID@版本"
+   */
+  async checkHealth() {
+    const entries = await Promise.all([...this.core.modules.entries()].map(async ([instanceId, moduleInstance]) => {
+      const name = this.core._label(instanceId);
+      let status;
+
+      try {
+        status = await withTimeout(moduleInstance.healthCheck(), this.checkTimeout, () => new ServiceError(
+          ErrorCode.SERVICE_TIMEOUT,
+          `模块 "${name}" 的健康检查在 ${this.checkTimeout}ms 内未完成`,
+          { details: { ...this.core._describe(instanceId), timeout: this.checkTimeout } }
+        ));
+      } catch (error) {
+        status = {
+          healthy: false,
+          state: moduleInstance.getState(),
+          error
+        };
+      }
+
+      return [name, this._recordHealth(instanceId, status)];
+    }));
+
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * 获取最近一次记录的健康状况
+   * @param {string} [moduleId] - 模块ID或 "模块ID@版本"，省略时返回所有模块
+   * @returns {Object|null} 健康状况
+   */
+  getHealth(moduleId) {
+    if (moduleId) {
+      const instanceId = this.core._resolveInstance(moduleId);
+      return (instanceId && this.health.get(instanceId)) || null;
+    }
+
+    return Object.fromEntries([...this.health].map(([instanceId, record]) => [this.core._label(instanceId), record]));
+  }
+
+  /**
+   * 立即重启模块
+   *
+   * rest-for-one 策略下，先按依赖的相反顺序停止依赖该模块的运行中模块，
+   * 重启该模块后再按依赖顺序重启它们
+   *
+   * @param {string} moduleId - 模块ID或 "模块ID@版本"，只有模块ID时重启最高版本
+   * @param {string} [strategy] - 重启策略，默认使用模块注册选项或监督器的策略
+   * @returns {Promise<Array<string>>} 按重启顺序排列的受影响模块名称
+   * @throws {ResourceError} 如果模块不存在
+   * @throws {ServiceError} 如果重启超时
+   */
+  async restartModule(moduleId, strategy) {
+    const instanceId = this.core._resolveInstance(moduleId);
+    const moduleInstance = instanceId && this.core.modules.get(instanceId);
+
+    if (!moduleInstance) {
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `模块 "${moduleId}" 不存在`, {
+        details: { moduleId }
+      });
+    }
+
+    strategy = strategy || this._getStrategy(instanceId);
+
+    const dependents = strategy === RestartStrategy.REST_FOR_ONE
+      ? await this.core._getActiveDependents(instanceId)
+      : [];
+
+    // 依赖方先于被依赖的模块停止
+    for (const dependentId of [...dependents].reverse()) {
+      const dependent = this.core.modules.get(dependentId);
+
+      if (dependent.getState() === ModuleState.RUNNING) {
+        await this.core._stopModule(dependentId, dependent);
+      }
+    }
+
+    for (const id of [instanceId, ...dependents]) {
+      const name = this.core._label(id);
+      const { startTimeout } = this.core._getModuleOptions(id);
+
+      this.logger.info(`正在重启模块 "${name}"...`);
+
+      await withTimeout(this.core.modules.get(id).restart(), startTimeout, () => new ServiceError(
+        ErrorCode.SERVICE_TIMEOUT,
+        `模块 "${name}" 在 ${startTimeout}ms 内未完成重启`,
+        { details: { ...this.core._describe(id), timeout: startTimeout } }
+      ));
+    }
+
+    return [instanceId, ...dependents].map(id => this.core._label(id));
+  }
+
+  /**
+   * 接收模块状态变化通知，模块进入错误状态时安排重启
+   * @param {string} instanceId - 实例ID
+   * @param {string} newState - 新状态
+   * @param {string} oldState - 旧状态
+   */
+  notifyStateChange(instanceId, newState, oldState) {
+    if (newState === ModuleState.ERROR && this.core.modules.has(instanceId)) {
+      this._scheduleRestart(instanceId, `模块从 ${oldState} 进入错误状态`);
+    }
+  }
+
+  /**
+   * 暂停监督模块，取消其待执行的重启
+   * @param {Array<string>} instanceIds - 实例ID数组
+   */
+  pause(instanceIds) {
+    for (const instanceId of instanceIds) {
+      this.paused.add(instanceId);
+      this._cancelRestart(instanceId);
+    }
+  }
+
+  /**
+   * 恢复监督模块
+   * @param {Array<string>} instanceIds - 实例ID数组
+   */
+  resume(instanceIds) {
+    for (const instanceId of instanceIds) {
+      this.paused.delete(instanceId);
+    }
+  }
+
+  /**
+   * 清除模块的健康记录和待执行的重启
+   * @param {string} instanceId - 实例ID
+   */
+  forget(instanceId) {
+    this._cancelRestart(instanceId);
+    this.restarts.delete(instanceId);
+    this.health.delete(instanceId);
+  }
+
+  /**
+   * 记录健康状况并在需要时安排重启
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @param {Object} status - healthCheck() 返回的健康状况
+   * @returns {Object} 记录的健康状况
+   */
+  _recordHealth(instanceId, status) {
+    const previous = this.health.get(instanceId);
+    const failing = status.state === ModuleState.ERROR ||
+      (status.state === ModuleState.RUNNING && !status.healthy);
+
+    const record = {
+      ...status,
+      checkedAt: Date.now(),
+      consecutiveFailures: failing ? ((previous && previous.consecutiveFailures) || 0) + 1 : 0
+    };
+
+    this.health.set(instanceId, record);
+
+    if (!previous || previous.healthy !== record.healthy) {
+      this.core.emit(SupervisorEvents.HEALTH_CHANGED, {
+        ...this.core._describe(instanceId),
+        healthy: record.healthy,
+        previous: previous ? previous.healthy : null,
+        status: record
+      });
+    }
+
+    if (record.healthy) {
+      // 重启后恢复健康，重新从最短的退避时间开始
+      const entry = this.restarts.get(instanceId);
+      if (entry && !entry.timer) {
+        entry.attempts = 0;
+      }
+    } else if (failing && record.consecutiveFailures >= this.failureThreshold) {
+      this._scheduleRestart(instanceId, record.error ? record.error.message : `模块状态为 ${record.state}`);
+    }
+
+    return record;
+  }
+
+  /**
+   * 按退避时间安排模块重启
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @param {string} reason - 重启原因
+   */
+  _scheduleRestart(instanceId, reason) {
+    const strategy = this._getStrategy(instanceId);
+
+    if (!this.running || strategy === RestartStrategy.NONE ||
+      this.restarting.has(instanceId) || this.paused.has(instanceId)) {
+      return;
+    }
+
+    const entry = this._getRestartEntry(instanceId);
+
+    if (entry.timer) {
+      return;
+    }
+
+    const now = Date.now();
+    entry.history = entry.history.filter(time => now - time < this.restartWindow);
+
+    if (entry.history.length >= this.maxRestarts) {
+      this.logger.error(`模块 "${this.core._label(instanceId)}" 在 ${this.restartWindow}ms 内已重启 ${entry.history.length} 次，放弃重启`);
+
+      this.core.emit(SupervisorEvents.RESTART_FAILED, {
+        ...this.core._describe(instanceId),
+        attempt: entry.attempts,
+        reason,
+        gaveUp: true
+      });
+      return;
+    }
+
+    const attempt = entry.attempts + 1;
+    const delay = this._getBackoffDelay(attempt);
+
+    this.logger.warn(`模块 "${this.core._label(instanceId)}" 需要重启（${reason}），${delay}ms 后进行第 ${attempt} 次重启`);
+
+    this.core.emit(SupervisorEvents.RESTARTING, {
+      ...this.core._describe(instanceId),
+      strategy,
+      attempt,
+      delay,
+      reason
+    });
+
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      this._restart(instanceId, attempt, strategy);
+    }, delay);
+
+    if (entry.timer.unref) {
+      entry.timer.unref();
+    }
+  }
+
+  /**
+   * 执行一次计划的重启，失败时重新安排
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @param {number} attempt - 重启次数
+   * @param {string} strategy - 重启策略
+   * @returns {Promise<void>}
+   */
+  async _restart(instanceId, attempt, strategy) {
+    if (!this.running || !this.core.modules.has(instanceId)) {
+      return;
+    }
+
+    const entry = this._getRestartEntry(instanceId);
+    entry.attempts = attempt;
+    entry.history.push(Date.now());
+
+    this.restarting.add(instanceId);
+
+    let affected;
+    let failure;
+
+    try {
+      affected = await this.restartModule(instanceId, strategy);
+    } catch (error) {
+      failure = error;
+    } finally {
+      this.restarting.delete(instanceId);
+    }
+
+    if (failure) {
+      this.logger.error(`第 ${attempt} 次重启模块 "${this.core._label(instanceId)}" 失败: ${failure.message}`);
+
+      this.core.emit(SupervisorEvents.RESTART_FAILED, {
+        ...this.core._describe(instanceId),
+        attempt,
+        error: failure,
+        gaveUp: false
+      });
+
+      this._scheduleRestart(instanceId, failure.message);
+      return;
+    }
+
+    this.logger.info(`模块 "${this.core._label(instanceId)}" 已重启（${strategy}）: ${affected.join(', ')}`);
+
+    this.core.emit(SupervisorEvents.RESTARTED, {
+      ...this.core._describe(instanceId),
+      strategy,
+      attempt,
+      affected
+    });
+  }
+
+  /**
+   * 获取模块的重启策略
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @returns {string} 重启策略
+   */
+  _getStrategy(instanceId) {
+    return this.core._getModuleOptions(instanceId).restartStrategy || this.strategy;
+  }
+
+  /**
+   * 计算第n次重启前的退避时间
+   * @private
+   * @param {number} attempt - 重启次数，从1开始
+   * @returns {number} 等待时间（毫秒）
+   */
+  _getBackoffDelay(attempt) {
+    const { initialDelay, maxDelay, factor } = this.backoff;
+
+    return Math.min(initialDelay * Math.pow(factor, attempt - 1), maxDelay);
+  }
+
+  /**
+   * 获取或创建模块的重启记录
+   * @private
+   * @param {string} instanceId - 实例ID
+   * @returns {Object} 重启记录
+   */
+  _getRestartEntry(instanceId) {
+    if (!this.restarts.has(instanceId)) {
+      this.restarts.set(instanceId, { attempts: 0, history: [], timer: null });
+    }
+
+    return this.restarts.get(instanceId);
+  }
+
+  /**
+   * 取消模块待执行的重启
+   * @private
+   * @param {string} instanceId - 实例ID
+   */
+  _cancelRestart(instanceId) {
+    const entry = this.restarts.get(instanceId);
+
+    if (entry && entry.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  ModuleSupervisor,
+  RestartStrategy,
+  SupervisorEvents
+};
@@ -0,0 +1,14 @@
+/**
+ * ACIP消息模块
+ * 
+ * 导出协议消息的构造、验证和路由功能
+ * @module messages
+ */
+
+const message = require('./message');
+const { MessageRouter } = require('./message-router');
+
+module.exports = {
+  ...message,
+  MessageRouter
+};
@@ -0,0 +1,363 @@
+/**
+ * ACIP消息路由器
+ *
+ * 根据消息的target字段通过模块注册表将协议消息投递给模块，
+ * 并使用 metadata.requestId 关联请求与响应
+ *
+ * @module messages
+ */
+
+const {
+  MessageType,
+  BROADCAST_TARGET,
+  createRequest,
+  createResponse,
+  createErrorMessage,
+  validateMessage,
+  isResponseTo
+} = require('./message');
+const { AcipError, ErrorCode, ValidationError } = require('../errors/acip-error');
+
+/**
+ * 即使列在 acipActions 中也不允许通过消息调用的模块方法
+ */
+const RESERVED_ACTIONS = [
+  'constructor',
+  'initialize',
+  'start',
+  'stop',
+  'destroy',
+  'healthCheck',
+  'restart',
+  'exportState',
+  'importState',
+  'handleMessage',
+  'onStateChange',
+  'setEventBus',
+  'setStateManager',
+  'setConfig',
+  'getConfig',
+  'onConfigChange',
+  'publish',
+  'subscribe',
+  'unsubscribe'
+];
+
+/**
+ * 消息路由器类
+ *
+ * 目标模块可以实现 `handleMessage(message)` 自行处理消息，返回响应消息、
+ * 任意结果值，或返回undefined并稍后通过 `router.send(response)` 回复。
+ * 未实现 handleMessage 的模块会按 `content.action` 调用同名方法，
+ * 但只调用模块在 `acipActions` 数组中声明的方法；未声明 acipActions 的模块
+ * 不接受任何操作。数组参数展开为位置参数，其他参数作为单个参数传入。
+ */
+class MessageRouter {
+  /**
+   * 创建新的消息路由器实例
+   * @param {Object} options - 配置选项
+   * @param {ModuleRegistry} options.registry - 模块注册表
+   * @param {EventBus} [options.eventBus] - 事件总线，事件消息会被转发到总线
+   * @param {string} [options.source='core'] - 路由器自身产生的错误消息来源
+   * @param {number} [options.defaultTimeout=30000] - 请求默认超时时间（毫秒）
+   * @param {Object} [logger=console] - 日志记录器
+   */
+  constructor(options = {}, logger = console) {
+    if (!options.registry) {
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, '消息路由器需要模块注册表');
+    }
+
+    this.registry = options.registry;
+    this.eventBus = options.eventBus || null;
+    this.source = options.source || 'core';
+    this.defaultTimeout = options.defaultTimeout || 30000;
+    this.logger = logger;
+
+    // 请求ID -> { resolve, timer, request }
+    this.pending = new Map();
+
+    // 绑定方法，确保this指向正确
+    this.send = this.send.bind(this);
+    this.request = this.request.bind(this);
+  }
+
+  /**
+   * 发送消息
+   *
+   * - 请求消息：投递给目标模块，返回响应或错误消息
+   * - 响应/错误消息：完成等待中的请求，返回是否匹配到请求
+   * - 事件消息：发布到事件总线并投递给目标模块（非广播时）
+   *
+   * @param {Object} message - ACIP消息
+   * @param {Object} [options={}] - 发送选项
+   * @param {number} [options.timeout] - 请求超时时间（毫秒），优先级低于 metadata.timeout
+   * @returns {Promise<Object|boolean|null>} 发送结果
+   */
+  async send(message, options = {}) {
+    const validation = validateMessage(message);
+
+    if (!validation.isValid) {
+      this.logger.warn(`拒绝无效的ACIP消息: ${validation.errors.join('; ')}`);
+
+      return this._error(message, ErrorCode.PROTOCOL_INVALID_MESSAGE, '消息格式无效', {
+        errors: validation.errors
+      });
+    }
+
+    switch (message.type) {
+      case MessageType.REQUEST:
+        return this._dispatchRequest(message, options);
+
+      case MessageType.RESPONSE:
+      case MessageType.ERROR:
+        return this.receive(message);
+
+      case MessageType.EVENT:
+        await this._dispatchEvent(message);
+        return null;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 构造并发送请求消息
+   * @param {string} source - 来源组件ID
+   * @param {string} target - 目标模块ID
+   * @param {string} action - 请求的操作
+   * @param {*} [parameters={}] - 操作参数
+   * @param {Object} [metadata={}] - 元数据
+   * @returns {Promise<Object>} 响应或错误消息
+   */
+  async request(source, target, action, parameters = {}, metadata = {}) {
+    return this.send(createRequest(source, target, action, parameters, metadata));
+  }
+
+  /**
+   * 接收响应或错误消息，完成对应的等待中请求
+   * @param {Object} message - 响应或错误消息
+   * @returns {boolean} 是否匹配到等待中的请求
+   */
+  receive(message) {
+    const requestId = message.metadata && message.metadata.requestId;
+    const entry = requestId && this.pending.get(requestId);
+
+    if (!entry) {
+      this.logger.warn(`收到无法关联的${message.type}消息: ${message.id}`);
+      return false;
+    }
+
+    this._settle(requestId, message);
+    return true;
+  }
+
+  /**
+   * 获取等待响应的请求数量
+   * @returns {number} 等待中的请求数量
+   */
+  getPendingCount() {
+    return this.pending.size;
+  }
+
+  /**
+   * 关闭路由器，以 SERVICE_UNAVAILABLE 错误结束所有等待中的请求
+   */
+  close() {
+    for (const [requestId, entry] of this.pending.entries()) {
+      this._settle(requestId, this._error(entry.request, ErrorCode.SERVICE_UNAVAILABLE, '消息路由器已关闭'));
+    }
+  }
+
+  /**
+   * 投递请求消息并等待响应
+   * @private
+   * @param {Object} request - 请求消息
+   * @param {Object} options - 发送选项
+   * @returns {Promise<Object>} 响应或错误消息
+   */
+  async _dispatchRequest(request, options) {
+    const moduleInstance = await this.registry.getModule(request.target);
+
+    if (!moduleInstance) {
+      return this._error(request, ErrorCode.RESOURCE_NOT_FOUND, `目标模块 "${request.target}" 未注册`);
+    }
+
+    const timeout = request.metadata.timeout || options.timeout || this.defaultTimeout;
+    const responsePromise = this._awaitResponse(request, timeout);
+
+    try {
+      const result = await this._invokeModule(moduleInstance, request);
+
+      // handleMessage返回undefined表示稍后异步回复
+      if (result !== undefined && this.pending.has(request.id)) {
+        const response = isResponseTo(result, request)
+          ? result
+          : createResponse(request, result);
+
+        this._settle(request.id, response);
+      }
+    } catch (error) {
+      if (this.pending.has(request.id)) {
+        this._settle(request.id, this._errorFromException(request, error));
+      }
+    }
+
+    return responsePromise;
+  }
+
+  /**
+   * 调用目标模块处理请求
+   * @private
+   * @param {Object} moduleInstance - 模块实例
+   * @param {Object} request - 请求消息
+   * @returns {Promise<*>} 处理结果
+   */
+  async _invokeModule(moduleInstance, request) {
+    if (typeof moduleInstance.handleMessage === 'function') {
+      return moduleInstance.handleMessage(request);
+    }
+
+    const { action, parameters } = request.content;
+
+    if (!this._isCallableAction(moduleInstance, action)) {
+      throw new AcipError(ErrorCode.RESOURCE_NOT_FOUND, `模块 "${request.target}" 不支持操作 "${action}"`);
+    }
+
+    const args = Array.isArray(parameters)
+      ? parameters
+      : (parameters === undefined ? [] : [parameters]);
+
+    const result = await moduleInstance[action](...args);
+
+    // 同步返回undefined的操作视为成功但无结果
+    return result === undefined ? null : result;
+  }
+
+  /**
+   * 检查操作是否可以通过消息调用
+   *
+   * 操作必须列在模块的 acipActions 数组中。
+   *
+   * @private
+   * @param {Object} moduleInstance - 模块实例
+   * @param {string} action - 操作名称
+   * @returns {boolean} 是否可以调用
+   */
+  _isCallableAction(moduleInstance, action) {
+    // 只允许模块显式声明的操作，私有、生命周期和 Object.prototype 上的方法始终排除
+    return Array.isArray(moduleInstance.acipActions) &&
+      moduleInstance.acipActions.includes(action) &&
+      !action.startsWith('_') &&
+      !RESERVED_ACTIONS.includes(action) &&
+      !(action in Object.prototype) &&
+      typeof moduleInstance[action] === 'function';
+  }
+
+  /**
+   * 投递事件消息
+   * @private
+   * @param {Object} message - 事件消息
+   * @returns {Promise<void>}
+   */
+  async _dispatchEvent(message) {
+    if (this.eventBus) {
+      await this.eventBus.publish({
+        type: message.content.eventType,
+        data: message.content.data,
+        source: message.source,
+        metadata: { ...message.metadata, messageId: message.id }
+      });
+    }
+
+    if (message.target === BROADCAST_TARGET) {
+      return;
+    }
+
+    const moduleInstance = await this.registry.getModule(message.target);
+
+    if (moduleInstance && typeof moduleInstance.handleMessage === 'function') {
+      try {
+        await moduleInstance.handleMessage(message);
+      } catch (error) {
+        this.logger.error(`模块 "${message.target}" 处理事件消息出错: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 登记等待中的请求
+   * @private
+   * @param {Object} request - 请求消息
+   * @param {number} timeout - 超时时间（毫秒）
+   * @returns {Promise<Object>} 响应或错误消息
+   */
+  _awaitResponse(request, timeout) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this._settle(request.id, this._error(request, ErrorCode.SERVICE_TIMEOUT, `请求在 ${timeout}ms 内未得到响应`, {
+          timeout
+        }));
+      }, timeout);
+
+      this.pending.set(request.id, { resolve, timer, request });
+    });
+  }
+
+  /**
+   * 完成等待中的请求
+   * @private
+   * @param {string} requestId - 请求ID
+   * @param {Object} message - 响应或错误消息
+   */
+  _settle(requestId, message) {
+    const entry = this.pending.get(requestId);
+
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    this.pending.delete(requestId);
+    entry.resolve(message);
+  }
+
+  /**
+   * 将异常转换为错误消息
+   * @private
+   * @param {Object} request - 请求消息
+   * @param {Error} error - 异常
+   * @returns {Object} 错误消息
+   */
+  _errorFromException(request, error) {
+    const acipError = AcipError.from(error);
+    return acipError.toMessage(request.target, request.source, { requestId: request.id });
+  }
+
+  /**
+   * 创建发往请求方的错误消息
+   * @private
+   * @param {Object} request - 相关消息
+   * @param {string} code - 错误代码
+   * @param {string} message - 错误描述
+   * @param {Object} [details] - 错误详情
+   * @returns {Object} 错误消息
+   */
+  _error(request, code, message, details) {
+    const valid = request && typeof request === 'object';
+    const source = valid && typeof request.target === 'string' && request.target && request.target !== BROADCAST_TARGET
+      ? request.target
+      : this.source;
+    const target = valid && typeof request.source === 'string' && request.source
+      ? request.source
+      : 'unknown';
+
+    return createErrorMessage(source, target, { code, message, details }, {
+      requestId: valid && typeof request.id === 'string' ? request.id : undefined
+    });
+  }
+}
+
+module.exports = {
+  MessageRouter
+};
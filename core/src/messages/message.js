@@ -0,0 +1,343 @@
+/**
+ * ACIP消息信封
+ *
+ * 按照协议规范 §4 构造和验证请求、响应、事件和错误消息
+ *
+ * @module messages
+ */
+
+const { v4: generateUUID } = require('uuid');
+
+/**
+ * 协议名称
+ */
+const PROTOCOL_NAME = 'acip';
+
+/**
+ * 当前协议版本
+ */
+const PROTOCOL_VERSION = '0.1';
+
+/**
+ * 支持的协议版本
+ */
+const SUPPORTED_VERSIONS = ['0.1'];
+
+/**
+ * 消息类型
+ */
+const MessageType = {
+  REQUEST: 'request',
+  RESPONSE: 'response',
+  EVENT: 'event',
+  ERROR: 'error'
+};
+
+/**
+ * 广播目标
+ */
+const BROADCAST_TARGET = '*';
+
+/**
+ * 各消息类型的ID前缀，与规范示例保持一致
+ */
+const ID_PREFIXES = {
+  [MessageType.REQUEST]: 'req',
+  [MessageType.RESPONSE]: 'res',
+  [MessageType.EVENT]: 'evt',
+  [MessageType.ERROR]: 'err'
+};
+
+/**
+ * 生成消息ID
+ * @param {string} type - 消息类型
+ * @returns {string} 消息ID
+ */
+function generateMessageId(type) {
+  return `${ID_PREFIXES[type] || 'msg'}-${generateUUID()}`;
+}
+
+/**
+ * 创建消息信封
+ * @param {string} type - 消息类型
+ * @param {Object} fields - 消息字段
+ * @param {string} fields.source - 来源组件ID
+ * @param {string} [fields.target] - 目标组件ID
+ * @param {Object} [fields.content={}] - 消息内容
+ * @param {Object} [fields.metadata={}] - 消息元数据
+ * @param {string} [fields.id] - 消息ID，默认自动生成
+ * @returns {Object} 消息对象
+ * @throws {ProtocolError} 如果生成的消息无效
+ */
+function createMessage(type, fields = {}) {
+  const message = {
+    protocol: PROTOCOL_NAME,
+    version: fields.version || PROTOCOL_VERSION,
+    id: fields.id || generateMessageId(type),
+    timestamp: fields.timestamp || new Date().toISOString(),
+    type,
+    source: fields.source,
+    target: fields.target,
+    content: fields.content || {},
+    metadata: fields.metadata || {}
+  };
+
+  const validation = validateMessage(message);
+  if (!validation.isValid) {
+    // 错误模块依赖本模块，在这里按需加载以避免循环依赖
+    const { ErrorCode, ProtocolError } = require('../errors/acip-error');
+    throw new ProtocolError(ErrorCode.PROTOCOL_INVALID_MESSAGE, `无效的ACIP消息: ${validation.errors.join('; ')}`, {
+      details: { errors: validation.errors }
+    });
+  }
+
+  return message;
+}
+
+/**
+ * 创建请求消息
+ * @param {string} source - 来源组件ID
+ * @param {string} target - 目标组件ID
+ * @param {string} action - 请求的操作
+ * @param {*} [parameters={}] - 操作参数
+ * @param {Object} [metadata={}] - 元数据，例如 priority、timeout
+ * @returns {Object} 请求消息
+ */
+function createRequest(source, target, action, parameters = {}, metadata = {}) {
+  return createMessage(MessageType.REQUEST, {
+    source,
+    target,
+    content: { action, parameters },
+    metadata
+  });
+}
+
+/**
+ * 创建对请求的响应消息
+ * @param {Object} request - 原始请求消息
+ * @param {*} result - 响应结果
+ * @param {Object} [options={}] - 选项
+ * @param {string} [options.source] - 响应来源，默认为请求目标
+ * @param {Object} [options.metadata={}] - 附加元数据
+ * @returns {Object} 响应消息
+ */
+function createResponse(request, result, options = {}) {
+  return createMessage(MessageType.RESPONSE, {
+    source: options.source || request.target,
+    target: request.source,
+    content: { result },
+    metadata: {
+      ...(options.metadata || {}),
+      requestId: request.id
+    }
+  });
+}
+
+/**
+ * 创建事件消息
+ * @param {string} source - 来源组件ID
+ * @param {string} eventType - 事件类型，例如 'context.updated'
+ * @param {*} [data={}] - 事件数据
+ * @param {Object} [options={}] - 选项
+ * @param {string} [options.target='*'] - 目标组件ID
+ * @param {Object} [options.metadata={}] - 元数据
+ * @returns {Object} 事件消息
+ */
+function createEvent(source, eventType, data = {}, options = {}) {
+  return createMessage(MessageType.EVENT, {
+    source,
+    target: options.target || BROADCAST_TARGET,
+    content: { eventType, data },
+    metadata: options.metadata || {}
+  });
+}
+
+/**
+ * 创建错误消息
+ * @param {string} source - 来源组件ID
+ * @param {string} target - 目标组件ID
+ * @param {Object} error - 错误信息
+ * @param {string} error.code - 错误代码，格式为 CATEGORY_ERROR_TYPE
+ * @param {string} error.message - 错误描述
+ * @param {Object} [error.details] - 错误详情
+ * @param {string} [error.help] - 解决建议
+ * @param {Object} [options={}] - 选项
+ * @param {string} [options.requestId] - 相关请求ID
+ * @param {string} [options.severity='error'] - 严重程度
+ * @returns {Object} 错误消息
+ */
+function createErrorMessage(source, target, error, options = {}) {
+  const content = {
+    code: error.code,
+    message: error.message
+  };
+
+  if (error.details !== undefined) {
+    content.details = error.details;
+  }
+
+  if (error.help !== undefined) {
+    content.help = error.help;
+  }
+
+  const metadata = {
+    ...(options.metadata || {}),
+    severity: options.severity || 'error'
+  };
+
+  if (options.requestId) {
+    metadata.requestId = options.requestId;
+  }
+
+  return createMessage(MessageType.ERROR, {
+    source,
+    target,
+    content,
+    metadata
+  });
+}
+
+/**
+ * 验证消息信封
+ *
+ * 只检查规范要求的字段，未知字段（包括 `x-` 扩展字段）会被忽略以保证前向兼容
+ *
+ * @param {Object} message - 待验证的消息
+ * @returns {Object} 验证结果，包含 isValid 和 errors
+ */
+function validateMessage(message) {
+  const errors = [];
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { isValid: false, errors: ['消息必须是对象'] };
+  }
+
+  if (message.protocol !== PROTOCOL_NAME) {
+    errors.push(`protocol必须为 "${PROTOCOL_NAME}"`);
+  }
+
+  if (typeof message.version !== 'string') {
+    errors.push('缺少version字段');
+  } else if (!SUPPORTED_VERSIONS.includes(message.version)) {
+    errors.push(`不支持的协议版本: ${message.version}`);
+  }
+
+  if (!isNonEmptyString(message.id)) {
+    errors.push('缺少id字段');
+  }
+
+  if (!isNonEmptyString(message.timestamp) || isNaN(Date.parse(message.timestamp))) {
+    errors.push('timestamp必须是ISO 8601日期时间字符串');
+  }
+
+  if (!Object.values(MessageType).includes(message.type)) {
+    errors.push(`未知的消息类型: ${message.type}`);
+  }
+
+  if (!isNonEmptyString(message.source)) {
+    errors.push('缺少source字段');
+  }
+
+  if (!isNonEmptyString(message.target)) {
+    errors.push('缺少target字段');
+  }
+
+  if (!isPlainObject(message.content)) {
+    errors.push('content必须是对象');
+  }
+
+  if (message.metadata !== undefined && !isPlainObject(message.metadata)) {
+    errors.push('metadata必须是对象');
+  }
+
+  // 类型相关的检查
+  const content = isPlainObject(message.content) ? message.content : {};
+  const metadata = isPlainObject(message.metadata) ? message.metadata : {};
+
+  switch (message.type) {
+    case MessageType.REQUEST:
+      if (!isNonEmptyString(content.action)) {
+        errors.push('请求消息缺少content.action');
+      }
+      break;
+
+    case MessageType.RESPONSE:
+      if (!isNonEmptyString(metadata.requestId)) {
+        errors.push('响应消息缺少metadata.requestId');
+      }
+      break;
+
+    case MessageType.EVENT:
+      if (!isNonEmptyString(content.eventType)) {
+        errors.push('事件消息缺少content.eventType');
+      }
+      break;
+
+    case MessageType.ERROR:
+      if (!isNonEmptyString(content.code)) {
+        errors.push('错误消息缺少content.code');
+      }
+      if (!isNonEmptyString(content.message)) {
+        errors.push('错误消息缺少content.message');
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * 检查消息是否为某个请求的响应（包括错误响应）
+ * @param {Object} message - 响应或错误消息
+ * @param {Object|string} request - 请求消息或请求ID
+ * @returns {boolean} 是否相关
+ */
+function isResponseTo(message, request) {
+  const requestId = typeof request === 'string' ? request : request && request.id;
+
+  return !!message &&
+    (message.type === MessageType.RESPONSE || message.type === MessageType.ERROR) &&
+    !!message.metadata &&
+    message.metadata.requestId === requestId;
+}
+
+/**
+ * 检查值是否为非空字符串
+ * @private
+ * @param {*} value - 值
+ * @returns {boolean} 是否为非空字符串
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * 检查值是否为普通对象
+ * @private
+ * @param {*} value - 值
+ * @returns {boolean} 是否为普通对象
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+module.exports = {
+  PROTOCOL_NAME,
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  BROADCAST_TARGET,
+  MessageType,
+  createMessage,
+  createRequest,
+  createResponse,
+  createEvent,
+  createErrorMessage,
+  validateMessage,
+  isResponseTo
+};
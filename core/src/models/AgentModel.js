@@ -6,36 +6,18 @@
  */
 
 const BaseModel = require('./BaseModel');
-
-// JSON Schema for agent data
-const agentSchema = {
-  type: 'object',
-  required: ['agentId', 'created'],
-  properties: {
-    agentId: { type: 'string' },
-    name: { type: 'string' },
-    description: { type: 'string' },
-    created: { type: 'number' },
-    updated: { type: 'number' },
-    version: { type: 'string' },
-    status: { type: 'string', enum: ['inactive', 'initializing', 'active', 'paused', 'error'] },
-    capabilities: { type: 'array' },
-    models: { type: 'array' },
-    configuration: { type: 'object' },
-    metrics: { type: 'object' },
-    owner: { type: 'string' },
-    metadata: { type: 'object' }
-  }
-};
+const { agentSchema, SCHEMA_VERSIONS } = require('./schemas');
 
 class AgentModel extends BaseModel {
   /**
    * Constructor for AgentModel
    * @param {Object} data - Initial agent data
+   * @throws {ValidationError} If the data does not match the agent schema
    */
   constructor(data = {}) {
     // Generate default values for required fields if not provided
     const defaults = {
+      schemaVersion: SCHEMA_VERSIONS.agent,
       agentId: data.agentId || `agent_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
       created: data.created || Date.now(),
       updated: data.updated || Date.now(),
@@ -47,7 +29,15 @@ class AgentModel extends BaseModel {
       metadata: data.metadata || {}
     };
 
-    super({ ...defaults, ...data }, agentSchema);
+    super({ ...defaults, ...data }, agentSchema, { strict: true });
+  }
+
+  /**
+   * Gets the schema version the agent data follows
+   * @returns {string} Schema version
+   */
+  get schemaVersion() {
+    return this.get('schemaVersion');
   }
 
   /**
@@ -250,4 +240,7 @@ class AgentModel extends BaseModel {
   }
 }
 
+// Schema version new agents are written with; deserialize migrates older data to it
+AgentModel.SCHEMA_VERSION = SCHEMA_VERSIONS.agent;
+
 module.exports = AgentModel; 
\ No newline at end of file
@@ -5,15 +5,22 @@
  * Includes validation, serialization, and deserialization capabilities.
  */
 
+const { validateSchema, formatErrors } = require('../utils/json-schema');
+const { ErrorCode, ValidationError } = require('../errors/acip-error');
+
 class BaseModel {
   /**
    * Constructor for BaseModel
    * @param {Object} data - Initial data for the model
    * @param {Object} schema - JSON Schema for validation
+   * @param {Object} [options] - Model options
+   * @param {boolean} [options.strict=false] - Reject data that does not match the schema
+   *   on construction and on every update
    */
-  constructor(data = {}, schema = null) {
+  constructor(data = {}, schema = null, options = {}) {
     this._data = {};
     this._schema = schema;
+    this._strict = Boolean(options.strict);
     
     // Initialize with data if provided
     if (data && typeof data === 'object') {
@@ -23,87 +30,57 @@ class BaseModel {
 
   /**
    * Validates the current data against the schema
-   * @returns {Object} Validation result with isValid and errors properties
+   * @returns {Object} Validation result with isValid and errors properties; each error
+   *   has a JSON Pointer path (e.g. '/references/0/id'), the failing keyword and a message
    */
   validate() {
     if (!this._schema) {
       return { isValid: true, errors: [] };
     }
     
-    // Basic validation - in a real implementation, this would use a full JSON Schema validator
-    const errors = [];
-    
-    // Check required properties
-    if (this._schema.required) {
-      for (const requiredProp of this._schema.required) {
-        if (this._data[requiredProp] === undefined) {
-          errors.push(`Missing required property: ${requiredProp}`);
-        }
-      }
-    }
-    
-    // Check property types if properties are defined
-    if (this._schema.properties) {
-      for (const [propName, propSchema] of Object.entries(this._schema.properties)) {
-        const value = this._data[propName];
-        
-        if (value !== undefined) {
-          // Type validation
-          if (propSchema.type) {
-            let isValidType = false;
-            
-            switch (propSchema.type) {
-              case 'string':
-                isValidType = typeof value === 'string';
-                break;
-              case 'number':
-                isValidType = typeof value === 'number';
-                break;
-              case 'boolean':
-                isValidType = typeof value === 'boolean';
-                break;
-              case 'object':
-                isValidType = typeof value === 'object' && value !== null && !Array.isArray(value);
-                break;
-              case 'array':
-                isValidType = Array.isArray(value);
-                break;
-              case 'null':
-                isValidType = value === null;
-                break;
-            }
-            
-            if (!isValidType) {
-              errors.push(`Invalid type for ${propName}: expected ${propSchema.type}, got ${typeof value}`);
-            }
-          }
-          
-          // Additional validations could be added here
-        }
-      }
-    }
+    const { valid, errors } = validateSchema(this._schema, this._data);
     
     return {
-      isValid: errors.length === 0,
+      isValid: valid,
       errors
     };
   }
 
+  /**
+   * Throws if the current data does not match the schema
+   * @returns {BaseModel} This instance for chaining
+   * @throws {ValidationError} If validation fails, with the errors in details
+   */
+  assertValid() {
+    const { isValid, errors } = this.validate();
+    
+    if (!isValid) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `Invalid ${this.constructor.name}:\n${formatErrors(errors)}`,
+        { details: { model: this.constructor.name, errors } }
+      );
+    }
+    
+    return this;
+  }
+
   /**
    * Updates the model with new data
    * @param {Object} data - New data to merge
    * @returns {BaseModel} This instance for chaining
+   * @throws {ValidationError} In strict mode, if the merged data does not match the schema
    */
   update(data) {
     if (!data || typeof data !== 'object') {
       return this;
     }
     
-    for (const [key, value] of Object.entries(data)) {
-      this._data[key] = value;
-    }
-    
-    return this;
+    return this._apply(() => {
+      for (const [key, value] of Object.entries(data)) {
+        this._data[key] = value;
+      }
+    });
   }
 
   /**
@@ -129,12 +106,15 @@ class BaseModel {
    * @returns {BaseModel} New model instance
    */
   static fromJson(json) {
+    let data;
+    
     try {
-      const data = JSON.parse(json);
-      return new this(data);
+      data = JSON.parse(json);
     } catch (error) {
-      throw new Error(`Failed to parse JSON: ${error.message}`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Failed to parse JSON: ${error.message}`, { cause: error });
     }
+    
+    return new this(data);
   }
 
   /**
@@ -151,9 +131,35 @@ class BaseModel {
    * @param {string} key - Property name
    * @param {*} value - Property value
    * @returns {BaseModel} This instance for chaining
+   * @throws {ValidationError} In strict mode, if the new value does not match the schema
    */
   set(key, value) {
-    this._data[key] = value;
+    return this._apply(() => {
+      this._data[key] = value;
+    });
+  }
+
+  /**
+   * Applies a change and, in strict mode, restores the previous data if the result is invalid
+   * @param {Function} change - Function that mutates this._data
+   * @returns {BaseModel} This instance for chaining
+   * @throws {ValidationError} If the changed data does not match the schema
+   * @private
+   */
+  _apply(change) {
+    const previous = this._strict ? { ...this._data } : null;
+    
+    change();
+    
+    if (this._strict) {
+      try {
+        this.assertValid();
+      } catch (error) {
+        this._data = previous;
+        throw error;
+      }
+    }
+    
     return this;
   }
 }
@@ -0,0 +1,263 @@
+/**
+ * ContextHistory.js
+ *
+ * Version store for context data. Each contextId has its own ordered list of
+ * snapshots that can be listed, compared with structural JSON diffs and
+ * restored. Pruning policies bound how much history is kept; the latest
+ * version is never pruned.
+ */
+
+const { deepClone } = require('../utils');
+const { diff } = require('../utils/json-diff');
+const { ErrorCode, ResourceError, ValidationError } = require('../errors/acip-error');
+
+class ContextHistory {
+  /**
+   * Creates a version store
+   * @param {Object} [options] - Pruning policies
+   * @param {number} [options.maxVersions=50] - Versions kept per context (0 for no limit)
+   * @param {number} [options.maxAge=0] - Age in milliseconds after which versions are pruned (0 for no limit)
+   * @param {Function} [options.keep] - (entry, index, entries) => boolean; entries it returns
+   *   false for are pruned in addition to the limits above
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxVersions: 50,
+      maxAge: 0,
+      keep: null,
+      ...options
+    };
+
+    // contextId -> entries ordered by version
+    this.versions = new Map();
+  }
+
+  /**
+   * Records a snapshot of context data
+   * @param {string|ContextModel} context - Context ID, or a ContextModel whose data is recorded
+   * @param {Object} [data] - Context data when an ID is given
+   * @param {Object} [meta] - Version metadata
+   * @param {number} [meta.version] - Version number; defaults to the latest version + 1
+   * @param {string} [meta.author] - Who made the change, e.g. an agent ID
+   * @param {string} [meta.reason] - Why the change was made
+   * @returns {Object} Recorded entry { version, timestamp, author, reason, data }
+   * @throws {ValidationError} If the version is not greater than the latest version
+   */
+  record(context, data, meta = {}) {
+    let contextId = context;
+
+    if (context && typeof context === 'object') {
+      contextId = context.contextId;
+      meta = data || {};
+      data = context.toObject();
+    }
+
+    if (!contextId) {
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Context ID is required to record a version');
+    }
+
+    const entries = this.versions.get(contextId) || [];
+    const latest = entries[entries.length - 1];
+    const version = meta.version !== undefined ? meta.version : (latest ? latest.version + 1 : 1);
+
+    if (!Number.isInteger(version) || (latest && version <= latest.version)) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `Version ${version} of context ${contextId} must be an integer greater than ${latest ? latest.version : 0}`,
+        { details: { contextId, version, latestVersion: latest ? latest.version : null } }
+      );
+    }
+
+    const entry = {
+      version,
+      timestamp: Date.now(),
+      author: meta.author || null,
+      reason: meta.reason || null,
+      data: deepClone(data)
+    };
+
+    entries.push(entry);
+    this.versions.set(contextId, entries);
+    this.prune(contextId);
+
+    return this._copy(entry);
+  }
+
+  /**
+   * Replaces the history of a context with previously saved entries, e.g. from storage
+   * @param {string} contextId - Context ID
+   * @param {Array<Object>} entries - Entries as returned by getHistory()
+   * @returns {number} Number of versions kept after pruning
+   */
+  load(contextId, entries) {
+    const loaded = entries
+      .map(entry => this._copy(entry))
+      .sort((a, b) => a.version - b.version);
+
+    this.versions.set(contextId, loaded);
+    this.prune(contextId);
+
+    return this.versions.get(contextId).length;
+  }
+
+  /**
+   * Lists the recorded versions of a context, oldest first
+   * @param {string} contextId - Context ID
+   * @param {Object} [options] - Filter options
+   * @param {number} [options.since] - Only versions after this version
+   * @param {number} [options.limit] - Only the latest N matching versions
+   * @param {boolean} [options.includeData=true] - Include the snapshots
+   * @returns {Array<Object>} Version entries
+   */
+  getHistory(contextId, options = {}) {
+    const { since, limit, includeData = true } = options;
+    let entries = this.versions.get(contextId) || [];
+
+    if (since !== undefined) {
+      entries = entries.filter(entry => entry.version > since);
+    }
+
+    if (limit) {
+      entries = entries.slice(-limit);
+    }
+
+    return entries.map(entry => {
+      if (includeData) {
+        return this._copy(entry);
+      }
+
+      const { data, ...summary } = entry;
+      return summary;
+    });
+  }
+
+  /**
+   * Gets one version of a context
+   * @param {string} contextId - Context ID
+   * @param {number} [version] - Version number; defaults to the latest version
+   * @returns {Object} Version entry
+   * @throws {ResourceError} If the version is not recorded or has been pruned
+   */
+  getVersion(contextId, version) {
+    return this._copy(this._find(contextId, version));
+  }
+
+  /**
+   * Computes the changes between two versions as JSON Patch operations
+   * @param {string} contextId - Context ID
+   * @param {number} fromVersion - Version to compare from
+   * @param {number} [toVersion] - Version to compare to; defaults to the latest version
+   * @returns {Array<Object>} JSON Patch operations that turn fromVersion into toVersion
+   * @throws {ResourceError} If either version is not recorded or has been pruned
+   */
+  diff(contextId, fromVersion, toVersion) {
+    return diff(this._find(contextId, fromVersion).data, this._find(contextId, toVersion).data);
+  }
+
+  /**
+   * Restores an earlier version by recording its data as a new version
+   *
+   * History is never rewritten: the versions after the restored one stay
+   * available, so a revert can itself be reverted.
+   *
+   * @param {string} contextId - Context ID
+   * @param {number} version - Version to restore
+   * @param {Object} [meta] - Metadata for the new version (version, author, reason)
+   * @returns {Object} The new version entry
+   * @throws {ResourceError} If the version is not recorded or has been pruned
+   */
+  revertTo(contextId, version, meta = {}) {
+    const target = this._find(contextId, version);
+
+    return this.record(contextId, target.data, {
+      reason: `Revert to version ${target.version}`,
+      ...meta
+    });
+  }
+
+  /**
+   * Applies the pruning policies
+   * @param {string} [contextId] - Context to prune; all contexts when omitted
+   * @returns {number} Number of versions removed
+   */
+  prune(contextId) {
+    if (contextId === undefined) {
+      let removed = 0;
+      for (const id of this.versions.keys()) {
+        removed += this.prune(id);
+      }
+      return removed;
+    }
+
+    const entries = this.versions.get(contextId);
+
+    if (!entries || entries.length === 0) {
+      return 0;
+    }
+
+    const { maxVersions, maxAge, keep } = this.options;
+    const now = Date.now();
+    const last = entries.length - 1;
+
+    const kept = entries.filter((entry, index) => {
+      if (index === last) {
+        return true;
+      }
+
+      if (maxVersions > 0 && index < entries.length - maxVersions) {
+        return false;
+      }
+
+      if (maxAge > 0 && now - entry.timestamp > maxAge) {
+        return false;
+      }
+
+      return keep ? keep(entry, index, entries) !== false : true;
+    });
+
+    this.versions.set(contextId, kept);
+    return entries.length - kept.length;
+  }
+
+  /**
+   * Removes the history of a context
+   * @param {string} contextId - Context ID
+   * @returns {boolean} True if history existed
+   */
+  clear(contextId) {
+    return this.versions.delete(contextId);
+  }
+
+  /**
+   * Finds a version entry
+   * @private
+   */
+  _find(contextId, version) {
+    const entries = this.versions.get(contextId) || [];
+    const entry = version === undefined
+      ? entries[entries.length - 1]
+      : entries.find(candidate => candidate.version === version);
+
+    if (!entry) {
+      throw new ResourceError(
+        ErrorCode.RESOURCE_NOT_FOUND,
+        version === undefined
+          ? `No versions recorded for context ${contextId}`
+          : `Version ${version} of context ${contextId} is not in the history`,
+        { details: { contextId, version } }
+      );
+    }
+
+    return entry;
+  }
+
+  /**
+   * Copies an entry so callers cannot change the stored snapshot
+   * @private
+   */
+  _copy(entry) {
+    return { ...entry, data: deepClone(entry.data) };
+  }
+}
+
+module.exports = ContextHistory;
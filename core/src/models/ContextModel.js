@@ -6,34 +6,18 @@
  */
 
 const BaseModel = require('./BaseModel');
-
-// JSON Schema for context data
-const contextSchema = {
-  type: 'object',
-  required: ['contextId', 'created'],
-  properties: {
-    contextId: { type: 'string' },
-    sessionId: { type: 'string' },
-    userId: { type: 'string' },
-    created: { type: 'number' },
-    updated: { type: 'number' },
-    type: { type: 'string' },
-    metadata: { type: 'object' },
-    content: { type: 'object' },
-    references: { type: 'array' },
-    ttl: { type: 'number' },
-    priority: { type: 'number' }
-  }
-};
+const { contextSchema, SCHEMA_VERSIONS } = require('./schemas');
 
 class ContextModel extends BaseModel {
   /**
    * Constructor for ContextModel
    * @param {Object} data - Initial context data
+   * @throws {ValidationError} If the data does not match the context schema
    */
   constructor(data = {}) {
     // Generate default values for required fields if not provided
     const defaults = {
+      schemaVersion: SCHEMA_VERSIONS.context,
       contextId: data.contextId || `ctx_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
       created: data.created || Date.now(),
       updated: data.updated || Date.now(),
@@ -43,7 +27,15 @@ class ContextModel extends BaseModel {
       priority: data.priority !== undefined ? data.priority : 1
     };
 
-    super({ ...defaults, ...data }, contextSchema);
+    super({ ...defaults, ...data }, contextSchema, { strict: true });
+  }
+
+  /**
+   * Gets the schema version the context data follows
+   * @returns {string} Schema version
+   */
+  get schemaVersion() {
+    return this.get('schemaVersion');
   }
 
   /**
@@ -163,7 +155,7 @@ class ContextModel extends BaseModel {
   addReference(referenceId, type = 'context') {
     if (!referenceId) return this;
     
-    const references = this.get('references') || [];
+    const references = [...(this.get('references') || [])];
     references.push({
       id: referenceId,
       type,
@@ -203,6 +195,35 @@ class ContextModel extends BaseModel {
     
     return newContext;
   }
+
+  /**
+   * Records the current data as a new version in a version store
+   * @param {ContextHistory} history - Version store
+   * @param {Object} [meta] - Version metadata (version, author, reason)
+   * @returns {Object} Recorded version entry
+   */
+  commitVersion(history, meta = {}) {
+    return history.record(this, meta);
+  }
+
+  /**
+   * Restores the data of an earlier version, recording the restore as a new version
+   * @param {ContextHistory} history - Version store holding this context's versions
+   * @param {number} version - Version to restore
+   * @param {Object} [meta] - Metadata for the new version (author, reason)
+   * @returns {ContextModel} This instance for chaining
+   * @throws {ResourceError} If the version is not in the history
+   */
+  revertTo(history, version, meta = {}) {
+    const entry = history.revertTo(this.contextId, version, meta);
+
+    return this._apply(() => {
+      this._data = entry.data;
+    });
+  }
 }
 
+// Schema version new contexts are written with; deserialize migrates older data to it
+ContextModel.SCHEMA_VERSION = SCHEMA_VERSIONS.context;
+
 module.exports = ContextModel; 
\ No newline at end of file
@@ -0,0 +1,450 @@
+/**
+ * binary.js
+ *
+ * Growable byte writer and bounds-checked byte reader shared by the
+ * CBOR and MessagePack codecs. All multi-byte values are big-endian.
+ *
+ * Both track how deeply arrays, maps, tags and extensions are nested, so deep
+ * or cyclic input fails with a ValidationError instead of overflowing the stack.
+ */
+
+const { ErrorCode, ValidationError } = require('../errors/acip-error');
+
+/**
+ * Default limit on nested arrays, maps, tags and extensions
+ */
+const DEFAULT_MAX_DEPTH = 512;
+
+class ByteWriter {
+  /**
+   * Creates a new writer
+   * @param {string} format - Format name used in error messages
+   * @param {Object} [options] - Writer options
+   * @param {number} [options.maxDepth=512] - Maximum nesting depth
+   * @param {number} [options.depth=0] - Depth of the value being written, for nested encodings
+   */
+  constructor(format, options = {}) {
+    this.buffer = Buffer.allocUnsafe(256);
+    this.length = 0;
+    this.format = format;
+    this.maxDepth = options.maxDepth || DEFAULT_MAX_DEPTH;
+    this.depth = options.depth || 0;
+  }
+
+  /**
+   * Enters a nested array, map, tag or extension
+   * @throws {ValidationError} If the value is nested deeper than maxDepth
+   */
+  enter() {
+    enterLevel(this);
+  }
+
+  /**
+   * Leaves a nested value
+   */
+  leave() {
+    this.depth--;
+  }
+
+  /**
+   * Writes an unsigned 8-bit integer
+   * @param {number} value - Value to write
+   */
+  uint8(value) {
+    this._reserve(1);
+    this.buffer[this.length++] = value;
+  }
+
+  /**
+   * Writes an unsigned 16-bit integer
+   * @param {number} value - Value to write
+   */
+  uint16(value) {
+    this._reserve(2);
+    this.length = this.buffer.writeUInt16BE(value, this.length);
+  }
+
+  /**
+   * Writes an unsigned 32-bit integer
+   * @param {number} value - Value to write
+   */
+  uint32(value) {
+    this._reserve(4);
+    this.length = this.buffer.writeUInt32BE(value, this.length);
+  }
+
+  /**
+   * Writes an unsigned 64-bit integer
+   * @param {number|bigint} value - Value to write
+   */
+  uint64(value) {
+    this._reserve(8);
+    this.length = this.buffer.writeBigUInt64BE(BigInt(value), this.length);
+  }
+
+  /**
+   * Writes a signed 8-bit integer
+   * @param {number} value - Value to write
+   */
+  int8(value) {
+    this._reserve(1);
+    this.length = this.buffer.writeInt8(value, this.length);
+  }
+
+  /**
+   * Writes a signed 16-bit integer
+   * @param {number} value - Value to write
+   */
+  int16(value) {
+    this._reserve(2);
+    this.length = this.buffer.writeInt16BE(value, this.length);
+  }
+
+  /**
+   * Writes a signed 32-bit integer
+   * @param {number} value - Value to write
+   */
+  int32(value) {
+    this._reserve(4);
+    this.length = this.buffer.writeInt32BE(value, this.length);
+  }
+
+  /**
+   * Writes a signed 64-bit integer
+   * @param {number|bigint} value - Value to write
+   */
+  int64(value) {
+    this._reserve(8);
+    this.length = this.buffer.writeBigInt64BE(BigInt(value), this.length);
+  }
+
+  /**
+   * Writes a 32-bit float
+   * @param {number} value - Value to write
+   */
+  float32(value) {
+    this._reserve(4);
+    this.length = this.buffer.writeFloatBE(value, this.length);
+  }
+
+  /**
+   * Writes a 64-bit float
+   * @param {number} value - Value to write
+   */
+  float64(value) {
+    this._reserve(8);
+    this.length = this.buffer.writeDoubleBE(value, this.length);
+  }
+
+  /**
+   * Writes raw bytes
+   * @param {Uint8Array} bytes - Bytes to write
+   */
+  bytes(bytes) {
+    this._reserve(bytes.length);
+    this.buffer.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  /**
+   * Returns the written bytes
+   * @returns {Buffer} A copy of the written bytes
+   */
+  toBuffer() {
+    return Buffer.from(this.buffer.subarray(0, this.length));
+  }
+
+  /**
+   * Grows the buffer so that the given number of bytes fit
+   * @param {number} count - Number of bytes about to be written
+   * @private
+   */
+  _reserve(count) {
+    if (this.length + count <= this.buffer.length) {
+      return;
+    }
+
+    const next = Buffer.allocUnsafe(Math.max(this.buffer.length * 2, this.length + count));
+    this.buffer.copy(next, 0, 0, this.length);
+    this.buffer = next;
+  }
+}
+
+class ByteReader {
+  /**
+   * Creates a new reader
+   * @param {Uint8Array} buffer - Bytes to read
+   * @param {string} format - Format name used in error messages
+   * @param {Object} [options] - Reader options
+   * @param {number} [options.maxDepth=512] - Maximum nesting depth
+   * @param {number} [options.depth=0] - Depth of the data being read, for nested encodings
+   */
+  constructor(buffer, format, options = {}) {
+    this.buffer = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    this.format = format;
+    this.offset = 0;
+    this.maxDepth = options.maxDepth || DEFAULT_MAX_DEPTH;
+    this.depth = options.depth || 0;
+  }
+
+  /**
+   * Enters a nested array, map, tag or extension
+   * @throws {ValidationError} If the data is nested deeper than maxDepth
+   */
+  enter() {
+    enterLevel(this);
+  }
+
+  /**
+   * Leaves a nested value
+   */
+  leave() {
+    this.depth--;
+  }
+
+  /**
+   * Whether all bytes have been read
+   * @returns {boolean}
+   */
+  get done() {
+    return this.offset >= this.buffer.length;
+  }
+
+  /**
+   * Reads an unsigned 8-bit integer
+   * @returns {number}
+   */
+  uint8() {
+    return this.buffer[this._advance(1)];
+  }
+
+  /**
+   * Reads an unsigned 16-bit integer
+   * @returns {number}
+   */
+  uint16() {
+    return this.buffer.readUInt16BE(this._advance(2));
+  }
+
+  /**
+   * Reads an unsigned 32-bit integer
+   * @returns {number}
+   */
+  uint32() {
+    return this.buffer.readUInt32BE(this._advance(4));
+  }
+
+  /**
+   * Reads an unsigned 64-bit integer
+   * @returns {bigint}
+   */
+  uint64() {
+    return this.buffer.readBigUInt64BE(this._advance(8));
+  }
+
+  /**
+   * Reads a signed 8-bit integer
+   * @returns {number}
+   */
+  int8() {
+    return this.buffer.readInt8(this._advance(1));
+  }
+
+  /**
+   * Reads a signed 16-bit integer
+   * @returns {number}
+   */
+  int16() {
+    return this.buffer.readInt16BE(this._advance(2));
+  }
+
+  /**
+   * Reads a signed 32-bit integer
+   * @returns {number}
+   */
+  int32() {
+    return this.buffer.readInt32BE(this._advance(4));
+  }
+
+  /**
+   * Reads a signed 64-bit integer
+   * @returns {bigint}
+   */
+  int64() {
+    return this.buffer.readBigInt64BE(this._advance(8));
+  }
+
+  /**
+   * Reads a 32-bit float
+   * @returns {number}
+   */
+  float32() {
+    return this.buffer.readFloatBE(this._advance(4));
+  }
+
+  /**
+   * Reads a 64-bit float
+   * @returns {number}
+   */
+  float64() {
+    return this.buffer.readDoubleBE(this._advance(8));
+  }
+
+  /**
+   * Reads raw bytes
+   * @param {number} length - Number of bytes
+   * @returns {Buffer} A copy of the bytes
+   */
+  bytes(length) {
+    const start = this._advance(length);
+    return Buffer.from(this.buffer.subarray(start, start + length));
+  }
+
+  /**
+   * Reads a UTF-8 string
+   * @param {number} length - Number of bytes
+   * @returns {string}
+   */
+  utf8(length) {
+    const start = this._advance(length);
+    return this.buffer.toString('utf8', start, start + length);
+  }
+
+  /**
+   * Moves past the given number of bytes
+   * @param {number} count - Number of bytes
+   * @returns {number} Offset before moving
+   * @throws {ValidationError} If fewer bytes remain
+   * @private
+   */
+  _advance(count) {
+    if (this.offset + count > this.buffer.length) {
+      throw invalidData(`Unexpected end of ${this.format} data at byte ${this.offset}`, {
+        format: this.format,
+        offset: this.offset
+      });
+    }
+
+    const start = this.offset;
+    this.offset += count;
+    return start;
+  }
+}
+
+/**
+ * Increments the nesting depth of a reader or writer
+ * @param {ByteReader|ByteWriter} target - Reader or writer
+ * @throws {ValidationError} If the depth exceeds its maxDepth
+ * @private
+ */
+function enterLevel(target) {
+  if (++target.depth > target.maxDepth) {
+    throw invalidData(`${target.format} data is nested deeper than ${target.maxDepth} levels`, {
+      format: target.format,
+      maxDepth: target.maxDepth
+    });
+  }
+}
+
+/**
+ * Creates the error thrown for data that cannot be encoded or decoded
+ * @param {string} message - Error message
+ * @param {Object} [details] - Error details
+ * @returns {ValidationError} VALIDATION_INVALID_FORMAT error
+ */
+function invalidData(message, details) {
+  return new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, message, details ? { details } : {});
+}
+
+/**
+ * Converts a non-negative BigInt to big-endian bytes
+ * @param {bigint} value - Value to convert
+ * @returns {Buffer} Magnitude bytes (at least one byte)
+ */
+function bigIntToBytes(value) {
+  let hex = value.toString(16);
+  if (hex.length % 2) {
+    hex = `0${hex}`;
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Converts big-endian bytes to a non-negative BigInt
+ * @param {Uint8Array} bytes - Magnitude bytes
+ * @returns {bigint} Value
+ */
+function bytesToBigInt(bytes) {
+  return bytes.length === 0 ? 0n : BigInt(`0x${Buffer.from(bytes).toString('hex')}`);
+}
+
+/**
+ * Converts a 64-bit integer to a Number when it is exactly representable
+ * @param {bigint} value - Value read from the wire
+ * @returns {number|bigint} Number if safe, otherwise the BigInt
+ */
+function toSafeNumber(value) {
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER)
+    ? Number(value)
+    : value;
+}
+
+/**
+ * Finds the registered model type name for a model instance
+ * @param {Object} value - Value to check
+ * @param {Object} models - Map of type name to model class
+ * @returns {string|null} Type name, or null if the value is not a registered model
+ */
+function modelTypeOf(value, models = {}) {
+  for (const [name, ModelClass] of Object.entries(models)) {
+    if (value instanceof ModelClass) {
+      return name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Recreates a model instance from its type name and data
+ * @param {string} name - Registered type name
+ * @param {Object} data - Model data
+ * @param {Object} options - Decoding options
+ * @param {Object} [options.models] - Map of type name to model class
+ * @param {Function} [options.migrate] - (name, data) => data at the version the model class expects
+ * @param {string} format - Format name used in error messages
+ * @returns {BaseModel} Model instance
+ * @throws {ValidationError} If the type is not registered
+ */
+function createModel(name, data, options, format) {
+  const models = options.models || {};
+  const ModelClass = Object.prototype.hasOwnProperty.call(models, name) ? models[name] : null;
+
+  if (!ModelClass) {
+    throw invalidData(`Unknown model type '${name}' in ${format} data`, { format, modelType: name });
+  }
+
+  return new ModelClass(options.migrate ? options.migrate(name, data) : data);
+}
+
+/**
+ * Sets a decoded map entry without letting keys such as '__proto__' touch the prototype
+ * @param {Object} target - Object being built
+ * @param {*} key - Decoded key
+ * @param {*} value - Decoded value
+ */
+function setEntry(target, key, value) {
+  Object.defineProperty(target, String(key), { value, enumerable: true, writable: true, configurable: true });
+}
+
+module.exports = {
+  DEFAULT_MAX_DEPTH,
+  ByteWriter,
+  ByteReader,
+  invalidData,
+  bigIntToBytes,
+  bytesToBigInt,
+  toSafeNumber,
+  modelTypeOf,
+  createModel,
+  setEntry
+};
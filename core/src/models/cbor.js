@@ -0,0 +1,487 @@
+/**
+ * cbor.js
+ *
+ * CBOR (RFC 8949) encoder and decoder.
+ *
+ * Besides the JSON data model, values round-trip as follows:
+ * - Date: tag 1 (epoch seconds)
+ * - Buffer / Uint8Array: byte string (decoded as Buffer)
+ * - BigInt: tags 2 and 3 (bignums)
+ * - undefined: simple value 23
+ * - Model instances: tag 27 ([typeName, data]) for the types passed in options.models
+ *
+ * Encoded data starts with the self-describe tag 55799 (bytes d9 d9 f7) unless
+ * options.selfDescribe is false, which lets deserialize() recognise it.
+ *
+ * Malformed data, unsupported values and nesting deeper than options.maxDepth
+ * throw a ValidationError with code VALIDATION_INVALID_FORMAT.
+ */
+
+const {
+  ByteWriter,
+  ByteReader,
+  invalidData,
+  bigIntToBytes,
+  bytesToBigInt,
+  toSafeNumber,
+  modelTypeOf,
+  createModel,
+  setEntry
+} = require('./binary');
+
+const MAJOR = {
+  UNSIGNED: 0,
+  NEGATIVE: 1,
+  BYTES: 2,
+  TEXT: 3,
+  ARRAY: 4,
+  MAP: 5,
+  TAG: 6,
+  SIMPLE: 7
+};
+
+const TAG = {
+  DATE_STRING: 0,
+  DATE_EPOCH: 1,
+  POSITIVE_BIGNUM: 2,
+  NEGATIVE_BIGNUM: 3,
+  OBJECT: 27,
+  SELF_DESCRIBE: 55799
+};
+
+// Marks the end of an indefinite-length item while decoding
+const BREAK = Symbol('break');
+
+/**
+ * Encodes a value as CBOR
+ *
+ * @param {*} value - Value to encode
+ * @param {Object} options - Encoding options
+ * @param {Object} [options.models] - Map of type name to model class for tag 27
+ * @param {boolean} [options.selfDescribe=true] - Prefix the self-describe tag
+ * @param {number} [options.maxDepth=512] - Maximum nesting of arrays, maps and tags
+ * @returns {Buffer} Encoded bytes
+ * @throws {ValidationError} If a value cannot be encoded or is nested too deeply
+ */
+function encode(value, options = {}) {
+  const writer = new ByteWriter('CBOR', options);
+
+  if (options.selfDescribe !== false) {
+    writeHead(writer, MAJOR.TAG, TAG.SELF_DESCRIBE);
+  }
+
+  writeValue(writer, value, options);
+  return writer.toBuffer();
+}
+
+/**
+ * Decodes CBOR data
+ *
+ * @param {Uint8Array} data - Encoded bytes
+ * @param {Object} options - Decoding options
+ * @param {Object} [options.models] - Map of type name to model class for tag 27
+ * @param {Function} [options.migrate] - (name, data) => migrated data, applied before creating models
+ * @param {number} [options.maxDepth=512] - Maximum nesting of arrays, maps and tags
+ * @returns {*} Decoded value
+ * @throws {ValidationError} If the data is malformed, nested too deeply or has trailing bytes
+ */
+function decode(data, options = {}) {
+  const reader = new ByteReader(data, 'CBOR', options);
+  const value = readValue(reader, options);
+
+  if (value === BREAK) {
+    throw invalidData('Unexpected break in CBOR data');
+  }
+
+  if (!reader.done) {
+    throw invalidData(`Unexpected trailing bytes in CBOR data at byte ${reader.offset}`, { offset: reader.offset });
+  }
+
+  return value;
+}
+
+/**
+ * Writes the initial byte and argument of an item
+ * @private
+ */
+function writeHead(writer, major, argument) {
+  const type = major << 5;
+
+  if (argument < 24) {
+    writer.uint8(type | Number(argument));
+  } else if (argument < 0x100) {
+    writer.uint8(type | 24);
+    writer.uint8(Number(argument));
+  } else if (argument < 0x10000) {
+    writer.uint8(type | 25);
+    writer.uint16(Number(argument));
+  } else if (argument < 0x100000000) {
+    writer.uint8(type | 26);
+    writer.uint32(Number(argument));
+  } else {
+    writer.uint8(type | 27);
+    writer.uint64(argument);
+  }
+}
+
+/**
+ * Writes a value
+ * @private
+ */
+function writeValue(writer, value, options) {
+  switch (typeof value) {
+    case 'undefined':
+      writer.uint8(0xf7);
+      return;
+
+    case 'boolean':
+      writer.uint8(value ? 0xf5 : 0xf4);
+      return;
+
+    case 'number':
+      writeNumber(writer, value);
+      return;
+
+    case 'bigint':
+      writeHead(writer, MAJOR.TAG, value >= 0n ? TAG.POSITIVE_BIGNUM : TAG.NEGATIVE_BIGNUM);
+      writeBytes(writer, MAJOR.BYTES, bigIntToBytes(value >= 0n ? value : -1n - value));
+      return;
+
+    case 'string':
+      writeBytes(writer, MAJOR.TEXT, Buffer.from(value, 'utf8'));
+      return;
+
+    case 'object':
+      writeObject(writer, value, options);
+      return;
+
+    default:
+      throw invalidData(`Cannot encode ${typeof value} as CBOR`, { type: typeof value });
+  }
+}
+
+/**
+ * Writes a number, using the smallest exact encoding
+ * @private
+ */
+function writeNumber(writer, value) {
+  if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+    if (value >= 0) {
+      writeHead(writer, MAJOR.UNSIGNED, value);
+    } else {
+      writeHead(writer, MAJOR.NEGATIVE, -1 - value);
+    }
+  } else if (Math.fround(value) === value || Number.isNaN(value)) {
+    writer.uint8(0xfa);
+    writer.float32(value);
+  } else {
+    writer.uint8(0xfb);
+    writer.float64(value);
+  }
+}
+
+/**
+ * Writes a byte or text string
+ * @private
+ */
+function writeBytes(writer, major, bytes) {
+  writeHead(writer, major, bytes.length);
+  writer.bytes(bytes);
+}
+
+/**
+ * Writes null, arrays, byte strings, dates, models and plain objects
+ * @private
+ */
+function writeObject(writer, value, options) {
+  if (value === null) {
+    writer.uint8(0xf6);
+    return;
+  }
+
+  if (value instanceof Uint8Array) {
+    writeBytes(writer, MAJOR.BYTES, value);
+    return;
+  }
+
+  if (value instanceof Date) {
+    // Whole seconds are encoded as integers, anything finer as a float
+    writeHead(writer, MAJOR.TAG, TAG.DATE_EPOCH);
+    writeNumber(writer, value.getTime() / 1000);
+    return;
+  }
+
+  writer.enter();
+
+  if (Array.isArray(value)) {
+    writeHead(writer, MAJOR.ARRAY, value.length);
+    for (const item of value) {
+      writeValue(writer, item, options);
+    }
+  } else {
+    const modelType = modelTypeOf(value, options.models);
+
+    if (modelType) {
+      writeHead(writer, MAJOR.TAG, TAG.OBJECT);
+      writeValue(writer, [modelType, value.toObject()], options);
+    } else {
+      const source = typeof value.toObject === 'function' ? value.toObject() : value;
+      const keys = Object.keys(source);
+
+      writeHead(writer, MAJOR.MAP, keys.length);
+      for (const key of keys) {
+        writeBytes(writer, MAJOR.TEXT, Buffer.from(key, 'utf8'));
+        writeValue(writer, source[key], options);
+      }
+    }
+  }
+
+  writer.leave();
+}
+
+/**
+ * Reads the argument that follows an initial byte
+ * @private
+ * @returns {number|bigint} Argument, -1 for indefinite length
+ */
+function readArgument(reader, info) {
+  if (info < 24) {
+    return info;
+  }
+
+  switch (info) {
+    case 24: return reader.uint8();
+    case 25: return reader.uint16();
+    case 26: return reader.uint32();
+    case 27: return toSafeNumber(reader.uint64());
+    case 31: return -1;
+    default:
+      throw invalidData(`Invalid CBOR additional information ${info} at byte ${reader.offset - 1}`, { offset: reader.offset - 1 });
+  }
+}
+
+/**
+ * Reads a length argument
+ * @private
+ */
+function readLength(reader, info) {
+  const length = readArgument(reader, info);
+
+  if (typeof length === 'bigint') {
+    throw invalidData(`CBOR length too large at byte ${reader.offset}`, { offset: reader.offset });
+  }
+
+  return length;
+}
+
+/**
+ * Reads a value
+ * @private
+ */
+function readValue(reader, options) {
+  const initial = reader.uint8();
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (info === 31 && (major === MAJOR.UNSIGNED || major === MAJOR.NEGATIVE || major === MAJOR.TAG)) {
+    throw invalidData(`Invalid indefinite length for CBOR major type ${major} at byte ${reader.offset - 1}`, {
+      offset: reader.offset - 1
+    });
+  }
+
+  switch (major) {
+    case MAJOR.UNSIGNED:
+      return readArgument(reader, info);
+
+    case MAJOR.NEGATIVE: {
+      const argument = readArgument(reader, info);
+      return typeof argument === 'bigint' ? -1n - argument : toSafeNumber(-1n - BigInt(argument));
+    }
+
+    case MAJOR.BYTES:
+    case MAJOR.TEXT: {
+      const length = readLength(reader, info);
+      const bytes = length === -1 ? readChunks(reader, major, options) : reader.bytes(length);
+      return major === MAJOR.TEXT ? bytes.toString('utf8') : bytes;
+    }
+
+    case MAJOR.ARRAY:
+      return readArray(reader, readLength(reader, info), options);
+
+    case MAJOR.MAP:
+      return readMap(reader, readLength(reader, info), options);
+
+    case MAJOR.TAG:
+      return readTagged(reader, readArgument(reader, info), options);
+
+    default:
+      return readSimple(reader, info);
+  }
+}
+
+/**
+ * Reads the chunks of an indefinite-length byte or text string
+ * @private
+ */
+function readChunks(reader, major, options) {
+  const chunks = [];
+
+  reader.enter();
+
+  for (;;) {
+    const start = reader.offset;
+    const chunk = readValue(reader, options);
+
+    if (chunk === BREAK) {
+      reader.leave();
+      return Buffer.concat(chunks);
+    }
+
+    if (reader.buffer[start] >> 5 !== major) {
+      throw invalidData(`Invalid chunk in indefinite-length CBOR string at byte ${start}`, { offset: start });
+    }
+
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk);
+  }
+}
+
+/**
+ * Reads the items of an array
+ * @private
+ */
+function readArray(reader, length, options) {
+  const items = [];
+
+  reader.enter();
+
+  while (length === -1 || items.length < length) {
+    const item = readValue(reader, options);
+
+    if (item === BREAK) {
+      if (length === -1) {
+        break;
+      }
+      throw invalidData(`Unexpected break in CBOR array at byte ${reader.offset - 1}`, { offset: reader.offset - 1 });
+    }
+
+    items.push(item);
+  }
+
+  reader.leave();
+  return items;
+}
+
+/**
+ * Reads the entries of a map into a plain object
+ * @private
+ */
+function readMap(reader, length, options) {
+  const result = {};
+
+  reader.enter();
+
+  for (let count = 0; length === -1 || count < length; count++) {
+    const key = readValue(reader, options);
+
+    if (key === BREAK) {
+      if (length === -1) {
+        break;
+      }
+      throw invalidData(`Unexpected break in CBOR map at byte ${reader.offset - 1}`, { offset: reader.offset - 1 });
+    }
+
+    setEntry(result, key, readValue(reader, options));
+  }
+
+  reader.leave();
+  return result;
+}
+
+/**
+ * Reads a tagged value
+ * @private
+ */
+function readTagged(reader, tag, options) {
+  reader.enter();
+  const value = readValue(reader, options);
+  reader.leave();
+
+  switch (tag) {
+    case TAG.DATE_STRING:
+      return new Date(value);
+
+    case TAG.DATE_EPOCH:
+      return new Date(Math.round(Number(value) * 1000));
+
+    case TAG.POSITIVE_BIGNUM:
+      return bytesToBigInt(value);
+
+    case TAG.NEGATIVE_BIGNUM:
+      return -1n - bytesToBigInt(value);
+
+    case TAG.OBJECT:
+      if (!Array.isArray(value) || typeof value[0] !== 'string') {
+        throw invalidData('Invalid CBOR tag 27 content, expected [typeName, data]');
+      }
+      return createModel(value[0], value[1], options, 'CBOR');
+
+    default:
+      // Self-describe and unknown tags carry no extra meaning here
+      return value;
+  }
+}
+
+/**
+ * Reads a simple value or float
+ * @private
+ */
+function readSimple(reader, info) {
+  switch (info) {
+    case 20: return false;
+    case 21: return true;
+    case 22: return null;
+    case 23: return undefined;
+    case 25: return readHalf(reader.uint16());
+    case 26: return reader.float32();
+    case 27: return reader.float64();
+    case 31: return BREAK;
+    default:
+      throw invalidData(`Unsupported CBOR simple value ${info} at byte ${reader.offset - 1}`, { offset: reader.offset - 1 });
+  }
+}
+
+/**
+ * Converts an IEEE 754 half-precision float
+ * @private
+ */
+function readHalf(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >> 10) & 0x1f;
+  const fraction = bits & 0x3ff;
+
+  if (exponent === 0) {
+    return sign * fraction * Math.pow(2, -24);
+  }
+
+  if (exponent === 0x1f) {
+    return fraction ? NaN : sign * Infinity;
+  }
+
+  return sign * (1024 + fraction) * Math.pow(2, exponent - 25);
+}
+
+/**
+ * Checks whether data starts with the CBOR self-describe tag
+ * @param {Uint8Array} data - Data to check
+ * @returns {boolean}
+ */
+function hasSelfDescribeTag(data) {
+  return data.length >= 3 && data[0] === 0xd9 && data[1] === 0xd9 && data[2] === 0xf7;
+}
+
+module.exports = {
+  encode,
+  decode,
+  hasSelfDescribeTag,
+  TAG
+};
@@ -7,11 +7,18 @@
 const BaseModel = require('./BaseModel');
 const ContextModel = require('./ContextModel');
 const AgentModel = require('./AgentModel');
+const ContextHistory = require('./ContextHistory');
 const serialization = require('./serialization');
+const schemas = require('./schemas');
+const { MigrationRegistry, migrations } = require('./migrations');
 
 module.exports = {
   BaseModel,
   ContextModel,
   AgentModel,
-  serialization
+  ContextHistory,
+  serialization,
+  schemas,
+  MigrationRegistry,
+  migrations
 }; 
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * migrations.js
+ *
+ * Schema versions and migrations for serialized model data.
+ *
+ * Every model records the schema version its data follows in `schemaVersion`.
+ * Data without it predates versioning and is treated as LEGACY_SCHEMA_VERSION.
+ * A migration upgrades data by one step (`from` → `to`) and may provide a `down`
+ * function for the reverse step. The registry chains steps to bring data to
+ * the version a model class expects.
+ */
+
+const semver = require('semver');
+const { deepClone } = require('../utils');
+const { ErrorCode, ProtocolError, ValidationError } = require('../errors/acip-error');
+const { contextSchema, agentSchema } = require('./schemas');
+
+/**
+ * Schema version of data serialized before versioning was introduced
+ */
+const LEGACY_SCHEMA_VERSION = '0.1.0';
+
+class MigrationRegistry {
+  /**
+   * Creates an empty registry
+   */
+  constructor() {
+    // modelType -> Map(fromVersion -> migration)
+    this.migrations = new Map();
+  }
+
+  /**
+   * Registers a migration step for a model type
+   * @param {string} modelType - Model type, e.g. 'context'
+   * @param {Object} migration - Migration step
+   * @param {string} migration.from - Version the step upgrades from
+   * @param {string} migration.to - Version the step upgrades to
+   * @param {Function} migration.up - (data) => upgraded data; receives a copy it may modify
+   * @param {Function} [migration.down] - (data) => downgraded data, for reading newer data
+   * @returns {MigrationRegistry} This registry for chaining
+   * @throws {ValidationError} If the versions are invalid or a step from the same version exists
+   */
+  register(modelType, migration) {
+    const { from, to, up, down } = migration || {};
+
+    if (!semver.valid(from) || !semver.valid(to) || !semver.lt(from, to)) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `Migration for ${modelType} needs valid versions with from < to, got ${from} → ${to}`,
+        { details: { modelType, from, to } }
+      );
+    }
+
+    if (typeof up !== 'function' || (down !== undefined && typeof down !== 'function')) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `Migration ${modelType} ${from} → ${to} needs an up function and an optional down function`,
+        { details: { modelType, from, to } }
+      );
+    }
+
+    if (!this.migrations.has(modelType)) {
+      this.migrations.set(modelType, new Map());
+    }
+
+    const steps = this.migrations.get(modelType);
+
+    if (steps.has(from)) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `A migration for ${modelType} from ${from} is already registered`,
+        { details: { modelType, from, to } }
+      );
+    }
+
+    steps.set(from, { from, to, up, down });
+    return this;
+  }
+
+  /**
+   * Gets the schema version of serialized data
+   * @param {Object} data - Model data
+   * @returns {string} Schema version
+   */
+  getVersion(data) {
+    return (data && data.schemaVersion) || LEGACY_SCHEMA_VERSION;
+  }
+
+  /**
+   * Migrates model data to the target schema version
+   *
+   * Older data is upgraded through consecutive steps. Newer data is down-converted
+   * when every step back to the target has a down function, and refused otherwise.
+   *
+   * @param {string} modelType - Model type, e.g. 'context'
+   * @param {Object} data - Model data; it is not modified
+   * @param {string} targetVersion - Schema version to migrate to
+   * @returns {Object} Data at the target version
+   * @throws {ProtocolError} PROTOCOL_UNSUPPORTED_VERSION if no chain of steps leads to the target
+   */
+  migrate(modelType, data, targetVersion) {
+    const sourceVersion = this.getVersion(data);
+
+    if (!semver.valid(sourceVersion)) {
+      throw this._unsupported(modelType, sourceVersion, targetVersion, 'is not a valid schema version');
+    }
+
+    if (semver.eq(sourceVersion, targetVersion)) {
+      return data;
+    }
+
+    const upgrading = semver.lt(sourceVersion, targetVersion);
+    const steps = upgrading
+      ? this._upgradePath(modelType, sourceVersion, targetVersion)
+      : this._downgradePath(modelType, sourceVersion, targetVersion);
+
+    let result = deepClone(data);
+
+    for (const step of steps) {
+      result = upgrading ? step.up(result) : step.down(result);
+      result.schemaVersion = upgrading ? step.to : step.from;
+    }
+
+    return result;
+  }
+
+  /**
+   * Finds the upgrade steps from one version to a newer one
+   * @private
+   */
+  _upgradePath(modelType, from, to) {
+    const steps = this.migrations.get(modelType) || new Map();
+    const path = [];
+    let version = from;
+
+    while (semver.lt(version, to)) {
+      const step = steps.get(version);
+
+      if (!step || semver.gt(step.to, to)) {
+        throw this._unsupported(modelType, from, to, `has no migration from ${version}`);
+      }
+
+      path.push(step);
+      version = step.to;
+    }
+
+    return path;
+  }
+
+  /**
+   * Finds the down-conversion steps from one version to an older one
+   * @private
+   */
+  _downgradePath(modelType, from, to) {
+    const steps = [...(this.migrations.get(modelType) || new Map()).values()];
+    const path = [];
+    let version = from;
+
+    while (semver.gt(version, to)) {
+      const step = steps.find(candidate => candidate.to === version);
+
+      if (!step || !step.down || semver.lt(step.from, to)) {
+        throw this._unsupported(modelType, from, to, `is newer than supported and cannot be down-converted from ${version}`);
+      }
+
+      path.push(step);
+      version = step.from;
+    }
+
+    return path;
+  }
+
+  /**
+   * Creates the error for data that cannot be migrated
+   * @private
+   */
+  _unsupported(modelType, from, to, reason) {
+    return new ProtocolError(
+      ErrorCode.PROTOCOL_UNSUPPORTED_VERSION,
+      `Cannot migrate ${modelType} data: schema version ${from} ${reason} (expected ${to})`,
+      { details: { modelType, from, to } }
+    );
+  }
+}
+
+/**
+ * Moves top-level fields the schema does not define into metadata,
+ * keeping metadata values that already exist
+ * @param {Object} data - Model data
+ * @param {Object} schema - Model schema
+ * @returns {Object} Data with only known top-level fields
+ */
+function moveUnknownToMetadata(data, schema) {
+  const known = { metadata: data.metadata || {} };
+  const extra = {};
+
+  for (const [key, value] of Object.entries(data)) {
+    if (key === 'metadata') {
+      continue;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+      known[key] = value;
+    } else {
+      extra[key] = value;
+    }
+  }
+
+  known.metadata = { ...extra, ...known.metadata };
+  return known;
+}
+
+/**
+ * Removes the schema version so data matches the unversioned 0.1.0 layout
+ * @param {Object} data - Model data
+ * @returns {Object} Data without schemaVersion
+ */
+function dropSchemaVersion(data) {
+  const { schemaVersion, ...rest } = data;
+  return rest;
+}
+
+// Registry used by serialization.deserialize
+const migrations = new MigrationRegistry();
+
+// 0.2.0 validates against strict schemas: unknown fields move into metadata and
+// loosely shaped entries are normalized
+migrations.register('context', {
+  from: '0.1.0',
+  to: '0.2.0',
+  up: data => {
+    const result = moveUnknownToMetadata(data, contextSchema);
+
+    if (Array.isArray(result.references)) {
+      result.references = result.references
+        .filter(reference => reference && reference.id)
+        .map(reference => ({ ...reference, id: String(reference.id), type: reference.type || 'context' }));
+    }
+
+    return result;
+  },
+  down: dropSchemaVersion
+});
+
+migrations.register('agent', {
+  from: '0.1.0',
+  to: '0.2.0',
+  up: data => {
+    const result = moveUnknownToMetadata(data, agentSchema);
+
+    if (Array.isArray(result.capabilities)) {
+      result.capabilities = result.capabilities.map(capability =>
+        typeof capability === 'string' ? { name: capability } : capability
+      );
+    }
+
+    return result;
+  },
+  down: dropSchemaVersion
+});
+
+module.exports = {
+  LEGACY_SCHEMA_VERSION,
+  MigrationRegistry,
+  migrations
+};
@@ -0,0 +1,463 @@
+/**
+ * msgpack.js
+ *
+ * MessagePack encoder and decoder.
+ *
+ * Besides the JSON data model, values round-trip as follows:
+ * - Date: timestamp extension type -1
+ * - Buffer / Uint8Array: bin (decoded as Buffer)
+ * - BigInt: extension type 1 (sign byte followed by the big-endian magnitude)
+ * - Model instances: extension type 2 (MessagePack-encoded [typeName, data]) for
+ *   the types passed in options.models
+ *
+ * MessagePack has no undefined, so undefined is encoded as nil and decodes as null.
+ * Unknown extension types decode as { type, data }.
+ *
+ * Malformed data, unsupported values and nesting deeper than options.maxDepth
+ * throw a ValidationError with code VALIDATION_INVALID_FORMAT.
+ */
+
+const {
+  ByteWriter,
+  ByteReader,
+  invalidData,
+  bigIntToBytes,
+  bytesToBigInt,
+  toSafeNumber,
+  modelTypeOf,
+  createModel,
+  setEntry
+} = require('./binary');
+
+const EXT = {
+  TIMESTAMP: -1,
+  BIGINT: 1,
+  MODEL: 2
+};
+
+/**
+ * Encodes a value as MessagePack
+ *
+ * @param {*} value - Value to encode
+ * @param {Object} options - Encoding options
+ * @param {Object} [options.models] - Map of type name to model class for extension type 2
+ * @param {number} [options.maxDepth=512] - Maximum nesting of arrays, maps and models
+ * @returns {Buffer} Encoded bytes
+ * @throws {ValidationError} If a value cannot be encoded or is nested too deeply
+ */
+function encode(value, options = {}) {
+  const writer = new ByteWriter('MessagePack', options);
+  writeValue(writer, value, options);
+  return writer.toBuffer();
+}
+
+/**
+ * Decodes MessagePack data
+ *
+ * @param {Uint8Array} data - Encoded bytes
+ * @param {Object} options - Decoding options
+ * @param {Object} [options.models] - Map of type name to model class for extension type 2
+ * @param {Function} [options.migrate] - (name, data) => migrated data, applied before creating models
+ * @param {number} [options.maxDepth=512] - Maximum nesting of arrays, maps and models
+ * @returns {*} Decoded value
+ * @throws {ValidationError} If the data is malformed, nested too deeply or has trailing bytes
+ */
+function decode(data, options = {}) {
+  return readAll(new ByteReader(data, 'MessagePack', options), options);
+}
+
+/**
+ * Reads a single value that must use up all the data
+ * @private
+ */
+function readAll(reader, options) {
+  const value = readValue(reader, options);
+
+  if (!reader.done) {
+    throw invalidData(`Unexpected trailing bytes in MessagePack data at byte ${reader.offset}`, { offset: reader.offset });
+  }
+
+  return value;
+}
+
+/**
+ * Writes a value
+ * @private
+ */
+function writeValue(writer, value, options) {
+  switch (typeof value) {
+    case 'undefined':
+      writer.uint8(0xc0);
+      return;
+
+    case 'boolean':
+      writer.uint8(value ? 0xc3 : 0xc2);
+      return;
+
+    case 'number':
+      writeNumber(writer, value);
+      return;
+
+    case 'bigint': {
+      const magnitude = bigIntToBytes(value < 0n ? -value : value);
+      writeExt(writer, EXT.BIGINT, Buffer.concat([Buffer.from([value < 0n ? 1 : 0]), magnitude]));
+      return;
+    }
+
+    case 'string':
+      writeString(writer, value);
+      return;
+
+    case 'object':
+      writeObject(writer, value, options);
+      return;
+
+    default:
+      throw invalidData(`Cannot encode ${typeof value} as MessagePack`, { type: typeof value });
+  }
+}
+
+/**
+ * Writes a number, using the smallest exact encoding
+ * @private
+ */
+function writeNumber(writer, value) {
+  if (!Number.isSafeInteger(value) || Object.is(value, -0)) {
+    if (Math.fround(value) === value || Number.isNaN(value)) {
+      writer.uint8(0xca);
+      writer.float32(value);
+    } else {
+      writer.uint8(0xcb);
+      writer.float64(value);
+    }
+  } else if (value >= 0) {
+    if (value < 0x80) {
+      writer.uint8(value);
+    } else if (value < 0x100) {
+      writer.uint8(0xcc);
+      writer.uint8(value);
+    } else if (value < 0x10000) {
+      writer.uint8(0xcd);
+      writer.uint16(value);
+    } else if (value < 0x100000000) {
+      writer.uint8(0xce);
+      writer.uint32(value);
+    } else {
+      writer.uint8(0xcf);
+      writer.uint64(value);
+    }
+  } else if (value >= -32) {
+    writer.int8(value);
+  } else if (value >= -0x80) {
+    writer.uint8(0xd0);
+    writer.int8(value);
+  } else if (value >= -0x8000) {
+    writer.uint8(0xd1);
+    writer.int16(value);
+  } else if (value >= -0x80000000) {
+    writer.uint8(0xd2);
+    writer.int32(value);
+  } else {
+    writer.uint8(0xd3);
+    writer.int64(value);
+  }
+}
+
+/**
+ * Writes a UTF-8 string
+ * @private
+ */
+function writeString(writer, value) {
+  const bytes = Buffer.from(value, 'utf8');
+  const length = bytes.length;
+
+  if (length < 32) {
+    writer.uint8(0xa0 | length);
+  } else if (length < 0x100) {
+    writer.uint8(0xd9);
+    writer.uint8(length);
+  } else if (length < 0x10000) {
+    writer.uint8(0xda);
+    writer.uint16(length);
+  } else {
+    writer.uint8(0xdb);
+    writer.uint32(length);
+  }
+
+  writer.bytes(bytes);
+}
+
+/**
+ * Writes an array, map or bin header
+ * @private
+ */
+function writeHeader(writer, length, fixBase, fixLimit, codes) {
+  if (fixBase !== null && length < fixLimit) {
+    writer.uint8(fixBase | length);
+  } else if (codes[0] !== null && length < 0x100) {
+    writer.uint8(codes[0]);
+    writer.uint8(length);
+  } else if (length < 0x10000) {
+    writer.uint8(codes[1]);
+    writer.uint16(length);
+  } else {
+    writer.uint8(codes[2]);
+    writer.uint32(length);
+  }
+}
+
+/**
+ * Writes an extension value
+ * @private
+ */
+function writeExt(writer, type, data) {
+  const fixCodes = { 1: 0xd4, 2: 0xd5, 4: 0xd6, 8: 0xd7, 16: 0xd8 };
+
+  if (fixCodes[data.length]) {
+    writer.uint8(fixCodes[data.length]);
+  } else {
+    writeHeader(writer, data.length, null, 0, [0xc7, 0xc8, 0xc9]);
+  }
+
+  writer.int8(type);
+  writer.bytes(data);
+}
+
+/**
+ * Writes a date as a timestamp extension, using the 32, 64 or 96-bit form
+ * @private
+ */
+function writeTimestamp(writer, date) {
+  const time = date.getTime();
+  const seconds = Math.floor(time / 1000);
+  const nanoseconds = (time - seconds * 1000) * 1000000;
+
+  if (seconds >= 0 && seconds < 0x400000000) {
+    if (nanoseconds === 0 && seconds < 0x100000000) {
+      const data = Buffer.alloc(4);
+      data.writeUInt32BE(seconds);
+      writeExt(writer, EXT.TIMESTAMP, data);
+    } else {
+      const data = Buffer.alloc(8);
+      data.writeBigUInt64BE((BigInt(nanoseconds) << 34n) | BigInt(seconds));
+      writeExt(writer, EXT.TIMESTAMP, data);
+    }
+  } else {
+    const data = Buffer.alloc(12);
+    data.writeUInt32BE(nanoseconds);
+    data.writeBigInt64BE(BigInt(seconds), 4);
+    writeExt(writer, EXT.TIMESTAMP, data);
+  }
+}
+
+/**
+ * Writes null, arrays, binary data, dates, models and plain objects
+ * @private
+ */
+function writeObject(writer, value, options) {
+  if (value === null) {
+    writer.uint8(0xc0);
+    return;
+  }
+
+  if (value instanceof Uint8Array) {
+    writeHeader(writer, value.length, null, 0, [0xc4, 0xc5, 0xc6]);
+    writer.bytes(value);
+    return;
+  }
+
+  if (value instanceof Date) {
+    writeTimestamp(writer, value);
+    return;
+  }
+
+  writer.enter();
+
+  if (Array.isArray(value)) {
+    writeHeader(writer, value.length, 0x90, 16, [null, 0xdc, 0xdd]);
+    for (const item of value) {
+      writeValue(writer, item, options);
+    }
+  } else {
+    const modelType = modelTypeOf(value, options.models);
+
+    if (modelType) {
+      // The model is encoded separately but keeps counting towards the nesting limit
+      const nested = new ByteWriter('MessagePack', { maxDepth: writer.maxDepth, depth: writer.depth });
+      writeValue(nested, [modelType, value.toObject()], options);
+      writeExt(writer, EXT.MODEL, nested.toBuffer());
+    } else {
+      const source = typeof value.toObject === 'function' ? value.toObject() : value;
+      const keys = Object.keys(source);
+
+      writeHeader(writer, keys.length, 0x80, 16, [null, 0xde, 0xdf]);
+      for (const key of keys) {
+        writeString(writer, key);
+        writeValue(writer, source[key], options);
+      }
+    }
+  }
+
+  writer.leave();
+}
+
+/**
+ * Reads a value
+ * @private
+ */
+function readValue(reader, options) {
+  const code = reader.uint8();
+
+  if (code < 0x80) {
+    return code;
+  }
+  if (code < 0x90) {
+    return readMap(reader, code & 0x0f, options);
+  }
+  if (code < 0xa0) {
+    return readArray(reader, code & 0x0f, options);
+  }
+  if (code < 0xc0) {
+    return reader.utf8(code & 0x1f);
+  }
+  if (code >= 0xe0) {
+    return code - 0x100;
+  }
+
+  switch (code) {
+    case 0xc0: return null;
+    case 0xc2: return false;
+    case 0xc3: return true;
+    case 0xc4: return reader.bytes(reader.uint8());
+    case 0xc5: return reader.bytes(reader.uint16());
+    case 0xc6: return reader.bytes(reader.uint32());
+    case 0xc7: return readExt(reader, reader.uint8(), options);
+    case 0xc8: return readExt(reader, reader.uint16(), options);
+    case 0xc9: return readExt(reader, reader.uint32(), options);
+    case 0xca: return reader.float32();
+    case 0xcb: return reader.float64();
+    case 0xcc: return reader.uint8();
+    case 0xcd: return reader.uint16();
+    case 0xce: return reader.uint32();
+    case 0xcf: return toSafeNumber(reader.uint64());
+    case 0xd0: return reader.int8();
+    case 0xd1: return reader.int16();
+    case 0xd2: return reader.int32();
+    case 0xd3: return toSafeNumber(reader.int64());
+    case 0xd4: return readExt(reader, 1, options);
+    case 0xd5: return readExt(reader, 2, options);
+    case 0xd6: return readExt(reader, 4, options);
+    case 0xd7: return readExt(reader, 8, options);
+    case 0xd8: return readExt(reader, 16, options);
+    case 0xd9: return reader.utf8(reader.uint8());
+    case 0xda: return reader.utf8(reader.uint16());
+    case 0xdb: return reader.utf8(reader.uint32());
+    case 0xdc: return readArray(reader, reader.uint16(), options);
+    case 0xdd: return readArray(reader, reader.uint32(), options);
+    case 0xde: return readMap(reader, reader.uint16(), options);
+    case 0xdf: return readMap(reader, reader.uint32(), options);
+    default:
+      throw invalidData(`Invalid MessagePack type byte 0x${code.toString(16)} at byte ${reader.offset - 1}`, {
+        offset: reader.offset - 1
+      });
+  }
+}
+
+/**
+ * Reads the items of an array
+ * @private
+ */
+function readArray(reader, length, options) {
+  const items = [];
+
+  reader.enter();
+
+  for (let i = 0; i < length; i++) {
+    items.push(readValue(reader, options));
+  }
+
+  reader.leave();
+  return items;
+}
+
+/**
+ * Reads the entries of a map into a plain object
+ * @private
+ */
+function readMap(reader, length, options) {
+  const result = {};
+
+  reader.enter();
+
+  for (let i = 0; i < length; i++) {
+    const key = readValue(reader, options);
+    setEntry(result, key, readValue(reader, options));
+  }
+
+  reader.leave();
+  return result;
+}
+
+/**
+ * Reads an extension value
+ * @private
+ */
+function readExt(reader, length, options) {
+  const type = reader.int8();
+  const data = reader.bytes(length);
+
+  switch (type) {
+    case EXT.TIMESTAMP:
+      return readTimestamp(data);
+
+    case EXT.BIGINT: {
+      const magnitude = bytesToBigInt(data.subarray(1));
+      return data[0] === 1 ? -magnitude : magnitude;
+    }
+
+    case EXT.MODEL: {
+      // The model is decoded separately but keeps counting towards the nesting limit
+      const nested = new ByteReader(data, 'MessagePack', { maxDepth: reader.maxDepth, depth: reader.depth + 1 });
+      const value = readAll(nested, options);
+
+      if (!Array.isArray(value) || typeof value[0] !== 'string') {
+        throw invalidData('Invalid MessagePack model extension, expected [typeName, data]');
+      }
+
+      return createModel(value[0], value[1], options, 'MessagePack');
+    }
+
+    default:
+      return { type, data };
+  }
+}
+
+/**
+ * Reads a timestamp extension
+ * @private
+ */
+function readTimestamp(data) {
+  switch (data.length) {
+    case 4:
+      return new Date(data.readUInt32BE(0) * 1000);
+
+    case 8: {
+      const packed = data.readBigUInt64BE(0);
+      const seconds = Number(packed & 0x3ffffffffn);
+      const nanoseconds = Number(packed >> 34n);
+      return new Date(seconds * 1000 + Math.floor(nanoseconds / 1000000));
+    }
+
+    case 12:
+      return new Date(Number(data.readBigInt64BE(4)) * 1000 + Math.floor(data.readUInt32BE(0) / 1000000));
+
+    default:
+      throw invalidData(`Invalid MessagePack timestamp length ${data.length}`, { length: data.length });
+  }
+}
+
+module.exports = {
+  encode,
+  decode,
+  EXT
+};
@@ -0,0 +1,111 @@
+/**
+ * schemas.js
+ *
+ * JSON Schemas for the ACIP data models. The schemas are registered by $id
+ * so they can reference each other, e.g. a context points at the agent that
+ * owns it and an agent records the context it was created from.
+ */
+
+const { addSchema } = require('../utils/json-schema');
+
+const CONTEXT_SCHEMA_ID = 'https://acip.dev/schemas/context.json';
+const AGENT_SCHEMA_ID = 'https://acip.dev/schemas/agent.json';
+
+// Schema versions written into new model data; see migrations.js for upgrades
+const SCHEMA_VERSIONS = {
+  context: '0.2.0',
+  agent: '0.2.0'
+};
+
+// JSON Schema for context data
+const contextSchema = {
+  $id: CONTEXT_SCHEMA_ID,
+  type: 'object',
+  required: ['contextId', 'created'],
+  definitions: {
+    schemaVersion: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+    contextId: { type: 'string', minLength: 1 },
+    timestamp: { type: 'number', minimum: 0 },
+    reference: {
+      type: 'object',
+      required: ['id', 'type'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        type: { type: 'string' },
+        uri: { type: 'string', format: 'uri' },
+        timestamp: { $ref: '#/definitions/timestamp' }
+      }
+    }
+  },
+  properties: {
+    schemaVersion: { $ref: '#/definitions/schemaVersion' },
+    contextId: { $ref: '#/definitions/contextId' },
+    sessionId: { type: 'string' },
+    userId: { type: 'string' },
+    agentId: { $ref: 'agent.json#/definitions/agentId' },
+    created: { $ref: '#/definitions/timestamp' },
+    updated: { $ref: '#/definitions/timestamp' },
+    type: { type: 'string' },
+    metadata: { type: 'object' },
+    content: { type: 'object' },
+    references: { type: 'array', items: { $ref: '#/definitions/reference' } },
+    ttl: { type: 'number', minimum: 0 },
+    priority: { type: 'number' }
+  },
+  additionalProperties: false
+};
+
+// JSON Schema for agent data
+const agentSchema = {
+  $id: AGENT_SCHEMA_ID,
+  type: 'object',
+  required: ['agentId', 'created'],
+  definitions: {
+    agentId: { type: 'string', minLength: 1 },
+    model: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        version: { type: 'string' }
+      }
+    }
+  },
+  properties: {
+    schemaVersion: { $ref: 'context.json#/definitions/schemaVersion' },
+    agentId: { $ref: '#/definitions/agentId' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    created: { $ref: 'context.json#/definitions/timestamp' },
+    updated: { $ref: 'context.json#/definitions/timestamp' },
+    version: { type: 'string' },
+    status: { type: 'string', enum: ['inactive', 'initializing', 'active', 'paused', 'error'] },
+    capabilities: { type: 'array', items: { type: 'object' } },
+    models: { type: 'array', items: { $ref: '#/definitions/model' } },
+    configuration: { type: 'object' },
+    metrics: { type: 'object' },
+    owner: { type: 'string' },
+    metadata: {
+      type: 'object',
+      properties: {
+        sourceContext: { $ref: 'context.json#/definitions/contextId' },
+        sourceType: { type: 'string' },
+        createdAt: { type: 'string', format: 'date-time' },
+        homepage: { type: 'string', format: 'uri' },
+        contact: { type: 'string', format: 'email' }
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+addSchema(contextSchema);
+addSchema(agentSchema);
+
+module.exports = {
+  CONTEXT_SCHEMA_ID,
+  AGENT_SCHEMA_ID,
+  SCHEMA_VERSIONS,
+  contextSchema,
+  agentSchema
+};
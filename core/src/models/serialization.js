@@ -8,6 +8,11 @@
 
 const ContextModel = require('./ContextModel');
 const AgentModel = require('./AgentModel');
+const { validateSchema } = require('../utils/json-schema');
+const cbor = require('./cbor');
+const msgpack = require('./msgpack');
+const { migrations } = require('./migrations');
+const { ErrorCode, ValidationError } = require('../errors/acip-error');
 
 /**
  * Supported serialization formats
@@ -16,15 +21,30 @@ const FORMAT = {
   JSON: 'json',
   BINARY: 'binary',
   CBOR: 'cbor',    // Concise Binary Object Representation
-  MSGPACK: 'msgpack'
+  MSGPACK: 'msgpack',
+  AUTO: 'auto'     // Deserialization only: detect the format from the data
+};
+
+/**
+ * Model classes by type name; CBOR and MessagePack keep instances of these types
+ */
+const MODEL_TYPES = {
+  context: ContextModel,
+  agent: AgentModel
 };
 
 /**
  * Serializes a model instance or object to the specified format
  * 
+ * JSON and binary (JSON bytes) turn model instances into plain objects. CBOR and
+ * MessagePack also keep Dates, Buffers, BigInts and model instances, including
+ * models nested inside other data.
+ * 
  * @param {Object|BaseModel} data - The data to serialize
  * @param {string} format - Format to serialize to (default: 'json')
  * @param {Object} options - Additional options for serialization
+ * @param {boolean} [options.pretty] - Indent JSON output
+ * @param {boolean} [options.selfDescribe=true] - Prefix CBOR output with the self-describe tag
  * @returns {string|Buffer} Serialized data
  */
 function serialize(data, format = FORMAT.JSON, options = {}) {
@@ -44,27 +64,51 @@ function serialize(data, format = FORMAT.JSON, options = {}) {
       return Buffer.from(JSON.stringify(objectData));
     
     case FORMAT.CBOR:
+      return cbor.encode(data, { ...options, models: MODEL_TYPES });
+    
     case FORMAT.MSGPACK:
-      // In a real implementation, we'd use libraries for these formats
-      throw new Error(`Serialization format '${format}' not implemented yet`);
+      return msgpack.encode(data, { ...options, models: MODEL_TYPES });
     
     default:
-      throw new Error(`Unknown serialization format: ${format}`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Unknown serialization format: ${format}`, { details: { format } });
   }
 }
 
+/**
+ * Builds the codec options that recreate models at their current schema version
+ * @private
+ */
+function decodeOptions(registry) {
+  return {
+    models: MODEL_TYPES,
+    migrate: (name, data) => registry.migrate(name, data, MODEL_TYPES[name].SCHEMA_VERSION)
+  };
+}
+
 /**
  * Deserializes data from the specified format into an object or model instance
  * 
+ * Model data written with an older schema version is upgraded through the
+ * registered migrations; newer data is down-converted when possible and refused
+ * otherwise. This applies to the requested modelType and to models carried
+ * inside CBOR and MessagePack data.
+ * 
  * @param {string|Buffer} data - The serialized data
- * @param {string} format - Format to deserialize from (default: 'json')
+ * @param {string} format - Format to deserialize from (default: 'auto', see detectFormat)
  * @param {string} modelType - Type of model to create (context, agent, etc.) 
  * @param {Object} options - Additional options for deserialization
+ * @param {MigrationRegistry} [options.migrations] - Registry to migrate model data with
  * @returns {Object|BaseModel} Deserialized data
+ * @throws {ProtocolError} PROTOCOL_UNSUPPORTED_VERSION if model data cannot be migrated
  */
-function deserialize(data, format = FORMAT.JSON, modelType = null, options = {}) {
+function deserialize(data, format = FORMAT.AUTO, modelType = null, options = {}) {
+  const registry = options.migrations || migrations;
   let objectData;
   
+  if (format === FORMAT.AUTO) {
+    format = detectFormat(data, registry);
+  }
+  
   switch (format) {
     case FORMAT.JSON:
       objectData = typeof data === 'string' ? JSON.parse(data) : JSON.parse(data.toString());
@@ -76,12 +120,15 @@ function deserialize(data, format = FORMAT.JSON, modelType = null, options = {})
       break;
     
     case FORMAT.CBOR:
+      objectData = cbor.decode(data, decodeOptions(registry));
+      break;
+    
     case FORMAT.MSGPACK:
-      // In a real implementation, we'd use libraries for these formats
-      throw new Error(`Deserialization format '${format}' not implemented yet`);
+      objectData = msgpack.decode(data, decodeOptions(registry));
+      break;
     
     default:
-      throw new Error(`Unknown deserialization format: ${format}`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Unknown deserialization format: ${format}`, { details: { format } });
   }
   
   // If no model type specified, return plain object
@@ -90,16 +137,71 @@ function deserialize(data, format = FORMAT.JSON, modelType = null, options = {})
   }
   
   // Convert to appropriate model instance
-  switch (modelType.toLowerCase()) {
-    case 'context':
-      return new ContextModel(objectData);
-      
-    case 'agent':
-      return new AgentModel(objectData);
-      
-    default:
-      throw new Error(`Unknown model type: ${modelType}`);
+  const type = modelType.toLowerCase();
+  const ModelClass = MODEL_TYPES[type];
+  
+  if (!ModelClass) {
+    throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Unknown model type: ${modelType}`, { details: { modelType } });
+  }
+  
+  // Binary formats may already carry the model instance
+  if (objectData instanceof ModelClass) {
+    return objectData;
   }
+  
+  const plain = objectData && typeof objectData.toObject === 'function' ? objectData.toObject() : objectData;
+  
+  return new ModelClass(registry.migrate(type, plain, ModelClass.SCHEMA_VERSION));
+}
+
+/**
+ * Detects the serialization format of the given data
+ * 
+ * Strings are JSON. Buffers starting with the CBOR self-describe tag are CBOR,
+ * and buffers holding a JSON object or array are binary. Anything else is
+ * whichever of MessagePack, CBOR or JSON text decodes the whole buffer, in that
+ * order: a single MessagePack byte such as 0x31 is also valid JSON text ("1").
+ * 
+ * @param {string|Buffer|Uint8Array} data - The serialized data
+ * @param {MigrationRegistry} [registry] - Registry to migrate embedded models with while probing
+ * @returns {string} One of FORMAT.JSON, FORMAT.BINARY, FORMAT.CBOR or FORMAT.MSGPACK
+ * @throws {ValidationError} If the data is not in any supported format
+ */
+function detectFormat(data, registry = migrations) {
+  if (typeof data === 'string') {
+    return FORMAT.JSON;
+  }
+  
+  if (!(data instanceof Uint8Array) || data.length === 0) {
+    throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Cannot detect the serialization format of empty or non-binary data');
+  }
+  
+  if (cbor.hasSelfDescribeTag(data)) {
+    return FORMAT.CBOR;
+  }
+  
+  const text = Buffer.from(data).toString('utf8');
+  const parseJson = () => JSON.parse(text);
+  const candidates = [
+    [FORMAT.MSGPACK, () => msgpack.decode(data, decodeOptions(registry))],
+    [FORMAT.CBOR, () => cbor.decode(data, decodeOptions(registry))],
+    [FORMAT.BINARY, parseJson]
+  ];
+  
+  if (/^\s*[[{]/.test(text)) {
+    candidates.unshift([FORMAT.BINARY, parseJson]);
+  }
+  
+  for (const [format, tryDecode] of candidates) {
+    try {
+      tryDecode();
+      return format;
+    } catch (error) {
+      // Not this format, try the next one
+    }
+  }
+  
+  throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Unable to detect the serialization format of the data');
 }
 
 /**
@@ -132,31 +234,21 @@ function convert(data, sourceType, targetType, options = {}) {
   
   // Add other conversions as needed
   
-  throw new Error(`Conversion from ${sourceType} to ${targetType} not supported`);
+  throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Conversion from ${sourceType} to ${targetType} not supported`, { details: { sourceType, targetType } });
 }
 
 /**
  * Validates serialized data against a schema
  * 
  * @param {Object} data - The data to validate
- * @param {Object} schema - Schema to validate against
- * @returns {Object} Validation result with isValid and errors properties
+ * @param {Object} schema - JSON Schema to validate against; may $ref the registered model schemas
+ * @returns {Object} Validation result with isValid and errors properties (errors carry JSON Pointer paths)
  */
 function validate(data, schema) {
-  // Basic validation - in a real implementation, this would use a full JSON Schema validator
-  const errors = [];
-  
-  // Check required properties
-  if (schema.required) {
-    for (const requiredProp of schema.required) {
-      if (data[requiredProp] === undefined) {
-        errors.push(`Missing required property: ${requiredProp}`);
-      }
-    }
-  }
+  const { valid, errors } = validateSchema(schema, data);
   
   return {
-    isValid: errors.length === 0,
+    isValid: valid,
     errors
   };
 }
@@ -173,8 +265,10 @@ function generateId(prefix = '') {
 
 module.exports = {
   FORMAT,
+  MODEL_TYPES,
   serialize,
   deserialize,
+  detectFormat,
   convert,
   validate,
   generateId
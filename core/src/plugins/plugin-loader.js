@@ -0,0 +1,509 @@
+/**
+ * ACIP插件加载器
+ *
+ * 从插件目录、配置列表或 node_modules 中的包发现ACIP模块，
+ * 按依赖顺序实例化并注册到核心
+ *
+ * @module plugins
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const semver = require('semver');
+const { ModuleLifecycle } = require('../lifecycle/lifecycle');
+const { normalizeDependencies } = require('../registry/module-registry');
+const { ErrorCode, ResourceError, ValidationError } = require('../errors/acip-error');
+
+/**
+ * 独立清单文件名
+ */
+const MANIFEST_FILE = 'acip.json';
+
+/**
+ * package.json 中存放清单的字段
+ */
+const PACKAGE_MANIFEST_FIELD = 'acip';
+
+/**
+ * 插件加载器类
+ *
+ * 插件清单沿用协议规范 §5.2 的模块注册信息（id、version、dependencies、interfaces等），
+ * 额外的 `main` 字段指定入口文件。清单可以写在插件目录的 acip.json 中，
+ * 也可以写在 package.json 的 `acip` 字段中（version 和 main 默认取自 package.json）。
+ *
+ * 入口文件可以导出 ModuleLifecycle 子类、返回模块实例的工厂函数，
+ * 或包含 createModule 工厂函数的对象。
+ */
+class PluginLoader {
+  /**
+   * 创建新的插件加载器实例
+   * @param {Object} options - 配置选项
+   * @param {Core} options.core - 接收插件模块的核心实例
+   * @param {string} [options.baseDir=process.cwd()] - 解析相对路径的基准目录
+   * @param {Object} [logger=console] - 日志记录器
+   */
+  constructor(options = {}, logger = console) {
+    if (!options.core) {
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, '插件加载器需要核心实例');
+    }
+
+    this.core = options.core;
+    this.registry = options.core.registry;
+    this.baseDir = options.baseDir || process.cwd();
+    this.logger = logger;
+
+    // 绑定方法，确保this指向正确
+    this.load = this.load.bind(this);
+    this.discover = this.discover.bind(this);
+  }
+
+  /**
+   * 发现、验证并加载插件
+   *
+   * 加载失败的插件不会中断其他插件，依赖它的插件会随之失败。同一插件的不同版本
+   * 可以一起加载，每个依赖使用同一批插件中满足其版本范围的最高版本
+   *
+   * @param {Object} [config={}] - 插件配置
+   * @param {string|Array<string>} [config.path] - 插件目录，每个子目录是一个插件
+   * @param {boolean|string} [config.nodeModules=false] - 是否扫描 node_modules，或指定其路径
+   * @param {Array<Object>} [config.modules] - 显式列出的插件，形如 {package|path, options, enabled}
+   * @returns {Promise<Object>} 加载结果，包含 loaded 和 failed
+   * @throws {ResourceError} 如果插件之间存在依赖循环
+   */
+  async load(config = {}) {
+    const result = {
+      loaded: [],
+      failed: []
+    };
+
+    const candidates = await this.discover(config);
+    const plugins = new Map();
+
+    // 验证清单，同一模块ID的重复版本只保留第一个
+    for (const plugin of candidates) {
+      if (plugin.error) {
+        this._fail(result, plugin, plugin.error);
+        continue;
+      }
+
+      const validation = this.validateManifest(plugin.manifest);
+
+      if (!validation.isValid) {
+        this._fail(result, plugin, new ValidationError(
+          ErrorCode.VALIDATION_INVALID_FORMAT,
+          `插件清单无效 (${plugin.dir}): ${validation.errors.join('; ')}`,
+          { details: { errors: validation.errors, dir: plugin.dir } }
+        ));
+        continue;
+      }
+
+      const key = `${plugin.manifest.id}@${plugin.manifest.version}`;
+
+      if (plugins.has(key)) {
+        this.logger.warn(`插件 "${key}" 重复出现，忽略 ${plugin.dir}`);
+        continue;
+      }
+
+      plugins.set(key, plugin);
+    }
+
+    // 按依赖顺序实例化，依赖循环会在这里抛出
+    const dependencies = new Map();
+    for (const [key, plugin] of plugins.entries()) {
+      dependencies.set(key, plugin.manifest.dependencies
+        .map(dep => this._resolvePlugin(plugins, dep))
+        .filter(Boolean));
+    }
+
+    const order = this.core._getModuleDependencyOrder(dependencies);
+    const failedIds = new Set(result.failed.map(entry => entry.id).filter(Boolean));
+
+    for (const key of order) {
+      const plugin = plugins.get(key);
+      const { id } = plugin.manifest;
+
+      try {
+        await this._checkDependencies(plugin.manifest, plugins, failedIds);
+
+        const instance = await this._instantiate(plugin);
+        await this.core.registerModule(id, instance, this._toRegistrationOptions(plugin.manifest));
+
+        result.loaded.push({
+          id,
+          version: plugin.manifest.version,
+          dir: plugin.dir,
+          module: instance
+        });
+
+        this.logger.info(`插件 "${id}" v${plugin.manifest.version} 已加载`);
+      } catch (error) {
+        failedIds.add(key);
+        this._fail(result, plugin, error);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 发现插件
+   * @param {Object} [config={}] - 插件配置，参见 load()
+   * @returns {Promise<Array<Object>>} 插件数组，每项包含 dir、manifest 和 options
+   */
+  async discover(config = {}) {
+    const plugins = [];
+
+    // 显式列出的插件
+    for (const entry of config.modules || []) {
+      if (entry.enabled === false) {
+        continue;
+      }
+
+      let dir;
+      try {
+        dir = this._resolveEntryDir(entry);
+      } catch (error) {
+        plugins.push({ dir: entry.package || entry.path, manifest: null, options: {}, error });
+        continue;
+      }
+
+      plugins.push(await this._discoverDir(dir, entry.options));
+    }
+
+    // 插件目录，以及 node_modules 中声明了ACIP清单的包
+    const pluginPaths = Array.isArray(config.path) ? config.path : (config.path ? [config.path] : []);
+    const scanDirs = pluginPaths.map(pluginPath => path.resolve(this.baseDir, pluginPath));
+
+    if (config.nodeModules) {
+      scanDirs.push(typeof config.nodeModules === 'string'
+        ? path.resolve(this.baseDir, config.nodeModules)
+        : path.join(this.baseDir, 'node_modules'));
+    }
+
+    for (const scanDir of scanDirs) {
+      for (const dir of await this._listPackageDirs(scanDir)) {
+        const plugin = await this._discoverDir(dir);
+
+        // 扫描到的目录没有清单时不是插件
+        if (plugin.manifest || plugin.error) {
+          plugins.push(plugin);
+        }
+      }
+    }
+
+    // 配置中按模块ID指定的选项，显式条目中的选项优先
+    const moduleOptions = config.options || {};
+    for (const plugin of plugins) {
+      if (plugin.manifest && moduleOptions[plugin.manifest.id]) {
+        plugin.options = { ...moduleOptions[plugin.manifest.id], ...plugin.options };
+      }
+    }
+
+    this.logger.info(`发现 ${plugins.length} 个插件`);
+
+    return plugins;
+  }
+
+  /**
+   * 读取插件目录中的清单
+   *
+   * 优先读取 acip.json，其次读取 package.json 的 acip 字段
+   *
+   * @param {string} dir - 插件目录
+   * @returns {Promise<Object|null>} 规范化后的清单，目录中没有清单时返回null
+   */
+  async readManifest(dir) {
+    const pkg = await this._readJson(path.join(dir, 'package.json'));
+    const standalone = await this._readJson(path.join(dir, MANIFEST_FILE));
+    const declared = standalone || (pkg && pkg[PACKAGE_MANIFEST_FIELD]);
+
+    if (!declared || typeof declared !== 'object') {
+      return null;
+    }
+
+    return {
+      ...declared,
+      name: declared.name || (pkg && pkg.name) || declared.id,
+      version: declared.version || (pkg && pkg.version),
+      description: declared.description || (pkg && pkg.description) || '',
+      author: declared.author || (pkg && typeof pkg.author === 'string' ? pkg.author : ''),
+      main: declared.main || (pkg && pkg.main) || 'index.js',
+      dependencies: normalizeDependencies(declared.dependencies),
+      interfaces: declared.interfaces || []
+    };
+  }
+
+  /**
+   * 验证插件清单
+   *
+   * 使用与 ModuleRegistry.register 相同的规则，并检查入口文件路径
+   *
+   * @param {Object} manifest - 插件清单
+   * @returns {Object} 验证结果，包含 isValid 和 errors
+   */
+  validateManifest(manifest) {
+    if (!manifest) {
+      return { isValid: false, errors: [`未找到 ${MANIFEST_FILE} 或 package.json 中的 "${PACKAGE_MANIFEST_FIELD}" 字段`] };
+    }
+
+    const validation = this.registry.validateModuleInfo(manifest);
+    const errors = [...validation.errors];
+
+    if (typeof manifest.main !== 'string' || manifest.main.length === 0) {
+      errors.push('插件清单缺少入口文件main');
+    } else if (path.isAbsolute(manifest.main) || manifest.main.split(/[\\/]/).includes('..')) {
+      errors.push(`插件入口 "${manifest.main}" 必须位于插件目录内`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * 检查插件依赖是否满足
+   *
+   * 依赖可以由同一批插件或注册表提供（包括核心自身，id为 "core"）。
+   * 同一批插件按依赖顺序注册，检查时依赖的插件已在注册表中
+   *
+   * @private
+   * @param {Object} manifest - 插件清单
+   * @param {Map<string, Object>} plugins - 本次加载的插件，键为 "模块ID@版本"
+   * @param {Set<string>} failedIds - 加载失败的插件，清单无效时为模块ID，否则为 "模块ID@版本"
+   * @returns {Promise<void>}
+   * @throws {ResourceError} 如果必需的依赖缺失或版本不满足
+   */
+  async _checkDependencies(manifest, plugins, failedIds) {
+    for (const dep of manifest.dependencies) {
+      if (dep.optional) {
+        continue;
+      }
+
+      const range = dep.version || '*';
+      const versions = this.registry.getVersions(dep.id);
+
+      if (semver.maxSatisfying(versions, range) !== null) {
+        continue;
+      }
+
+      // 只有加载失败的插件能提供满足的版本
+      const failed = failedIds.has(dep.id) || [...plugins.entries()].some(([key, plugin]) =>
+        failedIds.has(key) && plugin.manifest.id === dep.id && semver.satisfies(plugin.manifest.version, range));
+
+      if (failed) {
+        throw new ResourceError(
+          ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED,
+          `插件 "${manifest.id}" 的依赖 "${dep.id}" 加载失败`,
+          { details: { moduleId: manifest.id, dependency: dep } }
+        );
+      }
+
+      if (versions.length === 0) {
+        throw new ResourceError(
+          ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED,
+          `插件 "${manifest.id}" 依赖的模块 "${dep.id}" 不存在`,
+          { details: { moduleId: manifest.id, dependency: dep } }
+        );
+      }
+
+      throw new ResourceError(
+        ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED,
+        `插件 "${manifest.id}" 需要 "${dep.id}" ${dep.version}，可用版本为 ${versions.join(', ')}`,
+        { details: { moduleId: manifest.id, dependency: dep, availableVersions: versions } }
+      );
+    }
+  }
+
+  /**
+   * 在同一批插件中查找满足依赖的最高版本
+   * @private
+   * @param {Map<string, Object>} plugins - 本次加载的插件，键为 "模块ID@版本"
+   * @param {Object} dep - 依赖声明 {id, version}
+   * @returns {string|null} 插件的键，没有满足的插件时返回null
+   */
+  _resolvePlugin(plugins, dep) {
+    const candidates = [...plugins.values()]
+      .filter(plugin => plugin.manifest.id === dep.id)
+      .map(plugin => plugin.manifest.version);
+    const version = semver.maxSatisfying(candidates, dep.version || '*');
+
+    return version ? `${dep.id}@${version}` : null;
+  }
+
+  /**
+   * 加载入口文件并创建模块实例
+   * @private
+   * @param {Object} plugin - 插件
+   * @returns {Promise<ModuleLifecycle>} 模块实例
+   */
+  async _instantiate(plugin) {
+    const { manifest } = plugin;
+    const entryPath = path.resolve(plugin.dir, manifest.main);
+
+    let exported = require(entryPath);
+    if (exported && exported.__esModule && exported.default) {
+      exported = exported.default;
+    }
+
+    const options = {
+      ...((manifest.configuration && manifest.configuration.default) || {}),
+      ...plugin.options,
+      moduleId: manifest.id,
+      logger: this.logger
+    };
+    const context = { core: this.core, manifest };
+
+    let instance;
+
+    if (typeof exported === 'function' && exported.prototype instanceof ModuleLifecycle) {
+      instance = new exported(options);
+    } else if (typeof exported === 'function') {
+      instance = await exported(options, context);
+    } else if (exported && typeof exported.createModule === 'function') {
+      instance = await exported.createModule(options, context);
+    } else {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `插件 "${manifest.id}" 的入口必须导出ModuleLifecycle子类或工厂函数`,
+        { details: { entry: entryPath } }
+      );
+    }
+
+    if (!(instance instanceof ModuleLifecycle)) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `插件 "${manifest.id}" 创建的模块实例必须实现ModuleLifecycle接口`,
+        { details: { entry: entryPath } }
+      );
+    }
+
+    return instance;
+  }
+
+  /**
+   * 将清单转换为 Core.registerModule 的选项
+   * @private
+   * @param {Object} manifest - 插件清单
+   * @returns {Object} 注册选项
+   */
+  _toRegistrationOptions(manifest) {
+    return {
+      name: manifest.name,
+      version: manifest.version,
+      description: manifest.description,
+      author: manifest.author,
+      dependencies: manifest.dependencies,
+      interfaces: manifest.interfaces,
+      configuration: manifest.configuration || {}
+    };
+  }
+
+  /**
+   * 读取单个插件目录
+   * @private
+   * @param {string} dir - 插件目录
+   * @param {Object} [options={}] - 插件选项
+   * @returns {Promise<Object>} 插件，读取失败时包含 error
+   */
+  async _discoverDir(dir, options = {}) {
+    try {
+      return { dir, manifest: await this.readManifest(dir), options: { ...options } };
+    } catch (error) {
+      return { dir, manifest: null, options: { ...options }, error };
+    }
+  }
+
+  /**
+   * 解析显式插件条目的目录
+   * @private
+   * @param {Object} entry - 插件条目，包含 package 或 path
+   * @returns {string} 插件目录
+   */
+  _resolveEntryDir(entry) {
+    if (entry.path) {
+      return path.resolve(this.baseDir, entry.path);
+    }
+
+    if (entry.package) {
+      const pkgPath = require.resolve(`${entry.package}/package.json`, { paths: [this.baseDir] });
+      return path.dirname(pkgPath);
+    }
+
+    throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, '插件条目必须指定package或path');
+  }
+
+  /**
+   * 列出目录下的包目录，包括 @scope 下的包
+   * @private
+   * @param {string} dir - 目录
+   * @returns {Promise<Array<string>>} 包目录数组
+   */
+  async _listPackageDirs(dir) {
+    let entries;
+
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.warn(`插件目录 ${dir} 不存在`);
+        return [];
+      }
+      throw error;
+    }
+
+    const dirs = [];
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) {
+        continue;
+      }
+
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.name.startsWith('@')) {
+        dirs.push(...await this._listPackageDirs(fullPath));
+      } else {
+        dirs.push(fullPath);
+      }
+    }
+
+    return dirs;
+  }
+
+  /**
+   * 读取JSON文件
+   * @private
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<Object|null>} 解析结果，文件不存在时返回null
+   */
+  async _readJson(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `无法解析 ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 记录加载失败的插件
+   * @private
+   * @param {Object} result - 加载结果
+   * @param {Object} plugin - 插件
+   * @param {Error} error - 错误
+   */
+  _fail(result, plugin, error) {
+    const id = plugin.manifest && plugin.manifest.id;
+
+    result.failed.push({ id, dir: plugin.dir, error });
+    this.logger.error(`加载插件 "${id || plugin.dir}" 失败: ${error.message}`);
+  }
+}
+
+module.exports = {
+  PluginLoader,
+  MANIFEST_FILE
+};
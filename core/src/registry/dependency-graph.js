@@ -0,0 +1,146 @@
+/**
+ * ACIP模块依赖图工具
+ *
+ * 提供依赖循环检测以及依赖图的DOT格式导出
+ *
+ * @module registry
+ */
+
+/**
+ * 查找依赖图中的所有循环
+ *
+ * 每个循环以起止相同的模块ID路径表示，例如 ['a', 'b', 'a']。
+ * 同一个循环只报告一次，不论从哪个模块开始遍历。
+ *
+ * @param {Map<string, string[]>} dependencies - 模块ID -> 依赖的模块ID数组
+ * @returns {Array<Array<string>>} 循环路径数组
+ */
+function findCycles(dependencies) {
+  const visited = new Set();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  const seen = new Set();
+
+  function visit(id) {
+    visited.add(id);
+    stack.push(id);
+    onStack.add(id);
+
+    for (const depId of dependencies.get(id) || []) {
+      // 忽略不在图中的依赖（例如外部提供的模块）
+      if (!dependencies.has(depId)) {
+        continue;
+      }
+
+      if (onStack.has(depId)) {
+        const cycle = stack.slice(stack.indexOf(depId));
+        const key = _cycleKey(cycle);
+
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push([...cycle, depId]);
+        }
+      } else if (!visited.has(depId)) {
+        visit(depId);
+      }
+    }
+
+    stack.pop();
+    onStack.delete(id);
+  }
+
+  for (const id of dependencies.keys()) {
+    if (!visited.has(id)) {
+      visit(id);
+    }
+  }
+
+  return cycles;
+}
+
+/**
+ * 将依赖图转换为Graphviz DOT格式
+ *
+ * 可选依赖使用虚线，不满足的依赖和循环中的边标红，未注册的模块使用虚线框
+ *
+ * @param {Object} graph - 依赖图，包含 nodes、edges 和 cycles
+ * @param {string} [name='acip'] - 图名称
+ * @returns {string} DOT文本
+ */
+function toDot(graph, name = 'acip') {
+  const cycleEdges = new Set();
+
+  for (const cycle of graph.cycles || []) {
+    for (let i = 0; i < cycle.length - 1; i++) {
+      cycleEdges.add(`${cycle[i]}\u0000${cycle[i + 1]}`);
+    }
+  }
+
+  const lines = [`digraph ${_quote(name)} {`, '  rankdir=LR;', '  node [shape=box];'];
+
+  for (const node of graph.nodes) {
+    const attrs = [`label=${_quote(node.version ? `${node.id}\n${node.version}` : node.id)}`];
+
+    if (!node.registered) {
+      attrs.push('style=dashed');
+    }
+
+    lines.push(`  ${_quote(node.id)} [${attrs.join(', ')}];`);
+  }
+
+  for (const edge of graph.edges) {
+    const attrs = [];
+
+    if (edge.range) {
+      attrs.push(`label=${_quote(edge.range)}`);
+    }
+
+    if (edge.optional) {
+      attrs.push('style=dashed');
+    }
+
+    if (cycleEdges.has(`${edge.from}\u0000${edge.to}`) || (!edge.satisfied && !edge.optional)) {
+      attrs.push('color=red');
+    }
+
+    lines.push(`  ${_quote(edge.from)} -> ${_quote(edge.to)}${attrs.length > 0 ? ` [${attrs.join(', ')}]` : ''};`);
+  }
+
+  lines.push('}');
+
+  return lines.join('\n');
+}
+
+/**
+ * 生成与起点无关的循环标识
+ * @private
+ * @param {Array<string>} cycle - 不含重复终点的循环路径
+ * @returns {string} 标识
+ */
+function _cycleKey(cycle) {
+  let start = 0;
+
+  for (let i = 1; i < cycle.length; i++) {
+    if (cycle[i] < cycle[start]) {
+      start = i;
+    }
+  }
+
+  return [...cycle.slice(start), ...cycle.slice(0, start)].join('\u0000');
+}
+
+/**
+ * 转义DOT标识符
+ * @private
+ * @param {string} value - 原始字符串
+ * @returns {string} 带引号的字符串
+ */
+function _quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+module.exports = {
+  findCycles,
+  toDot
+};
@@ -9,6 +9,7 @@
 const EventEmitter = require('events');
 const semver = require('semver');
 const { v4: generateUUID } = require('uuid');
+const { ErrorCode, ResourceError, ValidationError } = require('../errors/acip-error');
 
 /**
  * 模块注册表事件
@@ -20,19 +21,47 @@ const RegistryEvents = {
   REGISTRY_ERROR: 'registry:error'
 };
 
+/**
+ * 规范化依赖声明
+ * 
+ * 支持规范中的数组形式 [{id, version, optional}]，以及 package.json 风格的
+ * {id: 版本范围} 或 {id: {version, optional}} 对象。其他类型原样返回，由验证报告错误。
+ * 
+ * @param {Array<Object>|Object} dependencies - 依赖声明
+ * @returns {Array<Object>} 依赖数组
+ */
+function normalizeDependencies(dependencies) {
+  if (!dependencies) {
+    return [];
+  }
+  
+  if (Array.isArray(dependencies) || typeof dependencies !== 'object') {
+    return dependencies;
+  }
+  
+  return Object.entries(dependencies).map(([id, spec]) => (
+    spec && typeof spec === 'object' ? { ...spec, id } : { id, version: spec }
+  ));
+}
+
 /**
  * 模块注册表类
  * 
- * 管理所有ACIP模块的注册、发现和版本控制
+ * 管理所有ACIP模块的注册、发现和版本控制。同一模块的不同版本可以并存，
+ * 依赖使用语义化版本范围声明，并解析到满足范围的最高已注册版本。
  */
 class ModuleRegistry {
   /**
    * 创建新的模块注册表实例
    * @param {Object} options - 配置选项
+   * @param {boolean} [options.strictDependencies=false] - 注册时要求必需依赖已满足
+   * @param {Object} [options.providedModules={}] - 不经注册表提供的模块及其版本，例如 {core: '0.1.0'}
    * @param {Object} [logger=console] - 日志记录器
    */
   constructor(options = {}, logger = console) {
     this.modules = new Map();
+    this.strictDependencies = options.strictDependencies || false;
+    this.providedModules = { ...(options.providedModules || {}) };
     this.logger = logger;
     this.eventBus = new EventEmitter();
     
@@ -43,11 +72,18 @@ class ModuleRegistry {
     
     // 绑定方法，确保this指向正确
     this.register = this.register.bind(this);
+    this.validateModuleInfo = this.validateModuleInfo.bind(this);
     this.unregister = this.unregister.bind(this);
     this.getModule = this.getModule.bind(this);
     this.getModuleInfo = this.getModuleInfo.bind(this);
     this.listModules = this.listModules.bind(this);
+    this.getModuleByVersion = this.getModuleByVersion.bind(this);
+    this.resolveInstanceId = this.resolveInstanceId.bind(this);
+    this.listInstances = this.listInstances.bind(this);
+    this.getInstanceInfo = this.getInstanceInfo.bind(this);
+    this.getVersions = this.getVersions.bind(this);
     this.getDependencies = this.getDependencies.bind(this);
+    this.getConflicts = this.getConflicts.bind(this);
     this.checkDependencies = this.checkDependencies.bind(this);
     this.on = this.on.bind(this);
     this.off = this.off.bind(this);
@@ -60,20 +96,24 @@ class ModuleRegistry {
    * @param {Object} moduleInfo - 模块信息
    * @param {Object} moduleInstance - 模块实例
    * @returns {Promise<string>} 实例ID
-   * @throws {Error} 如果模块信息无效或无法注册
+   * @throws {ValidationError} 如果模块信息无效
+   * @throws {ResourceError} 如果启用了 strictDependencies 且必需依赖不满足
    */
   async register(moduleInfo, moduleInstance) {
     // 验证模块信息
-    if (!moduleInfo || !moduleInfo.id) {
-      throw new Error('模块信息无效：缺少模块ID');
-    }
+    const validation = this.validateModuleInfo(moduleInfo);
     
-    if (!moduleInfo.version) {
-      throw new Error('模块信息无效：缺少版本号');
+    if (!validation.isValid) {
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, validation.errors[0], { details: { errors: validation.errors } });
     }
     
-    if (!this._isValidVersion(moduleInfo.version)) {
-      throw new Error(`模块版本号 "${moduleInfo.version}" 无效，必须符合语义化版本规范`);
+    moduleInfo = {
+      ...moduleInfo,
+      dependencies: normalizeDependencies(moduleInfo.dependencies)
+    };
+    
+    if (this.strictDependencies) {
+      this._assertDependenciesSatisfied(moduleInfo);
     }
     
     // 检查是否已存在相同模块
@@ -101,6 +141,7 @@ class ModuleRegistry {
         
         // 添加新实例
         existingModule.instances.set(instanceId, moduleInstance);
+        existingModule.instanceInfo.set(instanceId, moduleInfo);
         
         // 发送更新事件
         this._emitEvent(RegistryEvents.MODULE_INFO_UPDATED, {
@@ -113,8 +154,9 @@ class ModuleRegistry {
       } else {
         this.logger.info(`添加模块 "${moduleInfo.id}" 的另一个实例，版本: ${newVersion}`);
         
-        // 添加新实例
+        // 添加新实例，较低的版本与当前版本并存
         existingModule.instances.set(instanceId, moduleInstance);
+        existingModule.instanceInfo.set(instanceId, moduleInfo);
       }
     } else {
       // 创建新的模块记录
@@ -124,7 +166,9 @@ class ModuleRegistry {
           registeredAt: new Date(),
           updatedAt: new Date()
         },
-        instances: new Map([[instanceId, moduleInstance]])
+        instances: new Map([[instanceId, moduleInstance]]),
+        // 实例ID -> 该实例注册时的模块信息（包含版本）
+        instanceInfo: new Map([[instanceId, moduleInfo]])
       });
       
       this.logger.info(`模块 "${moduleInfo.id}" 已注册，版本: ${moduleInfo.version}`);
@@ -140,6 +184,53 @@ class ModuleRegistry {
     return instanceId;
   }
 
+  /**
+   * 验证模块信息
+   * 
+   * register() 使用相同的规则，插件加载器可以在实例化模块之前预先检查清单
+   * 
+   * @param {Object} moduleInfo - 模块信息
+   * @returns {Object} 验证结果，包含 isValid 和 errors
+   */
+  validateModuleInfo(moduleInfo) {
+    const errors = [];
+    
+    if (!moduleInfo || !moduleInfo.id) {
+      return { isValid: false, errors: ['模块信息无效：缺少模块ID'] };
+    }
+    
+    if (!moduleInfo.version) {
+      errors.push('模块信息无效：缺少版本号');
+    } else if (!this._isValidVersion(moduleInfo.version)) {
+      errors.push(`模块版本号 "${moduleInfo.version}" 无效，必须符合语义化版本规范`);
+    }
+    
+    if (moduleInfo.dependencies !== undefined) {
+      const dependencies = normalizeDependencies(moduleInfo.dependencies);
+      
+      if (!Array.isArray(dependencies)) {
+        errors.push('模块信息无效：dependencies必须是数组或 {模块ID: 版本范围} 对象');
+      } else {
+        for (const dep of dependencies) {
+          if (!dep || !dep.id) {
+            errors.push('模块信息无效：依赖项缺少模块ID');
+          } else if (dep.version && semver.validRange(dep.version) === null) {
+            errors.push(`模块依赖 "${dep.id}" 的版本范围 "${dep.version}" 无效`);
+          }
+        }
+      }
+    }
+    
+    if (moduleInfo.interfaces !== undefined && !Array.isArray(moduleInfo.interfaces)) {
+      errors.push('模块信息无效：interfaces必须是数组');
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
   /**
    * 注销模块
    * @param {string} moduleId - 模块ID
@@ -154,8 +245,18 @@ class ModuleRegistry {
       return false;
     }
     
-    // 检查是否有其他模块依赖此模块
-    const dependentModules = await this._checkDependentModules(moduleId);
+    if (instanceId && !moduleEntry.instances.has(instanceId)) {
+      this.logger.warn(`尝试注销不存在的实例 "${instanceId}" (模块 "${moduleId}")`);
+      return false;
+    }
+    
+    // 检查是否有其他模块依赖此模块；只注销单个实例时，剩余版本仍能满足的依赖不受影响
+    const remainingVersions = instanceId
+      ? Array.from(moduleEntry.instanceInfo.entries())
+        .filter(([id]) => id !== instanceId)
+        .map(([, info]) => info.version)
+      : [];
+    const dependentModules = await this._checkDependentModules(moduleId, remainingVersions);
     
     if (dependentModules.length > 0) {
       this.logger.warn(`无法注销模块 "${moduleId}"，以下模块依赖它: ${dependentModules.join(', ')}`);
@@ -164,13 +265,11 @@ class ModuleRegistry {
     
     // 如果指定了实例ID，只注销特定实例
     if (instanceId) {
-      if (!moduleEntry.instances.has(instanceId)) {
-        this.logger.warn(`尝试注销不存在的实例 "${instanceId}" (模块 "${moduleId}")`);
-        return false;
-      }
+      const removedInfo = moduleEntry.instanceInfo.get(instanceId);
       
       // 移除特定实例
       moduleEntry.instances.delete(instanceId);
+      moduleEntry.instanceInfo.delete(instanceId);
       
       this.logger.info(`模块 "${moduleId}" 的实例 "${instanceId}" 已注销`);
       
@@ -178,6 +277,8 @@ class ModuleRegistry {
       if (moduleEntry.instances.size === 0) {
         this.modules.delete(moduleId);
         this.logger.info(`模块 "${moduleId}" 已完全注销（没有剩余实例）`);
+      } else if (removedInfo.version === moduleEntry.moduleInfo.version) {
+        this._refreshModuleInfo(moduleEntry);
       }
       
       // 发送注销事件
@@ -210,6 +311,78 @@ class ModuleRegistry {
     return true;
   }
 
+  /**
+   * 替换模块实例
+   * 
+   * 新实例沿用被替换实例的实例ID和注册信息，infoUpdates 中的字段（例如新版本）
+   * 覆盖原有信息。替换后的版本必须仍能满足依赖该模块的其他模块。
+   * 
+   * @param {string} moduleId - 模块ID
+   * @param {Object} currentInstance - 被替换的模块实例
+   * @param {Object} newInstance - 新的模块实例
+   * @param {Object} [infoUpdates={}] - 要更新的模块信息字段
+   * @returns {Promise<Object>} 替换结果 {instanceId, previousInfo}，previousInfo 可用于换回原实例
+   * @throws {ResourceError} 如果实例不存在，或新版本不再满足依赖方
+   * @throws {ValidationError} 如果更新后的模块信息无效
+   */
+  async replace(moduleId, currentInstance, newInstance, infoUpdates = {}) {
+    const moduleEntry = this.modules.get(moduleId);
+    const instanceId = moduleEntry && Array.from(moduleEntry.instances.entries())
+      .filter(([, instance]) => instance === currentInstance)
+      .map(([id]) => id)[0];
+    
+    if (!instanceId) {
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `模块 "${moduleId}" 中不存在要替换的实例`, {
+        details: { moduleId }
+      });
+    }
+    
+    const previousInfo = moduleEntry.instanceInfo.get(instanceId);
+    const moduleInfo = { ...previousInfo, ...infoUpdates, id: moduleId };
+    const validation = this.validateModuleInfo(moduleInfo);
+    
+    if (!validation.isValid) {
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, validation.errors[0], {
+        details: { moduleId, errors: validation.errors }
+      });
+    }
+    
+    moduleInfo.dependencies = normalizeDependencies(moduleInfo.dependencies);
+    
+    if (this.strictDependencies) {
+      this._assertDependenciesSatisfied(moduleInfo);
+    }
+    
+    // 替换后的版本集合仍要满足依赖方的版本范围
+    const versions = Array.from(moduleEntry.instanceInfo.entries())
+      .map(([id, info]) => (id === instanceId ? moduleInfo.version : info.version));
+    const dependentModules = await this._checkDependentModules(moduleId, versions);
+    
+    if (dependentModules.length > 0) {
+      throw new ResourceError(
+        ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED,
+        `模块 "${moduleId}" 的版本 ${moduleInfo.version} 不满足依赖它的模块: ${dependentModules.join(', ')}`,
+        { details: { moduleId, version: moduleInfo.version, dependents: dependentModules } }
+      );
+    }
+    
+    moduleEntry.instances.set(instanceId, newInstance);
+    moduleEntry.instanceInfo.set(instanceId, moduleInfo);
+    this._refreshModuleInfo(moduleEntry);
+    
+    this.logger.info(`模块 "${moduleId}" 的实例已替换，版本: ${previousInfo.version} -> ${moduleInfo.version}`);
+    
+    this._emitEvent(RegistryEvents.MODULE_INFO_UPDATED, {
+      moduleId,
+      moduleInfo: moduleEntry.moduleInfo,
+      instanceId,
+      previousVersion: previousInfo.version,
+      newVersion: moduleInfo.version
+    });
+    
+    return { instanceId, previousInfo };
+  }
+
   /**
    * 获取模块实例
    * @param {string} moduleId - 模块ID
@@ -233,6 +406,118 @@ class ModuleRegistry {
     return instances.length > 0 ? instances[0] : null;
   }
 
+  /**
+   * 获取满足版本范围的模块实例
+   * 
+   * 多个版本并存时返回满足范围的最高版本
+   * 
+   * @param {string} moduleId - 模块ID
+   * @param {string} [range='*'] - 语义化版本范围
+   * @returns {Promise<Object|null>} 模块实例，如果没有满足的版本则返回null
+   */
+  async getModuleByVersion(moduleId, range = '*') {
+    const instanceId = this.resolveInstanceId(moduleId, range);
+    return instanceId ? this.modules.get(moduleId).instances.get(instanceId) : null;
+  }
+
+  /**
+   * 获取满足版本范围的模块实例ID
+   * 
+   * 多个版本并存时返回满足范围的最高版本，依赖方据此解析到具体的实例
+   * 
+   * @param {string} moduleId - 模块ID
+   * @param {string} [range='*'] - 语义化版本范围
+   * @returns {string|null} 实例ID，如果没有满足的版本则返回null
+   */
+  resolveInstanceId(moduleId, range = '*') {
+    const moduleEntry = this.modules.get(moduleId);
+    
+    if (!moduleEntry) {
+      return null;
+    }
+    
+    let best = null;
+    
+    for (const [instanceId, info] of moduleEntry.instanceInfo.entries()) {
+      if (semver.satisfies(info.version, range) && (!best || semver.gt(info.version, best.version))) {
+        best = { instanceId, version: info.version };
+      }
+    }
+    
+    return best ? best.instanceId : null;
+  }
+
+  /**
+   * 列出已注册的模块实例
+   * 
+   * 同一模块的每个版本各占一项，按注册顺序排列
+   * 
+   * @param {string} [moduleId] - 模块ID，省略时列出所有模块的实例
+   * @returns {Array<Object>} 实例数组，每项包含 instanceId、moduleId、version、moduleInfo 和 instance
+   */
+  listInstances(moduleId) {
+    const result = [];
+    
+    for (const [id, entry] of this.modules.entries()) {
+      if (moduleId && id !== moduleId) {
+        continue;
+      }
+      
+      for (const [instanceId, info] of entry.instanceInfo.entries()) {
+        result.push({
+          instanceId,
+          moduleId: id,
+          version: info.version,
+          moduleInfo: info,
+          instance: entry.instances.get(instanceId)
+        });
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * 获取实例注册时的模块信息
+   * @param {string} instanceId - 实例ID
+   * @returns {Object|null} 模块信息（包含该实例的版本和依赖），如果实例不存在则返回null
+   */
+  getInstanceInfo(instanceId) {
+    for (const entry of this.modules.values()) {
+      if (entry.instanceInfo.has(instanceId)) {
+        return entry.instanceInfo.get(instanceId);
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * 获取模块所有已注册的版本
+   * 
+   * 包括通过 providedModules 提供的模块（例如核心自身）
+   * 
+   * @param {string} moduleId - 模块ID
+   * @returns {Array<string>} 升序排列的版本数组
+   */
+  getVersions(moduleId) {
+    const versions = new Set();
+    
+    if (this.providedModules[moduleId]) {
+      versions.add(this.providedModules[moduleId]);
+    }
+    
+    const moduleEntry = this.modules.get(moduleId);
+    
+    if (moduleEntry) {
+      for (const info of moduleEntry.instanceInfo.values()) {
+        versions.add(info.version);
+      }
+    }
+    
+    return semver.sort(Array.from(versions));
+  }
+
   /**
    * 获取模块信息
    * @param {string} moduleId - 模块ID
@@ -275,10 +560,11 @@ class ModuleRegistry {
         continue;
       }
       
-      // 添加实例数量信息
+      // 添加实例数量和并存版本信息
       const moduleData = {
         ...moduleInfo,
-        instanceCount: entry.instances.size
+        instanceCount: entry.instances.size,
+        versions: this.getVersions(id)
       };
       
       result.push(moduleData);
@@ -290,38 +576,31 @@ class ModuleRegistry {
   /**
    * 获取模块依赖
    * @param {string} moduleId - 模块ID
+   * @param {string} [instanceId] - 特定实例ID，如果不提供则使用最高版本的依赖声明
    * @returns {Promise<Array<Object>>} 依赖数组
    */
-  async getDependencies(moduleId) {
+  async getDependencies(moduleId, instanceId) {
     const moduleEntry = this.modules.get(moduleId);
     
     if (!moduleEntry) {
       return [];
     }
     
-    const { dependencies = [] } = moduleEntry.moduleInfo;
+    const info = instanceId ? moduleEntry.instanceInfo.get(instanceId) : moduleEntry.moduleInfo;
+    const { dependencies = [] } = info || {};
     
     // 解析每个依赖的详细信息
-    return dependencies.map(dep => {
-      const depEntry = this.modules.get(dep.id);
-      
-      return {
-        id: dep.id,
-        version: dep.version,
-        optional: dep.optional || false,
-        satisfied: depEntry ? semver.satisfies(depEntry.moduleInfo.version, dep.version) : false,
-        installed: !!depEntry
-      };
-    });
+    return dependencies.map(dep => this._resolveDependency(dep));
   }
 
   /**
    * 检查模块依赖是否满足
    * @param {string} moduleId - 模块ID
+   * @param {string} [instanceId] - 特定实例ID，如果不提供则检查最高版本的依赖声明
    * @returns {Promise<Object>} 依赖检查结果
    */
-  async checkDependencies(moduleId) {
-    const dependencies = await this.getDependencies(moduleId);
+  async checkDependencies(moduleId, instanceId) {
+    const dependencies = await this.getDependencies(moduleId, instanceId);
     
     const result = {
       allSatisfied: true,
@@ -332,7 +611,9 @@ class ModuleRegistry {
       optional: {
         satisfied: [],
         unsatisfied: []
-      }
+      },
+      // 已注册但没有版本满足范围的必需依赖
+      conflicts: []
     };
     
     for (const dep of dependencies) {
@@ -348,6 +629,10 @@ class ModuleRegistry {
         } else {
           result.required.unsatisfied.push(dep);
           result.allSatisfied = false;
+          
+          if (dep.installed) {
+            result.conflicts.push(dep);
+          }
         }
       }
     }
@@ -355,6 +640,32 @@ class ModuleRegistry {
     return result;
   }
 
+  /**
+   * 获取注册表中所有的版本冲突
+   * 
+   * 冲突指模块声明的必需依赖已注册，但没有任何已注册版本满足其版本范围
+   * 
+   * @returns {Promise<Array<Object>>} 冲突数组，每项包含 moduleId、dependencyId、range 和 availableVersions
+   */
+  async getConflicts() {
+    const conflicts = [];
+    
+    for (const moduleId of this.modules.keys()) {
+      const { conflicts: moduleConflicts } = await this.checkDependencies(moduleId);
+      
+      for (const dep of moduleConflicts) {
+        conflicts.push({
+          moduleId,
+          dependencyId: dep.id,
+          range: dep.version,
+          availableVersions: dep.availableVersions
+        });
+      }
+    }
+    
+    return conflicts;
+  }
+
   /**
    * 为指定的事件注册监听器
    * @param {string} event - 事件名称
@@ -379,17 +690,21 @@ class ModuleRegistry {
    * 检查依赖此模块的其他模块
    * @private
    * @param {string} moduleId - 模块ID
+   * @param {Array<string>} [remainingVersions=[]] - 注销后仍保留的版本，仍满足版本范围的依赖方不计入
    * @returns {Promise<Array<string>>} 依赖此模块的模块ID数组
    */
-  async _checkDependentModules(moduleId) {
+  async _checkDependentModules(moduleId, remainingVersions = []) {
     const dependentModules = [];
     
     for (const [id, entry] of this.modules.entries()) {
       if (id === moduleId) continue;
       
-      const { dependencies = [] } = entry.moduleInfo;
+      // 并存的每个版本都有自己的依赖声明
+      const blocked = Array.from(entry.instanceInfo.values()).some(({ dependencies = [] }) =>
+        dependencies.some(dep => dep.id === moduleId &&
+          semver.maxSatisfying(remainingVersions, dep.version || '*') === null));
       
-      if (dependencies.some(dep => dep.id === moduleId)) {
+      if (blocked) {
         dependentModules.push(id);
       }
     }
@@ -397,6 +712,68 @@ class ModuleRegistry {
     return dependentModules;
   }
 
+  /**
+   * 解析单个依赖
+   * @private
+   * @param {Object} dep - 依赖声明
+   * @returns {Object} 依赖解析结果
+   */
+  _resolveDependency(dep) {
+    const availableVersions = this.getVersions(dep.id);
+    const resolvedVersion = semver.maxSatisfying(availableVersions, dep.version || '*');
+    
+    return {
+      id: dep.id,
+      version: dep.version,
+      optional: dep.optional || false,
+      satisfied: resolvedVersion !== null,
+      installed: availableVersions.length > 0,
+      resolvedVersion,
+      availableVersions
+    };
+  }
+
+  /**
+   * 确认模块的必需依赖都已满足
+   * @private
+   * @param {Object} moduleInfo - 模块信息
+   * @throws {ResourceError} 如果存在不满足的必需依赖
+   */
+  _assertDependenciesSatisfied(moduleInfo) {
+    const unsatisfied = moduleInfo.dependencies
+      .filter(dep => !dep.optional)
+      .map(dep => this._resolveDependency(dep))
+      .filter(dep => !dep.satisfied);
+    
+    if (unsatisfied.length > 0) {
+      const summary = unsatisfied
+        .map(dep => `${dep.id}@${dep.version || '*'} (可用: ${dep.availableVersions.join(', ') || '无'})`)
+        .join('; ');
+      
+      throw new ResourceError(
+        ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED,
+        `模块 "${moduleInfo.id}" 的依赖不满足: ${summary}`,
+        { details: { moduleId: moduleInfo.id, unsatisfied } }
+      );
+    }
+  }
+
+  /**
+   * 在当前版本的实例被注销后，使用剩余的最高版本更新模块信息
+   * @private
+   * @param {Object} moduleEntry - 模块记录
+   */
+  _refreshModuleInfo(moduleEntry) {
+    const infos = Array.from(moduleEntry.instanceInfo.values());
+    const latest = infos.reduce((best, info) => (semver.gt(info.version, best.version) ? info : best));
+    
+    moduleEntry.moduleInfo = {
+      ...latest,
+      registeredAt: moduleEntry.moduleInfo.registeredAt,
+      updatedAt: new Date()
+    };
+  }
+
   /**
    * 验证版本字符串是否为有效的语义化版本
    * @private
@@ -420,5 +797,6 @@ class ModuleRegistry {
 
 module.exports = {
   ModuleRegistry,
-  RegistryEvents
+  RegistryEvents,
+  normalizeDependencies
 }; 
\ No newline at end of file
@@ -0,0 +1,273 @@
+/**
+ * ACIP状态管理器
+ *
+ * 实现协议规范 §5.3.3 定义的状态管理器接口，提供带命名空间的键值状态、
+ * 可插拔的存储后端以及基于模式的变更监听
+ *
+ * @module state
+ */
+
+const { v4: generateUUID } = require('uuid');
+const { matchPattern } = require('../events/event-bus');
+const { MemoryStateStore } = require('./state-stores');
+const { ErrorCode, ValidationError } = require('../errors/acip-error');
+
+/**
+ * 默认命名空间
+ */
+const DEFAULT_NAMESPACE = 'global';
+
+/**
+ * 状态变更类型
+ */
+const StateChangeType = {
+  SET: 'set',
+  DELETE: 'delete',
+  CLEAR: 'clear'
+};
+
+/**
+ * 状态管理器类
+ *
+ * 监听模式与事件总线使用相同的语法，匹配对象为 `<namespace>.<key>`，
+ * 例如 `context-management.*` 监听某个模块命名空间下的所有键。
+ */
+class StateManager {
+  /**
+   * 创建新的状态管理器实例
+   * @param {Object} options - 配置选项
+   * @param {Object} [options.store] - 存储后端，默认使用内存存储
+   * @param {Object} [logger=console] - 日志记录器
+   */
+  constructor(options = {}, logger = console) {
+    this.store = options.store || new MemoryStateStore();
+    this.logger = logger;
+
+    // 监听器ID -> 监听器对象
+    this.watchers = new Map();
+
+    // 绑定方法，确保this指向正确
+    this.get = this.get.bind(this);
+    this.set = this.set.bind(this);
+    this.delete = this.delete.bind(this);
+    this.watch = this.watch.bind(this);
+  }
+
+  /**
+   * 从存储后端加载状态
+   * @returns {Promise<void>}
+   */
+  async load() {
+    await this.store.load();
+  }
+
+  /**
+   * 获取状态值
+   * @param {string} key - 键
+   * @param {string} [namespace='global'] - 命名空间
+   * @returns {Promise<*>} 值，不存在时返回undefined
+   */
+  async get(key, namespace = DEFAULT_NAMESPACE) {
+    this._validateKey(key);
+    return this.store.get(namespace, key);
+  }
+
+  /**
+   * 设置状态值
+   * @param {string} key - 键
+   * @param {*} value - 值，必须可以JSON序列化
+   * @param {string} [namespace='global'] - 命名空间
+   * @returns {Promise<void>}
+   */
+  async set(key, value, namespace = DEFAULT_NAMESPACE) {
+    this._validateKey(key);
+
+    if (value === undefined) {
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `状态值不能为undefined，请使用delete删除键 "${key}"`, { details: { key } });
+    }
+
+    const oldValue = await this.store.get(namespace, key);
+    await this.store.set(namespace, key, value);
+
+    this._notify({
+      type: StateChangeType.SET,
+      namespace,
+      key,
+      value,
+      oldValue
+    });
+  }
+
+  /**
+   * 删除状态值
+   * @param {string} key - 键
+   * @param {string} [namespace='global'] - 命名空间
+   * @returns {Promise<void>}
+   */
+  async delete(key, namespace = DEFAULT_NAMESPACE) {
+    this._validateKey(key);
+
+    const oldValue = await this.store.get(namespace, key);
+    const deleted = await this.store.delete(namespace, key);
+
+    if (deleted) {
+      this._notify({
+        type: StateChangeType.DELETE,
+        namespace,
+        key,
+        value: undefined,
+        oldValue
+      });
+    }
+  }
+
+  /**
+   * 检查键是否存在
+   * @param {string} key - 键
+   * @param {string} [namespace='global'] - 命名空间
+   * @returns {Promise<boolean>} 是否存在
+   */
+  async has(key, namespace = DEFAULT_NAMESPACE) {
+    const keys = await this.store.keys(namespace);
+    return keys.includes(key);
+  }
+
+  /**
+   * 列出命名空间中的所有键
+   * @param {string} [namespace='global'] - 命名空间
+   * @returns {Promise<Array<string>>} 键数组
+   */
+  async keys(namespace = DEFAULT_NAMESPACE) {
+    return this.store.keys(namespace);
+  }
+
+  /**
+   * 清空命名空间
+   * @param {string} [namespace='global'] - 命名空间
+   * @returns {Promise<void>}
+   */
+  async clear(namespace = DEFAULT_NAMESPACE) {
+    const keys = await this.store.keys(namespace);
+    await this.store.clear(namespace);
+
+    for (const key of keys) {
+      this._notify({
+        type: StateChangeType.CLEAR,
+        namespace,
+        key,
+        value: undefined
+      });
+    }
+  }
+
+  /**
+   * 监听状态变更
+   * @param {string} pattern - 匹配 `<namespace>.<key>` 的模式，支持 `*` 和 `**`
+   * @param {Function} handler - 变更处理函数，接收 {type, namespace, key, value, oldValue}
+   * @returns {Object} 监听器对象，包含 unwatch() 方法
+   * @throws {ValidationError} 如果处理函数无效
+   */
+  watch(pattern, handler) {
+    if (typeof handler !== 'function') {
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, '状态变更处理函数必须是函数');
+    }
+
+    const watcher = {
+      id: generateUUID(),
+      pattern,
+      handler,
+      unwatch: () => this.watchers.delete(watcher.id)
+    };
+
+    this.watchers.set(watcher.id, watcher);
+
+    return watcher;
+  }
+
+  /**
+   * 获取限定在某个命名空间内的状态视图
+   *
+   * 视图的方法不接受命名空间参数，模块之间因此无法读写彼此的状态
+   *
+   * @param {string} namespace - 命名空间
+   * @returns {Object} 命名空间视图
+   */
+  namespace(namespace) {
+    if (!namespace || typeof namespace !== 'string') {
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, '命名空间必须是非空字符串');
+    }
+
+    return {
+      namespace,
+      get: (key) => this.get(key, namespace),
+      set: (key, value) => this.set(key, value, namespace),
+      delete: (key) => this.delete(key, namespace),
+      has: (key) => this.has(key, namespace),
+      keys: () => this.keys(namespace),
+      clear: () => this.clear(namespace),
+      watch: (pattern, handler) => this.watch(`${namespace}.${pattern}`, handler)
+    };
+  }
+
+  /**
+   * 持久化未写入的数据
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.store.flush();
+  }
+
+  /**
+   * 关闭状态管理器并释放存储后端
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.watchers.clear();
+    await this.store.close();
+  }
+
+  /**
+   * 通知匹配的监听器
+   * @private
+   * @param {Object} change - 变更信息
+   */
+  _notify(change) {
+    const target = `${change.namespace}.${change.key}`;
+
+    for (const watcher of this.watchers.values()) {
+      if (!matchPattern(watcher.pattern, target)) {
+        continue;
+      }
+
+      try {
+        const result = watcher.handler(change);
+
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => {
+            this.logger.error(`状态监听器(${watcher.pattern})执行出错: ${error.message}`);
+          });
+        }
+      } catch (error) {
+        this.logger.error(`状态监听器(${watcher.pattern})执行出错: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 验证键名
+   * @private
+   * @param {string} key - 键
+   * @throws {ValidationError} 如果键无效
+   */
+  _validateKey(key) {
+    if (typeof key !== 'string' || key.length === 0) {
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, '状态键必须是非空字符串');
+    }
+  }
+}
+
+module.exports = {
+  StateManager,
+  StateChangeType,
+  DEFAULT_NAMESPACE
+};
@@ -0,0 +1,281 @@
+/**
+ * ACIP状态存储后端
+ *
+ * StateManager使用的可插拔存储实现。所有后端都实现相同的异步接口：
+ * load / get / set / delete / keys / namespaces / clear / flush / close
+ *
+ * @module state
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { deepClone } = require('../utils');
+const { ErrorCode, ValidationError } = require('../errors/acip-error');
+
+/**
+ * 内存状态存储
+ *
+ * 数据保存在进程内存中，读写时复制值，避免调用方修改共享状态
+ */
+class MemoryStateStore {
+  constructor() {
+    // 命名空间 -> Map(key -> value)
+    this.data = new Map();
+  }
+
+  /**
+   * 加载存储数据
+   * @returns {Promise<void>}
+   */
+  async load() {
+    // 内存存储无需加载
+  }
+
+  /**
+   * 读取值
+   * @param {string} namespace - 命名空间
+   * @param {string} key - 键
+   * @returns {Promise<*>} 值，不存在时返回undefined
+   */
+  async get(namespace, key) {
+    const bucket = this.data.get(namespace);
+    return bucket ? deepClone(bucket.get(key)) : undefined;
+  }
+
+  /**
+   * 写入值
+   * @param {string} namespace - 命名空间
+   * @param {string} key - 键
+   * @param {*} value - 值
+   * @returns {Promise<void>}
+   */
+  async set(namespace, key, value) {
+    if (!this.data.has(namespace)) {
+      this.data.set(namespace, new Map());
+    }
+
+    this.data.get(namespace).set(key, deepClone(value));
+  }
+
+  /**
+   * 删除值
+   * @param {string} namespace - 命名空间
+   * @param {string} key - 键
+   * @returns {Promise<boolean>} 是否存在并被删除
+   */
+  async delete(namespace, key) {
+    const bucket = this.data.get(namespace);
+
+    if (!bucket || !bucket.delete(key)) {
+      return false;
+    }
+
+    if (bucket.size === 0) {
+      this.data.delete(namespace);
+    }
+
+    return true;
+  }
+
+  /**
+   * 列出命名空间中的所有键
+   * @param {string} namespace - 命名空间
+   * @returns {Promise<Array<string>>} 键数组
+   */
+  async keys(namespace) {
+    const bucket = this.data.get(namespace);
+    return bucket ? Array.from(bucket.keys()) : [];
+  }
+
+  /**
+   * 列出所有命名空间
+   * @returns {Promise<Array<string>>} 命名空间数组
+   */
+  async namespaces() {
+    return Array.from(this.data.keys());
+  }
+
+  /**
+   * 清空命名空间
+   * @param {string} namespace - 命名空间
+   * @returns {Promise<void>}
+   */
+  async clear(namespace) {
+    this.data.delete(namespace);
+  }
+
+  /**
+   * 将未写入的数据持久化
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    // 内存存储无需持久化
+  }
+
+  /**
+   * 关闭存储
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.flush();
+  }
+}
+
+/**
+ * JSON文件状态存储
+ *
+ * 在内存中维护数据，并以JSON文件形式持久化。写入通过临时文件+重命名完成，
+ * 避免进程崩溃时留下半写入的文件。
+ */
+class FileStateStore extends MemoryStateStore {
+  /**
+   * 创建文件状态存储
+   * @param {Object} options - 存储选项
+   * @param {string} options.filePath - JSON文件路径
+   * @param {number} [options.syncInterval=0] - 自动持久化间隔（毫秒），0表示每次写入后立即持久化
+   * @param {Object} [logger=console] - 日志记录器
+   */
+  constructor(options = {}, logger = console) {
+    super();
+
+    if (!options.filePath) {
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, '文件状态存储需要指定filePath');
+    }
+
+    this.filePath = options.filePath;
+    this.syncInterval = options.syncInterval || 0;
+    this.logger = logger;
+
+    this.dirty = false;
+    this.timer = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * 从文件加载数据
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const snapshot = JSON.parse(content);
+
+      this.data = new Map();
+      for (const [namespace, entries] of Object.entries(snapshot)) {
+        this.data.set(namespace, new Map(Object.entries(entries)));
+      }
+
+      this.logger.info(`从 ${this.filePath} 加载状态成功`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+
+      this.logger.info(`状态文件 ${this.filePath} 不存在，使用空状态`);
+    }
+
+    if (this.syncInterval > 0 && !this.timer) {
+      this.timer = setInterval(() => {
+        this.flush().catch(error => {
+          this.logger.error(`定时持久化状态失败: ${error.message}`);
+        });
+      }, this.syncInterval);
+
+      // 不阻止进程退出
+      if (this.timer.unref) {
+        this.timer.unref();
+      }
+    }
+  }
+
+  async set(namespace, key, value) {
+    await super.set(namespace, key, value);
+    await this._markDirty();
+  }
+
+  async delete(namespace, key) {
+    const deleted = await super.delete(namespace, key);
+
+    if (deleted) {
+      await this._markDirty();
+    }
+
+    return deleted;
+  }
+
+  async clear(namespace) {
+    await super.clear(namespace);
+    await this._markDirty();
+  }
+
+  /**
+   * 将数据写入文件
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (!this.dirty) {
+      return this.writing;
+    }
+
+    this.dirty = false;
+
+    const snapshot = {};
+    for (const [namespace, bucket] of this.data.entries()) {
+      snapshot[namespace] = Object.fromEntries(bucket);
+    }
+
+    // 串行化写入，避免并发重命名交错；写入失败时保留脏标记，下次 flush 重试，
+    // 失败的写入也不会阻塞之后的写入
+    const write = () => this._writeSnapshot(snapshot).catch(error => {
+      this.dirty = true;
+      throw error;
+    });
+    this.writing = this.writing.then(write, write);
+    return this.writing;
+  }
+
+  /**
+   * 停止定时器并写入剩余数据
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await this.flush();
+  }
+
+  /**
+   * 标记数据已修改
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _markDirty() {
+    this.dirty = true;
+
+    if (this.syncInterval === 0) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * 原子写入快照
+   * @private
+   * @param {Object} snapshot - 状态快照
+   * @returns {Promise<void>}
+   */
+  async _writeSnapshot(snapshot) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(snapshot, null, 2), 'utf8');
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = {
+  MemoryStateStore,
+  FileStateStore
+};
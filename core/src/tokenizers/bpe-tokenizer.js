@@ -0,0 +1,214 @@
+/**
+ * 字节级 BPE 分词器
+ *
+ * 与 tiktoken 的编码方式一致：先用正则把文本切分为片段，再把每个片段的 UTF-8 字节
+ * 按合并优先级（rank，越小越先合并）反复合并相邻字节序列。
+ * 词表使用 tiktoken 的文件格式：每行为 “base64 编码的字节序列 + 空格 + rank”，
+ * 因此既可以加载随包附带的词表，也可以加载 cl100k_base.tiktoken 等官方词表文件。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ErrorCode, ValidationError } = require('../errors/acip-error');
+
+/**
+ * cl100k_base 的预分词规则
+ *
+ * 原始规则中的 (?i:...) 在 JavaScript 中不可用，这里展开为等价的大小写字符类
+ */
+const CL100K_PATTERN = /(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+
+class BpeTokenizer {
+  /**
+   * 创建 BPE 分词器
+   * @param {Object} options - 分词器选项
+   * @param {string} options.name - 词表名称，如 'cl100k_base'
+   * @param {Map<string, number>} options.ranks - 字节序列（latin1 字符串，每个字符一个字节）到 rank 的映射
+   * @param {RegExp} [options.pattern=CL100K_PATTERN] - 带 g 和 u 标志的预分词正则
+   * @param {number} [options.cacheSize=10000] - 缓存的片段编码数量
+   * @throws {ValidationError} 如果词表缺少单字节 token
+   */
+  constructor(options = {}) {
+    this.name = options.name;
+    this.ranks = options.ranks;
+    this.pattern = options.pattern || CL100K_PATTERN;
+    this.cacheSize = options.cacheSize !== undefined ? options.cacheSize : 10000;
+
+    // 片段 -> token 列表；常见单词反复出现，缓存可以省去重复合并
+    this.cache = new Map();
+    this.decoder = null;
+
+    for (let byte = 0; byte < 256; byte++) {
+      if (!this.ranks.has(String.fromCharCode(byte))) {
+        throw new ValidationError(
+          ErrorCode.VALIDATION_INVALID_FORMAT,
+          `BPE 词表 ${this.name} 缺少单字节 token 0x${byte.toString(16).padStart(2, '0')}`,
+          { details: { name: this.name, byte } }
+        );
+      }
+    }
+  }
+
+  /**
+   * 从 tiktoken 格式的词表文件创建分词器
+   * @param {string} file - 词表文件路径
+   * @param {Object} [options] - 其他分词器选项，name 默认为文件名
+   * @returns {BpeTokenizer} 分词器
+   */
+  static fromFile(file, options = {}) {
+    const name = options.name || path.basename(file).replace(/\.tiktoken$/, '');
+    return new BpeTokenizer({ ...options, name, ranks: BpeTokenizer.parseRanks(fs.readFileSync(file, 'utf8'), name) });
+  }
+
+  /**
+   * 解析 tiktoken 格式的词表
+   * @param {string} content - 词表内容
+   * @param {string} [name] - 词表名称，用于错误信息
+   * @returns {Map<string, number>} 字节序列到 rank 的映射
+   * @throws {ValidationError} 如果某行格式无效
+   */
+  static parseRanks(content, name = 'bpe') {
+    const ranks = new Map();
+    const lines = content.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+
+      if (!line) {
+        continue;
+      }
+
+      const [token, rank] = line.split(' ');
+
+      if (!token || !/^\d+$/.test(rank || '')) {
+        throw new ValidationError(
+          ErrorCode.VALIDATION_INVALID_FORMAT,
+          `BPE 词表 ${name} 第 ${i + 1} 行格式无效，应为 "<base64> <rank>"`,
+          { details: { name, line: i + 1 } }
+        );
+      }
+
+      ranks.set(Buffer.from(token, 'base64').toString('latin1'), Number(rank));
+    }
+
+    return ranks;
+  }
+
+  /**
+   * 把文本编码为 token
+   * @param {string} text - 文本
+   * @returns {Array<number>} token（rank）列表
+   */
+  encode(text) {
+    const tokens = [];
+
+    for (const piece of text.match(this.pattern) || []) {
+      tokens.push(...this._encodePiece(piece));
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 把 token 解码为文本
+   * @param {Array<number>} tokens - token 列表
+   * @returns {string} 文本
+   */
+  decode(tokens) {
+    if (!this.decoder) {
+      this.decoder = new Map();
+      for (const [bytes, rank] of this.ranks) {
+        this.decoder.set(rank, bytes);
+      }
+    }
+
+    return Buffer.from(tokens.map(token => this.decoder.get(token) || '').join(''), 'latin1').toString('utf8');
+  }
+
+  /**
+   * 计算文本的 token 数
+   * @param {string} text - 文本
+   * @returns {number} token 数
+   */
+  count(text) {
+    if (!text) {
+      return 0;
+    }
+
+    let count = 0;
+
+    for (const piece of text.match(this.pattern) || []) {
+      count += this._encodePiece(piece).length;
+    }
+
+    return count;
+  }
+
+  /**
+   * 编码一个预分词片段
+   * @private
+   */
+  _encodePiece(piece) {
+    const cached = this.cache.get(piece);
+
+    if (cached) {
+      return cached;
+    }
+
+    const bytes = Buffer.from(piece, 'utf8').toString('latin1');
+    const whole = this.ranks.get(bytes);
+    const tokens = whole !== undefined ? [whole] : this._merge(bytes);
+
+    if (this.cacheSize > 0) {
+      if (this.cache.size >= this.cacheSize) {
+        this.cache.clear();
+      }
+      this.cache.set(piece, tokens);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 反复合并 rank 最小的相邻字节序列，直到没有可合并的序列
+   * @private
+   */
+  _merge(bytes) {
+    // 每个部分的起始位置，最后一项为结束位置
+    const starts = [];
+    for (let i = 0; i <= bytes.length; i++) {
+      starts.push(i);
+    }
+
+    while (starts.length > 2) {
+      let minRank = Infinity;
+      let minIndex = -1;
+
+      for (let i = 0; i < starts.length - 2; i++) {
+        const rank = this.ranks.get(bytes.slice(starts[i], starts[i + 2]));
+        if (rank !== undefined && rank < minRank) {
+          minRank = rank;
+          minIndex = i;
+        }
+      }
+
+      if (minIndex === -1) {
+        break;
+      }
+
+      starts.splice(minIndex + 1, 1);
+    }
+
+    const tokens = [];
+    for (let i = 0; i < starts.length - 1; i++) {
+      tokens.push(this.ranks.get(bytes.slice(starts[i], starts[i + 1])));
+    }
+
+    return tokens;
+  }
+}
+
+module.exports = {
+  BpeTokenizer,
+  CL100K_PATTERN
+};
@@ -0,0 +1,18 @@
+/**
+ * ACIP分词器模块
+ * 
+ * 导出BPE分词器、分词器注册表和token计数工具
+ * @module tokenizers
+ */
+
+const { BpeTokenizer, CL100K_PATTERN } = require('./bpe-tokenizer');
+const { TokenizerRegistry, HeuristicTokenizer, countTokens, tokenizers } = require('./tokenizer-registry');
+
+module.exports = {
+  BpeTokenizer,
+  CL100K_PATTERN,
+  TokenizerRegistry,
+  HeuristicTokenizer,
+  countTokens,
+  tokenizers
+};
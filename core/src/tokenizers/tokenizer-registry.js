@@ -0,0 +1,197 @@
+/**
+ * 分词器注册表
+ *
+ * 按名称管理分词器，供上下文窗口和模型注册表计算 token 数。
+ * 内置两个分词器，计出的都是近似值，与服务商计费的 token 数不同：
+ * - acip_base：随包附带的 8192 词表字节级 BPE（预分词规则与 cl100k_base 相同，
+ *   只用本仓库的文档和源码训练，由 scripts/build-bpe-vocabulary.js 生成）
+ * - heuristic：按字符数估算（默认 4 个字符一个 token）
+ *
+ * 本包不附带服务商的官方词表。需要精确计数时，用 registerFile() 注册
+ * 官方词表文件（如 cl100k_base.tiktoken），或放在 dataPath 目录中，按文件名自动加载。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BpeTokenizer } = require('./bpe-tokenizer');
+const { ErrorCode, ResourceError } = require('../errors/acip-error');
+
+const BUNDLED_DATA = path.join(__dirname, 'data');
+
+/**
+ * 按字符数估算 token 数的分词器
+ */
+class HeuristicTokenizer {
+  /**
+   * 创建估算分词器
+   * @param {Object} [options] - 选项
+   * @param {string} [options.name='heuristic'] - 名称
+   * @param {number} [options.charsPerToken=4] - 平均每个 token 的字符数
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'heuristic';
+    this.charsPerToken = options.charsPerToken || 4;
+  }
+
+  /**
+   * 估算文本的 token 数
+   * @param {string} text - 文本
+   * @returns {number} token 数
+   */
+  count(text) {
+    return text ? Math.ceil(text.length / this.charsPerToken) : 0;
+  }
+}
+
+class TokenizerRegistry {
+  /**
+   * 创建分词器注册表
+   * @param {Object} [options] - 选项
+   * @param {string} [options.defaultTokenizer='acip_base'] - 未指定名称时使用的分词器
+   * @param {string} [options.dataPath] - 查找 `<名称>.tiktoken` 词表文件的目录（默认读取环境变量 ACIP_TOKENIZER_PATH）
+   */
+  constructor(options = {}) {
+    this.defaultTokenizer = options.defaultTokenizer || 'acip_base';
+    this.dataPath = options.dataPath || process.env.ACIP_TOKENIZER_PATH || null;
+
+    // 名称 -> 工厂函数；分词器在第一次使用时创建，避免加载用不到的词表
+    this.factories = new Map();
+    this.instances = new Map();
+
+    this.register('heuristic', () => new HeuristicTokenizer());
+    this.registerFile('acip_base', path.join(BUNDLED_DATA, 'acip_base.tiktoken'));
+  }
+
+  /**
+   * 注册分词器
+   * @param {string} name - 名称
+   * @param {Object|Function} tokenizer - 带 count(text) 方法的分词器，或创建分词器的工厂函数
+   * @returns {TokenizerRegistry} 注册表本身，便于链式调用
+   */
+  register(name, tokenizer) {
+    this.instances.delete(name);
+
+    if (typeof tokenizer === 'function') {
+      this.factories.set(name, tokenizer);
+    } else {
+      this.factories.set(name, () => tokenizer);
+    }
+
+    return this;
+  }
+
+  /**
+   * 注册 tiktoken 格式的词表文件，文件在第一次使用时加载
+   * @param {string} name - 名称，如 'cl100k_base'
+   * @param {string} file - 词表文件路径
+   * @param {Object} [options] - 其他 BpeTokenizer 选项，如 pattern
+   * @returns {TokenizerRegistry} 注册表本身
+   */
+  registerFile(name, file, options = {}) {
+    return this.register(name, () => BpeTokenizer.fromFile(file, { ...options, name }));
+  }
+
+  /**
+   * 检查分词器是否可用
+   * @param {string} name - 名称
+   * @returns {boolean} 已注册或 dataPath 中有同名词表文件时为 true
+   */
+  has(name) {
+    return this.factories.has(name) || this._dataFile(name) !== null;
+  }
+
+  /**
+   * 获取分词器
+   * @param {string} [name] - 名称，默认为 defaultTokenizer
+   * @returns {Object} 分词器，至少提供 count(text)
+   * @throws {ResourceError} 如果分词器未注册且 dataPath 中没有同名词表文件
+   */
+  get(name = this.defaultTokenizer) {
+    if (this.instances.has(name)) {
+      return this.instances.get(name);
+    }
+
+    if (!this.factories.has(name)) {
+      const file = this._dataFile(name);
+
+      if (!file) {
+        throw new ResourceError(
+          ErrorCode.RESOURCE_NOT_FOUND,
+          `分词器未注册: ${name}`,
+          { details: { name, available: this.names(), dataPath: this.dataPath } }
+        );
+      }
+
+      this.registerFile(name, file);
+    }
+
+    const tokenizer = this.factories.get(name)();
+    this.instances.set(name, tokenizer);
+    return tokenizer;
+  }
+
+  /**
+   * 列出已注册的分词器名称
+   * @returns {Array<string>} 名称列表
+   */
+  names() {
+    return [...this.factories.keys()];
+  }
+
+  /**
+   * 查找 dataPath 中的词表文件
+   * @private
+   */
+  _dataFile(name) {
+    if (!this.dataPath || !/^[\w.-]+$/.test(name)) {
+      return null;
+    }
+
+    const file = path.join(this.dataPath, `${name}.tiktoken`);
+    return fs.existsSync(file) ? file : null;
+  }
+}
+
+/**
+ * 计算值中文本的 token 数
+ *
+ * 字符串、数字和布尔值按文本计数，数组和对象累加其中的值。对象的键和 JSON 标点
+ * 不计入，因为发送给模型的是内容本身，而不是序列化后的结构。
+ *
+ * @param {*} value - 文本或任意 JSON 值
+ * @param {Object} tokenizer - 分词器
+ * @returns {number} token 数
+ */
+function countTokens(value, tokenizer) {
+  if (value === null || value === undefined) {
+    return 0;
+  }
+
+  if (typeof value === 'string') {
+    return tokenizer.count(value);
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return tokenizer.count(String(value));
+  }
+
+  if (Array.isArray(value)) {
+    return value.reduce((total, item) => total + countTokens(item, tokenizer), 0);
+  }
+
+  if (typeof value === 'object') {
+    return Object.values(value).reduce((total, item) => total + countTokens(item, tokenizer), 0);
+  }
+
+  return 0;
+}
+
+// 默认注册表
+const tokenizers = new TokenizerRegistry();
+
+module.exports = {
+  TokenizerRegistry,
+  HeuristicTokenizer,
+  countTokens,
+  tokenizers
+};
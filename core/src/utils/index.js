@@ -7,6 +7,9 @@
  */
 
 const logger = require('./logger');
+const logHandlers = require('./log-handlers');
+const requestContext = require('./request-context');
+const tracing = require('./tracing');
 
 /**
  * 深度克隆对象
@@ -40,6 +43,41 @@ function deepClone(obj) {
   return cloned;
 }
 
+/**
+ * 深度合并两个对象
+ * 普通对象逐个属性递归合并，数组和其他值由源对象覆盖
+ * @param {Object} target - 目标对象
+ * @param {Object} source - 源对象
+ * @returns {Object} 合并后的新对象
+ */
+function deepMerge(target, source) {
+  const output = { ...target };
+  
+  for (const key in source) {
+    if (source[key] === undefined) {
+      continue;
+    }
+    
+    if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+      output[key] = deepMerge(target[key], source[key]);
+    } else {
+      output[key] = source[key];
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * 检查值是否为普通对象（非null、非数组）
+ * @private
+ * @param {*} value - 值
+ * @returns {boolean} 是否为普通对象
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
 /**
  * 安全地获取对象的嵌套属性值
  * @param {Object} obj - 对象
@@ -233,11 +271,36 @@ async function retry(fn, options = {}) {
   throw lastError;
 }
 
+/**
+ * 为Promise设置超时
+ * @param {Promise} promise - 要等待的Promise
+ * @param {number} ms - 超时毫秒数，0或负数表示不限制
+ * @param {Function} createError - 超时时调用，返回用于拒绝的错误
+ * @returns {Promise} 在超时前完成时返回原结果，否则以createError的结果拒绝
+ */
+function withTimeout(promise, ms, createError) {
+  if (!ms || ms <= 0) {
+    return Promise.resolve(promise);
+  }
+  
+  let timer;
+  
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(createError()), ms);
+  });
+  
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 module.exports = {
   ...logger,
+  ...logHandlers,
+  ...requestContext,
+  ...tracing,
   
   // 对象和集合处理
   deepClone,
+  deepMerge,
   get,
   set,
   
@@ -246,6 +309,7 @@ module.exports = {
   throttle,
   debounce,
   retry,
+  withTimeout,
   
   // 其他工具
   generateUUID,
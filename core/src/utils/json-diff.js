@@ -0,0 +1,120 @@
+/**
+ * JSON 结构化差异
+ *
+ * 比较两个 JSON 值并生成 JSON Patch（RFC 6902）操作列表，路径使用 JSON Pointer（RFC 6901）。
+ * 差异由 config/config-diff 逐项比较数组得到，这里只转换为 add、remove 和 replace 操作。
+ */
+
+const { diffConfig, ConfigChangeType } = require('../config/config-diff');
+const { ErrorCode, ResourceError, ValidationError } = require('../errors/acip-error');
+const { deepClone } = require('./index');
+
+/**
+ * 配置变更类型 -> JSON Patch 操作
+ */
+const PATCH_OPERATIONS = {
+  [ConfigChangeType.ADDED]: 'add',
+  [ConfigChangeType.REMOVED]: 'remove',
+  [ConfigChangeType.CHANGED]: 'replace'
+};
+
+/**
+ * 生成把 source 变为 target 的 JSON Patch 操作
+ * @param {*} source - 原始值
+ * @param {*} target - 目标值
+ * @returns {Array<Object>} 操作列表，每项为 { op, path, value? }，按顺序应用即可得到 target
+ */
+function diff(source, target) {
+  return diffConfig(source, target, { arrayItems: true }).map(({ path, type, newValue }) => (
+    type === ConfigChangeType.REMOVED
+      ? { op: PATCH_OPERATIONS[type], path }
+      : { op: PATCH_OPERATIONS[type], path, value: deepClone(newValue) }
+  ));
+}
+
+/**
+ * 按顺序应用 JSON Patch 操作
+ * @param {*} document - 原始文档，不会被修改
+ * @param {Array<Object>} operations - diff() 生成的操作
+ * @returns {*} 应用操作后的新文档
+ * @throws {ResourceError} 如果路径不存在
+ * @throws {ValidationError} 如果路径无效或操作不受支持
+ */
+function applyPatch(document, operations) {
+  let result = deepClone(document);
+
+  for (const { op, path, value } of operations) {
+    if (path === '') {
+      result = op === 'remove' ? undefined : deepClone(value);
+      continue;
+    }
+
+    const segments = parsePointer(path);
+    const key = segments.pop();
+    const parent = segments.reduce((node, segment) => {
+      if (node === null || typeof node !== 'object' || !(segment in node)) {
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `JSON Patch 路径不存在: ${path}`, { details: { path } });
+      }
+      return node[segment];
+    }, result);
+
+    if (parent === null || typeof parent !== 'object') {
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `JSON Patch 路径不存在: ${path}`, { details: { path } });
+    }
+
+    switch (op) {
+      case 'add':
+        if (Array.isArray(parent)) {
+          parent.splice(key === '-' ? parent.length : Number(key), 0, deepClone(value));
+        } else {
+          parent[key] = deepClone(value);
+        }
+        break;
+
+      case 'replace':
+        parent[key] = deepClone(value);
+        break;
+
+      case 'remove':
+        if (Array.isArray(parent)) {
+          parent.splice(Number(key), 1);
+        } else {
+          delete parent[key];
+        }
+        break;
+
+      default:
+        throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `不支持的 JSON Patch 操作: ${op}`, {
+          details: { op, path }
+        });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 将 JSON Pointer 解析为路径片段
+ * @param {string} pointer - JSON Pointer
+ * @returns {Array<string>} 路径片段
+ * @throws {ValidationError} 如果不是有效的 JSON Pointer
+ */
+function parsePointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+
+  if (!pointer.startsWith('/')) {
+    throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `无效的 JSON Pointer: ${pointer}`, {
+      details: { pointer }
+    });
+  }
+
+  return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+module.exports = {
+  diff,
+  applyPatch,
+  parsePointer
+};
@@ -0,0 +1,565 @@
+/**
+ * JSON Schema验证
+ *
+ * 实现 JSON Schema draft-07 的常用关键字，错误路径使用 JSON Pointer（RFC 6901）表示，
+ * 例如 `/providers/openai/apiKey`。通过 addSchema 注册的Schema可以按 $id 相互引用。
+ *
+ * @module utils
+ */
+
+const { ErrorCode, ResourceError, ValidationError } = require('../errors/acip-error');
+
+/**
+ * 支持的字符串格式
+ */
+const FORMATS = {
+  'date-time': value => !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+  'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  'email': value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'uri': value => /^[a-zA-Z][a-zA-Z\d+.-]*:[^\s]*$/.test(value),
+  'uuid': value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+// 按 $id 注册的Schema
+const schemaRegistry = new Map();
+
+/**
+ * 注册Schema，其他Schema可以用 $id（或相对于自身 $id 的地址）引用它
+ * @param {Object} schema - JSON Schema
+ * @param {string} [id=schema.$id] - Schema的标识
+ * @returns {string} 注册的标识
+ * @throws {ValidationError} 如果没有标识
+ */
+function addSchema(schema, id = schema.$id) {
+  if (!id) {
+    throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, '注册Schema需要 $id');
+  }
+
+  const key = id.split('#')[0];
+  schemaRegistry.set(key, schema);
+
+  return key;
+}
+
+/**
+ * 获取已注册的Schema
+ * @param {string} id - Schema的标识
+ * @returns {Object|null} JSON Schema
+ */
+function getSchema(id) {
+  return schemaRegistry.get(id.split('#')[0]) || null;
+}
+
+/**
+ * 按JSON Schema验证数据
+ *
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {*} data - 要验证的数据
+ * @param {Object} [options={}] - 验证选项
+ * @param {string} [options.path=''] - 数据在整个文档中的JSON Pointer前缀
+ * @param {boolean} [options.allErrors=true] - 是否收集所有错误，为false时遇到第一个错误即停止
+ * @returns {Object} 验证结果 {valid, errors}，每个错误包含 path、keyword 和 message
+ * @throws {ValidationError} 如果Schema本身无效，例如 $ref 循环引用自身或 pattern 不是合法的正则表达式
+ * @throws {ResourceError} 如果 $ref 无法解析
+ */
+function validateSchema(schema, data, options = {}) {
+  const errors = [];
+  const context = {
+    root: schema,
+    allErrors: options.allErrors !== false,
+    errors,
+    // 正在展开的 $ref 目标及其数据，用于发现不消耗数据的引用循环
+    activeRefs: new Map()
+  };
+
+  _validate(schema, data, options.path || '', context);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * 将路径片段编码为JSON Pointer
+ * @param {Array<string|number>} segments - 路径片段
+ * @returns {string} JSON Pointer，根路径为空字符串
+ */
+function toPointer(segments) {
+  return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * 格式化验证错误，每行一个错误
+ * @param {Array<Object>} errors - validateSchema() 返回的错误
+ * @returns {string} 错误描述
+ */
+function formatErrors(errors) {
+  return errors.map(error => `${error.path || '/'}: ${error.message}`).join('\n');
+}
+
+/**
+ * 验证数据并记录错误
+ * @private
+ * @param {Object|boolean} schema - 当前子Schema
+ * @param {*} data - 当前数据
+ * @param {string} path - 当前数据的JSON Pointer
+ * @param {Object} context - 验证上下文
+ * @returns {boolean} 是否有效
+ */
+function _validate(schema, data, path, context) {
+  if (schema === true || schema === undefined) {
+    return true;
+  }
+
+  if (schema === false) {
+    return _fail(context, path, 'false', '不允许任何值');
+  }
+
+  if (schema.$ref) {
+    const resolved = _resolveRef(schema.$ref, context.root);
+    const active = context.activeRefs.get(resolved.schema) || [];
+
+    // 同一数据再次进入同一个正在展开的Schema，验证永远不会结束
+    if (active.some(value => Object.is(value, data))) {
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Schema引用循环: ${schema.$ref}`, {
+        details: { ref: schema.$ref, path }
+      });
+    }
+
+    context.activeRefs.set(resolved.schema, [...active, data]);
+
+    try {
+      // 引用其他文档时，其中的相对引用以该文档为根
+      return _validate(resolved.schema, data, path, { ...context, root: resolved.root });
+    } finally {
+      context.activeRefs.set(resolved.schema, active);
+    }
+  }
+
+  const errorCount = context.errors.length;
+  const type = _typeOf(data);
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(expected => expected === type || (expected === 'number' && type === 'integer'));
+
+    if (!matches) {
+      // 类型不匹配时其余关键字没有意义
+      return _fail(context, path, 'type', `应为 ${types.join(' 或 ')}，实际为 ${type}`);
+    }
+  }
+
+  if (schema.const !== undefined && !_equal(data, schema.const)) {
+    _fail(context, path, 'const', `应等于 ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.some(value => _equal(data, value))) {
+    _fail(context, path, 'enum', `应为以下值之一: ${schema.enum.map(value => JSON.stringify(value)).join(', ')}`);
+  }
+
+  if (type === 'string') {
+    _validateString(schema, data, path, context);
+  } else if (type === 'number' || type === 'integer') {
+    _validateNumber(schema, data, path, context);
+  } else if (type === 'array') {
+    _validateArray(schema, data, path, context);
+  } else if (type === 'object') {
+    _validateObject(schema, data, path, context);
+  }
+
+  _validateCombinators(schema, data, path, context);
+
+  return context.errors.length === errorCount;
+}
+
+/**
+ * 验证字符串关键字
+ * @private
+ */
+function _validateString(schema, data, path, context) {
+  const length = Array.from(data).length;
+
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    _fail(context, path, 'minLength', `长度不能少于 ${schema.minLength}`);
+  }
+
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    _fail(context, path, 'maxLength', `长度不能超过 ${schema.maxLength}`);
+  }
+
+  if (schema.pattern !== undefined && !_compilePattern(schema.pattern, 'pattern').test(data)) {
+    _fail(context, path, 'pattern', `应匹配模式 ${schema.pattern}`);
+  }
+
+  if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format](data)) {
+    _fail(context, path, 'format', `应为 ${schema.format} 格式`);
+  }
+}
+
+/**
+ * 验证数值关键字
+ * @private
+ */
+function _validateNumber(schema, data, path, context) {
+  if (schema.minimum !== undefined && data < schema.minimum) {
+    _fail(context, path, 'minimum', `不能小于 ${schema.minimum}`);
+  }
+
+  if (schema.maximum !== undefined && data > schema.maximum) {
+    _fail(context, path, 'maximum', `不能大于 ${schema.maximum}`);
+  }
+
+  if (schema.exclusiveMinimum !== undefined && data <= schema.exclusiveMinimum) {
+    _fail(context, path, 'exclusiveMinimum', `应大于 ${schema.exclusiveMinimum}`);
+  }
+
+  if (schema.exclusiveMaximum !== undefined && data >= schema.exclusiveMaximum) {
+    _fail(context, path, 'exclusiveMaximum', `应小于 ${schema.exclusiveMaximum}`);
+  }
+
+  if (schema.multipleOf !== undefined) {
+    const quotient = data / schema.multipleOf;
+
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      _fail(context, path, 'multipleOf', `应为 ${schema.multipleOf} 的倍数`);
+    }
+  }
+}
+
+/**
+ * 验证数组关键字
+ * @private
+ */
+function _validateArray(schema, data, path, context) {
+  if (schema.minItems !== undefined && data.length < schema.minItems) {
+    _fail(context, path, 'minItems', `元素不能少于 ${schema.minItems} 个`);
+  }
+
+  if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+    _fail(context, path, 'maxItems', `元素不能超过 ${schema.maxItems} 个`);
+  }
+
+  if (schema.uniqueItems) {
+    for (let i = 1; i < data.length; i++) {
+      if (data.slice(0, i).some(item => _equal(item, data[i]))) {
+        _fail(context, `${path}/${i}`, 'uniqueItems', '元素不能重复');
+        break;
+      }
+    }
+  }
+
+  if (Array.isArray(schema.items)) {
+    // 元组形式：每个位置有自己的Schema
+    schema.items.forEach((itemSchema, i) => {
+      if (i < data.length) {
+        _validate(itemSchema, data[i], `${path}/${i}`, context);
+      }
+    });
+
+    if (schema.additionalItems !== undefined) {
+      for (let i = schema.items.length; i < data.length; i++) {
+        _validate(schema.additionalItems, data[i], `${path}/${i}`, context);
+      }
+    }
+  } else if (schema.items !== undefined) {
+    data.forEach((item, i) => _validate(schema.items, item, `${path}/${i}`, context));
+  }
+
+  if (schema.contains !== undefined) {
+    const matched = data.some(item => _isValid(schema.contains, item, context));
+
+    if (!matched) {
+      _fail(context, path, 'contains', '至少应有一个元素满足 contains 的Schema');
+    }
+  }
+}
+
+/**
+ * 验证对象关键字
+ * @private
+ */
+function _validateObject(schema, data, path, context) {
+  const keys = Object.keys(data);
+
+  for (const name of schema.required || []) {
+    if (data[name] === undefined) {
+      _fail(context, `${path}${toPointer([name])}`, 'required', '缺少必需属性');
+    }
+  }
+
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    _fail(context, path, 'minProperties', `属性不能少于 ${schema.minProperties} 个`);
+  }
+
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    _fail(context, path, 'maxProperties', `属性不能超过 ${schema.maxProperties} 个`);
+  }
+
+  const properties = schema.properties || {};
+  const patterns = Object.entries(schema.patternProperties || {})
+    .map(([pattern, propertySchema]) => [_compilePattern(pattern, 'patternProperties'), propertySchema]);
+
+  for (const key of keys) {
+    const value = data[key];
+    const keyPath = `${path}${toPointer([key])}`;
+    let matched = false;
+
+    if (value === undefined) {
+      continue;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      matched = true;
+      _validate(properties[key], value, keyPath, context);
+    }
+
+    for (const [regex, propertySchema] of patterns) {
+      if (regex.test(key)) {
+        matched = true;
+        _validate(propertySchema, value, keyPath, context);
+      }
+    }
+
+    if (!matched && schema.additionalProperties !== undefined) {
+      if (schema.additionalProperties === false) {
+        _fail(context, keyPath, 'additionalProperties', _unknownPropertyMessage(key, Object.keys(properties)));
+      } else {
+        _validate(schema.additionalProperties, value, keyPath, context);
+      }
+    }
+
+    if (schema.propertyNames !== undefined && !_isValid(schema.propertyNames, key, context)) {
+      _fail(context, keyPath, 'propertyNames', `属性名 "${key}" 无效`);
+    }
+  }
+
+  for (const [name, dependency] of Object.entries(schema.dependencies || {})) {
+    if (data[name] === undefined) {
+      continue;
+    }
+
+    if (Array.isArray(dependency)) {
+      for (const required of dependency) {
+        if (data[required] === undefined) {
+          _fail(context, `${path}${toPointer([required])}`, 'dependencies', `存在属性 "${name}" 时必须提供`);
+        }
+      }
+    } else {
+      _validate(dependency, data, path, context);
+    }
+  }
+}
+
+/**
+ * 验证组合关键字（allOf、anyOf、oneOf、not、if/then/else）
+ * @private
+ */
+function _validateCombinators(schema, data, path, context) {
+  if (schema.allOf) {
+    for (const subschema of schema.allOf) {
+      _validate(subschema, data, path, context);
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(subschema => _isValid(subschema, data, context))) {
+    _fail(context, path, 'anyOf', '应满足 anyOf 中至少一个Schema');
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(subschema => _isValid(subschema, data, context)).length;
+
+    if (matches !== 1) {
+      _fail(context, path, 'oneOf', `应恰好满足 oneOf 中的一个Schema，实际满足 ${matches} 个`);
+    }
+  }
+
+  if (schema.not !== undefined && _isValid(schema.not, data, context)) {
+    _fail(context, path, 'not', '不应满足 not 的Schema');
+  }
+
+  if (schema.if !== undefined) {
+    const branch = _isValid(schema.if, data, context) ? schema.then : schema.else;
+
+    if (branch !== undefined) {
+      _validate(branch, data, path, context);
+    }
+  }
+}
+
+/**
+ * 将Schema中的正则表达式编译为RegExp
+ * @private
+ * @param {string} pattern - 正则表达式
+ * @param {string} keyword - 所在的关键字，用于错误信息
+ * @returns {RegExp} 编译后的正则表达式
+ * @throws {ValidationError} 如果不是合法的正则表达式
+ */
+function _compilePattern(pattern, keyword) {
+  try {
+    return new RegExp(pattern, 'u');
+  } catch (error) {
+    throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Schema的 ${keyword} 不是合法的正则表达式: ${pattern}`, {
+      details: { keyword, pattern },
+      cause: error
+    });
+  }
+}
+
+/**
+ * 不记录错误地检查数据是否满足子Schema
+ * @private
+ */
+function _isValid(schema, data, context) {
+  const probe = { ...context, errors: [], allErrors: false };
+  return _validate(schema, data, '', probe);
+}
+
+/**
+ * 解析 $ref，支持文档内的JSON Pointer和已注册Schema的 $id
+ * @private
+ * @param {string} ref - 引用，例如 '#/definitions/provider' 或 'agent.json#/definitions/agentId'
+ * @param {Object} root - 当前文档的根Schema
+ * @returns {Object} {schema, root}，引用的Schema及其所在文档的根Schema
+ * @throws {ResourceError} 如果引用无法解析
+ */
+function _resolveRef(ref, root) {
+  const hashIndex = ref.indexOf('#');
+  const base = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+  const fragment = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+  const document = base ? _findDocument(base, root) : root;
+
+  if (!document) {
+    throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `无法解析Schema引用: ${ref}`, { details: { ref } });
+  }
+
+  if (fragment === '') {
+    return { schema: document, root: document };
+  }
+
+  if (!fragment.startsWith('/')) {
+    throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `不支持的Schema引用: ${ref}`, { details: { ref } });
+  }
+
+  let target = document;
+
+  for (const segment of fragment.slice(1).split('/')) {
+    const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+    target = target !== undefined && target !== null ? target[key] : undefined;
+  }
+
+  if (target === undefined) {
+    throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `无法解析Schema引用: ${ref}`, { details: { ref } });
+  }
+
+  return { schema: target, root: document };
+}
+
+/**
+ * 按地址查找引用的文档，相对地址按当前文档的 $id 解析
+ * @private
+ * @param {string} base - 引用中 # 之前的部分
+ * @param {Object} root - 当前文档的根Schema
+ * @returns {Object|undefined} 文档的根Schema
+ */
+function _findDocument(base, root) {
+  if (schemaRegistry.has(base)) {
+    return schemaRegistry.get(base);
+  }
+
+  if (root && typeof root.$id === 'string') {
+    try {
+      const absolute = new URL(base, root.$id).href;
+      return absolute === root.$id.split('#')[0] ? root : schemaRegistry.get(absolute);
+    } catch (error) {
+      // $id 不是绝对地址，无法解析相对引用
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * 记录验证错误
+ * @private
+ * @returns {boolean} 始终为false
+ */
+function _fail(context, path, keyword, message) {
+  if (context.allErrors || context.errors.length === 0) {
+    context.errors.push({ path, keyword, message });
+  }
+
+  return false;
+}
+
+/**
+ * 未知属性的错误消息，名称相近时给出建议
+ * @private
+ */
+function _unknownPropertyMessage(key, known) {
+  const suggestion = known.find(name => _editDistance(name.toLowerCase(), key.toLowerCase()) <= 2);
+  return suggestion ? `未知属性 "${key}"，是否应为 "${suggestion}"？` : `未知属性 "${key}"`;
+}
+
+/**
+ * 计算两个字符串的编辑距离
+ * @private
+ */
+function _editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+
+  return row[b.length];
+}
+
+/**
+ * 获取数据的JSON Schema类型
+ * @private
+ */
+function _typeOf(data) {
+  if (data === null) return 'null';
+  if (Array.isArray(data)) return 'array';
+  if (typeof data === 'number') return Number.isInteger(data) ? 'integer' : 'number';
+  return typeof data;
+}
+
+/**
+ * 按JSON语义比较两个值是否相等
+ * @private
+ */
+function _equal(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+
+  return keysA.length === keysB.length && keysA.every(key => _equal(a[key], b[key]));
+}
+
+module.exports = {
+  validateSchema,
+  addSchema,
+  getSchema,
+  toPointer,
+  formatErrors
+};
@@ -0,0 +1,355 @@
+/**
+ * ACIP日志处理器
+ *
+ * 提供换行分隔的JSON（NDJSON）输出、按大小或时间轮转的日志文件和异步缓冲写入
+ *
+ * @module utils/log-handlers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LogLevel, LogLevelNames } = require('./logger');
+const { ErrorCode, ValidationError } = require('../errors/acip-error');
+
+/**
+ * 将日志记录格式化为一行JSON
+ *
+ * 记录包含 timestamp、level、logger、message 以及元数据的其他字段。
+ * 错误对象序列化为 {name, message, stack}，循环引用替换为 "[Circular]"。
+ *
+ * @param {number} level - 日志级别
+ * @param {string} message - 日志消息
+ * @param {Object} [meta] - 元数据
+ * @returns {string} 以换行结尾的JSON
+ */
+function formatJsonLine(level, message, meta = {}) {
+  const { logger, ...rest } = meta;
+  const record = {
+    ...rest,
+    timestamp: new Date().toISOString(),
+    level: LogLevelNames[level] || 'UNKNOWN',
+    logger,
+    message
+  };
+  const seen = new WeakSet();
+
+  return `${JSON.stringify(record, (key, value) => {
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, stack: value.stack };
+    }
+
+    if (value !== null && typeof value === 'object') {
+      if (seen.has(value)) {
+        return '[Circular]';
+      }
+      seen.add(value);
+    }
+
+    return typeof value === 'bigint' ? value.toString() : value;
+  })}\n`;
+}
+
+/**
+ * 创建NDJSON日志处理器，每条日志写入一行JSON
+ * @param {Object} [options] - 处理器选项
+ * @param {Object} [options.stream=process.stdout] - 可写流，需要 write(chunk) 方法
+ * @returns {Function} 日志处理器函数
+ */
+function createJsonHandler(options = {}) {
+  const stream = options.stream || process.stdout;
+
+  return (level, message, meta) => {
+    stream.write(formatJsonLine(level, message, meta));
+  };
+}
+
+/**
+ * 轮转的日志文件
+ *
+ * 当前文件超过 maxSize 字节或打开超过 interval 毫秒时，将其改名为 <文件名>.1，
+ * 已有的 <文件名>.N 依次后移，超过 maxFiles 的文件被删除。写入是同步的，
+ * 需要不阻塞时与 createBufferedHandler 组合使用。
+ */
+class RotatingFileWriter {
+  /**
+   * 创建轮转日志文件
+   * @param {Object} options - 选项
+   * @param {string} options.filename - 日志文件路径
+   * @param {number} [options.maxSize=10485760] - 单个文件的最大字节数，0表示不按大小轮转
+   * @param {number} [options.interval=0] - 轮转间隔（毫秒），0表示不按时间轮转
+   * @param {number} [options.maxFiles=5] - 保留的已轮转文件数
+   */
+  constructor(options = {}) {
+    if (!options.filename) {
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, '轮转日志文件需要 filename');
+    }
+
+    this.filename = options.filename;
+    this.maxSize = options.maxSize !== undefined ? options.maxSize : 10 * 1024 * 1024;
+    this.interval = options.interval || 0;
+    this.maxFiles = options.maxFiles !== undefined ? options.maxFiles : 5;
+
+    this.fd = null;
+    this.size = 0;
+    this.openedAt = 0;
+
+    // 绑定方法
+    this.write = this.write.bind(this);
+    this.rotate = this.rotate.bind(this);
+    this.close = this.close.bind(this);
+  }
+
+  /**
+   * 写入内容，必要时先轮转
+   * @param {string} chunk - 内容
+   * @param {Function} [callback] - 写入完成后的回调
+   * @returns {boolean} 始终为true
+   */
+  write(chunk, callback) {
+    try {
+      const bytes = Buffer.byteLength(chunk);
+
+      this._open();
+
+      if (this._shouldRotate(bytes)) {
+        this.rotate();
+        this._open();
+      }
+
+      fs.writeSync(this.fd, chunk);
+      this.size += bytes;
+    } catch (error) {
+      if (callback) {
+        callback(error);
+        return true;
+      }
+      throw error;
+    }
+
+    if (callback) {
+      callback();
+    }
+
+    return true;
+  }
+
+  /**
+   * 立即轮转当前文件
+   */
+  rotate() {
+    this.close();
+
+    if (!fs.existsSync(this.filename)) {
+      return;
+    }
+
+    if (this.maxFiles <= 0) {
+      fs.unlinkSync(this.filename);
+      return;
+    }
+
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const source = `${this.filename}.${i}`;
+
+      if (fs.existsSync(source)) {
+        fs.renameSync(source, `${this.filename}.${i + 1}`);
+      }
+    }
+
+    const overflow = `${this.filename}.${this.maxFiles + 1}`;
+
+    if (fs.existsSync(overflow)) {
+      fs.unlinkSync(overflow);
+    }
+
+    fs.renameSync(this.filename, `${this.filename}.1`);
+  }
+
+  /**
+   * 关闭当前文件
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  /**
+   * 打开当前文件（如果尚未打开）
+   * @private
+   */
+  _open() {
+    if (this.fd !== null) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    this.fd = fs.openSync(this.filename, 'a');
+
+    const stats = fs.fstatSync(this.fd);
+    this.size = stats.size;
+    this.openedAt = stats.size > 0 ? stats.birthtimeMs || stats.mtimeMs : Date.now();
+  }
+
+  /**
+   * 检查写入前是否需要轮转
+   * @private
+   * @param {number} bytes - 即将写入的字节数
+   * @returns {boolean} 是否需要轮转
+   */
+  _shouldRotate(bytes) {
+    if (this.size === 0) {
+      return false;
+    }
+
+    if (this.maxSize > 0 && this.size + bytes > this.maxSize) {
+      return true;
+    }
+
+    return this.interval > 0 && Date.now() - this.openedAt >= this.interval;
+  }
+}
+
+/**
+ * 创建写入轮转日志文件的NDJSON处理器
+ * @param {Object} options - 选项，参见 RotatingFileWriter
+ * @returns {Function} 日志处理器函数，带有 close() 方法
+ */
+function createRotatingFileHandler(options = {}) {
+  const writer = new RotatingFileWriter(options);
+  const handler = createJsonHandler({ stream: writer });
+
+  handler.writer = writer;
+  handler.flush = async () => {};
+  handler.close = async () => writer.close();
+
+  return handler;
+}
+
+/**
+ * 创建异步缓冲的NDJSON处理器
+ *
+ * 日志先进入内存缓冲，缓冲达到 bufferSize 条、距上次写入超过 flushInterval 毫秒
+ * 或记录了FATAL日志时，合并为一次写入。同一时间只有一次写入，写入完成前的新日志
+ * 留在缓冲中；缓冲超过 maxBuffer 条时丢弃最早的日志，避免目标写入缓慢时占满内存。
+ *
+ * @param {Object} options - 选项
+ * @param {Object} options.stream - 写入目标，需要 write(chunk, callback) 方法，例如 fs.WriteStream 或 RotatingFileWriter
+ * @param {number} [options.bufferSize=100] - 触发写入的缓冲条数
+ * @param {number} [options.flushInterval=1000] - 定时写入的间隔（毫秒）
+ * @param {number} [options.maxBuffer=10000] - 最多缓冲的条数
+ * @param {Function} [options.onError] - 写入失败时调用 (error, lineCount)，默认作为进程警告发出
+ * @returns {Function} 日志处理器函数，带有 flush() 和 close() 方法
+ */
+function createBufferedHandler(options = {}) {
+  const stream = options.stream;
+  const bufferSize = options.bufferSize || 100;
+  const flushInterval = options.flushInterval !== undefined ? options.flushInterval : 1000;
+  const maxBuffer = options.maxBuffer || 10000;
+  const onError = options.onError || (error => process.emitWarning(`写入日志失败: ${error.message}`, 'LogWriteWarning'));
+
+  if (!stream || typeof stream.write !== 'function') {
+    throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, '缓冲日志处理器需要可写的 stream');
+  }
+
+  let buffer = [];
+  let dropped = 0;
+  let writing = null;
+  let closed = false;
+
+  // 写入缓冲中的日志；已有写入进行中时不做任何事，日志继续受 maxBuffer 限制
+  const drain = () => {
+    if (writing || (buffer.length === 0 && dropped === 0)) {
+      return writing || Promise.resolve();
+    }
+
+    const lines = buffer;
+
+    if (dropped > 0) {
+      lines.unshift(formatJsonLine(LogLevel.WARN, `日志缓冲已满，丢弃了${dropped}条日志`, { logger: 'log-handlers' }));
+    }
+
+    buffer = [];
+    dropped = 0;
+
+    writing = new Promise(resolve => {
+      stream.write(lines.join(''), error => {
+        if (error) {
+          onError(error, lines.length);
+        }
+        resolve();
+      });
+    }).then(() => {
+      writing = null;
+
+      // 写入期间缓冲再次达到 bufferSize 时接着写入
+      if (buffer.length >= bufferSize) {
+        drain();
+      }
+    });
+
+    return writing;
+  };
+
+  // 等待进行中的写入，再写入调用时缓冲中的日志
+  const flush = async () => {
+    while (writing) {
+      await writing;
+    }
+
+    await drain();
+  };
+
+  const timer = flushInterval > 0 ? setInterval(drain, flushInterval) : null;
+
+  if (timer && timer.unref) {
+    timer.unref();
+  }
+
+  const handler = (level, message, meta) => {
+    if (closed) {
+      return;
+    }
+
+    buffer.push(formatJsonLine(level, message, meta));
+
+    if (buffer.length > maxBuffer) {
+      buffer.shift();
+      dropped++;
+    }
+
+    if (level >= LogLevel.FATAL) {
+      flush();
+    } else if (buffer.length >= bufferSize) {
+      drain();
+    }
+  };
+
+  handler.flush = flush;
+  handler.close = async () => {
+    closed = true;
+
+    if (timer) {
+      clearInterval(timer);
+    }
+
+    await flush();
+
+    if (typeof stream.end === 'function') {
+      await new Promise(resolve => stream.end(resolve));
+    } else if (typeof stream.close === 'function') {
+      stream.close();
+    }
+  };
+
+  return handler;
+}
+
+module.exports = {
+  formatJsonLine,
+  createJsonHandler,
+  RotatingFileWriter,
+  createRotatingFileHandler,
+  createBufferedHandler
+};
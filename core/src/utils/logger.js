@@ -6,6 +6,8 @@
  * @module utils/logger
  */
 
+const { getContext } = require('./request-context');
+
 /**
  * 日志级别
  */
@@ -60,6 +62,30 @@ const LogLevelNames = {
   [LogLevel.NONE]: 'NONE'
 };
 
+/**
+ * 默认脱敏的元数据键，比较时忽略大小写、下划线和连字符
+ */
+const DEFAULT_REDACTED_KEYS = [
+  'apiKey',
+  'password',
+  'secret',
+  'clientSecret',
+  'token',
+  'accessToken',
+  'refreshToken',
+  'idToken',
+  'sessionToken',
+  'x-api-key',
+  'authorization',
+  'cookie',
+  'privateKey'
+];
+
+/**
+ * 脱敏值的默认替换文本
+ */
+const REDACTED = '[REDACTED]';
+
 /**
  * 将字符串日志级别转换为数字
  * @param {string} levelName - 日志级别名称
@@ -115,6 +141,71 @@ function formatLogMessage(level, message, meta = {}) {
   return `[${timestamp}] [${levelName}] ${message}${formattedMeta}`;
 }
 
+/**
+ * 规范化用于比较的键名
+ * @private
+ * @param {string} key - 键名
+ * @returns {string} 小写且去掉下划线和连字符的键名
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[_-]/g, '');
+}
+
+/**
+ * 检查脱敏时是否展开对象：只展开数组、普通对象和Error
+ * @private
+ * @param {Object} value - 对象
+ * @returns {boolean} 是否展开
+ */
+function isTraversable(value) {
+  const prototype = Object.getPrototypeOf(value);
+  return Array.isArray(value) || value instanceof Error || prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * 创建元数据脱敏函数
+ * 
+ * 返回的函数深度复制元数据中的普通对象、数组和Error，并将键名匹配的值替换为掩码，
+ * 原对象不变。Buffer、Map 和类实例等其他对象原样保留
+ * 
+ * @param {Object} [options] - 脱敏选项
+ * @param {string[]} [options.keys=DEFAULT_REDACTED_KEYS] - 需要脱敏的键
+ * @param {string} [options.mask='[REDACTED]'] - 替换文本
+ * @returns {Function} 脱敏函数 (meta) => 脱敏后的元数据
+ */
+function createRedactor(options = {}) {
+  const keys = new Set((options.keys || DEFAULT_REDACTED_KEYS).map(normalizeKey));
+  const mask = options.mask !== undefined ? options.mask : REDACTED;
+  
+  const redact = (value, seen) => {
+    if (value === null || typeof value !== 'object' || !isTraversable(value)) {
+      return value;
+    }
+    
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    seen.add(value);
+    
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item, seen));
+    }
+    
+    const output = {};
+    const entries = value instanceof Error
+      ? [['name', value.name], ['message', value.message], ['stack', value.stack], ...Object.entries(value)]
+      : Object.entries(value);
+    
+    for (const [key, item] of entries) {
+      output[key] = keys.has(normalizeKey(key)) ? mask : redact(item, seen);
+    }
+    
+    return output;
+  };
+  
+  return meta => redact(meta, new WeakSet());
+}
+
 /**
  * 创建控制台日志处理器
  * @returns {Function} 日志处理器函数
@@ -155,12 +246,16 @@ class Logger {
    * @param {string} [options.name='ACIP'] - 日志记录器名称
    * @param {Function[]} [options.handlers] - 日志处理器数组
    * @param {Object} [options.meta={}] - 默认元数据
+   * @param {Object|string[]|boolean} [options.redact=true] - 元数据脱敏：需要脱敏的键数组、
+   *   createRedactor 的选项，或 false 表示不脱敏。默认脱敏 DEFAULT_REDACTED_KEYS
    */
   constructor(options = {}) {
     this.level = getLevelValue(options.level || 'info');
     this.name = options.name || 'ACIP';
     this.handlers = options.handlers || [createConsoleHandler()];
     this.defaultMeta = options.meta || {};
+    this.redactOptions = options.redact !== undefined ? options.redact : true;
+    this.redact = this._createRedactor(this.redactOptions);
     
     // 绑定日志方法
     this.trace = this.trace.bind(this);
@@ -173,6 +268,8 @@ class Logger {
     this.setLevel = this.setLevel.bind(this);
     this.addHandler = this.addHandler.bind(this);
     this.child = this.child.bind(this);
+    this.flush = this.flush.bind(this);
+    this.close = this.close.bind(this);
   }
 
   /**
@@ -268,11 +365,13 @@ class Logger {
       return;
     }
     
-    const combinedMeta = {
+    // 合并当前请求上下文，并在任何处理器看到元数据之前脱敏
+    const combinedMeta = this.redact({
       ...this.defaultMeta,
+      ...getContext(),
       ...meta,
       logger: this.name
-    };
+    });
     
     for (const handler of this.handlers) {
       try {
@@ -301,6 +400,26 @@ class Logger {
     }
   }
 
+  /**
+   * 写出带缓冲的处理器中的日志
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(this.handlers
+      .filter(handler => typeof handler.flush === 'function')
+      .map(handler => handler.flush()));
+  }
+
+  /**
+   * 写出剩余日志并关闭处理器
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(this.handlers
+      .filter(handler => typeof handler.close === 'function')
+      .map(handler => handler.close()));
+  }
+
   /**
    * 创建子日志记录器
    * @param {string} name - 子日志记录器名称
@@ -312,12 +431,31 @@ class Logger {
       level: this.level,
       name: `${this.name}:${name}`,
       handlers: this.handlers,
+      redact: this.redactOptions,
       meta: {
         ...this.defaultMeta,
         ...meta
       }
     });
   }
+
+  /**
+   * 根据选项创建脱敏函数
+   * @private
+   * @param {Object|string[]|boolean} options - 脱敏选项
+   * @returns {Function} 脱敏函数
+   */
+  _createRedactor(options) {
+    if (options === false) {
+      return meta => meta;
+    }
+    
+    if (Array.isArray(options)) {
+      return createRedactor({ keys: options });
+    }
+    
+    return createRedactor(options === true ? {} : options);
+  }
 }
 
 /**
@@ -337,5 +475,8 @@ module.exports = {
   createLogger,
   defaultLogger,
   LogLevel,
-  LogLevelNames
+  LogLevelNames,
+  createConsoleHandler,
+  createRedactor,
+  DEFAULT_REDACTED_KEYS
 }; 
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * ACIP请求上下文
+ *
+ * 基于 AsyncLocalStorage 在一次请求的异步调用链中传递 requestId、userId、sessionId、traceId 和 spanId，
+ * Logger 的元数据和 ContextEventEmitter 发出的事件会自动带上这些字段
+ *
+ * @module utils/request-context
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const EventEmitter = require('events');
+
+/**
+ * 请求上下文的标准字段
+ */
+const CONTEXT_FIELDS = ['requestId', 'userId', 'sessionId', 'traceId', 'spanId'];
+
+// 当前异步调用链的上下文
+const storage = new AsyncLocalStorage();
+
+/**
+ * 去掉值为 undefined 的字段
+ * @private
+ * @param {Object} values - 上下文字段
+ * @returns {Object} 新对象
+ */
+function definedValues(values = {}) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * 在请求上下文中执行函数
+ *
+ * 新上下文继承外层上下文的字段，fn 及其发起的所有异步操作都能读取到它
+ *
+ * @param {Object} context - 上下文字段，例如 {requestId, userId, sessionId, traceId}
+ * @param {Function} fn - 要执行的函数
+ * @returns {*} fn 的返回值
+ */
+function runWithContext(context, fn) {
+  return storage.run({ ...storage.getStore(), ...definedValues(context) }, fn);
+}
+
+/**
+ * 获取当前请求上下文
+ * @returns {Object} 上下文字段的副本，不在请求上下文中时为空对象
+ */
+function getContext() {
+  const store = storage.getStore();
+  return store ? { ...store } : {};
+}
+
+/**
+ * 向当前请求上下文添加字段，例如认证成功后补充 userId
+ * @param {Object} values - 上下文字段
+ * @returns {boolean} 是否在请求上下文中
+ */
+function updateContext(values) {
+  const store = storage.getStore();
+
+  if (!store) {
+    return false;
+  }
+
+  Object.assign(store, definedValues(values));
+  return true;
+}
+
+/**
+ * 将当前请求上下文合并到事件数据中，数据中已有的字段优先
+ * @param {*} data - 事件数据
+ * @returns {*} 合并后的数据，非普通对象原样返回
+ */
+function attachContext(data) {
+  const store = storage.getStore();
+
+  if (!store || data === null || typeof data !== 'object' || Array.isArray(data) ||
+    Object.getPrototypeOf(data) !== Object.prototype) {
+    return data;
+  }
+
+  return { ...store, ...data };
+}
+
+/**
+ * 在事件数据中附加请求上下文的事件发射器
+ */
+class ContextEventEmitter extends EventEmitter {
+  /**
+   * 发出事件，第一个参数为普通对象时合并当前请求上下文
+   * @param {string|symbol} event - 事件名称
+   * @param {...*} args - 事件参数
+   * @returns {boolean} 是否有监听器
+   */
+  emit(event, ...args) {
+    if (args.length > 0) {
+      args[0] = attachContext(args[0]);
+    }
+
+    return super.emit(event, ...args);
+  }
+}
+
+module.exports = {
+  CONTEXT_FIELDS,
+  runWithContext,
+  getContext,
+  updateContext,
+  attachContext,
+  ContextEventEmitter
+};
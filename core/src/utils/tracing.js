@@ -0,0 +1,575 @@
+/**
+ * ACIP链路追踪
+ *
+ * 提供与 OpenTelemetry 数据模型兼容的跨度（span），用于查看单次调用中各阶段的耗时。
+ * 活动跨度的 traceId 和 spanId 通过请求上下文传递，日志会自动带上这两个字段。
+ *
+ * @module utils/tracing
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { runWithContext, getContext } = require('./request-context');
+const { version } = require('../../package.json');
+const { ErrorCode, ValidationError } = require('../errors/acip-error');
+
+/**
+ * 跨度状态码，与 OpenTelemetry 的 StatusCode 一致
+ */
+const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+/**
+ * 跨度类型，与 OTLP 的 SpanKind 一致
+ */
+const SpanKind = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5
+};
+
+// 进程启动时的时钟偏移，用单调时钟计算纳秒级的墙上时间
+const CLOCK_ORIGIN = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+
+/**
+ * 获取当前时间
+ * @private
+ * @returns {bigint} Unix纪元以来的纳秒数
+ */
+function nowNanos() {
+  return CLOCK_ORIGIN + process.hrtime.bigint();
+}
+
+/**
+ * 生成随机的十六进制ID
+ * @private
+ * @param {number} bytes - 字节数
+ * @returns {string} 十六进制字符串
+ */
+function randomHex(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * 将上下文中的 traceId 规范化为32位十六进制，UUID去掉连字符后可直接使用
+ * @private
+ * @param {*} traceId - 上下文中的 traceId
+ * @returns {string|null} 规范化后的 traceId，无法使用时为null
+ */
+function normalizeTraceId(traceId) {
+  if (typeof traceId !== 'string') {
+    return null;
+  }
+
+  const hex = traceId.replace(/-/g, '').toLowerCase();
+
+  return /^[0-9a-f]{32}$/.test(hex) && !/^0+$/.test(hex) ? hex : null;
+}
+
+/**
+ * 跨度类，记录一个操作的起止时间、属性、事件和状态
+ */
+class Span {
+  /**
+   * 创建跨度，通常通过 Tracer#startSpan 创建
+   * @param {Object} options - 跨度选项
+   * @param {string} options.name - 跨度名称
+   * @param {string} options.traceId - 追踪ID
+   * @param {string} [options.parentSpanId] - 父跨度ID
+   * @param {number} [options.kind=SpanKind.INTERNAL] - 跨度类型
+   * @param {Object} [options.attributes] - 初始属性
+   * @param {Object} [options.resource] - 资源属性，例如 service.name
+   * @param {Function} [options.onEnd] - 跨度结束时的回调
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.traceId = options.traceId;
+    this.spanId = randomHex(8);
+    this.parentSpanId = options.parentSpanId || null;
+    this.kind = options.kind || SpanKind.INTERNAL;
+    this.resource = options.resource || {};
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: SpanStatusCode.UNSET };
+    this.startTime = nowNanos();
+    this.endTime = null;
+    this.onEnd = options.onEnd || null;
+
+    this.setAttributes(options.attributes);
+  }
+
+  /**
+   * 跨度是否已结束
+   * @returns {boolean}
+   */
+  get ended() {
+    return this.endTime !== null;
+  }
+
+  /**
+   * 跨度的耗时
+   * @returns {number|null} 毫秒数，未结束时为null
+   */
+  get duration() {
+    return this.ended ? Number(this.endTime - this.startTime) / 1e6 : null;
+  }
+
+  /**
+   * 设置属性，值为 undefined 或 null 时忽略
+   * @param {string} key - 属性名，例如 'model.id'
+   * @param {*} value - 属性值
+   * @returns {Span} 当前跨度
+   */
+  setAttribute(key, value) {
+    if (!this.ended && value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+
+    return this;
+  }
+
+  /**
+   * 批量设置属性
+   * @param {Object} [attributes] - 属性
+   * @returns {Span} 当前跨度
+   */
+  setAttributes(attributes = {}) {
+    for (const [key, value] of Object.entries(attributes)) {
+      this.setAttribute(key, value);
+    }
+
+    return this;
+  }
+
+  /**
+   * 添加事件，例如流式响应的第一个数据块
+   * @param {string} name - 事件名称
+   * @param {Object} [attributes] - 事件属性
+   * @returns {Span} 当前跨度
+   */
+  addEvent(name, attributes = {}) {
+    if (!this.ended) {
+      this.events.push({ name, time: nowNanos(), attributes });
+    }
+
+    return this;
+  }
+
+  /**
+   * 记录异常并将状态设置为ERROR
+   * @param {Error} error - 异常
+   * @returns {Span} 当前跨度
+   */
+  recordException(error) {
+    const err = error instanceof Error ? error : new Error(String(error));
+
+    this.addEvent('exception', {
+      'exception.type': err.code || err.name,
+      'exception.message': err.message,
+      'exception.stacktrace': err.stack
+    });
+
+    return this.setStatus(SpanStatusCode.ERROR, err.message);
+  }
+
+  /**
+   * 设置状态
+   * @param {number} code - SpanStatusCode
+   * @param {string} [message] - 状态描述，仅用于ERROR
+   * @returns {Span} 当前跨度
+   */
+  setStatus(code, message) {
+    if (!this.ended) {
+      this.status = code === SpanStatusCode.ERROR && message ? { code, message } : { code };
+    }
+
+    return this;
+  }
+
+  /**
+   * 结束跨度并交给导出器，重复调用无效
+   */
+  end() {
+    if (this.ended) {
+      return;
+    }
+
+    this.endTime = nowNanos();
+
+    if (this.onEnd) {
+      this.onEnd(this);
+    }
+  }
+}
+
+/**
+ * 追踪器类，创建跨度并在跨度结束时交给导出器
+ */
+class Tracer {
+  /**
+   * 创建追踪器
+   * @param {Object} [options] - 追踪器选项
+   * @param {string} [options.serviceName='acip'] - 资源属性 service.name
+   * @param {Object} [options.resource] - 其他资源属性
+   * @param {Array<Object>} [options.exporters=[]] - 导出器，需要 export(spans) 方法
+   * @param {Object} [logger=console] - 日志记录器
+   */
+  constructor(options = {}, logger = console) {
+    this.resource = { 'service.name': options.serviceName || 'acip', ...options.resource };
+    this.exporters = [...(options.exporters || [])];
+    this.logger = logger;
+
+    // 绑定方法
+    this.startSpan = this.startSpan.bind(this);
+    this.withSpan = this.withSpan.bind(this);
+    this.activate = this.activate.bind(this);
+    this.addExporter = this.addExporter.bind(this);
+    this.removeExporter = this.removeExporter.bind(this);
+    this.shutdown = this.shutdown.bind(this);
+    this._export = this._export.bind(this);
+  }
+
+  /**
+   * 开始一个跨度，默认以请求上下文中的活动跨度为父跨度
+   *
+   * 跨度不会成为活动跨度，需要子跨度时使用 withSpan 或 activate
+   *
+   * @param {string} name - 跨度名称
+   * @param {Object} [options] - 跨度选项
+   * @param {Object} [options.attributes] - 初始属性
+   * @param {number} [options.kind] - 跨度类型
+   * @param {Span} [options.parent] - 显式指定的父跨度
+   * @param {boolean} [options.root=false] - 是否忽略上下文开始新的追踪
+   * @returns {Span} 新跨度
+   */
+  startSpan(name, options = {}) {
+    const context = options.root ? {} : getContext();
+    const parent = options.parent || null;
+
+    return new Span({
+      name,
+      traceId: parent ? parent.traceId : normalizeTraceId(context.traceId) || randomHex(16),
+      parentSpanId: parent ? parent.spanId : context.spanId,
+      kind: options.kind,
+      attributes: options.attributes,
+      resource: this.resource,
+      onEnd: this._export
+    });
+  }
+
+  /**
+   * 在活动跨度中执行函数
+   *
+   * fn 及其发起的异步操作中创建的跨度都是该跨度的子跨度。fn 返回后（返回Promise时
+   * 在其完成后）结束跨度，fn 抛出异常时记录异常并重新抛出。
+   *
+   * @param {string} name - 跨度名称
+   * @param {Object} [options] - 跨度选项，参见 startSpan
+   * @param {Function} fn - 要执行的函数 (span) => any
+   * @returns {*} fn 的返回值
+   */
+  withSpan(name, options, fn) {
+    if (typeof options === 'function') {
+      fn = options;
+      options = {};
+    }
+
+    const span = this.startSpan(name, options);
+    const fail = error => {
+      span.recordException(error);
+      span.end();
+      throw error;
+    };
+
+    return this.activate(span, () => {
+      let result;
+
+      try {
+        result = fn(span);
+      } catch (error) {
+        fail(error);
+      }
+
+      if (result && typeof result.then === 'function') {
+        return result.then(value => {
+          span.end();
+          return value;
+        }, fail);
+      }
+
+      span.end();
+      return result;
+    });
+  }
+
+  /**
+   * 以跨度为活动跨度执行函数，不结束跨度，用于跨越多个回调的操作，例如流式响应
+   * @param {Span} span - 跨度
+   * @param {Function} fn - 要执行的函数
+   * @returns {*} fn 的返回值
+   */
+  activate(span, fn) {
+    return runWithContext({ traceId: span.traceId, spanId: span.spanId }, fn);
+  }
+
+  /**
+   * 添加导出器
+   * @param {Object} exporter - 导出器，需要 export(spans) 方法
+   * @returns {Tracer} 当前追踪器
+   */
+  addExporter(exporter) {
+    this.exporters.push(exporter);
+    return this;
+  }
+
+  /**
+   * 移除导出器
+   * @param {Object} exporter - 导出器
+   * @returns {boolean} 是否移除了导出器
+   */
+  removeExporter(exporter) {
+    const index = this.exporters.indexOf(exporter);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.exporters.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * 关闭所有导出器
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    const exporters = this.exporters;
+    this.exporters = [];
+
+    await Promise.all(exporters.map(exporter =>
+      typeof exporter.shutdown === 'function' ? exporter.shutdown() : undefined
+    ));
+  }
+
+  /**
+   * 将结束的跨度交给导出器，导出失败不影响调用方
+   * @private
+   * @param {Span} span - 结束的跨度
+   */
+  _export(span) {
+    for (const exporter of this.exporters) {
+      try {
+        const result = exporter.export([span]);
+
+        if (result && typeof result.catch === 'function') {
+          result.catch(error => this.logger.warn(`导出跨度失败: ${error.message}`));
+        }
+      } catch (error) {
+        this.logger.warn(`导出跨度失败: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * 在内存中保存结束的跨度，用于测试和进程内检查
+ */
+class InMemorySpanExporter {
+  constructor() {
+    this.spans = [];
+
+    // 绑定方法
+    this.export = this.export.bind(this);
+    this.getFinishedSpans = this.getFinishedSpans.bind(this);
+    this.reset = this.reset.bind(this);
+  }
+
+  /**
+   * 保存跨度
+   * @param {Array<Span>} spans - 结束的跨度
+   */
+  export(spans) {
+    this.spans.push(...spans);
+  }
+
+  /**
+   * 获取已保存的跨度
+   * @param {string} [traceId] - 只返回该追踪的跨度
+   * @returns {Array<Span>} 按结束顺序排列的跨度
+   */
+  getFinishedSpans(traceId) {
+    return traceId ? this.spans.filter(span => span.traceId === traceId) : [...this.spans];
+  }
+
+  /**
+   * 清空已保存的跨度
+   */
+  reset() {
+    this.spans = [];
+  }
+}
+
+/**
+ * 转换为OTLP的 AnyValue
+ * @private
+ * @param {*} value - 属性值
+ * @returns {Object} AnyValue
+ */
+function toAnyValue(value) {
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(toAnyValue) } };
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      return { boolValue: value };
+    case 'number':
+      return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    case 'bigint':
+      return { intValue: value.toString() };
+    case 'string':
+      return { stringValue: value };
+    default:
+      return { stringValue: JSON.stringify(value) };
+  }
+}
+
+/**
+ * 转换为OTLP的 KeyValue 列表
+ * @private
+ * @param {Object} attributes - 属性
+ * @returns {Array<Object>} KeyValue 列表
+ */
+function toKeyValues(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+/**
+ * 将跨度转换为 OTLP/JSON 格式
+ * @param {Span} span - 跨度
+ * @returns {Object} OTLP Span
+ */
+function toOtlpSpan(span) {
+  const otlp = {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    name: span.name,
+    kind: span.kind,
+    startTimeUnixNano: span.startTime.toString(),
+    endTimeUnixNano: (span.endTime || span.startTime).toString(),
+    attributes: toKeyValues(span.attributes),
+    events: span.events.map(event => ({
+      timeUnixNano: event.time.toString(),
+      name: event.name,
+      attributes: toKeyValues(event.attributes)
+    })),
+    status: span.status
+  };
+
+  if (span.parentSpanId) {
+    otlp.parentSpanId = span.parentSpanId;
+  }
+
+  return otlp;
+}
+
+/**
+ * 将一组跨度转换为 OTLP/JSON 的 ExportTraceServiceRequest，按资源分组
+ * @param {Array<Span>} spans - 跨度
+ * @returns {Object} ExportTraceServiceRequest
+ */
+function toOtlpRequest(spans) {
+  const groups = new Map();
+
+  for (const span of spans) {
+    if (!groups.has(span.resource)) {
+      groups.set(span.resource, []);
+    }
+    groups.get(span.resource).push(toOtlpSpan(span));
+  }
+
+  return {
+    resourceSpans: [...groups].map(([resource, otlpSpans]) => ({
+      resource: { attributes: toKeyValues(resource) },
+      scopeSpans: [{
+        scope: { name: 'acip-core', version },
+        spans: otlpSpans
+      }]
+    }))
+  };
+}
+
+/**
+ * 将跨度以 OTLP/JSON 格式追加到文件，每次导出写入一行 ExportTraceServiceRequest，
+ * 用于离线测试和导入到支持OTLP的后端
+ */
+class OtlpJsonFileExporter {
+  /**
+   * 创建文件导出器
+   * @param {Object} options - 选项
+   * @param {string} options.filename - 输出文件路径
+   */
+  constructor(options = {}) {
+    if (!options.filename) {
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'OTLP文件导出器需要 filename');
+    }
+
+    this.filename = options.filename;
+    this.closed = false;
+
+    // 绑定方法
+    this.export = this.export.bind(this);
+    this.shutdown = this.shutdown.bind(this);
+  }
+
+  /**
+   * 追加跨度
+   * @param {Array<Span>} spans - 结束的跨度
+   */
+  export(spans) {
+    if (this.closed || spans.length === 0) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    fs.appendFileSync(this.filename, `${JSON.stringify(toOtlpRequest(spans))}\n`);
+  }
+
+  /**
+   * 停止写入
+   */
+  async shutdown() {
+    this.closed = true;
+  }
+}
+
+// 默认的全局追踪器，添加导出器后开始导出
+const globalTracer = new Tracer();
+
+/**
+ * 获取全局追踪器
+ * @returns {Tracer} 全局追踪器
+ */
+function getTracer() {
+  return globalTracer;
+}
+
+module.exports = {
+  SpanStatusCode,
+  SpanKind,
+  Span,
+  Tracer,
+  InMemorySpanExporter,
+  OtlpJsonFileExporter,
+  toOtlpSpan,
+  toOtlpRequest,
+  getTracer
+};
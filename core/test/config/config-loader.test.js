@@ -0,0 +1,198 @@
+/**
+ * 配置加载器测试
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigLoader } = require('../../src/config/config-loader');
+const { validateSchema } = require('../../src/utils/json-schema');
+const { ErrorCode } = require('../../src/errors/acip-error');
+
+// 模拟日志记录器
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+// 模型调用配置段的Schema
+const providerSchema = {
+  type: 'object',
+  properties: {
+    providers: {
+      type: 'object',
+      additionalProperties: { $ref: '#/definitions/provider' }
+    }
+  },
+  definitions: {
+    provider: {
+      type: 'object',
+      required: ['apiKey'],
+      additionalProperties: false,
+      properties: {
+        apiKey: { type: 'string', minLength: 1 },
+        timeout: { type: 'integer', minimum: 0 },
+        enabled: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+describe('ConfigLoader', () => {
+  let dir;
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'acip-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.env = { ...savedEnv };
+  });
+
+  test('合并YAML配置、环境覆盖文件和环境变量', async () => {
+    fs.writeFileSync(path.join(dir, 'config.yaml'), [
+      'core:',
+      '  logLevel: info',
+      'model_invocation:',
+      '  providers:',
+      '    openai:',
+      '      apiKey: sk-base',
+      '      timeout: 30000'
+    ].join('\n'));
+    fs.writeFileSync(path.join(dir, 'config.production.json5'), `{
+      // 生产环境覆盖
+      model_invocation: { providers: { openai: { timeout: 60000, } } },
+    }`);
+    process.env.TESTCFG_CORE_REGION = 'eu';
+
+    const loader = new ConfigLoader({
+      configPath: path.join(dir, 'config.yaml'),
+      environment: 'production',
+      envPrefix: 'TESTCFG_',
+      defaults: { core: { maxListeners: 100 } }
+    }, mockLogger);
+
+    const config = await loader.load();
+
+    expect(config.core).toEqual({ maxListeners: 100, logLevel: 'info', region: 'eu' });
+    expect(config.model_invocation.providers.openai).toEqual({ apiKey: 'sk-base', timeout: 60000 });
+  });
+
+  test('解析环境变量引用和密钥引用', async () => {
+    const secretFile = path.join(dir, 'anthropic-key');
+    fs.writeFileSync(secretFile, 'sk-ant-secret\n');
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({
+      server: {
+        port: '${TESTCFG_PORT}',
+        url: 'http://${TESTCFG_HOST:-localhost}:${TESTCFG_PORT}',
+        literal: '$${TESTCFG_PORT}'
+      },
+      keys: {
+        openai: '${secret:env:TESTCFG_OPENAI_KEY}',
+        anthropic: `\${secret:file:${secretFile}}`,
+        vault: '${secret:vault:team/key}'
+      }
+    }));
+    process.env.TESTCFG_PORT = '8080';
+    process.env.TESTCFG_OPENAI_KEY = 'sk-openai';
+
+    const loader = new ConfigLoader({
+      configPath: path.join(dir, 'config.json'),
+      useEnv: false,
+      secrets: { vault: async key => `vault:${key}` }
+    }, mockLogger);
+
+    const config = await loader.load();
+
+    expect(config.server).toEqual({ port: 8080, url: 'http://localhost:8080', literal: '${TESTCFG_PORT}' });
+    expect(config.keys).toEqual({ openai: 'sk-openai', anthropic: 'sk-ant-secret', vault: 'vault:team/key' });
+    expect(loader.secretPaths).toEqual(['/keys/openai', '/keys/anthropic', '/keys/vault']);
+  });
+
+  test('缺少环境变量或密钥时报告所在路径', async () => {
+    const loader = new ConfigLoader({
+      useEnv: false,
+      defaults: { db: { password: '${TESTCFG_MISSING}' } }
+    }, mockLogger);
+
+    await expect(loader.load()).rejects.toMatchObject({
+      code: ErrorCode.VALIDATION_MISSING_REQUIRED,
+      details: { path: '/db/password', variable: 'TESTCFG_MISSING' }
+    });
+
+    loader.defaults = { db: { password: '${secret:env:TESTCFG_MISSING}' } };
+
+    await expect(loader.load()).rejects.toMatchObject({ code: ErrorCode.RESOURCE_NOT_FOUND });
+  });
+
+  test('按配置段的Schema验证并给出精确的错误路径', async () => {
+    fs.writeFileSync(path.join(dir, 'config.yml'), [
+      'model_invocation:',
+      '  providers:',
+      '    openai:',
+      '      apiKey: sk-test',
+      '      timout: 3000',
+      '    anthropic:',
+      '      enabled: yes'
+    ].join('\n'));
+
+    const loader = new ConfigLoader({
+      configPath: path.join(dir, 'config.yml'),
+      useEnv: false,
+      schemas: { model_invocation: providerSchema }
+    }, mockLogger);
+
+    const error = await loader.load().catch(err => err);
+
+    expect(error.code).toBe(ErrorCode.VALIDATION_INVALID_FORMAT);
+    expect(error.details.errors).toEqual([
+      {
+        path: '/model_invocation/providers/openai/timout',
+        keyword: 'additionalProperties',
+        message: '未知属性 "timout"，是否应为 "timeout"？'
+      },
+      { path: '/model_invocation/providers/anthropic/apiKey', keyword: 'required', message: '缺少必需属性' },
+      { path: '/model_invocation/providers/anthropic/enabled', keyword: 'type', message: '应为 boolean，实际为 string' }
+    ]);
+    expect(error.message).toContain('/model_invocation/providers/openai/timout');
+  });
+
+  test('无法解析的配置文件立即失败，缺失的配置文件使用默认值', async () => {
+    fs.writeFileSync(path.join(dir, 'broken.yaml'), 'core: [unclosed');
+
+    const loader = new ConfigLoader({ useEnv: false, defaults: { a: 1 } }, mockLogger);
+
+    await expect(loader.load(path.join(dir, 'broken.yaml'))).rejects.toMatchObject({
+      code: ErrorCode.VALIDATION_INVALID_FORMAT,
+      details: { file: path.join(dir, 'broken.yaml') }
+    });
+    expect(await loader.load(path.join(dir, 'missing.yaml'))).toEqual({ a: 1 });
+  });
+});
+
+describe('validateSchema', () => {
+  test('支持组合关键字、数组和转义的JSON Pointer路径', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        'a/b': { type: 'array', items: { type: 'number', maximum: 10 }, uniqueItems: true },
+        mode: { oneOf: [{ const: 'fast' }, { const: 'slow' }] },
+        name: { type: 'string', pattern: '^[a-z]+$' }
+      }
+    };
+
+    const result = validateSchema(schema, { 'a/b': [1, 20, 1], mode: 'medium', name: 'ok' });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(error => [error.path, error.keyword])).toEqual([
+      ['/a~1b/2', 'uniqueItems'],
+      ['/a~1b/1', 'maximum'],
+      ['/mode', 'oneOf']
+    ]);
+    expect(validateSchema(schema, { 'a/b': [1, 2], mode: 'fast' }).valid).toBe(true);
+  });
+});
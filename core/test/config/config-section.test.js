@@ -0,0 +1,107 @@
+/**
+ * 配置段视图测试
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigLoader, findConfigFile } = require('../../src/config/config-loader');
+const { ErrorCode } = require('../../src/errors/acip-error');
+
+// 模拟日志记录器
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('ConfigSection', () => {
+  let dir;
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'acip-section-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.env = { ...savedEnv };
+  });
+
+  test('多个模块共用一个配置文件和环境变量规则', async () => {
+    fs.writeFileSync(path.join(dir, 'acip.config.yaml'), [
+      'model_invocation:',
+      '  caching:',
+      '    ttlSeconds: 60',
+      'security_authentication:',
+      '  auth:',
+      '    tokenExpiry: 900'
+    ].join('\n'));
+    process.env.TESTSEC_MODEL_INVOCATION_CACHING_ENABLED = 'false';
+
+    const loader = new ConfigLoader({ configPath: findConfigFile(dir), envPrefix: 'TESTSEC_' }, mockLogger);
+    const models = loader.section('model_invocation', {
+      defaults: { caching: { enabled: true, ttlSeconds: 3600 } },
+      overrides: { caching: { maxEntries: 10 } }
+    });
+    const security = loader.section('security_authentication', {
+      defaults: { auth: { tokenExpiry: 3600, mfaEnabled: false } }
+    });
+
+    await models.load();
+
+    expect(models.get()).toEqual({ caching: { enabled: false, ttlSeconds: 60, maxEntries: 10 } });
+    expect(security.get()).toEqual({ auth: { tokenExpiry: 900, mfaEnabled: false } });
+    expect(security.getValue('auth.tokenExpiry')).toBe(900);
+  });
+
+  test('更新按Schema验证并只通知配置段变化的监听器', () => {
+    const loader = new ConfigLoader({ configPath: null, useEnv: false }, mockLogger);
+    const auth = loader.section('auth', {
+      defaults: { tokenExpiry: 3600 },
+      schema: { type: 'object', properties: { tokenExpiry: { type: 'integer', minimum: 60 } } }
+    });
+    const cache = loader.section('cache', { defaults: { size: 10 } });
+    const authChanges = jest.fn();
+    const cacheChanges = jest.fn();
+
+    auth.onChange(authChanges);
+    cache.onChange(cacheChanges);
+
+    expect(auth.update({ tokenExpiry: 900 })).toEqual({ tokenExpiry: 900 });
+    expect(authChanges).toHaveBeenCalledWith({ tokenExpiry: 900 }, [
+      { path: '/tokenExpiry', type: 'changed', oldValue: 3600, newValue: 900 }
+    ]);
+    expect(cacheChanges).not.toHaveBeenCalled();
+
+    expect(() => auth.update({ tokenExpiry: 1 })).toThrow(expect.objectContaining({
+      code: ErrorCode.VALIDATION_INVALID_FORMAT,
+      details: { section: 'auth', errors: [expect.objectContaining({ path: '/auth/tokenExpiry' })] }
+    }));
+    expect(auth.get()).toEqual({ tokenExpiry: 900 });
+  });
+
+  test('保存时写回密钥引用而不是密钥', async () => {
+    const configPath = path.join(dir, 'acip.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      model_invocation: { providers: { openai: { apiKey: '${secret:env:TESTSEC_OPENAI_KEY}' } } }
+    }));
+    process.env.TESTSEC_OPENAI_KEY = 'sk-secret';
+
+    const loader = new ConfigLoader({ configPath, useEnv: false }, mockLogger);
+    const models = loader.section('model_invocation');
+
+    await models.load();
+    models.update({ providers: { openai: { timeout: 5000 } } });
+
+    expect(models.getValue('providers.openai.apiKey')).toBe('sk-secret');
+
+    await models.save(path.join(dir, 'saved.yaml'));
+    const saved = fs.readFileSync(path.join(dir, 'saved.yaml'), 'utf8');
+
+    expect(saved).toContain('${secret:env:TESTSEC_OPENAI_KEY}');
+    expect(saved).not.toContain('sk-secret');
+    expect(saved).toContain('timeout: 5000');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * 模块配置段与配置重载测试
+ */
+const { Core, CoreEvents } = require('../../src/lifecycle/core');
+const { ModuleLifecycle } = require('../../src/lifecycle/lifecycle');
+const { ErrorCode } = require('../../src/errors/acip-error');
+
+// 模拟日志记录器
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+// 记录配置变更的测试模块
+class ConfigurableModule extends ModuleLifecycle {
+  constructor(name, journal, { reject = false } = {}) {
+    super({ logger: mockLogger });
+    this.moduleName = name;
+    this.journal = journal;
+    this.reject = reject;
+  }
+
+  async onConfigChange(diff) {
+    this.journal.push({ module: this.moduleName, seen: this.getConfig(), changes: diff.changes });
+
+    if (this.reject) {
+      throw new Error('不支持在运行时修改');
+    }
+  }
+}
+
+// provider 配置段的Schema
+const providerSchema = {
+  type: 'object',
+  required: ['timeout'],
+  properties: {
+    timeout: { type: 'integer', minimum: 0 },
+    region: { type: 'string' }
+  }
+};
+
+describe('Core模块配置', () => {
+  let core;
+  let journal;
+  let provider;
+  let router;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    journal = [];
+    core = new Core({
+      logger: mockLogger,
+      config: { provider: { region: 'eu' }, routing: { strategy: 'fastest' } }
+    });
+
+    provider = new ConfigurableModule('provider', journal);
+    router = new ConfigurableModule('router', journal);
+
+    await core.registerModule('provider', provider, {
+      configuration: { default: { timeout: 30000 }, schema: providerSchema }
+    });
+    await core.registerModule('router', router, {
+      dependencies: { provider: '*' },
+      configKey: 'routing'
+    });
+
+    await core.initialize();
+    await core.start();
+  });
+
+  afterEach(async () => {
+    await core.stop();
+  });
+
+  test('为每个模块注入合并默认值后的配置段', () => {
+    expect(provider.getConfig()).toEqual({ timeout: 30000, region: 'eu' });
+    expect(router.getConfig()).toEqual({ strategy: 'fastest' });
+    expect(core.getModuleConfig('router')).toEqual({ strategy: 'fastest' });
+  });
+
+  test('只通知配置段发生变化的模块', async () => {
+    const changed = [];
+    core.on(CoreEvents.CONFIG_CHANGED, data => changed.push(data));
+
+    const result = await core.reloadConfig({
+      provider: { region: 'eu', timeout: 5000 },
+      routing: { strategy: 'fastest' }
+    });
+
+    const changes = [{ path: '/timeout', type: 'changed', oldValue: 30000, newValue: 5000 }];
+
+    expect(journal).toEqual([{ module: 'provider', seen: { timeout: 30000, region: 'eu' }, changes }]);
+    expect(provider.getConfig()).toEqual({ timeout: 5000, region: 'eu' });
+    expect(result).toEqual({ modules: { provider: changes } });
+    expect(changed).toEqual([{ modules: { provider: changes } }]);
+  });
+
+  test('模块拒绝新配置时恢复已接受的模块并保留旧配置', async () => {
+    router.reject = true;
+
+    const error = await core.reloadConfig({
+      provider: { region: 'us' },
+      routing: { strategy: 'cheapest' }
+    }).catch(err => err);
+
+    expect(error.code).toBe(ErrorCode.VALIDATION_INVALID_FORMAT);
+    expect(error.details).toMatchObject({ moduleId: 'router', rolledBack: ['provider'] });
+
+    // provider 先接受，随后收到反向的差异
+    expect(journal.map(entry => [entry.module, entry.changes[0].newValue])).toEqual([
+      ['provider', 'us'],
+      ['router', 'cheapest'],
+      ['provider', 'eu']
+    ]);
+    expect(provider.getConfig()).toEqual({ timeout: 30000, region: 'eu' });
+    expect(router.getConfig()).toEqual({ strategy: 'fastest' });
+    expect(core.getConfig().provider).toEqual({ region: 'eu' });
+  });
+
+  test('新配置不符合模块Schema时不通知任何模块', async () => {
+    await expect(core.reloadConfig({ provider: { timeout: -1 } })).rejects.toMatchObject({
+      code: ErrorCode.VALIDATION_INVALID_FORMAT,
+      details: { moduleId: 'provider', errors: [{ path: '/provider/timeout', keyword: 'minimum' }] }
+    });
+
+    expect(journal).toEqual([]);
+
+    await expect(core.registerModule('cache', new ConfigurableModule('cache', journal), {
+      configuration: { schema: { type: 'object', required: ['size'] } }
+    })).rejects.toMatchObject({ code: ErrorCode.VALIDATION_INVALID_FORMAT });
+    expect(await core.registry.getModule('cache')).toBeNull();
+  });
+});
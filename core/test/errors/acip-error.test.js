@@ -0,0 +1,96 @@
+/**
+ * ACIP错误类型测试
+ */
+const {
+  ErrorCode,
+  ErrorCategory,
+  AcipError,
+  ValidationError,
+  ResourceError,
+  ServiceError,
+  RateLimitError,
+  ContentBlockedError,
+  createError
+} = require('../../src/errors/acip-error');
+const { MessageType, validateMessage } = require('../../src/messages');
+
+describe('AcipError', () => {
+  test('根据错误代码选择错误类和分类', () => {
+    const notFound = createError(ErrorCode.RESOURCE_NOT_FOUND, '上下文不存在', { details: { contextId: 'ctx-1' } });
+
+    expect(notFound).toBeInstanceOf(ResourceError);
+    expect(notFound).toBeInstanceOf(AcipError);
+    expect(notFound).toBeInstanceOf(Error);
+    expect(notFound.category).toBe(ErrorCategory.RESOURCE);
+    expect(notFound.retryable).toBe(false);
+    expect(notFound.details).toEqual({ contextId: 'ctx-1' });
+
+    expect(createError(ErrorCode.VALIDATION_MISSING_REQUIRED)).toBeInstanceOf(ValidationError);
+    expect(createError(ErrorCode.SERVICE_TIMEOUT)).toBeInstanceOf(ServiceError);
+    expect(createError(ErrorCode.RATE_LIMITED)).toBeInstanceOf(RateLimitError);
+    expect(createError(ErrorCode.CONTENT_BLOCKED)).toBeInstanceOf(ContentBlockedError);
+  });
+
+  test('可重试标记默认由错误代码决定并可覆盖', () => {
+    expect(createError(ErrorCode.SERVICE_UNAVAILABLE).retryable).toBe(true);
+    expect(createError(ErrorCode.AUTH_FAILED).retryable).toBe(false);
+    expect(new ServiceError(ErrorCode.SERVICE_UNAVAILABLE, '未配置', { retryable: false }).retryable).toBe(false);
+
+    expect(AcipError.isRetryable(createError(ErrorCode.NETWORK_CONNECTION_FAILED))).toBe(true);
+    expect(AcipError.isRetryable(new Error('普通错误'))).toBe(false);
+  });
+
+  test('限流错误在详情中携带重试等待时间', () => {
+    const error = new RateLimitError('请求过于频繁', { retryAfter: 5000, details: { limitExceeded: 'user' } });
+
+    expect(error.code).toBe(ErrorCode.RATE_LIMITED);
+    expect(error.retryable).toBe(true);
+    expect(error.details).toEqual({ limitExceeded: 'user', retryAfter: 5000 });
+  });
+
+  test('从普通异常转换时保留合法的错误代码', () => {
+    const plain = AcipError.from(new Error('出错了'));
+    expect(plain.code).toBe(ErrorCode.INTERNAL_ERROR);
+    expect(plain.message).toBe('出错了');
+
+    const coded = new Error('未找到');
+    coded.code = 'RESOURCE_NOT_FOUND';
+    expect(AcipError.from(coded).category).toBe(ErrorCategory.RESOURCE);
+
+    const nodeError = new Error('连接被拒绝');
+    nodeError.code = 'ECONNREFUSED';
+    expect(AcipError.from(nodeError).code).toBe(ErrorCode.INTERNAL_ERROR);
+
+    const existing = createError(ErrorCode.AUTH_FORBIDDEN);
+    expect(AcipError.from(existing)).toBe(existing);
+  });
+
+  test('转换为符合规范的错误消息', () => {
+    const error = createError(ErrorCode.MODEL_UNAVAILABLE, '模型不可用', {
+      details: { modelId: 'gpt-4' },
+      help: '请稍后重试'
+    });
+
+    const message = error.toMessage('model-service', 'agent-1', { requestId: 'req-1' });
+
+    expect(validateMessage(message).isValid).toBe(true);
+    expect(message.type).toBe(MessageType.ERROR);
+    expect(message.content).toEqual({
+      code: ErrorCode.MODEL_UNAVAILABLE,
+      message: '模型不可用',
+      details: { modelId: 'gpt-4' },
+      help: '请稍后重试'
+    });
+    expect(message.metadata).toMatchObject({
+      requestId: 'req-1',
+      category: ErrorCategory.SERVICE,
+      retryable: true
+    });
+
+    expect(JSON.parse(JSON.stringify(error))).toMatchObject({
+      code: ErrorCode.MODEL_UNAVAILABLE,
+      category: ErrorCategory.SERVICE,
+      retryable: true
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * 事件总线测试
+ */
+const { EventBus, EventBusEvents, matchPattern } = require('../../src/events/event-bus');
+const { Core } = require('../../src/lifecycle/core');
+const { ModuleLifecycle } = require('../../src/lifecycle/lifecycle');
+
+// 模拟日志记录器
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+class TestModule extends ModuleLifecycle {
+  constructor() {
+    super({ logger: mockLogger });
+  }
+}
+
+describe('matchPattern', () => {
+  test('精确匹配与单段通配符', () => {
+    expect(matchPattern('context.updated', 'context.updated')).toBe(true);
+    expect(matchPattern('context.*', 'context.updated')).toBe(true);
+    expect(matchPattern('context.*', 'context.memory.stored')).toBe(false);
+    expect(matchPattern('*.updated', 'context.updated')).toBe(true);
+    expect(matchPattern('context.*', 'context')).toBe(false);
+  });
+  
+  test('多段通配符', () => {
+    expect(matchPattern('context.**', 'context.memory.stored')).toBe(true);
+    expect(matchPattern('context.**', 'context')).toBe(true);
+    expect(matchPattern('**.stored', 'context.memory.stored')).toBe(true);
+    expect(matchPattern('**', 'anything.at.all')).toBe(true);
+    expect(matchPattern('model.**.failed', 'context.request.failed')).toBe(false);
+  });
+});
+
+describe('EventBus', () => {
+  let bus;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    bus = new EventBus({}, mockLogger);
+  });
+  
+  test('发布事件时构造标准事件对象', async () => {
+    const received = [];
+    bus.subscribe('context.*', (event) => received.push(event));
+    
+    const result = await bus.publish('context.updated', { contextId: 'ctx-1' }, { source: 'context-manager' });
+    
+    expect(result.delivered).toBe(1);
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({
+      type: 'context.updated',
+      source: 'context-manager',
+      data: { contextId: 'ctx-1' }
+    });
+    expect(typeof received[0].id).toBe('string');
+    expect(typeof received[0].timestamp).toBe('string');
+  });
+  
+  test('处理函数出错不影响其他订阅者', async () => {
+    const order = [];
+    const errors = [];
+    
+    bus.subscribe(EventBusEvents.HANDLER_ERROR, (event) => errors.push(event.data));
+    bus.subscribe('task.done', () => { throw new Error('同步错误'); });
+    bus.subscribe('task.done', async () => { throw new Error('异步错误'); });
+    bus.subscribe('task.done', async () => { order.push('ok'); });
+    
+    const result = await bus.publish({ type: 'task.done', data: {} });
+    
+    expect(result.delivered).toBe(1);
+    expect(result.failed).toBe(2);
+    expect(order).toEqual(['ok']);
+    expect(errors.map(e => e.error.message)).toEqual(['同步错误', '异步错误']);
+    expect(mockLogger.error).toHaveBeenCalledTimes(2);
+  });
+  
+  test('支持优先级、once和取消订阅', async () => {
+    const calls = [];
+    
+    bus.subscribe('a.b', () => calls.push('low'));
+    bus.subscribe('a.b', () => calls.push('high'), { priority: 10 });
+    const onceSub = bus.subscribe('a.*', () => calls.push('once'), { once: true });
+    
+    await bus.publish('a.b');
+    await bus.publish('a.b');
+    
+    expect(calls).toEqual(['high', 'low', 'once', 'high', 'low']);
+    expect(await bus.unsubscribe(onceSub)).toBe(false);
+    
+    bus.clear();
+    expect(bus.listenerCount()).toBe(0);
+  });
+});
+
+describe('Core事件总线集成', () => {
+  test('注册的模块共享核心事件总线', async () => {
+    const core = new Core({ logger: mockLogger });
+    const producer = new TestModule();
+    const consumer = new TestModule();
+    
+    await core.registerModule('producer', producer);
+    await core.registerModule('consumer', consumer);
+    
+    const received = [];
+    consumer.subscribe('context.**', (event) => received.push(event));
+    
+    await producer.publish('context.memory.stored', { memoryId: 'm-1' });
+    
+    expect(received).toHaveLength(1);
+    expect(received[0].source).toBe('producer');
+    
+    // 注销后模块的订阅被移除
+    await core.unregisterModule('consumer');
+    await producer.publish('context.updated', {});
+    
+    expect(received).toHaveLength(1);
+    expect(consumer.eventBus).toBeNull();
+  });
+  
+  test('on/off 保持兼容', async () => {
+    const core = new Core({ logger: mockLogger });
+    const listener = jest.fn();
+    
+    core.on('user.login', listener);
+    await core.emit('user.login', { userId: 'u-1' });
+    core.off('user.login', listener);
+    await core.emit('user.login', { userId: 'u-2' });
+    
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ userId: 'u-1' });
+  });
+});
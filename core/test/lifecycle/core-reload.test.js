@@ -0,0 +1,125 @@
+/**
+ * 模块热重载测试
+ */
+const { Core, CoreEvents } = require('../../src/lifecycle/core');
+const { ModuleLifecycle, ModuleState } = require('../../src/lifecycle/lifecycle');
+const { ErrorCode } = require('../../src/errors/acip-error');
+
+// 模拟日志记录器
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+// 保存计数器状态的测试模块
+class CounterModule extends ModuleLifecycle {
+  constructor(name, journal, { failStart = false } = {}) {
+    super({ logger: mockLogger });
+    this.moduleName = name;
+    this.journal = journal;
+    this.failStart = failStart;
+    this.count = 0;
+  }
+
+  async _doStart() {
+    if (this.failStart) {
+      throw new Error(`${this.moduleName} 启动失败`);
+    }
+
+    this.journal.push(`start:${this.moduleName}`);
+  }
+
+  async _doStop() {
+    this.journal.push(`stop:${this.moduleName}`);
+  }
+
+  async exportState() {
+    return { count: this.count };
+  }
+
+  async importState(state) {
+    this.count = state.count;
+  }
+}
+
+describe('Core热重载模块', () => {
+  let core;
+  let journal;
+  let provider;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    journal = [];
+    core = new Core({ logger: mockLogger });
+
+    provider = new CounterModule('provider v1', journal);
+    provider.count = 42;
+
+    await core.registerModule('provider', provider, { version: '1.0.0' });
+    await core.registerModule('router', new CounterModule('router', journal), { dependencies: { provider: '^1.0.0' } });
+    await core.registerModule('agent', new CounterModule('agent', journal), { dependencies: { router: '*' } });
+    await core.registerModule('metrics', new CounterModule('metrics', journal));
+
+    await core.initialize();
+    await core.start();
+    journal.length = 0;
+  });
+
+  afterEach(async () => {
+    await core.stop();
+  });
+
+  test('停止依赖方、迁移状态并替换实例后重新启动依赖方', async () => {
+    const reloaded = [];
+    core.on(CoreEvents.MODULE_RELOADED, data => reloaded.push(data));
+
+    const next = new CounterModule('provider v2', journal);
+    await core.reloadModule('provider', next, { version: '1.1.0' });
+
+    expect(journal).toEqual([
+      'stop:agent', 'stop:router', 'stop:provider v1', 'start:provider v2', 'start:router', 'start:agent'
+    ]);
+    expect(next.count).toBe(42);
+    expect(next.getState()).toBe(ModuleState.RUNNING);
+    expect(provider.getState()).toBe(ModuleState.DESTROYED);
+    expect(provider.eventBus).toBeNull();
+
+    expect(await core.getModule('provider')).toBe(next);
+    expect(await core.registry.getModule('provider')).toBe(next);
+    expect((await core.registry.getModuleInfo('provider')).version).toBe('1.1.0');
+    expect(reloaded).toEqual([{
+      moduleId: 'provider',
+      previousVersion: '1.0.0',
+      version: '1.1.0',
+      dependents: ['router', 'agent']
+    }]);
+  });
+
+  test('新版本不满足依赖方时在停止任何模块之前失败', async () => {
+    await expect(core.reloadModule('provider', new CounterModule('provider v2', journal), { version: '2.0.0' }))
+      .rejects.toMatchObject({
+        code: ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED,
+        details: { dependents: ['router'] }
+      });
+
+    expect(journal).toEqual([]);
+    expect(await core.getModule('provider')).toBe(provider);
+  });
+
+  test('新实例启动失败时恢复旧实例和依赖方', async () => {
+    const broken = new CounterModule('provider v2', journal, { failStart: true });
+
+    await expect(core.reloadModule('provider', broken, { version: '1.2.0' })).rejects.toMatchObject({
+      code: ErrorCode.SERVICE_UNAVAILABLE,
+      details: { moduleId: 'provider', rolledBack: true }
+    });
+
+    expect(await core.getModule('provider')).toBe(provider);
+    expect(provider.getState()).toBe(ModuleState.RUNNING);
+    expect((await core.getModule('router')).getState()).toBe(ModuleState.RUNNING);
+    expect((await core.getModule('agent')).getState()).toBe(ModuleState.RUNNING);
+    expect((await core.registry.getModuleInfo('provider')).version).toBe('1.0.0');
+  });
+});
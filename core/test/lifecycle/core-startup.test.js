@@ -0,0 +1,213 @@
+/**
+ * 核心模块启动与停止测试
+ */
+const { Core } = require('../../src/lifecycle/core');
+const { ModuleLifecycle, ModuleState } = require('../../src/lifecycle/lifecycle');
+const { ErrorCode } = require('../../src/errors/acip-error');
+
+// 模拟日志记录器
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+// 记录启动和停止事件的测试模块
+class TimedModule extends ModuleLifecycle {
+  constructor(name, journal, { startDelay = 0, stopDelay = 0, fail = false } = {}) {
+    super({ logger: mockLogger });
+    this.moduleName = name;
+    this.journal = journal;
+    this.startDelay = startDelay;
+    this.stopDelay = stopDelay;
+    this.fail = fail;
+  }
+
+  async _doInitialize() {}
+
+  async _doStart() {
+    this.journal.push(`start:${this.moduleName}`);
+    await new Promise(resolve => setTimeout(resolve, this.startDelay));
+
+    if (this.fail) {
+      throw new Error(`${this.moduleName} 启动失败`);
+    }
+
+    this.journal.push(`started:${this.moduleName}`);
+  }
+
+  async _doStop() {
+    this.journal.push(`stop:${this.moduleName}`);
+    await new Promise(resolve => setTimeout(resolve, this.stopDelay));
+  }
+
+  async _doDestroy() {}
+}
+
+describe('Core模块启动', () => {
+  let core;
+  let events;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    core = new Core({ logger: mockLogger });
+    events = [];
+  });
+
+  test('同一依赖层级的模块并发启动，依赖方在依赖之后启动', async () => {
+    await core.registerModule('db', new TimedModule('db', events, { startDelay: 20 }));
+    await core.registerModule('cache', new TimedModule('cache', events, { startDelay: 10 }));
+    await core.registerModule('api', new TimedModule('api', events), { dependencies: { db: '*', cache: '*' } });
+
+    await core.initialize();
+    await core.start();
+
+    // db 和 cache 在任一完成之前都已开始启动
+    expect(events.slice(0, 2).sort()).toEqual(['start:cache', 'start:db']);
+    expect(events.indexOf('start:api')).toBeGreaterThan(events.indexOf('started:db'));
+
+    events.length = 0;
+    await core.stop();
+
+    expect(events[0]).toBe('stop:api');
+    expect(events.slice(1).sort()).toEqual(['stop:cache', 'stop:db']);
+  });
+
+  test('模块超过startTimeout时记为超时失败，依赖方不会启动', async () => {
+    await core.registerModule('slow', new TimedModule('slow', events, { startDelay: 200 }), { startTimeout: 20 });
+    await core.registerModule('user', new TimedModule('user', events), { dependencies: { slow: '*' } });
+    await core.registerModule('other', new TimedModule('other', events));
+
+    await core.initialize();
+    const result = await core._startModules();
+
+    const failures = Object.fromEntries(result.failed.map(entry => [entry.id, entry.error.code]));
+    expect(failures).toEqual({
+      slow: ErrorCode.SERVICE_TIMEOUT,
+      user: ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED
+    });
+    expect(result.success.map(entry => entry.id)).toEqual(['other']);
+    expect(events).not.toContain('start:user');
+  });
+
+  test('启动超时的模块在启动完成后被停止', async () => {
+    const slow = new TimedModule('slow', events, { startDelay: 60 });
+    await core.registerModule('slow', slow, { startTimeout: 20 });
+
+    await core.initialize();
+    await core._startModules();
+
+    expect(core.abandonedStarts.size).toBe(1);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(events).toEqual(['start:slow', 'started:slow', 'stop:slow']);
+    expect(slow.getState()).toBe(ModuleState.STOPPED);
+    expect(core.abandonedStarts.size).toBe(0);
+  });
+
+  test('必需模块启动失败时，启动超时的模块也会回滚', async () => {
+    const slow = new TimedModule('slow', events, { startDelay: 60 });
+    await core.registerModule('slow', slow, { startTimeout: 20 });
+    await core.registerModule('critical', new TimedModule('critical', events, { startDelay: 30, fail: true }), {
+      required: true
+    });
+
+    await core.initialize();
+
+    await expect(core.start()).rejects.toMatchObject({
+      code: ErrorCode.SERVICE_UNAVAILABLE,
+      details: { moduleId: 'critical', rolledBack: ['slow'] }
+    });
+
+    expect(slow.getState()).toBe(ModuleState.STOPPED);
+    expect(events).toContain('stop:slow');
+  });
+
+  test('必需模块启动失败时回滚已启动的模块', async () => {
+    await core.registerModule('base', new TimedModule('base', events));
+    await core.registerModule('peer', new TimedModule('peer', events), { dependencies: { base: '*' } });
+    await core.registerModule('critical', new TimedModule('critical', events, { fail: true }), {
+      dependencies: { base: '*' },
+      required: true
+    });
+    await core.registerModule('late', new TimedModule('late', events), { dependencies: { critical: '*' } });
+
+    await core.initialize();
+
+    await expect(core.start()).rejects.toMatchObject({
+      code: ErrorCode.SERVICE_UNAVAILABLE,
+      details: { moduleId: 'critical', rolledBack: ['peer', 'base'] }
+    });
+
+    expect(core.getState()).toBe(ModuleState.ERROR);
+    expect((await core.getModule('base')).getState()).toBe(ModuleState.STOPPED);
+    expect((await core.getModule('peer')).getState()).toBe(ModuleState.STOPPED);
+    expect(events).not.toContain('start:late');
+  });
+
+  test('停止超过stopTimeout的模块记为失败，其他模块照常停止', async () => {
+    await core.registerModule('stuck', new TimedModule('stuck', events, { stopDelay: 200 }), { stopTimeout: 20 });
+    await core.registerModule('fine', new TimedModule('fine', events));
+
+    await core.initialize();
+    await core.start();
+
+    const result = await core._stopModules();
+
+    expect(result.failed.map(entry => [entry.id, entry.error.code])).toEqual([['stuck', ErrorCode.SERVICE_TIMEOUT]]);
+    expect(result.success.map(entry => entry.id)).toEqual(['fine']);
+  });
+
+  test('同一模块的多个版本并存，依赖方使用满足其版本范围的版本', async () => {
+    const v1 = new TimedModule('storage-v1', events, { startDelay: 20 });
+    const v2 = new TimedModule('storage-v2', events);
+
+    await core.registerModule('storage', v1, { version: '1.0.0' });
+    await core.registerModule('storage', v2, { version: '2.0.0' });
+    await core.registerModule('app', new TimedModule('app', events), { dependencies: { storage: '^1.0.0' } });
+
+    await core.initialize();
+    await core.start();
+
+    expect(core.modules.size).toBe(3);
+    expect(v1.getState()).toBe(ModuleState.RUNNING);
+    expect(v2.getState()).toBe(ModuleState.RUNNING);
+    expect(events.indexOf('start:app')).toBeGreaterThan(events.indexOf('started:storage-v1'));
+    expect(await core.getModule('storage', '^1.0.0')).toBe(v1);
+    expect(await core.getModule('storage')).toBe(v2);
+
+    // 只注销2.0.0，1.0.0和依赖方继续运行
+    expect(await core.unregisterModule('storage', '2.0.0')).toBe(true);
+    expect(v2.getState()).toBe(ModuleState.STOPPED);
+    expect(v1.getState()).toBe(ModuleState.RUNNING);
+    expect(await core.getModule('storage')).toBe(v1);
+    expect(core.modules.size).toBe(2);
+
+    // 依赖方仍需要1.0.0
+    expect(await core.unregisterModule('storage', '1.0.0')).toBe(false);
+    expect(await core.getModule('storage')).toBe(v1);
+  });
+
+  test('依赖解析到的版本启动失败时依赖方不会启动，其他版本的依赖方不受影响', async () => {
+    await core.registerModule('storage', new TimedModule('storage-v1', events, { fail: true }), { version: '1.0.0' });
+    await core.registerModule('storage', new TimedModule('storage-v2', events), { version: '2.0.0' });
+    await core.registerModule('legacy', new TimedModule('legacy', events), { dependencies: { storage: '^1.0.0' } });
+    await core.registerModule('modern', new TimedModule('modern', events), { dependencies: { storage: '^2.0.0' } });
+
+    await core.initialize();
+    const result = await core._startModules();
+
+    expect(result.failed.map(entry => entry.id).sort()).toEqual(['legacy', 'storage@1.0.0']);
+    expect(result.success.map(entry => entry.id).sort()).toEqual(['modern', 'storage@2.0.0']);
+    expect(events).not.toContain('start:legacy');
+  });
+
+  test('拒绝重复注册同一模块的同一版本', async () => {
+    await core.registerModule('storage', new TimedModule('storage', events), { version: '1.0.0' });
+
+    await expect(core.registerModule('storage', new TimedModule('copy', events), { version: '1.0.0' }))
+      .rejects.toMatchObject({ code: ErrorCode.RESOURCE_ALREADY_EXISTS });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * 模块健康检查与监督器测试
+ */
+const { Core, CoreEvents } = require('../../src/lifecycle/core');
+const { ModuleLifecycle, ModuleState } = require('../../src/lifecycle/lifecycle');
+const { ModuleSupervisor, RestartStrategy } = require('../../src/lifecycle/supervisor');
+
+// 模拟日志记录器
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+// 可以控制健康状况和启动失败的测试模块
+class FlakyModule extends ModuleLifecycle {
+  constructor(name, journal) {
+    super({ logger: mockLogger });
+    this.moduleName = name;
+    this.journal = journal;
+    this.healthy = true;
+    this.failStarts = 0;
+  }
+
+  async _doStart() {
+    if (this.failStarts > 0) {
+      this.failStarts--;
+      throw new Error(`${this.moduleName} 启动失败`);
+    }
+
+    this.journal.push(`start:${this.moduleName}`);
+  }
+
+  async _doStop() {
+    this.journal.push(`stop:${this.moduleName}`);
+  }
+
+  async _doHealthCheck() {
+    return { healthy: this.healthy, details: { name: this.moduleName } };
+  }
+
+  /**
+   * 模拟运行时崩溃
+   */
+  crash() {
+    this._handleError('运行时崩溃', new Error('crash'));
+  }
+}
+
+/**
+ * 等待指定事件
+ * @param {Core} core - 核心实例
+ * @param {string} event - 事件名称
+ * @returns {Promise<Object>} 事件数据
+ */
+function nextEvent(core, event) {
+  return new Promise(resolve => {
+    const unsubscribe = core.on(event, (data) => {
+      unsubscribe();
+      resolve(data);
+    });
+  });
+}
+
+describe('ModuleLifecycle健康检查', () => {
+  test('返回_doHealthCheck的结果，异常和未运行视为不健康', async () => {
+    const module = new FlakyModule('m', []);
+
+    expect(await module.healthCheck()).toEqual({ healthy: false, state: ModuleState.CREATED });
+
+    await module.initialize();
+    await module.start();
+
+    expect(await module.healthCheck()).toEqual({
+      healthy: true,
+      details: { name: 'm' },
+      state: ModuleState.RUNNING
+    });
+
+    module._doHealthCheck = async () => { throw new Error('连接断开'); };
+    const status = await module.healthCheck();
+    expect(status.healthy).toBe(false);
+    expect(status.error.message).toBe('连接断开');
+  });
+
+  test('restart可以从错误状态和停止状态恢复运行', async () => {
+    const journal = [];
+    const module = new FlakyModule('m', journal);
+
+    await module.initialize();
+    await module.start();
+    module.crash();
+    expect(module.getState()).toBe(ModuleState.ERROR);
+
+    await module.restart();
+    expect(module.getState()).toBe(ModuleState.RUNNING);
+
+    await module.stop();
+    await module.restart();
+    expect(module.getState()).toBe(ModuleState.RUNNING);
+    expect(journal).toEqual(['start:m', 'stop:m', 'start:m', 'stop:m', 'start:m']);
+  });
+});
+
+describe('ModuleSupervisor', () => {
+  let core;
+  let journal;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    journal = [];
+    core = new Core({
+      logger: mockLogger,
+      supervisor: {
+        interval: 0,
+        backoff: { initialDelay: 5, maxDelay: 20 }
+      }
+    });
+  });
+
+  afterEach(async () => {
+    if (core.getState() === ModuleState.RUNNING) {
+      await core.stop();
+    }
+  });
+
+  test('模块进入错误状态后按one-for-one策略重启', async () => {
+    const db = new FlakyModule('db', journal);
+    await core.registerModule('db', db);
+    await core.registerModule('api', new FlakyModule('api', journal), { dependencies: { db: '*' } });
+
+    await core.initialize();
+    await core.start();
+    journal.length = 0;
+
+    const restarting = nextEvent(core, CoreEvents.MODULE_RESTARTING);
+    const restarted = nextEvent(core, CoreEvents.MODULE_RESTARTED);
+    db.crash();
+
+    expect(await restarting).toMatchObject({ moduleId: 'db', attempt: 1, delay: 5, strategy: 'one-for-one' });
+    expect(await restarted).toMatchObject({ moduleId: 'db', affected: ['db'] });
+    expect(db.getState()).toBe(ModuleState.RUNNING);
+    expect(journal).toEqual(['stop:db', 'start:db']);
+  });
+
+  test('rest-for-one策略同时重启依赖失败模块的模块', async () => {
+    const db = new FlakyModule('db', journal);
+    await core.registerModule('db', db, { restartStrategy: RestartStrategy.REST_FOR_ONE });
+    await core.registerModule('api', new FlakyModule('api', journal), { dependencies: { db: '*' } });
+    await core.registerModule('web', new FlakyModule('web', journal), { dependencies: { api: '*' } });
+    await core.registerModule('other', new FlakyModule('other', journal));
+
+    await core.initialize();
+    await core.start();
+    journal.length = 0;
+
+    const affected = await core.supervisor.restartModule('db');
+
+    expect(affected).toEqual(['db', 'api', 'web']);
+    expect(journal).toEqual(['stop:web', 'stop:api', 'stop:db', 'start:db', 'start:api', 'start:web']);
+  });
+
+  test('健康检查失败时发布事件并重启，退避时间逐次增长直到放弃', async () => {
+    core.supervisor.maxRestarts = 2;
+
+    const cache = new FlakyModule('cache', journal);
+    await core.registerModule('cache', cache);
+    await core.initialize();
+    await core.start();
+
+    const changes = [];
+    core.on(CoreEvents.MODULE_HEALTH_CHANGED, data => changes.push([data.moduleId, data.healthy]));
+
+    await core.supervisor.checkHealth();
+    expect(changes).toEqual([['cache', true]]);
+
+    // 每次重启都失败
+    cache.healthy = false;
+    cache.failStarts = Infinity;
+
+    const delays = [];
+    core.on(CoreEvents.MODULE_RESTARTING, data => delays.push(data.delay));
+    const gaveUp = new Promise(resolve => core.on(CoreEvents.MODULE_RESTART_FAILED, data => {
+      if (data.gaveUp) {
+        resolve(data);
+      }
+    }));
+
+    await core.supervisor.checkHealth();
+
+    expect(await gaveUp).toMatchObject({ moduleId: 'cache', gaveUp: true });
+    expect(changes).toEqual([['cache', true], ['cache', false]]);
+    expect(delays).toEqual([5, 10]);
+    expect(cache.getState()).toBe(ModuleState.ERROR);
+  });
+
+  test('核心健康检查汇总各模块的健康状况', async () => {
+    const db = new FlakyModule('db', journal);
+    await core.registerModule('db', db, { restartStrategy: RestartStrategy.NONE });
+    await core.initialize();
+    await core.start();
+
+    expect((await core.healthCheck()).healthy).toBe(true);
+
+    db.healthy = false;
+    const status = await core.healthCheck();
+
+    expect(status.healthy).toBe(false);
+    expect(status.details.modules.db).toMatchObject({ healthy: false, consecutiveFailures: 1 });
+  });
+
+  test('未知的重启策略会被拒绝', () => {
+    expect(() => new ModuleSupervisor({ core, strategy: 'all-for-one' }, mockLogger)).toThrow('未知的重启策略');
+  });
+});
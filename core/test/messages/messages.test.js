@@ -0,0 +1,199 @@
+/**
+ * 协议消息测试
+ */
+const {
+  MessageType,
+  MessageRouter,
+  createRequest,
+  createResponse,
+  createEvent,
+  createErrorMessage,
+  validateMessage,
+  isResponseTo
+} = require('../../src/messages');
+const { ModuleRegistry } = require('../../src/registry/module-registry');
+const { EventBus } = require('../../src/events/event-bus');
+
+// 模拟日志记录器
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('消息信封', () => {
+  test('创建符合规范的请求和响应', () => {
+    const request = createRequest('agent-1', 'model-service', 'invoke', { model: 'gpt-4' }, { timeout: 1000 });
+    
+    expect(request).toMatchObject({
+      protocol: 'acip',
+      version: '0.1',
+      type: MessageType.REQUEST,
+      source: 'agent-1',
+      target: 'model-service',
+      content: { action: 'invoke', parameters: { model: 'gpt-4' } }
+    });
+    expect(request.id.startsWith('req-')).toBe(true);
+    
+    const response = createResponse(request, { output: 'ok' });
+    expect(response.source).toBe('model-service');
+    expect(response.target).toBe('agent-1');
+    expect(response.metadata.requestId).toBe(request.id);
+    expect(isResponseTo(response, request)).toBe(true);
+  });
+  
+  test('事件默认广播，错误消息包含代码', () => {
+    const event = createEvent('context-manager', 'context.updated', { contextId: 'ctx-1' });
+    expect(event.target).toBe('*');
+    
+    const error = createErrorMessage('model-service', 'agent-1', {
+      code: 'MODEL_UNAVAILABLE',
+      message: 'unavailable'
+    }, { requestId: 'req-1' });
+    expect(error.content.code).toBe('MODEL_UNAVAILABLE');
+    expect(error.metadata).toMatchObject({ requestId: 'req-1', severity: 'error' });
+  });
+  
+  test('验证失败时返回所有错误', () => {
+    const result = validateMessage({
+      protocol: 'other',
+      version: '9.9',
+      type: 'response',
+      source: 'a',
+      target: 'b',
+      content: {},
+      'x-custom': true
+    });
+    
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'protocol必须为 "acip"',
+      '不支持的协议版本: 9.9',
+      '缺少id字段',
+      '响应消息缺少metadata.requestId'
+    ]));
+    
+    expect(() => createRequest('agent-1', 'svc')).toThrow('请求消息缺少content.action');
+  });
+});
+
+describe('MessageRouter', () => {
+  let registry;
+  let router;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    registry = new ModuleRegistry({}, mockLogger);
+    router = new MessageRouter({ registry, defaultTimeout: 200 }, mockLogger);
+  });
+  
+  afterEach(() => {
+    router.close();
+  });
+  
+  test('按action调用目标模块的公共方法', async () => {
+    const contextManager = {
+      acipActions: ['updateContext', '_persistContexts'],
+      updateContext: jest.fn(async (id, updates) => ({ id, ...updates })),
+      _persistContexts: jest.fn(),
+      deleteContext: jest.fn()
+    };
+    await registry.register({ id: 'context-manager', version: '0.1.0' }, contextManager);
+    
+    const response = await router.request('agent-1', 'context-manager', 'updateContext', ['ctx-1', { a: 1 }]);
+    expect(response.type).toBe(MessageType.RESPONSE);
+    expect(response.content.result).toEqual({ id: 'ctx-1', a: 1 });
+    
+    const denied = await router.request('agent-1', 'context-manager', '_persistContexts');
+    expect(denied.type).toBe(MessageType.ERROR);
+    expect(denied.content.code).toBe('RESOURCE_NOT_FOUND');
+    expect(contextManager._persistContexts).not.toHaveBeenCalled();
+    
+    // 未列在 acipActions 中的公共方法和继承自 Object.prototype 的方法
+    for (const action of ['deleteContext', 'toString', 'hasOwnProperty']) {
+      const undeclared = await router.request('agent-1', 'context-manager', action);
+      expect(undeclared.content.code).toBe('RESOURCE_NOT_FOUND');
+    }
+    expect(contextManager.deleteContext).not.toHaveBeenCalled();
+  });
+  
+  test('未声明acipActions的模块不接受任何操作', async () => {
+    const authManager = { createUser: jest.fn(), toString: jest.fn() };
+    await registry.register({ id: 'auth', version: '0.1.0' }, authManager);
+    
+    for (const action of ['createUser', 'toString']) {
+      const denied = await router.request('agent-1', 'auth', action);
+      expect(denied.content.code).toBe('RESOURCE_NOT_FOUND');
+    }
+    expect(authManager.createUser).not.toHaveBeenCalled();
+  });
+  
+  test('生命周期方法不能通过消息调用', async () => {
+    const lifecycle = {
+      healthCheck: jest.fn(async () => ({ healthy: true })),
+      restart: jest.fn(async () => {}),
+      exportState: jest.fn(async () => ({ secret: 'state' })),
+      importState: jest.fn(async () => {}),
+      setConfig: jest.fn(),
+      getConfig: jest.fn(() => ({ apiKey: 'secret' })),
+      onConfigChange: jest.fn(async () => {})
+    };
+    lifecycle.acipActions = Object.keys(lifecycle);
+    await registry.register({ id: 'lifecycle', version: '0.1.0' }, lifecycle);
+    
+    for (const action of lifecycle.acipActions) {
+      const denied = await router.request('agent-1', 'lifecycle', action);
+      expect(denied.content.code).toBe('RESOURCE_NOT_FOUND');
+      expect(lifecycle[action]).not.toHaveBeenCalled();
+    }
+  });
+  
+  test('handleMessage可以稍后异步回复', async () => {
+    const service = {
+      handleMessage(message) {
+        setTimeout(() => router.send(createResponse(message, 'later')), 10);
+      }
+    };
+    await registry.register({ id: 'model-service', version: '0.1.0' }, service);
+    
+    const response = await router.request('agent-1', 'model-service', 'invoke');
+    expect(response.content.result).toBe('later');
+    expect(router.getPendingCount()).toBe(0);
+  });
+  
+  test('未知目标、异常和超时转换为错误消息', async () => {
+    const missing = await router.request('agent-1', 'nobody', 'invoke');
+    expect(missing.content.code).toBe('RESOURCE_NOT_FOUND');
+    
+    await registry.register({ id: 'failing', version: '0.1.0' }, {
+      acipActions: ['invoke'],
+      invoke: async () => { throw new Error('boom'); }
+    });
+    const failed = await router.request('agent-1', 'failing', 'invoke');
+    expect(failed.content).toMatchObject({ code: 'INTERNAL_ERROR', message: 'boom' });
+    expect(failed.metadata.requestId).toBeDefined();
+    
+    await registry.register({ id: 'silent', version: '0.1.0' }, { handleMessage: () => undefined });
+    const timedOut = await router.request('agent-1', 'silent', 'invoke', {}, { timeout: 20 });
+    expect(timedOut.content.code).toBe('SERVICE_TIMEOUT');
+  });
+  
+  test('事件消息转发到事件总线', async () => {
+    const eventBus = new EventBus({}, mockLogger);
+    router = new MessageRouter({ registry, eventBus }, mockLogger);
+    const received = [];
+    eventBus.subscribe('context.*', (event) => received.push(event));
+    
+    await router.send(createEvent('context-manager', 'context.updated', { contextId: 'ctx-1' }));
+    
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({ source: 'context-manager', data: { contextId: 'ctx-1' } });
+  });
+  
+  test('无效消息返回协议错误', async () => {
+    const result = await router.send({ protocol: 'acip', source: 'agent-1' });
+    expect(result.content.code).toBe('PROTOCOL_INVALID_MESSAGE');
+    expect(result.target).toBe('agent-1');
+  });
+});
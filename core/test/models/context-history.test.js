@@ -0,0 +1,89 @@
+/**
+ * 上下文版本历史测试
+ */
+const { ContextModel, ContextHistory } = require('../../src/models');
+const { diff, applyPatch } = require('../../src/utils/json-diff');
+const { ErrorCode, ResourceError, ValidationError } = require('../../src/errors/acip-error');
+
+describe('上下文版本历史', () => {
+  test('生成可按顺序应用的JSON Patch差异', () => {
+    const before = { title: 'plan', tags: ['a', 'b', 'c'], owner: { id: 1, 'a/b': true }, draft: true };
+    const after = { title: 'plan v2', tags: ['a'], owner: { id: 1, 'a/b': false }, steps: [{ done: false }] };
+    const operations = diff(before, after);
+
+    expect(operations).toEqual([
+      { op: 'replace', path: '/title', value: 'plan v2' },
+      { op: 'remove', path: '/tags/2' },
+      { op: 'remove', path: '/tags/1' },
+      { op: 'replace', path: '/owner/a~1b', value: false },
+      { op: 'remove', path: '/draft' },
+      { op: 'add', path: '/steps', value: [{ done: false }] }
+    ]);
+    expect(applyPatch(before, operations)).toEqual(after);
+    expect(before.tags).toEqual(['a', 'b', 'c']);
+    expect(diff(after, after)).toEqual([]);
+  });
+
+  test('记录版本、比较差异并回滚ContextModel', () => {
+    const history = new ContextHistory();
+    const context = new ContextModel({ contextId: 'ctx-1', content: { goal: 'draft' } });
+
+    context.commitVersion(history, { author: 'agent-1', reason: 'Created' });
+    context.set('content', { goal: 'review', notes: ['typo'] });
+    context.commitVersion(history, { author: 'agent-2' });
+
+    expect(history.getHistory('ctx-1', { includeData: false }).map(({ version, author }) => [version, author]))
+      .toEqual([[1, 'agent-1'], [2, 'agent-2']]);
+    expect(history.diff('ctx-1', 1, 2)).toEqual([
+      { op: 'replace', path: '/content/goal', value: 'review' },
+      { op: 'add', path: '/content/notes', value: ['typo'] }
+    ]);
+
+    context.revertTo(history, 1, { author: 'admin' });
+
+    expect(context.content).toEqual({ goal: 'draft' });
+    expect(history.getVersion('ctx-1')).toMatchObject({ version: 3, author: 'admin', reason: 'Revert to version 1' });
+    expect(history.diff('ctx-1', 1, 3)).toEqual([]);
+
+    // 返回的快照是副本，修改不会影响历史
+    history.getVersion('ctx-1', 1).data.content.goal = 'changed';
+    expect(history.getVersion('ctx-1', 1).data.content.goal).toBe('draft');
+
+    expect(() => history.record('ctx-1', {}, { version: 2 })).toThrow(ValidationError);
+
+    // 从存储恢复的历史同样按策略清理
+    const restored = new ContextHistory({ maxVersions: 2 });
+    expect(restored.load('ctx-1', history.getHistory('ctx-1'))).toBe(2);
+    expect(restored.getVersion('ctx-1')).toMatchObject({ version: 3, author: 'admin' });
+  });
+
+  test('按策略清理旧版本并保留最新版本', () => {
+    const history = new ContextHistory({ maxVersions: 3, keep: entry => entry.reason !== 'autosave' });
+
+    for (let i = 1; i <= 5; i++) {
+      history.record('ctx-1', { step: i }, { reason: i === 4 ? 'autosave' : null });
+    }
+
+    expect(history.getHistory('ctx-1').map(entry => entry.version)).toEqual([3, 5]);
+
+    let error;
+    try {
+      history.diff('ctx-1', 1);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(ResourceError);
+    expect(error.code).toBe(ErrorCode.RESOURCE_NOT_FOUND);
+
+    const aged = new ContextHistory({ maxAge: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+    aged.record('ctx-2', { step: 1 });
+    now.mockReturnValue(20000);
+    aged.record('ctx-2', { step: 2 });
+    now.mockRestore();
+
+    expect(aged.getHistory('ctx-2').map(entry => entry.version)).toEqual([2]);
+    expect(aged.prune()).toBe(0);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * 模型数据迁移测试
+ */
+const { ContextModel, AgentModel, MigrationRegistry, migrations } = require('../../src/models');
+const { FORMAT, deserialize } = require('../../src/models/serialization');
+const cbor = require('../../src/models/cbor');
+const { ErrorCode, ProtocolError, ValidationError } = require('../../src/errors/acip-error');
+
+describe('模型数据迁移', () => {
+  const legacyContext = {
+    contextId: 'ctx-legacy',
+    created: 1700000000000,
+    topic: 'billing',
+    references: [{ id: 42 }, { type: 'document' }],
+    metadata: { topic: 'kept', owner: 'ops' }
+  };
+
+  test('将未标注版本的旧数据升级到当前版本', () => {
+    const context = deserialize(JSON.stringify(legacyContext), FORMAT.JSON, 'context');
+
+    expect(context).toBeInstanceOf(ContextModel);
+    expect(context.schemaVersion).toBe(ContextModel.SCHEMA_VERSION);
+    expect(context.metadata).toEqual({ topic: 'kept', owner: 'ops' });
+    expect(context.get('references')).toEqual([{ id: '42', type: 'context' }]);
+
+    // 直接构造会因为未知字段而失败
+    expect(() => new ContextModel(legacyContext)).toThrow(ValidationError);
+
+    // CBOR tag 27 中嵌入的旧模型同样会被迁移
+    const legacyAgent = { agentId: 'agent-1', created: 1, capabilities: ['search'], team: 'ops' };
+    const tagged = Buffer.concat([Buffer.from('d81b', 'hex'), cbor.encode(['agent', legacyAgent], { selfDescribe: false })]);
+    const agent = deserialize(tagged, FORMAT.CBOR);
+
+    expect(agent).toBeInstanceOf(AgentModel);
+    expect(agent.capabilities).toEqual([{ name: 'search' }]);
+    expect(agent.get('metadata')).toEqual({ team: 'ops' });
+  });
+
+  test('按注册顺序串联多个迁移步骤', () => {
+    const registry = new MigrationRegistry()
+      .register('context', { from: '0.2.0', to: '0.3.0', up: ({ tags, ...data }) => ({ ...data, labels: tags }) })
+      .register('context', { from: '0.1.0', to: '0.2.0', up: data => ({ ...data, tags: [data.tag] }) });
+
+    expect(registry.migrate('context', { tag: 'a' }, '0.3.0')).toEqual({ tag: 'a', labels: ['a'], schemaVersion: '0.3.0' });
+    expect(() => registry.migrate('context', { schemaVersion: '0.3.0' }, '0.4.0')).toThrow(ProtocolError);
+    expect(() => registry.register('context', { from: '0.1.0', to: '0.2.0', up: data => data })).toThrow('already registered');
+    expect(() => registry.register('context', { from: '0.3.0', to: '0.2.0', up: data => data })).toThrow(ValidationError);
+  });
+
+  test('降级较新的数据，无法降级时拒绝', () => {
+    const registry = new MigrationRegistry();
+    for (const [modelType, steps] of migrations.migrations) {
+      for (const step of steps.values()) {
+        registry.register(modelType, step);
+      }
+    }
+    registry.register('context', {
+      from: '0.2.0',
+      to: '0.3.0',
+      up: data => data,
+      down: ({ labels, ...data }) => data
+    });
+
+    const newer = { schemaVersion: '0.3.0', contextId: 'ctx-new', created: 1, labels: ['x'] };
+    const context = deserialize(JSON.stringify(newer), FORMAT.JSON, 'context', { migrations: registry });
+
+    expect(context.schemaVersion).toBe('0.2.0');
+    expect(context.toObject()).not.toHaveProperty('labels');
+
+    let error;
+    try {
+      deserialize(JSON.stringify({ ...newer, schemaVersion: '1.0.0' }), FORMAT.JSON, 'context', { migrations: registry });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(ProtocolError);
+    expect(error.code).toBe(ErrorCode.PROTOCOL_UNSUPPORTED_VERSION);
+    expect(error.details).toEqual({ modelType: 'context', from: '1.0.0', to: '0.2.0' });
+  });
+});
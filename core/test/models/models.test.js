@@ -0,0 +1,104 @@
+/**
+ * 数据模型验证测试
+ */
+const { BaseModel, ContextModel, AgentModel, serialization } = require('../../src/models');
+const { AGENT_SCHEMA_ID } = require('../../src/models/schemas');
+const { ErrorCode, ValidationError } = require('../../src/errors/acip-error');
+const { validateSchema, addSchema } = require('../../src/utils/json-schema');
+
+describe('数据模型验证', () => {
+  test('拒绝无效的上下文并返回每个错误的JSON Pointer路径', () => {
+    let error;
+
+    try {
+      new ContextModel({
+        agentId: '',
+        created: -1,
+        references: [{ type: 'document', uri: 'not a uri' }],
+        tll: 60
+      });
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.code).toBe(ErrorCode.VALIDATION_INVALID_FORMAT);
+    expect(error.details.errors.map(({ path, keyword }) => [path, keyword])).toEqual([
+      ['/created', 'minimum'],
+      ['/references/0/id', 'required'],
+      ['/references/0/uri', 'format'],
+      ['/agentId', 'minLength'],
+      ['/tll', 'additionalProperties']
+    ]);
+    expect(error.details.errors[4].message).toContain('"ttl"');
+  });
+
+  test('无效的修改被拒绝且不改变模型', () => {
+    const context = new ContextModel({ userId: 'user-1' });
+    const snapshot = context.toObject();
+
+    expect(() => context.set('ttl', 'forever')).toThrow(ValidationError);
+    expect(() => context.update({ priority: 2, references: [{ id: 7, type: 'context' }] })).toThrow(ValidationError);
+    expect(context.toObject()).toEqual(snapshot);
+
+    context.addReference('ctx-0', 'previous_version');
+    expect(context.validate()).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('上下文与代理的Schema通过$ref相互引用', () => {
+    const context = new ContextModel({ contextId: 'ctx-1', agentId: 'agent-1' });
+    const agent = serialization.convert(context, 'context', 'agent');
+
+    expect(agent.get('metadata').sourceContext).toBe('ctx-1');
+    expect(() => agent.updateConfiguration({ temperature: 0.2 })).not.toThrow();
+    expect(() => new AgentModel({ metadata: { sourceContext: '', contact: 'ops' }, status: 'sleeping' }))
+      .toThrow(expect.objectContaining({
+        details: expect.objectContaining({
+          errors: [
+            expect.objectContaining({ path: '/status', keyword: 'enum' }),
+            expect.objectContaining({ path: '/metadata/sourceContext', keyword: 'minLength' }),
+            expect.objectContaining({ path: '/metadata/contact', keyword: 'format' })
+          ]
+        })
+      }));
+
+    // 外部Schema可以按 $id 引用已注册的模型Schema
+    addSchema({ $id: 'https://example.com/team.json', type: 'array', items: { $ref: AGENT_SCHEMA_ID } });
+    const result = validateSchema({ $ref: 'https://example.com/team.json' }, [agent.toObject(), { agentId: 'agent-2' }]);
+
+    expect(result.errors.map(error => error.path)).toEqual(['/1/created']);
+  });
+  
+  test('$ref循环和无效的pattern抛出ValidationError', () => {
+    const invalidSchema = expect.objectContaining({ code: ErrorCode.VALIDATION_INVALID_FORMAT });
+    
+    expect(() => validateSchema({ $ref: '#' }, {})).toThrow(invalidSchema);
+    expect(() => validateSchema({
+      definitions: { a: { $ref: '#/definitions/b' }, b: { allOf: [{ $ref: '#/definitions/a' }] } },
+      $ref: '#/definitions/a'
+    }, 1)).toThrow(invalidSchema);
+    expect(() => validateSchema({ type: 'string', pattern: '(' }, 'x')).toThrow(ValidationError);
+    expect(() => validateSchema({ patternProperties: { '[': {} } }, { a: 1 })).toThrow(invalidSchema);
+    
+    // 每层消耗数据的递归Schema仍然有效
+    const tree = { type: 'object', properties: { children: { type: 'array', items: { $ref: '#' } } } };
+    expect(validateSchema(tree, { children: [{ children: [] }, { children: [{}] }] }).valid).toBe(true);
+    expect(validateSchema(tree, { children: [{ children: 1 }] }).errors[0].path).toBe('/children/0/children');
+  });
+
+  test('BaseModel默认只报告错误不抛出', () => {
+    const schema = {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', pattern: '^[A-Z]' },
+        tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+        address: { type: 'object', properties: { zip: { type: 'integer', maximum: 99999 } } }
+      }
+    };
+    const model = new BaseModel({ name: 'john', tags: ['a', 1], address: { zip: 123456 } }, schema);
+
+    expect(model.validate().errors.map(error => error.path)).toEqual(['/name', '/tags/1', '/address/zip']);
+    expect(() => model.assertValid()).toThrow(/\/address\/zip/);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * 二进制序列化测试
+ */
+const { ContextModel, AgentModel } = require('../../src/models');
+const { FORMAT, serialize, deserialize, detectFormat } = require('../../src/models/serialization');
+const cbor = require('../../src/models/cbor');
+const msgpack = require('../../src/models/msgpack');
+const { ErrorCode, ValidationError } = require('../../src/errors/acip-error');
+
+describe('CBOR与MessagePack序列化', () => {
+  const context = new ContextModel({
+    contextId: 'ctx-1',
+    agentId: 'agent-1',
+    content: { messages: ['你好', 'hello'], score: 0.75 }
+  });
+  const payload = {
+    context,
+    agent: new AgentModel({ agentId: 'agent-1', name: 'Planner' }),
+    sentAt: new Date('2024-05-01T08:30:00.123Z'),
+    attachment: Buffer.from([0, 1, 2, 255]),
+    tokens: 2n ** 70n,
+    balance: -(2n ** 64n),
+    counts: [0, -1, 23, 24, 255, 65536, -129, 2 ** 40, -(2 ** 40), 1.5, 0.1],
+    missing: null
+  };
+
+  test.each([FORMAT.CBOR, FORMAT.MSGPACK])('%s 往返保留日期、Buffer、BigInt和模型实例', format => {
+    const encoded = serialize(payload, format);
+    const decoded = deserialize(encoded);
+
+    expect(Buffer.isBuffer(encoded)).toBe(true);
+    expect(serialize(context, format).length).toBeLessThan(Buffer.byteLength(serialize(context, FORMAT.JSON)));
+    expect(detectFormat(encoded)).toBe(format);
+
+    expect(decoded.context).toBeInstanceOf(ContextModel);
+    expect(decoded.context.toObject()).toEqual(context.toObject());
+    expect(decoded.agent).toBeInstanceOf(AgentModel);
+    expect(decoded.agent.name).toBe('Planner');
+    expect(decoded.sentAt).toEqual(payload.sentAt);
+    expect(decoded.attachment).toEqual(payload.attachment);
+    expect(decoded.tokens).toBe(payload.tokens);
+    expect(decoded.balance).toBe(payload.balance);
+    expect(decoded.counts).toEqual(payload.counts);
+    expect(decoded.missing).toBeNull();
+
+    const model = deserialize(serialize(context, format), FORMAT.AUTO, 'context');
+    expect(model).toBeInstanceOf(ContextModel);
+    expect(model.contextId).toBe('ctx-1');
+  });
+
+  test('按标准编码基本值', () => {
+    // RFC 8949 附录A 与 MessagePack 规范中的示例
+    expect(cbor.encode(1000000, { selfDescribe: false }).toString('hex')).toBe('1a000f4240');
+    expect(cbor.encode(-1000, { selfDescribe: false }).toString('hex')).toBe('3903e7');
+    expect(cbor.encode({ a: [1, 2] }, { selfDescribe: false }).toString('hex')).toBe('a1616182' + '0102');
+    expect(msgpack.encode({ compact: true, schema: 0 }).toString('hex'))
+      .toBe('82a7636f6d70616374c3a6736368656d6100');
+    expect(msgpack.encode(new Date(0)).toString('hex')).toBe('d6ff00000000');
+
+    // 不定长度和半精度浮点数
+    expect(cbor.decode(Buffer.from('9f018202039f0405ffff', 'hex'))).toEqual([1, [2, 3], [4, 5]]);
+    expect(cbor.decode(Buffer.from('7f657374726561646d696e67ff', 'hex'))).toBe('streaming');
+    expect(cbor.decode(Buffer.from('f93e00', 'hex'))).toBe(1.5);
+    expect(cbor.decode(Buffer.from('c074323031332d30332d32315432303a30343a30305a', 'hex')))
+      .toEqual(new Date('2013-03-21T20:04:00Z'));
+  });
+
+  test('自动检测格式并拒绝损坏的数据', () => {
+    expect(deserialize('{"a":1}')).toEqual({ a: 1 });
+    expect(deserialize(serialize({ a: 1 }, FORMAT.BINARY))).toEqual({ a: 1 });
+    expect(deserialize(cbor.encode({ a: 1 }, { selfDescribe: false }))).toEqual({ a: 1 });
+    expect(deserialize(serialize('hello', FORMAT.BINARY))).toBe('hello');
+
+    // 0x30–0x39 既是 MessagePack 正整数，也是合法的 JSON 文本
+    for (let value = 48; value <= 57; value++) {
+      const encoded = serialize(value, FORMAT.MSGPACK);
+      expect(detectFormat(encoded)).toBe(FORMAT.MSGPACK);
+      expect(deserialize(encoded)).toBe(value);
+    }
+
+    const truncated = serialize({ text: 'hello world' }, FORMAT.CBOR).subarray(0, 10);
+    expect(() => deserialize(truncated, FORMAT.CBOR)).toThrow('Unexpected end of CBOR data');
+    expect(() => detectFormat(Buffer.from([0xc1]))).toThrow('Unable to detect');
+    expect(() => deserialize(msgpack.encode({ a: 1 }).subarray(0, 3), FORMAT.MSGPACK))
+      .toThrow('Unexpected end of MessagePack data');
+
+    // tag 27 中未注册的模型类型
+    const foreign = Buffer.concat([Buffer.from('d81b', 'hex'), cbor.encode(['robot', {}], { selfDescribe: false })]);
+    expect(() => deserialize(foreign, FORMAT.CBOR)).toThrow("Unknown model type 'robot' in CBOR data");
+    expect(() => deserialize(truncated, FORMAT.CBOR)).toThrow(ValidationError);
+    expect(() => msgpack.encode(() => {})).toThrow(ValidationError);
+  });
+
+  test('嵌套过深或循环引用的数据抛出ValidationError', () => {
+    const invalidFormat = expect.objectContaining({ code: ErrorCode.VALIDATION_INVALID_FORMAT });
+
+    // 十万层嵌套的数组和标签
+    const deepArray = Buffer.alloc(100000, 0x81);
+    expect(() => cbor.decode(deepArray)).toThrow(invalidFormat);
+    expect(() => msgpack.decode(Buffer.alloc(100000, 0x91))).toThrow(invalidFormat);
+    expect(() => cbor.decode(Buffer.alloc(100000, 0xc6))).toThrow(invalidFormat);
+
+    const cyclic = { name: 'loop' };
+    cyclic.self = cyclic;
+    expect(() => cbor.encode(cyclic)).toThrow(invalidFormat);
+    expect(() => msgpack.encode(cyclic)).toThrow(invalidFormat);
+
+    // 限制可以调整
+    const nested = [[[1]]];
+    expect(() => cbor.decode(cbor.encode(nested), { maxDepth: 2 })).toThrow('nested deeper than 2 levels');
+    expect(msgpack.decode(msgpack.encode(nested), { maxDepth: 3 })).toEqual(nested);
+  });
+});
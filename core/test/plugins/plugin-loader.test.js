@@ -0,0 +1,248 @@
+/**
+ * 插件加载器测试
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Core } = require('../../src/lifecycle/core');
+const { ErrorCode } = require('../../src/errors/acip-error');
+
+// 模拟日志记录器
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+const LIFECYCLE_PATH = JSON.stringify(path.resolve(__dirname, '../../src/lifecycle/lifecycle'));
+
+/**
+ * 在目录中写入插件
+ * @param {string} dir - 插件目录
+ * @param {Object} pkg - package.json 内容
+ * @param {string} [source] - 入口文件内容
+ */
+function writePlugin(dir, pkg, source) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify(pkg));
+
+  if (source) {
+    fs.writeFileSync(path.join(dir, pkg.main || 'index.js'), source);
+  }
+}
+
+/**
+ * 生成导出ModuleLifecycle子类的入口文件
+ * @param {string} className - 类名
+ * @returns {string} 入口文件内容
+ */
+function classEntry(className) {
+  return `
+    const { ModuleLifecycle } = require(${LIFECYCLE_PATH});
+    class ${className} extends ModuleLifecycle {
+      async _doInitialize() {}
+      async _doStart() {}
+      async _doStop() {}
+      async _doDestroy() {}
+    }
+    module.exports = ${className};
+  `;
+}
+
+describe('PluginLoader', () => {
+  let baseDir;
+  let core;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'acip-plugins-'));
+    core = new Core({ logger: mockLogger, baseDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('按依赖顺序从插件目录加载模块', async () => {
+    writePlugin(path.join(baseDir, 'plugins', 'a-reporter'), {
+      name: 'reporter-plugin',
+      version: '1.0.0',
+      acip: {
+        id: 'reporter',
+        dependencies: { storage: '^2.0.0', core: '>=0.1.0' },
+        interfaces: ['reporter']
+      }
+    }, classEntry('Reporter'));
+
+    writePlugin(path.join(baseDir, 'plugins', 'b-storage'), {
+      name: 'storage-plugin',
+      version: '2.1.0',
+      acip: { id: 'storage' }
+    }, classEntry('Storage'));
+
+    // 没有清单的目录会被忽略
+    writePlugin(path.join(baseDir, 'plugins', 'not-a-plugin'), { name: 'other', version: '1.0.0' });
+
+    const result = await core.loadPlugins({ path: './plugins' });
+
+    expect(result.failed).toEqual([]);
+    expect(result.loaded.map(entry => entry.id)).toEqual(['storage', 'reporter']);
+
+    const info = await core.registry.getModuleInfo('reporter');
+    expect(info.version).toBe('1.0.0');
+    expect(info.interfaces).toEqual(['reporter']);
+    expect(info.dependencies).toEqual([
+      { id: 'storage', version: '^2.0.0' },
+      { id: 'core', version: '>=0.1.0' }
+    ]);
+
+    const reporter = await core.getModule('reporter');
+    expect(reporter.constructor.name).toBe('Reporter');
+    expect(reporter.eventBus).toBe(core.eventBus);
+  });
+
+  test('同一插件的不同版本一起加载，依赖方使用满足范围的版本', async () => {
+    writePlugin(path.join(baseDir, 'plugins', 'a-legacy'), {
+      name: 'legacy-plugin',
+      version: '1.0.0',
+      acip: { id: 'legacy', dependencies: { storage: '^1.0.0' } }
+    }, classEntry('Legacy'));
+
+    writePlugin(path.join(baseDir, 'plugins', 'b-storage-v2'), {
+      name: 'storage-plugin',
+      version: '2.0.0',
+      acip: { id: 'storage' }
+    }, classEntry('StorageV2'));
+
+    writePlugin(path.join(baseDir, 'plugins', 'c-storage-v1'), {
+      name: 'storage-plugin',
+      version: '1.2.0',
+      acip: { id: 'storage' }
+    }, classEntry('StorageV1'));
+
+    const result = await core.loadPlugins({ path: './plugins' });
+
+    expect(result.failed).toEqual([]);
+    expect(result.loaded.map(entry => `${entry.id}@${entry.version}`))
+      .toEqual(['storage@1.2.0', 'legacy@1.0.0', 'storage@2.0.0']);
+    expect(core.registry.getVersions('storage').sort()).toEqual(['1.2.0', '2.0.0']);
+    expect((await core.getModule('storage', '^1.0.0')).constructor.name).toBe('StorageV1');
+  });
+
+  test('支持acip.json清单、工厂函数和配置选项', async () => {
+    const dir = path.join(baseDir, 'custom');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'acip.json'), JSON.stringify({
+      id: 'custom',
+      version: '0.3.0',
+      main: 'plugin.js',
+      configuration: { default: { level: 1, mode: 'default' } }
+    }));
+    fs.writeFileSync(path.join(dir, 'plugin.js'), `
+      const { ModuleLifecycle } = require(${LIFECYCLE_PATH});
+      module.exports = {
+        createModule(options, context) {
+          const instance = new ModuleLifecycle(options);
+          instance.receivedOptions = options;
+          instance.manifestId = context.manifest.id;
+          return instance;
+        }
+      };
+    `);
+
+    const result = await core.loadPlugins({
+      modules: [{ path: './custom', options: { mode: 'custom' } }]
+    });
+
+    expect(result.failed).toEqual([]);
+
+    const instance = await core.getModule('custom');
+    expect(instance.manifestId).toBe('custom');
+    expect(instance.receivedOptions).toMatchObject({ level: 1, mode: 'custom', moduleId: 'custom' });
+  });
+
+  test('扫描node_modules中声明了清单的包', async () => {
+    const nodeModules = path.join(baseDir, 'node_modules');
+
+    writePlugin(path.join(nodeModules, '@acip', 'plugin-metrics'), {
+      name: '@acip/plugin-metrics',
+      version: '1.4.0',
+      acip: { id: 'metrics' }
+    }, classEntry('Metrics'));
+    writePlugin(path.join(nodeModules, 'left-pad'), { name: 'left-pad', version: '1.3.0' });
+
+    const result = await core.loadPlugins({ nodeModules: true });
+
+    expect(result.loaded.map(entry => entry.id)).toEqual(['metrics']);
+    expect((await core.registry.getModuleInfo('metrics')).name).toBe('@acip/plugin-metrics');
+  });
+
+  test('无效清单和不满足的依赖只影响相关插件', async () => {
+    writePlugin(path.join(baseDir, 'plugins', 'bad-version'), {
+      name: 'bad',
+      version: 'not-semver',
+      acip: { id: 'bad' }
+    }, classEntry('Bad'));
+
+    writePlugin(path.join(baseDir, 'plugins', 'needs-bad'), {
+      name: 'needs-bad',
+      version: '1.0.0',
+      acip: { id: 'needs-bad', dependencies: [{ id: 'bad', version: '*' }] }
+    }, classEntry('NeedsBad'));
+
+    writePlugin(path.join(baseDir, 'plugins', 'old-dep'), {
+      name: 'old-dep',
+      version: '1.0.0',
+      acip: { id: 'old-dep', dependencies: [{ id: 'core', version: '>=2.0.0' }] }
+    }, classEntry('OldDep'));
+
+    writePlugin(path.join(baseDir, 'plugins', 'optional-dep'), {
+      name: 'optional-dep',
+      version: '1.0.0',
+      acip: { id: 'optional-dep', dependencies: [{ id: 'missing', version: '*', optional: true }] }
+    }, classEntry('OptionalDep'));
+
+    writePlugin(path.join(baseDir, 'plugins', 'not-a-module'), {
+      name: 'not-a-module',
+      version: '1.0.0',
+      acip: { id: 'not-a-module' }
+    }, 'module.exports = { hello: "world" };');
+
+    const result = await core.loadPlugins({ path: 'plugins' });
+
+    expect(result.loaded.map(entry => entry.id)).toEqual(['optional-dep']);
+
+    const failures = Object.fromEntries(result.failed.map(entry => [entry.id, entry.error.code]));
+    expect(failures).toEqual({
+      'bad': ErrorCode.VALIDATION_INVALID_FORMAT,
+      'needs-bad': ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED,
+      'old-dep': ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED,
+      'not-a-module': ErrorCode.VALIDATION_INVALID_FORMAT
+    });
+
+    expect(await core.registry.getModuleInfo('bad')).toBeNull();
+  });
+
+  test('初始化时根据配置自动加载插件并随核心启动', async () => {
+    writePlugin(path.join(baseDir, 'plugins', 'auto'), {
+      name: 'auto',
+      version: '1.0.0',
+      acip: { id: 'auto' }
+    }, classEntry('Auto'));
+
+    const autoCore = new Core({
+      logger: mockLogger,
+      baseDir,
+      config: { plugins: { autoload: true, path: './plugins' } }
+    });
+
+    await autoCore.initialize();
+    await autoCore.start();
+
+    const instance = await autoCore.getModule('auto');
+    expect(instance.getState()).toBe('running');
+
+    await autoCore.stop();
+    await autoCore.destroy();
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * 模块依赖图测试
+ */
+const { findCycles, toDot } = require('../../src/registry/dependency-graph');
+const { Core } = require('../../src/lifecycle/core');
+const { ModuleLifecycle, ModuleState } = require('../../src/lifecycle/lifecycle');
+const { ErrorCode } = require('../../src/errors/acip-error');
+
+// 模拟日志记录器
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+// 测试模块类
+class TestModule extends ModuleLifecycle {
+  async _doInitialize() {}
+  async _doStart() {}
+  async _doStop() {}
+  async _doDestroy() {}
+}
+
+describe('findCycles', () => {
+  test('报告每个循环的完整路径且只报告一次', () => {
+    const dependencies = new Map([
+      ['a', ['b']],
+      ['b', ['c', 'external']],
+      ['c', ['a']],
+      ['d', ['d']],
+      ['e', ['a']]
+    ]);
+
+    expect(findCycles(dependencies)).toEqual([
+      ['a', 'b', 'c', 'a'],
+      ['d', 'd']
+    ]);
+  });
+
+  test('无环图返回空数组', () => {
+    expect(findCycles(new Map([['a', ['b']], ['b', []], ['c', ['a', 'b']]]))).toEqual([]);
+  });
+});
+
+describe('Core依赖图', () => {
+  let core;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    core = new Core({ logger: mockLogger });
+  });
+
+  test('存在依赖循环时启动失败并列出循环路径', async () => {
+    await core.registerModule('a', new TestModule({ logger: mockLogger }), { dependencies: { b: '*' } });
+    await core.registerModule('b', new TestModule({ logger: mockLogger }), { dependencies: { c: '*' } });
+    await core.registerModule('c', new TestModule({ logger: mockLogger }), { dependencies: { a: '*' } });
+
+    await core.initialize();
+
+    const error = await core.start().catch(err => err);
+
+    expect(error.code).toBe(ErrorCode.RESOURCE_DEPENDENCY_CYCLE);
+    expect(error.message).toContain('a -> b -> c -> a');
+    expect(error.details.cycles).toEqual([['a', 'b', 'c', 'a']]);
+    expect(core.getState()).toBe(ModuleState.ERROR);
+    expect((await core.getModule('a')).getState()).toBe(ModuleState.CREATED);
+  });
+
+  test('以JSON和DOT格式导出依赖图', async () => {
+    await core.registerModule('storage', new TestModule({ logger: mockLogger }), { version: '1.2.0' });
+    await core.registerModule('reporter', new TestModule({ logger: mockLogger }), {
+      version: '1.0.0',
+      dependencies: {
+        storage: '^1.0.0',
+        core: '>=0.1.0',
+        metrics: { version: '^2.0.0', optional: true }
+      }
+    });
+
+    const graph = await core.getDependencyGraph();
+
+    expect(graph.cycles).toEqual([]);
+    expect(graph.nodes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: 'storage', version: '1.2.0', state: ModuleState.CREATED, registered: true }),
+      expect.objectContaining({ id: 'core', version: '0.1.0', registered: false }),
+      expect.objectContaining({ id: 'metrics', version: null, registered: false })
+    ]));
+    expect(graph.edges).toEqual([
+      expect.objectContaining({ from: 'reporter', to: 'storage', range: '^1.0.0', satisfied: true, resolvedVersion: '1.2.0' }),
+      expect.objectContaining({ from: 'reporter', to: 'core', range: '>=0.1.0', satisfied: true }),
+      expect.objectContaining({ from: 'reporter', to: 'metrics', optional: true, satisfied: false })
+    ]);
+
+    const dot = await core.getDependencyGraph('dot');
+
+    expect(dot).toMatch(/^digraph "acip" \{/);
+    expect(dot).toContain('"storage" [label="storage\\n1.2.0"];');
+    expect(dot).toContain('"reporter" -> "storage" [label="^1.0.0"];');
+    expect(dot).toContain('"reporter" -> "metrics" [label="^2.0.0", style=dashed];');
+    expect(dot).toContain('"metrics" [label="metrics", style=dashed];');
+  });
+
+  test('DOT格式中标红循环边', () => {
+    const dot = toDot({
+      nodes: [{ id: 'a', registered: true }, { id: 'b', registered: true }],
+      edges: [
+        { from: 'a', to: 'b', range: '*', satisfied: true },
+        { from: 'b', to: 'a', range: '*', satisfied: true }
+      ],
+      cycles: [['a', 'b', 'a']]
+    });
+
+    expect(dot).toContain('"a" -> "b" [label="*", color=red];');
+    expect(dot).toContain('"b" -> "a" [label="*", color=red];');
+  });
+});
@@ -3,6 +3,8 @@
  */
 const { ModuleRegistry, RegistryEvents } = require('../../src/registry/module-registry');
 const { ModuleLifecycle, ModuleState } = require('../../src/lifecycle/lifecycle');
+const { Core } = require('../../src/lifecycle/core');
+const { ErrorCode } = require('../../src/errors/acip-error');
 
 // 模拟日志记录器
 const mockLogger = {
@@ -210,4 +212,106 @@ describe('ModuleRegistry', () => {
     expect(unregisterResult).toBe(false);
     expect(mockLogger.warn).toHaveBeenCalled();
   });
-}); 
\ No newline at end of file
+  
+  test('依赖声明为版本范围对象并解析到满足范围的最高版本', async () => {
+    await registry.register({ id: 'context-management', version: '0.2.1' }, new TestModule('Context021'));
+    await registry.register({ id: 'context-management', version: '0.3.0' }, new TestModule('Context030'));
+    await registry.register({ id: 'context-management', version: '0.2.4' }, new TestModule('Context024'));
+    
+    await registry.register({
+      id: 'agent',
+      version: '1.0.0',
+      dependencies: { 'context-management': '^0.2.0', 'metrics': { version: '*', optional: true } }
+    }, new TestModule('Agent'));
+    
+    const dependencies = await registry.getDependencies('agent');
+    expect(dependencies[0]).toMatchObject({
+      id: 'context-management',
+      version: '^0.2.0',
+      satisfied: true,
+      resolvedVersion: '0.2.4',
+      availableVersions: ['0.2.1', '0.2.4', '0.3.0']
+    });
+    expect(dependencies[1]).toMatchObject({ id: 'metrics', optional: true, installed: false });
+    
+    // 并存的版本可以按范围获取
+    expect((await registry.getModuleByVersion('context-management', '^0.2.0')).name).toBe('Context024');
+    expect((await registry.getModuleByVersion('context-management', '>=0.3.0')).name).toBe('Context030');
+    expect(await registry.getModuleByVersion('context-management', '^1.0.0')).toBeNull();
+    
+    const [info] = await registry.listModules({ ids: ['context-management'] });
+    expect(info.version).toBe('0.3.0');
+    expect(info.instanceCount).toBe(3);
+  });
+  
+  test('报告版本冲突', async () => {
+    await registry.register({ id: 'storage', version: '2.0.0' }, new TestModule('Storage'));
+    await registry.register({
+      id: 'reporter',
+      version: '1.0.0',
+      dependencies: [{ id: 'storage', version: '^1.0.0' }, { id: 'missing', version: '^1.0.0' }]
+    }, new TestModule('Reporter'));
+    
+    const check = await registry.checkDependencies('reporter');
+    expect(check.allSatisfied).toBe(false);
+    expect(check.required.unsatisfied.map(dep => dep.id)).toEqual(['storage', 'missing']);
+    expect(check.conflicts.map(dep => dep.id)).toEqual(['storage']);
+    
+    expect(await registry.getConflicts()).toEqual([{
+      moduleId: 'reporter',
+      dependencyId: 'storage',
+      range: '^1.0.0',
+      availableVersions: ['2.0.0']
+    }]);
+  });
+  
+  test('严格模式下拒绝依赖不满足的注册', async () => {
+    const strictRegistry = new ModuleRegistry({
+      strictDependencies: true,
+      providedModules: { core: '0.1.0' }
+    }, mockLogger);
+    
+    await expect(strictRegistry.register({
+      id: 'reporter',
+      version: '1.0.0',
+      dependencies: { storage: '^1.0.0' }
+    }, new TestModule('Reporter'))).rejects.toMatchObject({ code: ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED });
+    
+    await strictRegistry.register({ id: 'storage', version: '1.2.0' }, new TestModule('Storage'));
+    await expect(strictRegistry.register({
+      id: 'reporter',
+      version: '1.0.0',
+      dependencies: { storage: '^1.0.0', core: '>=0.1.0' }
+    }, new TestModule('Reporter'))).resolves.toBeDefined();
+  });
+  
+  test('只要剩余版本仍满足依赖方就允许注销单个版本', async () => {
+    const v1 = await registry.register({ id: 'storage', version: '1.0.0' }, new TestModule('Storage1'));
+    const v2 = await registry.register({ id: 'storage', version: '1.5.0' }, new TestModule('Storage15'));
+    await registry.register({ id: 'reporter', version: '1.0.0', dependencies: { storage: '^1.0.0' } }, new TestModule('Reporter'));
+    
+    expect(await registry.unregister('storage', v2)).toBe(true);
+    expect((await registry.getModuleInfo('storage')).version).toBe('1.0.0');
+    
+    expect(await registry.unregister('storage', v1)).toBe(false);
+  });
+  
+  test('核心启动时拒绝启动依赖不满足的模块', async () => {
+    const core = new Core({ logger: mockLogger });
+    const storage = new TestModule('Storage');
+    const reporter = new TestModule('Reporter');
+    
+    await core.registerModule('storage', storage, { version: '2.0.0' });
+    await core.registerModule('reporter', reporter, { dependencies: { storage: '^1.0.0', core: '^0.1.0' } });
+    
+    await core.initialize();
+    await core.start();
+    
+    expect(storage.getState()).toBe(ModuleState.RUNNING);
+    expect(reporter.getState()).not.toBe(ModuleState.RUNNING);
+    expect(mockLogger.error).toHaveBeenCalledWith(expect.stringContaining('storage@^1.0.0'));
+    
+    await core.stop();
+    await core.destroy();
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * 状态管理器测试
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StateManager, StateChangeType } = require('../../src/state/state-manager');
+const { FileStateStore } = require('../../src/state/state-stores');
+const { Core } = require('../../src/lifecycle/core');
+const { ModuleLifecycle } = require('../../src/lifecycle/lifecycle');
+
+// 模拟日志记录器
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('StateManager', () => {
+  let stateManager;
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stateManager = new StateManager({}, mockLogger);
+  });
+  
+  test('按命名空间读写和删除', async () => {
+    await stateManager.set('limit', 10, 'rate-limiter');
+    await stateManager.set('limit', 20, 'auth');
+    
+    expect(await stateManager.get('limit', 'rate-limiter')).toBe(10);
+    expect(await stateManager.get('limit', 'auth')).toBe(20);
+    expect(await stateManager.get('limit')).toBeUndefined();
+    
+    await stateManager.delete('limit', 'auth');
+    expect(await stateManager.has('limit', 'auth')).toBe(false);
+    expect(await stateManager.keys('rate-limiter')).toEqual(['limit']);
+  });
+  
+  test('存储的值与调用方对象隔离', async () => {
+    const value = { tokens: 1 };
+    await stateManager.set('quota', value);
+    value.tokens = 99;
+    
+    const stored = await stateManager.get('quota');
+    expect(stored.tokens).toBe(1);
+  });
+  
+  test('watch按模式通知变更', async () => {
+    const changes = [];
+    const watcher = stateManager.watch('context.*', (change) => changes.push(change));
+    
+    await stateManager.set('ctx-1', { a: 1 }, 'context');
+    await stateManager.set('ctx-1', { a: 2 }, 'context');
+    await stateManager.set('other', 1, 'auth');
+    await stateManager.delete('ctx-1', 'context');
+    
+    expect(changes.map(c => c.type)).toEqual([
+      StateChangeType.SET,
+      StateChangeType.SET,
+      StateChangeType.DELETE
+    ]);
+    expect(changes[1].oldValue).toEqual({ a: 1 });
+    
+    watcher.unwatch();
+    await stateManager.set('ctx-2', 1, 'context');
+    expect(changes).toHaveLength(3);
+  });
+  
+  test('命名空间视图只能访问自身数据', async () => {
+    const view = stateManager.namespace('module-a');
+    const seen = [];
+    view.watch('*', (change) => seen.push(change.key));
+    
+    await view.set('key', 'a');
+    await stateManager.set('key', 'b', 'module-b');
+    
+    expect(await view.get('key')).toBe('a');
+    expect(await view.keys()).toEqual(['key']);
+    expect(seen).toEqual(['key']);
+  });
+});
+
+describe('FileStateStore', () => {
+  let dir;
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'acip-state-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('持久化后可以重新加载', async () => {
+    const filePath = path.join(dir, 'nested', 'state.json');
+    const first = new StateManager({ store: new FileStateStore({ filePath }, mockLogger) }, mockLogger);
+    await first.load();
+    await first.set('user-1', { tokensUsed: 5 }, 'rate-limiter');
+    await first.close();
+    
+    const second = new StateManager({ store: new FileStateStore({ filePath }, mockLogger) }, mockLogger);
+    await second.load();
+    
+    expect(await second.get('user-1', 'rate-limiter')).toEqual({ tokensUsed: 5 });
+    await second.close();
+  });
+  
+  test('一次写入失败后之后的写入仍然持久化', async () => {
+    const filePath = path.join(dir, 'state.json');
+    const store = new FileStateStore({ filePath, syncInterval: 60000 }, mockLogger);
+    await store.load();
+    
+    const writeSnapshot = jest.spyOn(store, '_writeSnapshot').mockRejectedValueOnce(new Error('disk full'));
+    
+    await store.set('rate-limiter', 'user-1', { tokensUsed: 5 });
+    await expect(store.flush()).rejects.toThrow('disk full');
+    
+    await store.flush();
+    await store.close();
+    
+    expect(writeSnapshot).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ 'rate-limiter': { 'user-1': { tokensUsed: 5 } } });
+  });
+});
+
+describe('Core状态服务', () => {
+  test('初始化后为模块注入独立命名空间', async () => {
+    const core = new Core({ logger: mockLogger });
+    const before = new ModuleLifecycle({ logger: mockLogger });
+    await core.registerModule('before', before);
+    
+    await core.initialize();
+    
+    const after = new ModuleLifecycle({ logger: mockLogger });
+    await core.registerModule('after', after);
+    
+    await before.stateManager.set('shared', 1);
+    await after.stateManager.set('shared', 2);
+    
+    expect(await core.stateManager.get('shared', 'before')).toBe(1);
+    expect(await core.stateManager.get('shared', 'after')).toBe(2);
+    
+    await core.destroy();
+    expect(core.stateManager).toBeNull();
+  });
+});
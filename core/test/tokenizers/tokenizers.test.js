@@ -0,0 +1,85 @@
+/**
+ * 分词器测试
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BpeTokenizer, TokenizerRegistry, countTokens, tokenizers } = require('../../src/tokenizers');
+const { ErrorCode, ResourceError, ValidationError } = require('../../src/errors/acip-error');
+
+/**
+ * 生成 tiktoken 格式的词表：256 个单字节 token 加上给定的合并结果
+ */
+function vocabulary(merges) {
+  const tokens = [];
+  for (let byte = 0; byte < 256; byte++) {
+    tokens.push(Buffer.from([byte]));
+  }
+  merges.forEach(text => tokens.push(Buffer.from(text, 'utf8')));
+  return tokens.map((bytes, rank) => `${bytes.toString('base64')} ${rank}`).join('\n');
+}
+
+describe('分词器', () => {
+  test('按rank合并字节并可解码回原文', () => {
+    const tokenizer = new BpeTokenizer({
+      name: 'test',
+      ranks: BpeTokenizer.parseRanks(vocabulary(['he', 'll', 'hell', 'hello', ' w', ' wo', ' wor']))
+    });
+
+    expect(tokenizer.encode('hello')).toEqual([259]);
+    expect(tokenizer.encode('hello world')).toEqual([259, 262, 'l'.charCodeAt(0), 'd'.charCodeAt(0)]);
+    expect(tokenizer.count("hello world's")).toBe(6);
+    expect(tokenizer.decode(tokenizer.encode('hello wörld 你好'))).toBe('hello wörld 你好');
+    expect(tokenizer.count('')).toBe(0);
+
+    expect(() => BpeTokenizer.parseRanks('aGk=\n')).toThrow(ValidationError);
+    expect(() => new BpeTokenizer({ name: 'partial', ranks: new Map([['a', 0]]) })).toThrow(ValidationError);
+  });
+
+  test('加载随包附带的BPE词表', () => {
+    const bpe = tokenizers.get('acip_base');
+    const text = `A${' A'.repeat(99)}`;
+
+    expect(bpe.name).toBe('acip_base');
+    expect(bpe.count(text)).toBe(100);
+    expect(tokenizers.get('heuristic').count(text)).toBe(50);
+    expect(bpe.decode(bpe.encode('function add(a, b) { return a + b; }'))).toBe('function add(a, b) { return a + b; }');
+  });
+
+  test('只统计值中的文本，不统计键和JSON标点', () => {
+    const tokenizer = tokenizers.get('heuristic');
+
+    expect(countTokens({ role: 'user', content: 'abcdefgh', meta: { ok: true, n: 12 } }, tokenizer)).toBe(1 + 2 + 1 + 1);
+    expect(countTokens(['abcd', null, ['efgh']], tokenizer)).toBe(2);
+  });
+
+  test('注册表按名称加载词表文件并报告缺失的分词器', () => {
+    const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'acip-tokenizers-'));
+
+    try {
+      fs.writeFileSync(path.join(dataPath, 'cl100k_base.tiktoken'), vocabulary(['ab']));
+      const registry = new TokenizerRegistry({ dataPath, defaultTokenizer: 'heuristic' });
+
+      expect(registry.has('cl100k_base')).toBe(true);
+      expect(registry.get('cl100k_base').encode('ab')).toEqual([256]);
+      expect(registry.get('cl100k_base')).toBe(registry.get('cl100k_base'));
+      expect(registry.get().name).toBe('heuristic');
+
+      registry.register('words', { name: 'words', count: text => text.split(/\s+/).length });
+      expect(registry.get('words').count('one two three')).toBe(3);
+
+      let error;
+      try {
+        registry.get('o200k_base');
+      } catch (err) {
+        error = err;
+      }
+
+      expect(registry.has('o200k_base')).toBe(false);
+      expect(error).toBeInstanceOf(ResourceError);
+      expect(error.code).toBe(ErrorCode.RESOURCE_NOT_FOUND);
+    } finally {
+      fs.rmSync(dataPath, { recursive: true, force: true });
+    }
+  });
+});
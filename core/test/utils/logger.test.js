@@ -0,0 +1,198 @@
+/**
+ * 日志处理器与脱敏测试
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger, LogLevel } = require('../../src/utils/logger');
+const {
+  createJsonHandler,
+  createRotatingFileHandler,
+  createBufferedHandler
+} = require('../../src/utils/log-handlers');
+
+// 收集写入内容的流
+function createMemoryStream() {
+  const chunks = [];
+
+  return {
+    chunks,
+    write: jest.fn((chunk, callback) => {
+      chunks.push(chunk);
+      if (callback) {
+        callback();
+      }
+      return true;
+    }),
+    lines: () => chunks.join('').split('\n').filter(Boolean).map(line => JSON.parse(line))
+  };
+}
+
+describe('Logger', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'acip-logs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('NDJSON处理器每条日志输出一行JSON', () => {
+    const stream = createMemoryStream();
+    const logger = new Logger({ name: 'test', handlers: [createJsonHandler({ stream })] });
+
+    logger.info('请求完成', { requestId: 'req-1', durationMs: 12 });
+    logger.error('请求失败', new Error('超时'));
+
+    const [first, second] = stream.lines();
+
+    expect(first).toMatchObject({ level: 'INFO', logger: 'test', message: '请求完成', requestId: 'req-1', durationMs: 12 });
+    expect(typeof first.timestamp).toBe('string');
+    expect(second).toMatchObject({ level: 'ERROR', error: { name: 'Error', message: '超时' } });
+  });
+
+  test('处理器看到元数据之前脱敏配置的键', () => {
+    const seen = [];
+    const logger = new Logger({ handlers: [(level, message, meta) => seen.push(meta)] });
+    const provider = { name: 'openai', apiKey: 'sk-live', headers: { Authorization: 'Bearer abc' } };
+
+    logger.info('加载提供者', { provider, users: [{ username: 'alice', password: 'p@ss' }] });
+    logger.child('auth', { refresh_token: 'r-1' }).info('刷新令牌');
+
+    expect(seen[0].provider).toEqual({ name: 'openai', apiKey: '[REDACTED]', headers: { Authorization: '[REDACTED]' } });
+    expect(seen[0].users).toEqual([{ username: 'alice', password: '[REDACTED]' }]);
+    expect(seen[1].refresh_token).toBe('[REDACTED]');
+    expect(provider.apiKey).toBe('sk-live');
+
+    const custom = new Logger({ redact: { keys: ['ssn'], mask: '***' }, handlers: [(level, message, meta) => seen.push(meta)] });
+    custom.info('用户', { ssn: '123', apiKey: 'visible' });
+
+    expect(seen[2]).toMatchObject({ ssn: '***', apiKey: 'visible' });
+  });
+
+  test('脱敏只展开普通对象、数组和Error', () => {
+    class Session {
+      constructor() {
+        this.token = 'internal';
+      }
+    }
+
+    const seen = [];
+    const logger = new Logger({ handlers: [(level, message, meta) => seen.push(meta)] });
+    const payload = Buffer.from('abc');
+    const cache = new Map([['a', 1]]);
+    const session = new Session();
+
+    logger.info('请求', { payload, cache, session, headers: { 'X-Api-Key': 'k', idToken: 'i', sessionToken: 's' } });
+
+    expect(seen[0].payload).toBe(payload);
+    expect(seen[0].cache).toBe(cache);
+    expect(seen[0].session).toBe(session);
+    expect(seen[0].headers).toEqual({ 'X-Api-Key': '[REDACTED]', idToken: '[REDACTED]', sessionToken: '[REDACTED]' });
+  });
+
+  test('按大小轮转日志文件并限制保留的文件数', async () => {
+    const filename = path.join(dir, 'acip.log');
+    const handler = createRotatingFileHandler({ filename, maxSize: 200, maxFiles: 2 });
+    const logger = new Logger({ handlers: [handler] });
+
+    for (let i = 0; i < 10; i++) {
+      logger.info(`第${i}条日志`, { padding: 'x'.repeat(60) });
+    }
+    await logger.close();
+
+    const files = fs.readdirSync(dir).sort();
+    expect(files).toEqual(['acip.log', 'acip.log.1', 'acip.log.2']);
+
+    for (const file of files) {
+      expect(fs.statSync(path.join(dir, file)).size).toBeLessThanOrEqual(200);
+    }
+
+    const last = fs.readFileSync(filename, 'utf8').trim().split('\n').pop();
+    expect(JSON.parse(last).message).toBe('第9条日志');
+  });
+
+  test('按时间轮转日志文件', () => {
+    const filename = path.join(dir, 'timed.log');
+    const handler = createRotatingFileHandler({ filename, maxSize: 0, interval: 60000 });
+    const now = jest.spyOn(Date, 'now');
+
+    now.mockReturnValue(1000);
+    handler(LogLevel.INFO, '第一条', {});
+    now.mockReturnValue(61000);
+    handler(LogLevel.INFO, '第二条', {});
+    now.mockRestore();
+    handler.writer.close();
+
+    expect(fs.readFileSync(`${filename}.1`, 'utf8')).toContain('第一条');
+    expect(fs.readFileSync(filename, 'utf8')).toContain('第二条');
+  });
+
+  test('缓冲处理器合并写入并在关闭时写出剩余日志', async () => {
+    const stream = createMemoryStream();
+    const handler = createBufferedHandler({ stream, bufferSize: 3, flushInterval: 0 });
+    const logger = new Logger({ handlers: [handler] });
+
+    logger.info('一');
+    logger.info('二');
+    expect(stream.write).not.toHaveBeenCalled();
+
+    logger.info('三');
+    await logger.flush();
+    expect(stream.write).toHaveBeenCalledTimes(1);
+
+    logger.info('四');
+    logger.fatal('崩溃');
+    await logger.flush();
+    logger.info('五');
+    await logger.close();
+
+    expect(stream.write).toHaveBeenCalledTimes(3);
+    expect(stream.lines().map(line => line.message)).toEqual(['一', '二', '三', '四', '崩溃', '五']);
+  });
+
+  test('缓冲处理器同一时间只有一次写入，写入缓慢时缓冲仍受maxBuffer限制', async () => {
+    const stream = createMemoryStream();
+    const callbacks = [];
+    stream.write.mockImplementation((chunk, callback) => {
+      stream.chunks.push(chunk);
+      callbacks.push(callback);
+      return true;
+    });
+
+    const handler = createBufferedHandler({ stream, bufferSize: 1, maxBuffer: 2, flushInterval: 0 });
+    const logger = new Logger({ handlers: [handler] });
+
+    logger.info('一');
+    for (let i = 2; i <= 10; i++) {
+      logger.info(`第${i}条`);
+    }
+
+    // 第一次写入完成前不再写入，缓冲只保留最近的2条
+    expect(stream.write).toHaveBeenCalledTimes(1);
+
+    callbacks.shift()();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(stream.write).toHaveBeenCalledTimes(2);
+
+    callbacks.shift()();
+    await logger.flush();
+
+    expect(stream.lines().map(line => line.message)).toEqual(['一', '日志缓冲已满，丢弃了7条日志', '第9条', '第10条']);
+  });
+
+  test('缓冲处理器写入失败时调用onError', async () => {
+    const stream = { write: jest.fn((chunk, callback) => callback(new Error('磁盘已满'))) };
+    const onError = jest.fn();
+    const handler = createBufferedHandler({ stream, bufferSize: 10, flushInterval: 0, onError });
+    const logger = new Logger({ handlers: [handler] });
+
+    logger.info('一');
+    logger.info('二');
+    await logger.flush();
+
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: '磁盘已满' }), 2);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * 请求上下文测试
+ */
+const { Logger } = require('../../src/utils/logger');
+const {
+  runWithContext,
+  getContext,
+  updateContext,
+  ContextEventEmitter
+} = require('../../src/utils/request-context');
+const { delay } = require('../../src/utils');
+
+describe('请求上下文', () => {
+  test('嵌套上下文继承外层字段，并发请求互不影响', async () => {
+    const seen = [];
+
+    const handle = (requestId, wait) => runWithContext({ requestId, traceId: `trace-${requestId}` }, async () => {
+      await delay(wait);
+
+      await runWithContext({ userId: `user-${requestId}`, traceId: undefined }, async () => {
+        await delay(1);
+        seen.push(getContext());
+      });
+    });
+
+    await Promise.all([handle('a', 5), handle('b', 1)]);
+
+    expect(seen).toEqual([
+      { requestId: 'b', traceId: 'trace-b', userId: 'user-b' },
+      { requestId: 'a', traceId: 'trace-a', userId: 'user-a' }
+    ]);
+    expect(getContext()).toEqual({});
+  });
+
+  test('Logger元数据自动带上请求上下文', async () => {
+    const seen = [];
+    const logger = new Logger({ name: 'router', handlers: [(level, message, meta) => seen.push(meta)] });
+
+    await runWithContext({ requestId: 'req-1', sessionId: 'sess-1' }, async () => {
+      logger.info('路由请求');
+      expect(updateContext({ userId: 'user-1' })).toBe(true);
+      await delay(1);
+      logger.info('调用提供者', { provider: 'openai', requestId: 'override' });
+    });
+    logger.info('请求之外');
+
+    expect(seen).toEqual([
+      { requestId: 'req-1', sessionId: 'sess-1', logger: 'router' },
+      { requestId: 'override', sessionId: 'sess-1', userId: 'user-1', provider: 'openai', logger: 'router' },
+      { logger: 'router' }
+    ]);
+    expect(updateContext({ userId: 'nobody' })).toBe(false);
+  });
+
+  test('ContextEventEmitter在普通对象事件数据中附加上下文', () => {
+    const emitter = new ContextEventEmitter();
+    const events = [];
+
+    emitter.on('context:updated', data => events.push(data));
+    emitter.on('error', error => events.push(error));
+
+    runWithContext({ requestId: 'req-2', userId: 'user-2' }, () => {
+      emitter.emit('context:updated', { contextId: 'ctx-1', userId: 'owner' });
+      emitter.emit('error', new Error('失败'));
+    });
+
+    expect(events[0]).toEqual({ requestId: 'req-2', userId: 'owner', contextId: 'ctx-1' });
+    expect(events[1]).toBeInstanceOf(Error);
+  });
+});
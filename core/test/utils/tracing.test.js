@@ -0,0 +1,128 @@
+/**
+ * 链路追踪测试
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger } = require('../../src/utils/logger');
+const { runWithContext } = require('../../src/utils/request-context');
+const {
+  Tracer,
+  SpanKind,
+  SpanStatusCode,
+  InMemorySpanExporter,
+  OtlpJsonFileExporter
+} = require('../../src/utils/tracing');
+const { delay } = require('../../src/utils');
+
+// 模拟日志记录器
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+describe('链路追踪', () => {
+  let exporter;
+  let tracer;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exporter = new InMemorySpanExporter();
+    tracer = new Tracer({ serviceName: 'model-invocation', exporters: [exporter] }, mockLogger);
+  });
+
+  test('异步调用链中的跨度构成父子关系，并继承请求上下文中的traceId', async () => {
+    const traceId = '4bf92f35-77b3-4da6-a3ce-929d0e0e4736';
+
+    const response = await runWithContext({ requestId: 'req-1', traceId }, () =>
+      tracer.withSpan('model.invoke', { attributes: { 'model.id': 'gpt-4' } }, async () => {
+        tracer.withSpan('cache.lookup', span => span.setAttribute('cache.hit', false));
+        await delay(1);
+
+        return tracer.withSpan('provider.call', { kind: SpanKind.CLIENT }, async () => {
+          await delay(1);
+          return 'ok';
+        });
+      }));
+
+    const [lookup, call, invoke] = exporter.getFinishedSpans();
+
+    expect(response).toBe('ok');
+    expect(exporter.getFinishedSpans().map(span => span.name)).toEqual(['cache.lookup', 'provider.call', 'model.invoke']);
+    expect(invoke.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+    expect(invoke.parentSpanId).toBeNull();
+    expect(lookup).toMatchObject({ traceId: invoke.traceId, parentSpanId: invoke.spanId, attributes: { 'cache.hit': false } });
+    expect(call).toMatchObject({ traceId: invoke.traceId, parentSpanId: invoke.spanId, kind: SpanKind.CLIENT });
+    expect(invoke.duration).toBeGreaterThanOrEqual(call.duration);
+    expect(invoke.status).toEqual({ code: SpanStatusCode.UNSET });
+  });
+
+  test('失败的操作记录异常事件和ERROR状态，日志带上活动跨度', async () => {
+    const records = [];
+    const logger = new Logger({ name: 'router', handlers: [(level, message, meta) => records.push(meta)] });
+    const failing = new Error('提供者超时');
+
+    await expect(tracer.withSpan('provider.call', async span => {
+      logger.warn('重试提供者');
+      span.addEvent('retry', { attempt: 1 });
+      throw failing;
+    })).rejects.toBe(failing);
+
+    const [span] = exporter.getFinishedSpans();
+
+    expect(span.status).toEqual({ code: SpanStatusCode.ERROR, message: '提供者超时' });
+    expect(span.events.map(event => event.name)).toEqual(['retry', 'exception']);
+    expect(span.events[1].attributes).toMatchObject({ 'exception.type': 'Error', 'exception.message': '提供者超时' });
+    expect(records).toEqual([{ traceId: span.traceId, spanId: span.spanId, logger: 'router' }]);
+
+    // 结束后的修改无效
+    span.setAttribute('late', true);
+    span.end();
+    expect(span.attributes).toEqual({});
+    expect(exporter.getFinishedSpans()).toHaveLength(1);
+  });
+
+  test('OTLP文件导出器每次导出写入一行ExportTraceServiceRequest', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'acip-trace-'));
+    const filename = path.join(dir, 'traces', 'spans.jsonl');
+    tracer.addExporter(new OtlpJsonFileExporter({ filename }));
+
+    // 导出失败不影响调用方
+    tracer.addExporter({ export: () => { throw new Error('磁盘已满'); } });
+
+    await tracer.withSpan('chain.step', { attributes: { 'chain.step.type': 'model', 'cost.usd': 0.25, tags: ['a'] } }, async () => {
+      tracer.startSpan('moderation').end();
+    });
+    await tracer.shutdown();
+
+    const lines = fs.readFileSync(filename, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const [step] = exporter.getFinishedSpans().slice(-1);
+
+    expect(lines).toHaveLength(2);
+    expect(lines[1].resourceSpans[0].resource.attributes).toEqual([
+      { key: 'service.name', value: { stringValue: 'model-invocation' } }
+    ]);
+    expect(lines[1].resourceSpans[0].scopeSpans[0].scope.name).toBe('acip-core');
+    expect(lines[1].resourceSpans[0].scopeSpans[0].spans[0]).toEqual({
+      traceId: step.traceId,
+      spanId: step.spanId,
+      name: 'chain.step',
+      kind: SpanKind.INTERNAL,
+      startTimeUnixNano: step.startTime.toString(),
+      endTimeUnixNano: step.endTime.toString(),
+      attributes: [
+        { key: 'chain.step.type', value: { stringValue: 'model' } },
+        { key: 'cost.usd', value: { doubleValue: 0.25 } },
+        { key: 'tags', value: { arrayValue: { values: [{ stringValue: 'a' }] } } }
+      ],
+      events: [],
+      status: { code: SpanStatusCode.UNSET }
+    });
+    expect(lines[0].resourceSpans[0].scopeSpans[0].spans[0].parentSpanId).toBe(step.spanId);
+    expect(mockLogger.warn).toHaveBeenCalledWith('导出跨度失败: 磁盘已满');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -3,8 +3,14 @@
  * 
  * Implements the Adaptive Context Window feature for dynamic context management.
  * Adjusts window size based on task complexity, resource availability, and performance.
+ * Token counts come from a tokenizer (see core/src/tokenizers), chosen for the
+ * target model through ModelRegistry when one is given.
+ * With a summarizer (see ./summarizers), an overflowing window compresses its
+ * oldest items into one summary item instead of dropping them.
  */
 
+const { countTokens, tokenizers } = require('../../../core/src/tokenizers');
+
 /**
  * Window adjustment types
  */
@@ -32,28 +38,32 @@ const ComplexityLevel = {
  */
 const TokenEstimation = {
   /**
-   * Estimate token count from text (very approximate)
-   * @param {string} text - Text to estimate
-   * @returns {number} Estimated token count
+   * Count the tokens in text
+   * @param {string} text - Text to count
+   * @param {Object} [tokenizer] - Tokenizer (default: the default tokenizer of the core registry)
+   * @returns {number} Token count
    */
-  estimateTokens: (text) => {
+  estimateTokens: (text, tokenizer = tokenizers.get()) => {
     if (!text) return 0;
-    // Very rough estimation (4 chars per token on average)
-    return Math.ceil(text.length / 4);
+    return tokenizer.count(text);
   },
   
   /**
-   * Estimate token count for an object
-   * @param {Object} obj - Object to estimate
-   * @returns {number} Estimated token count
+   * Count the tokens in the text values of an object; keys and JSON
+   * punctuation are not counted
+   * @param {Object} obj - Object to count
+   * @param {Object} [tokenizer] - Tokenizer (default: the default tokenizer of the core registry)
+   * @returns {number} Token count
    */
-  estimateObjectTokens: (obj) => {
+  estimateObjectTokens: (obj, tokenizer = tokenizers.get()) => {
     if (!obj) return 0;
-    const json = JSON.stringify(obj);
-    return TokenEstimation.estimateTokens(json);
+    return countTokens(obj, tokenizer);
   }
 };
 
+// Fields the window manager adds to window items; they are not sent to the model
+const WINDOW_ITEM_FIELDS = ['timestamp', 'tokenCount', 'sources', 'summarizedItems', 'memoryId'];
+
 /**
  * Adaptive Window Manager class
  * Manages the adaptive context window
@@ -73,11 +83,20 @@ class AdaptiveWindowManager {
       pruneStrategy: 'oldest-first', // Strategy for pruning: oldest-first, relevance, etc.
       prioritizeStrategy: 'recency', // Strategy for prioritization: recency, relevance, etc.
       adaptToComplexity: true,  // Whether to adapt to content complexity
+      tokenizer: null,    // Tokenizer object or name in the core tokenizer registry
+      modelId: null,      // Model whose tokenizer to use, looked up in modelRegistry
+      modelRegistry: null, // ModelRegistry (model_invocation) that selects tokenizers per model
+      summarizer: null,   // Summarizer that compresses the oldest items instead of pruning them
+      summaryMaxTokens: 300, // Token budget for each summary item
+      archive: null,      // Function (items, context) that keeps compressed items and returns a reference to them
       ...options
     };
     
     this.logger = options.logger || console;
     
+    // Tokenizer used for all token counts
+    this.tokenizer = this._resolveTokenizer(this.options);
+    
     // Current window state
     this.currentSize = this.options.initialSize;
     this.currentTokenCount = 0;
@@ -88,6 +107,7 @@ class AdaptiveWindowManager {
       windowExpansions: 0,
       contentPruned: 0,
       compressionEvents: 0,
+      contentCompressed: 0,
       avgWindowSize: this.currentSize,
       windowSizeSamples: 1
     };
@@ -106,6 +126,37 @@ class AdaptiveWindowManager {
     };
   }
   
+  /**
+   * Switch the tokenizer, e.g. when the context is sent to another model
+   * 
+   * Item token counts stored in a window are kept; they are recounted as items
+   * are pruned.
+   * 
+   * @param {Object} selection - Tokenizer selection
+   * @param {Object|string} [selection.tokenizer] - Tokenizer object or registry name
+   * @param {string} [selection.modelId] - Model whose tokenizer to use
+   * @param {Object} [selection.modelRegistry] - ModelRegistry to look the model up in
+   * @returns {Object} The selected tokenizer
+   */
+  setTokenizer(selection = {}) {
+    this.tokenizer = this._resolveTokenizer({
+      modelRegistry: this.options.modelRegistry,
+      ...selection
+    });
+    
+    this.logger.info(`Counting window tokens with ${this.tokenizer.name || 'custom'} tokenizer`);
+    return this.tokenizer;
+  }
+  
+  /**
+   * Count the tokens in text or in the text values of an object
+   * @param {string|Object} content - Content to count
+   * @returns {number} Token count
+   */
+  countTokens(content) {
+    return countTokens(content, this.tokenizer);
+  }
+  
   /**
    * Add content to the context window
    * @param {ContextModel} context - Context to add content to
@@ -117,12 +168,12 @@ class AdaptiveWindowManager {
     // Get current window content from context
     const window = context.content?.window || [];
     
-    // Estimate tokens in new content
-    const newContentTokens = TokenEstimation.estimateObjectTokens(newContent);
+    // Count tokens in new content
+    const newContentTokens = this.countTokens(newContent);
     
-    // Estimate current window token count if not already tracked
+    // Count current window tokens if not already tracked
     if (this.currentTokenCount === 0 && window.length > 0) {
-      this.currentTokenCount = TokenEstimation.estimateObjectTokens(window);
+      this.currentTokenCount = this._countWindowTokens(window);
     }
     
     // Detect complexity of the new content
@@ -136,8 +187,9 @@ class AdaptiveWindowManager {
     // Check if the new content fits in the available space
     const fitsInWindow = newContentTokens <= this.availableSpace;
     
-    // Track what content gets pruned
+    // Track what content gets pruned or compressed
     let prunedContent = [];
+    let compression = null;
     let adjustmentType = AdjustmentType.APPEND;
     
     // If content fits, simply append it
@@ -175,10 +227,23 @@ class AdaptiveWindowManager {
         this.currentTokenCount += newContentTokens;
         this.availableSpace -= newContentTokens;
       } 
-      // If we can't expand, we need to prune
+      // If we can't expand, we need to compress or prune
       else {
-        adjustmentType = AdjustmentType.PRUNE;
-        prunedContent = this._pruneWindow(window, newContentTokens, options);
+        if (this.options.summarizer && options.compress !== false) {
+          compression = this._compressWindow(context, window, newContentTokens, options);
+        }
+        
+        if (compression && (compression.summary || compression.pendingSummary)) {
+          adjustmentType = AdjustmentType.COMPRESS;
+        } else if (compression) {
+          // The summarizer failed, so the removed items count as pruned
+          adjustmentType = AdjustmentType.PRUNE;
+          prunedContent = compression.items;
+          compression = null;
+        } else {
+          adjustmentType = AdjustmentType.PRUNE;
+          prunedContent = this._pruneWindow(window, newContentTokens, options);
+        }
         
         // Append the new content
         window.push({
@@ -188,7 +253,7 @@ class AdaptiveWindowManager {
         });
         
         // Recalculate current token count
-        this.currentTokenCount = TokenEstimation.estimateObjectTokens(window);
+        this.currentTokenCount = this._countWindowTokens(window);
         this.availableSpace = this.currentSize - this.currentTokenCount;
       }
     }
@@ -203,12 +268,18 @@ class AdaptiveWindowManager {
       this.stats.windowExpansions++;
     } else if (adjustmentType === AdjustmentType.PRUNE) {
       this.stats.contentPruned += prunedContent.length;
+    } else if (adjustmentType === AdjustmentType.COMPRESS) {
+      this.stats.compressionEvents++;
+      this.stats.contentCompressed += compression.items.length;
     }
     
     // Return the updated window and metrics
     return {
       window,
       pruned: prunedContent,
+      compressed: compression ? compression.items : [],
+      summary: compression ? compression.summary : null,
+      pendingSummary: compression ? compression.pendingSummary : null,
       adjustmentType,
       complexity,
       metrics: {
@@ -220,6 +291,30 @@ class AdaptiveWindowManager {
     };
   }
   
+  /**
+   * Insert a summary item into a window by its timestamp
+   * 
+   * Used for summaries that were still pending when addContent returned.
+   * 
+   * @param {Array} window - Window content
+   * @param {Object} summary - Summary item from the pendingSummary of addContent
+   * @returns {Object} Window metrics
+   */
+  insertSummary(window, summary) {
+    const index = window.findIndex(item => item.timestamp > summary.timestamp);
+    window.splice(index === -1 ? window.length : index, 0, summary);
+    
+    this.currentTokenCount = this._countWindowTokens(window);
+    this.availableSpace = this.currentSize - this.currentTokenCount;
+    
+    return {
+      currentSize: this.currentSize,
+      currentTokenCount: this.currentTokenCount,
+      availableSpace: this.availableSpace,
+      utilizationPercentage: (this.currentTokenCount / this.currentSize) * 100
+    };
+  }
+  
   /**
    * Expand the window to accommodate more content
    * @param {number} requiredSpace - Required space in tokens
@@ -273,7 +368,7 @@ class AdaptiveWindowManager {
         // Remove oldest items until we've freed enough space
         while (freedSpace < spaceToFree && workingWindow.length > 0) {
           const item = workingWindow.shift();
-          const itemTokens = item.tokenCount || TokenEstimation.estimateObjectTokens(item);
+          const itemTokens = this._countItemTokens(item);
           
           prunedItems.push(item);
           freedSpace += itemTokens;
@@ -295,7 +390,7 @@ class AdaptiveWindowManager {
         // Remove least relevant items until we've freed enough space
         while (freedSpace < spaceToFree && workingWindow.length > 0) {
           const item = workingWindow.shift();
-          const itemTokens = item.tokenCount || TokenEstimation.estimateObjectTokens(item);
+          const itemTokens = this._countItemTokens(item);
           
           prunedItems.push(item);
           freedSpace += itemTokens;
@@ -308,7 +403,7 @@ class AdaptiveWindowManager {
         
         while (freedSpace < spaceToFree && workingWindow.length > 0) {
           const item = workingWindow.shift();
-          const itemTokens = item.tokenCount || TokenEstimation.estimateObjectTokens(item);
+          const itemTokens = this._countItemTokens(item);
           
           prunedItems.push(item);
           freedSpace += itemTokens;
@@ -324,6 +419,132 @@ class AdaptiveWindowManager {
     return prunedItems;
   }
   
+  /**
+   * Compress the oldest window items into one summary item
+   * 
+   * Frees space for the new content and the summary, then asks the summarizer
+   * for a summary of the removed items. A synchronous summary is put at the front
+   * of the window right away; an asynchronous one is returned as pendingSummary,
+   * to be added with insertSummary() once it resolves.
+   * 
+   * @param {ContextModel} context - Context the window belongs to
+   * @param {Array} window - Current window content
+   * @param {number} requiredSpace - Required space in tokens
+   * @param {Object} options - Options for adding content
+   * @returns {Object|null} Compressed items, summary and pendingSummary, or null if nothing could be compressed
+   * @private
+   */
+  _compressWindow(context, window, requiredSpace, options = {}) {
+    const summaryMaxTokens = options.summaryMaxTokens || this.options.summaryMaxTokens;
+    
+    // Summaries replace the oldest part of the conversation
+    const items = this._pruneWindow(window, requiredSpace + summaryMaxTokens, {
+      ...options,
+      pruneStrategy: 'oldest-first'
+    });
+    
+    if (items.length === 0) {
+      return null;
+    }
+    
+    const memoryId = this.options.archive ? this.options.archive(items, context) : undefined;
+    
+    // [n] in the summary refers to sources[n - 1]; earlier summaries keep their own sources
+    const sources = items.map(item => ({
+      id: item.id,
+      type: item.type,
+      role: item.role,
+      timestamp: item.timestamp,
+      ...(item.type === 'summary' ? { memoryId: item.memoryId, sources: item.sources } : {})
+    }));
+    
+    const createSummary = content => {
+      const summary = {
+        type: 'summary',
+        role: 'system',
+        content,
+        sources,
+        summarizedItems: items.reduce((total, item) => total + (item.type === 'summary' ? item.summarizedItems : 1), 0),
+        memoryId,
+        timestamp: items[items.length - 1].timestamp
+      };
+      summary.tokenCount = this._countItemTokens(summary);
+      return summary;
+    };
+    
+    let result;
+    
+    try {
+      result = this.options.summarizer.summarize(items, { maxTokens: summaryMaxTokens, tokenizer: this.tokenizer });
+    } catch (error) {
+      // The items are archived, so the window degrades to pruning
+      this.logger.warn(`Failed to summarize ${items.length} items, pruning them instead: ${error.message}`);
+      result = null;
+    }
+    
+    if (result && typeof result.then === 'function') {
+      this.logger.info(`Compressing ${items.length} items, summary pending`);
+      return { items, summary: null, pendingSummary: result.then(createSummary) };
+    }
+    
+    const summary = result ? createSummary(result) : null;
+    if (summary) {
+      window.unshift(summary);
+    }
+    
+    this.logger.info(`Compressed ${items.length} items into a ${summary ? summary.tokenCount : 0} token summary`);
+    
+    return { items, summary, pendingSummary: null };
+  }
+  
+  /**
+   * Count the tokens of all window items
+   * @param {Array} window - Window content
+   * @returns {number} Token count
+   * @private
+   */
+  _countWindowTokens(window) {
+    return window.reduce((total, item) => total + this._countItemTokens(item), 0);
+  }
+  
+  /**
+   * Get the token count of a window item, counting it if not yet known
+   * @param {Object} item - Window item
+   * @returns {number} Token count
+   * @private
+   */
+  _countItemTokens(item) {
+    if (typeof item.tokenCount === 'number') {
+      return item.tokenCount;
+    }
+    
+    const content = { ...item };
+    WINDOW_ITEM_FIELDS.forEach(field => delete content[field]);
+    return this.countTokens(content);
+  }
+  
+  /**
+   * Select the tokenizer from a tokenizer, a tokenizer name or a model
+   * @param {Object} selection - tokenizer, modelId and modelRegistry
+   * @returns {Object} Tokenizer
+   * @private
+   */
+  _resolveTokenizer({ tokenizer, modelId, modelRegistry }) {
+    if (tokenizer && typeof tokenizer === 'object') {
+      return tokenizer;
+    }
+    
+    if (tokenizer) {
+      return tokenizers.get(tokenizer);
+    }
+    
+    if (modelId && modelRegistry) {
+      return modelRegistry.getTokenizer(modelId);
+    }
+    
+    return tokenizers.get();
+  }
+  
   /**
    * Adjust window size based on content complexity
    * @param {string} complexity - Content complexity level
@@ -6,10 +6,34 @@
  * the Adaptive Context Window and Context Memory System.
  */
 
-const EventEmitter = require('events');
 const { ModuleLifecycle } = require('../../../core/src/lifecycle/lifecycle');
+const { ContextEventEmitter } = require('../../../core/src/utils/request-context');
+const ContextHistory = require('../../../core/src/models/ContextHistory');
 const AdaptiveWindowManager = require('./AdaptiveWindowManager');
 const ContextMemorySystem = require('./ContextMemorySystem');
+const { MemoryType } = ContextMemorySystem;
+const { createStorageAdapter, EnvelopeEncryption, LocalMasterKeyProvider } = require('./storage');
+const { ErrorCode, ResourceError, ValidationError } = require('../../../core/src/errors/acip-error');
+
+/**
+ * Methods other modules may call through ACIP request messages. Key rotation,
+ * event listeners and lifecycle methods are left to the host process.
+ */
+const MESSAGE_ACTIONS = [
+  'createContext',
+  'getContext',
+  'updateContext',
+  'deleteContext',
+  'addToContext',
+  'getContextHistory',
+  'diffContextVersions',
+  'revertContext',
+  'storeMemory',
+  'retrieveMemory',
+  'queryMemories',
+  'consolidateMemories',
+  'getStats'
+];
 
 /**
  * Context Manager class
@@ -24,8 +48,9 @@ class ContextManager extends ModuleLifecycle {
     super(options);
     
     this.options = {
-      storageType: 'memory', // 'memory', 'file', 'database'
+      storageType: 'memory', // 'memory', 'file', 'sqlite'/'database', or 'state' for the core StateManager
       storagePath: './context-storage',
+      persistInterval: 30000, // Interval in ms for persisting changed contexts, 0 to persist only on stop
       maxContextSize: 100000, // Max size in bytes
       initialWindowSize: 4000, // Initial window size in tokens
       memoryRetention: {
@@ -35,21 +60,45 @@ class ContextManager extends ModuleLifecycle {
       privacySettings: {
         enablePruning: true,
         sensitiveDataTypes: ['pii', 'credentials'],
-        encryptStorage: false,
+        encryptStorage: false,   // Encrypt stored context contents and memories
+        encryptionKey: null,     // 32-byte master key, or its hex or base64 encoding, for encryptStorage
+        masterKeyProvider: null, // MasterKeyProvider to use instead of encryptionKey
       },
       ...options
     };
     
     this.logger = options.logger || console;
-    this.eventEmitter = new EventEmitter();
+    // The message router only dispatches these actions to this module
+    this.acipActions = MESSAGE_ACTIONS;
+    // Events carry the requestId, userId, sessionId and traceId of the current request
+    this.eventEmitter = new ContextEventEmitter();
     
     // Initialize contexts map
     this.contexts = new Map();
     
+    // Version history of every context, used to audit and undo changes
+    this.history = options.history || new ContextHistory(options.historyOptions);
+    
+    // Persistent storage; null keeps contexts in memory only
+    this.storage = null;
+    this.encryption = null;
+    this.persistTimer = null;
+    this.persisting = Promise.resolve();
+    
+    // Contexts changed or deleted since the last persist
+    this.dirtyContexts = new Set();
+    this.deletedContexts = new Set();
+    
     // Initialize adaptive window manager
     this.windowManager = new AdaptiveWindowManager({
       initialSize: this.options.initialWindowSize,
       logger: this.logger,
+      // Items compressed into a summary stay retrievable as an episodic memory
+      archive: (items, context) => this.storeMemory(context.id, {
+        type: MemoryType.EPISODIC,
+        content: items,
+        tags: ['compressed']
+      }),
       ...options.windowOptions
     });
     
@@ -105,7 +154,9 @@ class ContextManager extends ModuleLifecycle {
   
   /**
    * Start the context manager
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<boolean>} True once started
+   * @throws {Error} If the storage cannot be opened or its contexts fail to load
+   *   or fail their integrity check; the module is left in the ERROR state
    */
   async start() {
     try {
@@ -115,8 +166,18 @@ class ContextManager extends ModuleLifecycle {
       this._setupEventHandlers();
       
       // Load any existing contexts if using persistent storage
-      if (this.options.storageType !== 'memory') {
+      if (this.storage) {
+        if (!this.storage.opened) {
+          await this.storage.open();
+        }
+        
+        // Adapters that keep memory items back the memory system as well
+        if (typeof this.storage.loadMemories === 'function') {
+          this.memorySystem.attachStorage(this.storage);
+        }
+        
         await this._loadStoredContexts();
+        this._startPersistTimer();
       }
       
       this._changeState('RUNNING');
@@ -125,7 +186,7 @@ class ContextManager extends ModuleLifecycle {
       return true;
     } catch (error) {
       this._handleError('Failed to start', error);
-      return false;
+      throw error;
     }
   }
   
@@ -138,8 +199,11 @@ class ContextManager extends ModuleLifecycle {
       this._changeState('STOPPING');
       
       // Persist any unsaved contexts if using persistent storage
-      if (this.options.storageType !== 'memory') {
+      if (this.storage) {
+        this._stopPersistTimer();
         await this._persistContexts();
+        this.memorySystem.detachStorage();
+        await this.storage.close();
       }
       
       // Clean up resources
@@ -163,7 +227,8 @@ class ContextManager extends ModuleLifecycle {
     try {
       this._changeState('DESTROYING');
       
-      // Clear all contexts
+      // Clear all contexts; stored copies stay on disk
+      this._stopPersistTimer();
       this.contexts.clear();
       
       this._changeState('DESTROYED');
@@ -186,11 +251,11 @@ class ContextManager extends ModuleLifecycle {
   createContext(contextId, contextData = {}, options = {}) {
     try {
       if (!contextId) {
-        throw new Error('Context ID is required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Context ID is required');
       }
       
       if (this.contexts.has(contextId)) {
-        throw new Error(`Context with ID '${contextId}' already exists`);
+        throw new ResourceError(ErrorCode.RESOURCE_ALREADY_EXISTS, `Context with ID '${contextId}' already exists`, { details: { contextId } });
       }
       
       // Create the context object
@@ -217,6 +282,7 @@ class ContextManager extends ModuleLifecycle {
       
       // Store the context
       this.contexts.set(contextId, context);
+      this._recordVersion(context, { author: options.author, reason: options.reason || 'Created' });
       
       // Update stats
       this.stats.totalContexts++;
@@ -246,7 +312,7 @@ class ContextManager extends ModuleLifecycle {
   getContext(contextId) {
     try {
       if (!contextId) {
-        throw new Error('Context ID is required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Context ID is required');
       }
       
       const context = this.contexts.get(contextId);
@@ -275,12 +341,14 @@ class ContextManager extends ModuleLifecycle {
    * @param {string} contextId - Context identifier
    * @param {Object} updateData - Data to update
    * @param {Object} options - Update options
+   * @param {string} [options.author] - Who made the change, recorded in the version history
+   * @param {string} [options.reason] - Why the change was made, recorded in the version history
    * @returns {Object|null} Updated context or null if not found
    */
   updateContext(contextId, updateData = {}, options = {}) {
     try {
       if (!contextId) {
-        throw new Error('Context ID is required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Context ID is required');
       }
       
       const context = this.contexts.get(contextId);
@@ -297,11 +365,12 @@ class ContextManager extends ModuleLifecycle {
       context.metadata.operations++;
       
       // Deep merge update data
-      this._deepMerge(context.data, updateData);
+      context.data = this._deepMerge(context.data, updateData);
       
       // Calculate updated size
       const newSize = this._calculateContextSize(context);
       context.metadata.size = newSize;
+      this._recordVersion(context, options);
       
       // Update stats
       this.stats.updateOperations++;
@@ -333,7 +402,7 @@ class ContextManager extends ModuleLifecycle {
   deleteContext(contextId) {
     try {
       if (!contextId) {
-        throw new Error('Context ID is required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Context ID is required');
       }
       
       if (!this.contexts.has(contextId)) {
@@ -341,8 +410,11 @@ class ContextManager extends ModuleLifecycle {
         return false;
       }
       
-      // Delete the context
+      // Delete the context and its version history
       this.contexts.delete(contextId);
+      this.history.clear(contextId);
+      this.dirtyContexts.delete(contextId);
+      this.deletedContexts.add(contextId);
       
       // Update stats
       this.stats.activeContexts--;
@@ -371,7 +443,7 @@ class ContextManager extends ModuleLifecycle {
       const context = this.getContext(contextId);
       
       if (!context) {
-        throw new Error(`Context not found: ${contextId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Context not found: ${contextId}`, { details: { contextId } });
       }
       
       // Add content using the adaptive window manager
@@ -386,6 +458,7 @@ class ContextManager extends ModuleLifecycle {
       // Calculate updated size
       const newSize = this._calculateContextSize(context);
       context.metadata.size = newSize;
+      this._recordVersion(context, { author: options.author, reason: options.reason || 'Content added' });
       
       // Update stats
       this.stats.updateOperations++;
@@ -399,6 +472,12 @@ class ContextManager extends ModuleLifecycle {
         metrics: result.metrics
       });
       
+      if (result.summary) {
+        this.eventEmitter.emit('context:compressed', { contextId, summary: result.summary });
+      } else if (result.pendingSummary) {
+        this._insertPendingSummary(context, result.pendingSummary, options);
+      }
+      
       return {
         contextId,
         ...result
@@ -409,6 +488,99 @@ class ContextManager extends ModuleLifecycle {
     }
   }
   
+  /**
+   * Get the recorded versions of a context, oldest first
+   * @param {string} contextId - Context identifier
+   * @param {Object} options - History options (since, limit, includeData)
+   * @returns {Array} Version entries with the context data and content of each version
+   */
+  getContextHistory(contextId, options = {}) {
+    return this.history.getHistory(contextId, options);
+  }
+  
+  /**
+   * Compare two versions of a context
+   * @param {string} contextId - Context identifier
+   * @param {number} fromVersion - Version to compare from
+   * @param {number} [toVersion] - Version to compare to (default: latest)
+   * @returns {Array} JSON Patch operations, with paths under /data and /content
+   */
+  diffContextVersions(contextId, fromVersion, toVersion) {
+    return this.history.diff(contextId, fromVersion, toVersion);
+  }
+  
+  /**
+   * Restore the data and content of an earlier version of a context
+   * 
+   * The restore is recorded as a new version, so it can itself be undone.
+   * 
+   * @param {string} contextId - Context identifier
+   * @param {number} version - Version to restore
+   * @param {Object} options - Revert options (author, reason)
+   * @returns {Object} Reverted context
+   */
+  revertContext(contextId, version, options = {}) {
+    try {
+      const context = this.contexts.get(contextId);
+      
+      if (!context) {
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Context not found: ${contextId}`, { details: { contextId } });
+      }
+      
+      const { data } = this.history.getVersion(contextId, version);
+      const previousVersion = context.metadata.version;
+      
+      context.data = data.data;
+      context.content = data.content;
+      context.updatedAt = Date.now();
+      context.metadata.version++;
+      context.metadata.operations++;
+      context.metadata.size = this._calculateContextSize(context);
+      this._recordVersion(context, { author: options.author, reason: options.reason || `Revert to version ${version}` });
+      
+      this.stats.updateOperations++;
+      this.stats.totalOperations++;
+      
+      this.logger.info(`Reverted context: ${contextId} to v${version} (v${previousVersion} → v${context.metadata.version})`);
+      this.eventEmitter.emit('context:reverted', {
+        contextId,
+        revertedTo: version,
+        previousVersion,
+        newVersion: context.metadata.version
+      });
+      
+      return context;
+    } catch (error) {
+      this._handleError(`Failed to revert context: ${contextId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Make a new master key current for storage encryption
+   * 
+   * Contexts are re-encrypted with the new key on the next persist; stored
+   * memories and versions when they are next saved or loaded. Keep the old key
+   * available to the master key provider until then.
+   * 
+   * @param {string} keyId - New key ID
+   * @param {Buffer|string} key - New 32-byte master key, or its hex or base64 encoding
+   */
+  rotateEncryptionKey(keyId, key) {
+    if (!this.encryption) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        'Storage encryption is not enabled; set privacySettings.encryptStorage'
+      );
+    }
+    
+    this.encryption.rotate(keyId, key);
+    this.contexts.forEach((context, contextId) => this.dirtyContexts.add(contextId));
+    
+    this.logger.info(`Rotated storage master key to ${keyId}`);
+    this.eventEmitter.emit('storage:key-rotated', { keyId });
+  }
+  
   /**
    * Add a memory item to the context memory system
    * @param {string} contextId - Context identifier (or null for global memory)
@@ -419,7 +591,7 @@ class ContextManager extends ModuleLifecycle {
     try {
       // Validate context if ID is provided
       if (contextId && !this.contexts.has(contextId)) {
-        throw new Error(`Context not found: ${contextId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Context not found: ${contextId}`, { details: { contextId } });
       }
       
       // Prepare memory item
@@ -450,6 +622,7 @@ class ContextManager extends ModuleLifecycle {
         }
         context.metadata.memoryIds.push(memoryId);
         context.updatedAt = Date.now();
+        this.dirtyContexts.add(contextId);
       }
       
       this.logger.debug(`Stored memory: ${memoryId} ${contextId ? `for context: ${contextId}` : '(global)'}`);
@@ -581,6 +754,53 @@ class ContextManager extends ModuleLifecycle {
     return Buffer.byteLength(JSON.stringify(context));
   }
   
+  /**
+   * Add a summary that was still being generated when content was added
+   * @param {Object} context - Context object
+   * @param {Promise<Object>} pendingSummary - Summary item from the window manager
+   * @param {Object} options - Options the content was added with (author)
+   * @returns {Promise<void>} Resolves once the summary is in the window
+   * @private
+   */
+  async _insertPendingSummary(context, pendingSummary, options = {}) {
+    try {
+      const summary = await pendingSummary;
+      
+      // The context may have been deleted or replaced in the meantime
+      if (this.contexts.get(context.id) !== context) {
+        return;
+      }
+      
+      this.windowManager.insertSummary(context.content.window, summary);
+      context.updatedAt = Date.now();
+      context.metadata.version++;
+      context.metadata.size = this._calculateContextSize(context);
+      this._recordVersion(context, { author: options.author, reason: 'Window compressed' });
+      
+      this.eventEmitter.emit('context:compressed', { contextId: context.id, summary });
+    } catch (error) {
+      // The compressed items remain in the archived memory
+      this.logger.error(`Failed to summarize compressed content of context: ${context.id}: ${error.message}`);
+      this.eventEmitter.emit('context:compression:failed', { contextId: context.id, error: error.message });
+    }
+  }
+  
+  /**
+   * Record the data and content of a context in the version history
+   * @param {Object} context - Context object
+   * @param {Object} options - Version metadata (author, reason)
+   * @private
+   */
+  _recordVersion(context, options = {}) {
+    this.dirtyContexts.add(context.id);
+    this.deletedContexts.delete(context.id);
+    this.history.record(context.id, { data: context.data, content: context.content }, {
+      version: context.metadata.version,
+      author: options.author,
+      reason: options.reason
+    });
+  }
+  
   /**
    * Deep merge objects
    * @param {Object} target - Target object
@@ -626,9 +846,32 @@ class ContextManager extends ModuleLifecycle {
    * @private
    */
   async _setupStorage() {
-    // In a real implementation, this would initialize different storage backends
-    // For now, we're using in-memory storage
-    this.logger.info(`Using ${this.options.storageType} storage for contexts`);
+    const { storageType, storageAdapter } = this.options;
+    
+    if (!storageAdapter && storageType === 'memory') {
+      this.storage = null;
+      this.logger.info('Using memory storage for contexts');
+      return;
+    }
+    
+    const { encryptStorage, encryptionKey, masterKeyProvider } = this.options.privacySettings || {};
+    
+    if (encryptStorage && !this.encryption) {
+      this.encryption = new EnvelopeEncryption({
+        keyProvider: masterKeyProvider || new LocalMasterKeyProvider({ keys: { default: encryptionKey } })
+      });
+    }
+    
+    this.storage = storageAdapter || createStorageAdapter(storageType, {
+      storagePath: this.options.storagePath,
+      stateManager: this.stateManager,
+      logger: this.logger,
+      encryption: this.encryption,
+      ...this.options.storageOptions
+    });
+    
+    await this.storage.open();
+    this.logger.info(`Using ${storageAdapter ? storageAdapter.constructor.name : storageType} storage for contexts`);
   }
   
   /**
@@ -647,18 +890,111 @@ class ContextManager extends ModuleLifecycle {
    * @private
    */
   async _loadStoredContexts() {
-    // In a real implementation, this would load contexts from disk or database
-    this.logger.info('Would load contexts from persistent storage');
+    const stored = await this.storage.loadAll();
+    
+    for (const context of stored) {
+      if (this.contexts.has(context.id)) {
+        continue;
+      }
+      
+      this.contexts.set(context.id, context);
+      
+      // Restore the stored version history, or start it from the loaded state
+      const versions = typeof this.storage.loadVersions === 'function'
+        ? await this.storage.loadVersions(context.id)
+        : [];
+      
+      if (versions.length > 0) {
+        this.history.load(context.id, versions);
+      } else {
+        this.history.clear(context.id);
+        this.history.record(context.id, { data: context.data, content: context.content }, {
+          version: context.metadata.version,
+          reason: 'Loaded from storage'
+        });
+      }
+      
+      this.stats.totalContexts++;
+      this.stats.activeContexts++;
+    }
+    
+    this.logger.info(`Loaded ${stored.length} contexts from ${this.options.storageType} storage`);
+    this.eventEmitter.emit('storage:loaded', { count: stored.length });
   }
   
   /**
-   * Persist contexts to storage
+   * Persist changed and deleted contexts to storage
+   * 
+   * Runs are queued so an interval persist and the persist on stop() never overlap.
+   * 
    * @returns {Promise<void>}
    * @private
    */
   async _persistContexts() {
-    // In a real implementation, this would save contexts to disk or database
-    this.logger.info(`Would persist ${this.contexts.size} contexts to storage`);
+    const run = async () => {
+      if (!this.storage || (this.dirtyContexts.size === 0 && this.deletedContexts.size === 0)) {
+        return;
+      }
+      
+      const changed = [...this.dirtyContexts];
+      const deleted = [...this.deletedContexts];
+      this.dirtyContexts.clear();
+      this.deletedContexts.clear();
+      
+      const contexts = changed.map(id => this.contexts.get(id)).filter(Boolean);
+      const versions = new Map(contexts.map(context => [context.id, this.history.getHistory(context.id)]));
+      
+      try {
+        await this.storage.saveAll(contexts, deleted, { versions });
+      } catch (error) {
+        // Keep the changes so the next persist retries them, unless they were superseded meanwhile
+        changed.filter(id => !this.deletedContexts.has(id)).forEach(id => this.dirtyContexts.add(id));
+        deleted.filter(id => !this.contexts.has(id)).forEach(id => this.deletedContexts.add(id));
+        throw error;
+      }
+      
+      this.logger.debug(`Persisted ${changed.length} contexts and ${deleted.length} deletions`);
+      this.eventEmitter.emit('storage:persisted', { saved: changed.length, deleted: deleted.length });
+    };
+    
+    this.persisting = this.persisting.then(run, run);
+    return this.persisting;
+  }
+  
+  /**
+   * Start persisting changed contexts on the configured interval
+   * @private
+   */
+  _startPersistTimer() {
+    const interval = this.options.persistInterval;
+    
+    if (!interval || interval <= 0 || this.persistTimer) {
+      return;
+    }
+    
+    this.persistTimer = setInterval(() => {
+      this._persistContexts().catch(error => {
+        // Not 'error': without a listener it would throw out of the timer
+        this.logger.error(`Failed to persist contexts: ${error.message}`);
+        this.eventEmitter.emit('storage:persist-failed', { error: error.message, stack: error.stack });
+      });
+    }, interval);
+    
+    // Do not keep the process alive just to persist
+    if (this.persistTimer.unref) {
+      this.persistTimer.unref();
+    }
+  }
+  
+  /**
+   * Stop the persist interval
+   * @private
+   */
+  _stopPersistTimer() {
+    if (this.persistTimer) {
+      clearInterval(this.persistTimer);
+      this.persistTimer = null;
+    }
   }
   
   /**
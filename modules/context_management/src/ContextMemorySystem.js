@@ -38,6 +38,7 @@ class ContextMemorySystem {
   /**
    * Constructor
    * @param {Object} options - Configuration options
+   * @param {Object} [options.storage] - Storage adapter that keeps memory items, see attachStorage()
    */
   constructor(options = {}) {
     this.options = {
@@ -67,6 +68,9 @@ class ContextMemorySystem {
       procedural: []
     };
     
+    // Storage that memory changes are written through to, if any
+    this.storage = null;
+    
     // Statistics
     this.stats = {
       totalItems: 0,
@@ -81,6 +85,57 @@ class ContextMemorySystem {
     if (this.options.enabled.shortTerm && this.options.enabled.longTerm) {
       this._setupConsolidation();
     }
+    
+    if (options.storage) {
+      this.attachStorage(options.storage);
+    }
+  }
+  
+  /**
+   * Keep memory items in a storage adapter
+   * 
+   * Items already in memory are written to the storage, then all stored items are
+   * loaded. Afterwards every change is written through, and query() lets the
+   * storage run tag, time and importance filters when it supports queryMemoryKeys().
+   * 
+   * @param {Object} storage - Adapter with loadMemories(), saveMemory(item, key) and deleteMemory(type, key)
+   * @returns {number} Number of memory items loaded
+   */
+  attachStorage(storage) {
+    this.storage = storage;
+    
+    // Write existing items first so loading does not drop them
+    this._allItems().forEach(({ item, key }) => this.storage.saveMemory(item, key));
+    
+    this.memory = {
+      shortTerm: [],
+      longTerm: [],
+      episodic: [],
+      semantic: {},
+      procedural: []
+    };
+    
+    const items = this.storage.loadMemories();
+    
+    for (const item of items) {
+      if (item.type === MemoryType.SEMANTIC) {
+        this.memory.semantic[this._keyOf(item)] = item;
+      } else {
+        this._storeFor(item.type).push(item);
+      }
+    }
+    
+    this.stats.totalItems = items.length;
+    this.logger.info(`Loaded ${items.length} memory items from storage`);
+    
+    return items.length;
+  }
+  
+  /**
+   * Stop writing memory changes to storage; items stay in memory
+   */
+  detachStorage() {
+    this.storage = null;
   }
   
   /**
@@ -150,6 +205,11 @@ class ContextMemorySystem {
         }
     }
     
+    // Persist the item unless its store is disabled or pruning already removed it
+    if (this.storage && this._findByKey(memoryItem.type, this._keyOf(memoryItem)) === memoryItem) {
+      this._persist(memoryItem);
+    }
+    
     // Update stats
     this.stats.totalItems++;
     this.stats.stores++;
@@ -221,6 +281,8 @@ class ContextMemorySystem {
         foundItem.importance = Math.min(100, foundItem.importance + 1);
       }
       
+      this._persist(foundItem);
+      
       this.stats.retrievals++;
     }
     
@@ -246,6 +308,10 @@ class ContextMemorySystem {
     const searchTypes = options.memoryTypes || Object.values(MemoryType);
     const limit = options.limit || 100;
     
+    if (this.storage && typeof this.storage.queryMemoryKeys === 'function') {
+      return this._queryStorage(query, options, searchTypes, limit);
+    }
+    
     // Helper function to check if an item matches the query
     const matchesQuery = (item) => {
       // Match by tags
@@ -348,6 +414,7 @@ class ContextMemorySystem {
       finalResults.forEach(item => {
         item.lastAccessed = Date.now();
         item.accessCount = (item.accessCount || 0) + 1;
+        this._persist(item);
       });
     }
     
@@ -368,7 +435,7 @@ class ContextMemorySystem {
     if (this.options.enabled.shortTerm) {
       const index = this.memory.shortTerm.findIndex(item => item.id === id);
       if (index !== -1) {
-        this.memory.shortTerm.splice(index, 1);
+        this._unpersist(this.memory.shortTerm.splice(index, 1)[0]);
         found = true;
       }
     }
@@ -376,7 +443,7 @@ class ContextMemorySystem {
     if (!found && this.options.enabled.longTerm) {
       const index = this.memory.longTerm.findIndex(item => item.id === id);
       if (index !== -1) {
-        this.memory.longTerm.splice(index, 1);
+        this._unpersist(this.memory.longTerm.splice(index, 1)[0]);
         found = true;
       }
     }
@@ -384,7 +451,7 @@ class ContextMemorySystem {
     if (!found && this.options.enabled.episodic) {
       const index = this.memory.episodic.findIndex(item => item.id === id);
       if (index !== -1) {
-        this.memory.episodic.splice(index, 1);
+        this._unpersist(this.memory.episodic.splice(index, 1)[0]);
         found = true;
       }
     }
@@ -392,12 +459,14 @@ class ContextMemorySystem {
     if (!found && this.options.enabled.semantic) {
       // Check if the ID is a direct key
       if (this.memory.semantic[id]) {
+        this._unpersist(this.memory.semantic[id], id);
         delete this.memory.semantic[id];
         found = true;
       } else {
         // Check if any semantic memory has this ID
         Object.keys(this.memory.semantic).forEach(key => {
           if (this.memory.semantic[key].id === id) {
+            this._unpersist(this.memory.semantic[key], key);
             delete this.memory.semantic[key];
             found = true;
           }
@@ -408,7 +477,7 @@ class ContextMemorySystem {
     if (!found && this.options.enabled.procedural) {
       const index = this.memory.procedural.findIndex(item => item.id === id);
       if (index !== -1) {
-        this.memory.procedural.splice(index, 1);
+        this._unpersist(this.memory.procedural.splice(index, 1)[0]);
         found = true;
       }
     }
@@ -476,10 +545,13 @@ class ContextMemorySystem {
         };
         
         this.memory.episodic.push(episodicItem);
+        this._persist(episodicItem);
       }
       
       // Store in long-term memory
       this.memory.longTerm.push(longTermItem);
+      this._persist(longTermItem);
+      this._unpersist(item);
       movedItems.push(item.id);
     });
     
@@ -494,6 +566,7 @@ class ContextMemorySystem {
       const index = this.memory.shortTerm.findIndex(mem => mem.id === item.id);
       if (index !== -1) {
         this.memory.shortTerm.splice(index, 1);
+        this._unpersist(item);
         prunedItems.push(item.id);
       }
     });
@@ -578,6 +651,7 @@ class ContextMemorySystem {
     
     if (excessItems > 0) {
       const prunedItems = this.memory.shortTerm.splice(0, excessItems);
+      prunedItems.forEach(item => this._unpersist(item));
       this.logger.debug(`Pruned ${prunedItems.length} items from short-term memory`);
     }
   }
@@ -625,6 +699,7 @@ class ContextMemorySystem {
         };
         
         this.memory.semantic[tag] = semanticItem;
+        this._persist(semanticItem);
         this.stats.totalItems++;
       } else {
         // Update existing semantic memory
@@ -637,11 +712,162 @@ class ContextMemorySystem {
             existing.importance + 5,
             100
           );
+          this._persist(existing);
         }
       }
     });
   }
   
+  /**
+   * Query through the storage: it filters by tags, time and importance, sorts and
+   * limits in one step, and the items are then taken from memory
+   * @param {Object} query - Query criteria
+   * @param {Object} options - Query options
+   * @param {Array<string>} searchTypes - Memory types to search
+   * @param {number} limit - Maximum number of results
+   * @returns {Array} Matching memory items
+   * @private
+   */
+  _queryStorage(query, options, searchTypes, limit) {
+    const memoryTypes = searchTypes.filter(type => this._isEnabled(type));
+    
+    if (memoryTypes.length === 0) {
+      return [];
+    }
+    
+    // Filters that only run here make a limit in the storage query unsafe
+    const hasLocalFilters = Boolean(query.textContains) || typeof query.matchFn === 'function';
+    const keys = this.storage.queryMemoryKeys(query, {
+      memoryTypes,
+      sortBy: options.sortBy,
+      sortDesc: options.sortDesc,
+      limit: hasLocalFilters ? undefined : limit
+    });
+    
+    const results = [];
+    
+    for (const { type, key } of keys) {
+      const item = this._findByKey(type, key);
+      
+      if (!item) continue;
+      if (query.textContains && typeof item.content === 'string' && !item.content.includes(query.textContains)) continue;
+      if (typeof query.matchFn === 'function' && !query.matchFn(item)) continue;
+      
+      results.push(item);
+      
+      if (results.length >= limit) {
+        break;
+      }
+    }
+    
+    if (!options.readOnly) {
+      results.forEach(item => {
+        item.lastAccessed = Date.now();
+        item.accessCount = (item.accessCount || 0) + 1;
+        this._persist(item);
+      });
+    }
+    
+    this.stats.retrievals += results.length;
+    
+    return results;
+  }
+  
+  /**
+   * Write a memory item through to storage
+   * @param {MemoryItem} item - Memory item
+   * @private
+   */
+  _persist(item) {
+    if (this.storage) {
+      this.storage.saveMemory(item, this._keyOf(item));
+    }
+  }
+  
+  /**
+   * Remove a memory item from storage
+   * @param {MemoryItem} item - Memory item
+   * @param {string} [key] - Key of the item in its store
+   * @private
+   */
+  _unpersist(item, key = this._keyOf(item)) {
+    if (this.storage) {
+      this.storage.deleteMemory(item.type, key);
+    }
+  }
+  
+  /**
+   * Get the key of an item in its store: the concept for semantic memories, else the ID
+   * @param {MemoryItem} item - Memory item
+   * @returns {string} Key
+   * @private
+   */
+  _keyOf(item) {
+    return item.type === MemoryType.SEMANTIC ? (item.metadata.concept || item.id) : item.id;
+  }
+  
+  /**
+   * Get the list that holds items of a non-semantic memory type
+   * @param {string} type - Memory type
+   * @returns {Array} Memory store
+   * @private
+   */
+  _storeFor(type) {
+    switch (type) {
+      case MemoryType.LONG_TERM: return this.memory.longTerm;
+      case MemoryType.EPISODIC: return this.memory.episodic;
+      case MemoryType.PROCEDURAL: return this.memory.procedural;
+      default: return this.memory.shortTerm;
+    }
+  }
+  
+  /**
+   * Find an item by its type and key
+   * @param {string} type - Memory type
+   * @param {string} key - Key of the item in its store
+   * @returns {MemoryItem|null} Memory item
+   * @private
+   */
+  _findByKey(type, key) {
+    if (type === MemoryType.SEMANTIC) {
+      return this.memory.semantic[key] || null;
+    }
+    
+    return this._storeFor(type).find(item => item.id === key) || null;
+  }
+  
+  /**
+   * List every item in memory with its key
+   * @returns {Array<{item: MemoryItem, key: string}>} Items
+   * @private
+   */
+  _allItems() {
+    const lists = [this.memory.shortTerm, this.memory.longTerm, this.memory.episodic, this.memory.procedural];
+    
+    return [
+      ...lists.flat().map(item => ({ item, key: item.id })),
+      ...Object.entries(this.memory.semantic).map(([key, item]) => ({ item, key }))
+    ];
+  }
+  
+  /**
+   * Check whether a memory type is enabled
+   * @param {string} type - Memory type
+   * @returns {boolean} True if enabled
+   * @private
+   */
+  _isEnabled(type) {
+    const flags = {
+      [MemoryType.SHORT_TERM]: 'shortTerm',
+      [MemoryType.LONG_TERM]: 'longTerm',
+      [MemoryType.EPISODIC]: 'episodic',
+      [MemoryType.SEMANTIC]: 'semantic',
+      [MemoryType.PROCEDURAL]: 'procedural'
+    };
+    
+    return Boolean(flags[type] && this.options.enabled[flags[type]]);
+  }
+  
   /**
    * Calculate average importance of all memory items
    * @returns {number} Average importance
@@ -7,6 +7,18 @@
 const ContextManager = require('./ContextManager');
 const AdaptiveWindowManager = require('./AdaptiveWindowManager');
 const ContextMemorySystem = require('./ContextMemorySystem');
+const {
+  StorageAdapter,
+  FileStorageAdapter,
+  SqliteStorageAdapter,
+  StateStorageAdapter,
+  EnvelopeEncryption,
+  MasterKeyProvider,
+  LocalMasterKeyProvider,
+  registerStorageAdapter,
+  createStorageAdapter
+} = require('./storage');
+const { Summarizer, ExtractiveSummarizer, ModelSummarizer } = require('./summarizers');
 
 // Export types and enums
 const { AdjustmentType, ComplexityLevel, TokenEstimation } = AdaptiveWindowManager;
@@ -18,6 +30,22 @@ module.exports = {
   AdaptiveWindowManager,
   ContextMemorySystem,
   
+  // Storage
+  StorageAdapter,
+  FileStorageAdapter,
+  SqliteStorageAdapter,
+  StateStorageAdapter,
+  EnvelopeEncryption,
+  MasterKeyProvider,
+  LocalMasterKeyProvider,
+  registerStorageAdapter,
+  createStorageAdapter,
+  
+  // Summarizers
+  Summarizer,
+  ExtractiveSummarizer,
+  ModelSummarizer,
+  
   // Types and enums
   AdjustmentType,
   ComplexityLevel,
@@ -0,0 +1,327 @@
+/**
+ * EnvelopeEncryption.js
+ *
+ * Envelope encryption for stored contexts and memory items.
+ *
+ * Records are encrypted with AES-256-GCM data keys. Each data key is stored
+ * next to the records it encrypted, wrapped (encrypted) by a master key that
+ * never leaves its MasterKeyProvider. The record's identity is bound to the
+ * ciphertext as additional authenticated data, so a record that was altered,
+ * truncated or copied over another record fails its integrity check on load.
+ *
+ * Rotating the master key only changes which key wraps new data keys. Records
+ * written under an older master key stay readable as long as the provider
+ * still holds that key; adapters re-encrypt them when they are next loaded or
+ * saved (see isCurrent()).
+ */
+
+const crypto = require('crypto');
+const { encryptBuffer, decryptBuffer } = require('../../../security_authentication/src/SecureCommunication');
+const {
+  ErrorCode,
+  ProtocolError,
+  ResourceError,
+  ValidationError,
+  createError
+} = require('../../../../core/src/errors/acip-error');
+
+const ENVELOPE_VERSION = 1;
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+/**
+ * Converts a key to a 32-byte Buffer
+ * @param {Buffer|string} key - Key, or its hex or base64 encoding
+ * @param {string} keyId - Key ID, for the error message
+ * @returns {Buffer} Key
+ * @throws {ValidationError} If the key does not have 32 bytes
+ */
+function parseKey(key, keyId) {
+  let buffer = key;
+
+  if (typeof key === 'string') {
+    buffer = /^[0-9a-f]{64}$/i.test(key) ? Buffer.from(key, 'hex') : Buffer.from(key, 'base64');
+  }
+
+  if (!Buffer.isBuffer(buffer) || buffer.length !== KEY_LENGTH) {
+    throw new ValidationError(
+      ErrorCode.VALIDATION_INVALID_FORMAT,
+      `Master key '${keyId}' must be ${KEY_LENGTH} bytes, or their hex or base64 encoding`,
+      { details: { keyId } }
+    );
+  }
+
+  return buffer;
+}
+
+/**
+ * Base class for master key providers
+ *
+ * A provider wraps and unwraps data keys with master keys identified by key
+ * IDs. Subclasses can keep master keys in a KMS or HSM; storage adapters call
+ * the provider synchronously, so such providers should cache unwrapped keys.
+ */
+class MasterKeyProvider {
+  /**
+   * Gets the ID of the master key that wraps new data keys
+   * @returns {string} Key ID
+   */
+  getCurrentKeyId() {
+    throw createError(ErrorCode.INTERNAL_ERROR, 'getCurrentKeyId method must be implemented by subclasses');
+  }
+
+  /**
+   * Wraps a data key with the current master key
+   * @param {Buffer} dataKey - Data key
+   * @returns {{keyId: string, wrappedKey: Buffer}} Wrapped key and the ID of the master key used
+   */
+  wrapKey(dataKey) {
+    throw createError(ErrorCode.INTERNAL_ERROR, 'wrapKey method must be implemented by subclasses');
+  }
+
+  /**
+   * Unwraps a data key
+   * @param {string} keyId - ID of the master key that wrapped the data key
+   * @param {Buffer} wrappedKey - Wrapped data key
+   * @returns {Buffer} Data key
+   */
+  unwrapKey(keyId, wrappedKey) {
+    throw createError(ErrorCode.INTERNAL_ERROR, 'unwrapKey method must be implemented by subclasses');
+  }
+
+  /**
+   * Makes a new master key current; keys that are replaced stay available for unwrapping
+   * @param {string} keyId - New key ID
+   * @param {Buffer|string} key - New master key
+   */
+  rotate(keyId, key) {
+    throw createError(ErrorCode.INTERNAL_ERROR, 'rotate method must be implemented by subclasses');
+  }
+}
+
+/**
+ * Master key provider that holds its keys in process memory
+ */
+class LocalMasterKeyProvider extends MasterKeyProvider {
+  /**
+   * Creates a local master key provider
+   * @param {Object} options - Provider options
+   * @param {Object<string, Buffer|string>} options.keys - Master keys by key ID; 32 bytes,
+   *   or their hex or base64 encoding
+   * @param {string} [options.currentKeyId] - Key that wraps new data keys (default: the last key)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.keys = new Map();
+
+    for (const [keyId, key] of Object.entries(options.keys || {})) {
+      this.keys.set(keyId, parseKey(key, keyId));
+    }
+
+    this.currentKeyId = options.currentKeyId || [...this.keys.keys()].pop();
+
+    if (!this.keys.has(this.currentKeyId)) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_MISSING_REQUIRED,
+        this.currentKeyId
+          ? `Master key '${this.currentKeyId}' is not among the configured keys`
+          : 'Storage encryption needs at least one master key',
+        { details: { currentKeyId: this.currentKeyId || null } }
+      );
+    }
+  }
+
+  getCurrentKeyId() {
+    return this.currentKeyId;
+  }
+
+  wrapKey(dataKey) {
+    const keyId = this.currentKeyId;
+
+    return {
+      keyId,
+      wrappedKey: encryptBuffer(this.keys.get(keyId), dataKey, { aad: Buffer.from(keyId, 'utf8') })
+    };
+  }
+
+  unwrapKey(keyId, wrappedKey) {
+    const key = this.keys.get(keyId);
+
+    if (!key) {
+      throw new ResourceError(
+        ErrorCode.RESOURCE_NOT_FOUND,
+        `Master key '${keyId}' is not available to decrypt stored data`,
+        { details: { keyId } }
+      );
+    }
+
+    return decryptBuffer(key, wrappedKey, { aad: Buffer.from(keyId, 'utf8') });
+  }
+
+  rotate(keyId, key) {
+    if (this.keys.has(keyId)) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `Master key '${keyId}' already exists; rotate to a new key ID`,
+        { details: { keyId } }
+      );
+    }
+
+    this.keys.set(keyId, parseKey(key, keyId));
+    this.currentKeyId = keyId;
+  }
+}
+
+class EnvelopeEncryption {
+  /**
+   * Creates an envelope encryptor
+   * @param {Object} options - Encryption options
+   * @param {MasterKeyProvider} options.keyProvider - Provider of the master keys
+   * @param {number} [options.dataKeyUses=1000] - Records encrypted with one data key before a new one is generated
+   */
+  constructor(options = {}) {
+    if (!options.keyProvider) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_MISSING_REQUIRED,
+        'Envelope encryption needs a master keyProvider'
+      );
+    }
+
+    this.keyProvider = options.keyProvider;
+    this.dataKeyUses = options.dataKeyUses || 1000;
+
+    // Data key used for new records: { keyId, key, wrappedKey, uses }
+    this.dataKey = null;
+
+    // Unwrapped data keys by wrapped key, so loading many records unwraps each key once
+    this.unwrapped = new Map();
+  }
+
+  /**
+   * Checks whether a stored value is an envelope
+   * @param {*} value - Stored value
+   * @returns {boolean} True for envelopes
+   */
+  static isEnvelope(value) {
+    return Boolean(value) && typeof value === 'object' && value.alg === CIPHER_ALGORITHM &&
+      typeof value.kid === 'string' && typeof value.key === 'string' && typeof value.data === 'string';
+  }
+
+  /**
+   * Encrypts a JSON value
+   * @param {*} value - Value to encrypt
+   * @param {string} recordId - Identity of the record, e.g. 'context:<id>'; the same ID is needed to decrypt
+   * @returns {Object} Envelope { v, alg, kid, key, data } with base64 wrapped key and ciphertext
+   */
+  encrypt(value, recordId) {
+    const dataKey = this._currentDataKey();
+    const plaintext = Buffer.from(JSON.stringify(value === undefined ? null : value), 'utf8');
+
+    return {
+      v: ENVELOPE_VERSION,
+      alg: CIPHER_ALGORITHM,
+      kid: dataKey.keyId,
+      key: dataKey.wrappedKey,
+      data: encryptBuffer(dataKey.key, plaintext, { aad: Buffer.from(recordId, 'utf8') }).toString('base64')
+    };
+  }
+
+  /**
+   * Decrypts an envelope and verifies that it belongs to the record
+   * @param {Object} envelope - Envelope from encrypt()
+   * @param {string} recordId - Identity the envelope was encrypted for
+   * @returns {*} Decrypted value
+   * @throws {ProtocolError} If the envelope version is not supported
+   * @throws {ResourceError} If the master key that wrapped the data key is not available
+   * @throws {ValidationError} If the record fails its integrity check
+   */
+  decrypt(envelope, recordId) {
+    if (!EnvelopeEncryption.isEnvelope(envelope) || envelope.v > ENVELOPE_VERSION) {
+      throw new ProtocolError(
+        ErrorCode.PROTOCOL_UNSUPPORTED_VERSION,
+        `Stored record ${recordId} is not a supported encryption envelope`,
+        { details: { recordId, version: envelope && envelope.v } }
+      );
+    }
+
+    let plaintext;
+
+    try {
+      const key = this._unwrap(envelope.kid, envelope.key);
+      plaintext = decryptBuffer(key, Buffer.from(envelope.data, 'base64'), { aad: Buffer.from(recordId, 'utf8') });
+    } catch (error) {
+      if (error instanceof ResourceError) {
+        throw error;
+      }
+
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `Stored record ${recordId} failed its integrity check`,
+        { details: { recordId, keyId: envelope.kid }, cause: error }
+      );
+    }
+
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /**
+   * Checks whether an envelope is wrapped by the current master key; adapters
+   * re-encrypt records that are not
+   * @param {Object} envelope - Envelope
+   * @returns {boolean} True if no re-encryption is needed
+   */
+  isCurrent(envelope) {
+    return envelope.kid === this.keyProvider.getCurrentKeyId();
+  }
+
+  /**
+   * Makes a new master key current for new data keys
+   * @param {string} keyId - New key ID
+   * @param {Buffer|string} key - New master key
+   */
+  rotate(keyId, key) {
+    this.keyProvider.rotate(keyId, key);
+    this.dataKey = null;
+  }
+
+  /**
+   * Gets the data key for new records, generating one when the current key is
+   * used up or was wrapped by a replaced master key
+   * @private
+   */
+  _currentDataKey() {
+    const keyId = this.keyProvider.getCurrentKeyId();
+
+    if (!this.dataKey || this.dataKey.keyId !== keyId || this.dataKey.uses >= this.dataKeyUses) {
+      const key = crypto.randomBytes(KEY_LENGTH);
+      const wrapped = this.keyProvider.wrapKey(key);
+
+      this.dataKey = { keyId: wrapped.keyId, key, wrappedKey: wrapped.wrappedKey.toString('base64'), uses: 0 };
+      this.unwrapped.set(this.dataKey.wrappedKey, key);
+    }
+
+    this.dataKey.uses++;
+    return this.dataKey;
+  }
+
+  /**
+   * Unwraps a data key through the cache
+   * @private
+   */
+  _unwrap(keyId, wrappedKey) {
+    let key = this.unwrapped.get(wrappedKey);
+
+    if (!key) {
+      key = this.keyProvider.unwrapKey(keyId, Buffer.from(wrappedKey, 'base64'));
+      this.unwrapped.set(wrappedKey, key);
+    }
+
+    return key;
+  }
+}
+
+EnvelopeEncryption.MasterKeyProvider = MasterKeyProvider;
+EnvelopeEncryption.LocalMasterKeyProvider = LocalMasterKeyProvider;
+
+module.exports = EnvelopeEncryption;
@@ -0,0 +1,307 @@
+/**
+ * FileStorageAdapter.js
+ *
+ * Stores each context as a JSON file under `<storagePath>/contexts`.
+ *
+ * Files are replaced atomically: the new content is written and synced to a
+ * temporary file which is then renamed over the old one, so a reader never sees
+ * a partially written context. A batch of changes is first appended to
+ * `<storagePath>/journal.ndjson` and synced, then a commit record naming the
+ * batch size is appended and synced. Once every file is written the journal
+ * is emptied. If the process stops in between, open() replays the committed
+ * batches and drops an uncommitted tail, so each batch is applied as a whole
+ * or not at all.
+ *
+ * With encryption, a file keeps the context's ID, timestamps and metadata in
+ * the clear and its data and content in an `encrypted` envelope.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const { ErrorCode, ValidationError } = require('../../../../core/src/errors/acip-error');
+
+const JOURNAL_FILE = 'journal.ndjson';
+const CONTEXTS_DIR = 'contexts';
+const TEMP_MARKER = '.tmp-';
+const COMMIT_OP = 'commit';
+
+class FileStorageAdapter extends StorageAdapter {
+  /**
+   * Creates a file storage adapter
+   * @param {Object} options - Adapter options
+   * @param {string} [options.storagePath='./context-storage'] - Directory for the context files
+   * @param {boolean} [options.fsync=true] - Sync files to disk before renaming; disable only for tests
+   * @param {EnvelopeEncryption} [options.encryption] - Encrypts context data and content when set
+   * @param {Object} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.directory = path.resolve(options.storagePath || './context-storage');
+    this.contextsDir = path.join(this.directory, CONTEXTS_DIR);
+    this.journalFile = path.join(this.directory, JOURNAL_FILE);
+    this.fsync = options.fsync !== false;
+  }
+
+  /**
+   * Creates the storage directories, removes leftover temporary files and
+   * replays the journal of an interrupted batch
+   * @returns {Promise<void>}
+   */
+  async open() {
+    await fs.promises.mkdir(this.contextsDir, { recursive: true });
+
+    for (const name of await fs.promises.readdir(this.contextsDir)) {
+      if (name.includes(TEMP_MARKER)) {
+        await fs.promises.rm(path.join(this.contextsDir, name), { force: true });
+      }
+    }
+
+    await this._recover();
+    await super.open();
+  }
+
+  /**
+   * Loads all stored contexts; unreadable files are skipped with a warning
+   *
+   * Contexts stored in the clear or under an older master key are written
+   * back encrypted with the current one.
+   *
+   * @returns {Promise<Array<Object>>} Stored context objects
+   * @throws {ValidationError} If an encrypted context fails its integrity check
+   */
+  async loadAll() {
+    const contexts = [];
+    const reencrypt = [];
+
+    for (const name of await fs.promises.readdir(this.contextsDir)) {
+      if (!name.endsWith('.json') || name.includes(TEMP_MARKER)) {
+        continue;
+      }
+
+      const file = path.join(this.contextsDir, name);
+      let stored;
+
+      try {
+        stored = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      } catch (error) {
+        this.logger.warn(`Skipping unreadable context file ${file}: ${error.message}`);
+        continue;
+      }
+
+      const context = this._decrypt(stored);
+
+      if (this.encryption && !(stored.encrypted && this.encryption.isCurrent(stored.encrypted))) {
+        reencrypt.push(context);
+      }
+
+      contexts.push(context);
+    }
+
+    if (reencrypt.length > 0) {
+      await this.saveAll(reencrypt);
+      this.logger.info(`Re-encrypted ${reencrypt.length} stored contexts with master key ${this.encryption.keyProvider.getCurrentKeyId()}`);
+    }
+
+    return contexts;
+  }
+
+  /**
+   * Stores contexts and removes deleted ones as one journaled batch
+   * @param {Array<Object>} contexts - Contexts to store
+   * @param {Array<string>} [deletedIds] - IDs of contexts to remove
+   * @returns {Promise<void>}
+   */
+  async saveAll(contexts, deletedIds = []) {
+    // Serialize up front so later changes to the contexts do not leak into this batch
+    const records = [
+      ...contexts.map(context => ({ op: 'save', id: context.id, data: JSON.stringify(this._encrypt(context)) })),
+      ...deletedIds.map(id => ({ op: 'delete', id }))
+    ];
+
+    if (records.length === 0) {
+      return;
+    }
+
+    await this._appendJournal(records);
+
+    for (const record of records) {
+      await this._apply(record);
+    }
+
+    await this._clearJournal();
+  }
+
+  /**
+   * Gets the file that stores a context
+   * @param {string} contextId - Context ID
+   * @returns {string} File path
+   */
+  fileFor(contextId) {
+    // Encoding keeps IDs containing '/' or '..' inside the contexts directory
+    return path.join(this.contextsDir, `${encodeURIComponent(contextId).replace(/\./g, '%2E')}.json`);
+  }
+
+  /**
+   * Moves a context's data and content into an encrypted envelope when encryption is enabled
+   * @private
+   */
+  _encrypt(context) {
+    if (!this.encryption) {
+      return context;
+    }
+
+    const { data, content, ...stored } = context;
+    return { ...stored, encrypted: this.encryption.encrypt({ data, content }, `context:${context.id}`) };
+  }
+
+  /**
+   * Restores the data and content of an encrypted context file
+   * @private
+   */
+  _decrypt(stored) {
+    if (!stored.encrypted) {
+      return stored;
+    }
+
+    if (!this.encryption) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_MISSING_REQUIRED,
+        `Context ${stored.id} in ${this.contextsDir} is encrypted but no encryption is configured`,
+        { details: { contextId: stored.id } }
+      );
+    }
+
+    const { encrypted, ...context } = stored;
+    return { ...context, ...this.encryption.decrypt(encrypted, `context:${stored.id}`) };
+  }
+
+  /**
+   * Replays the committed batches left in the journal by an interrupted save
+   * @private
+   */
+  async _recover() {
+    let content;
+
+    try {
+      content = await fs.promises.readFile(this.journalFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const records = [];
+    const lines = content.split('\n').filter(line => line.trim());
+    let pending = [];
+    let read = 0;
+
+    // Batches are appended one after another, so only the last one can be torn or uncommitted
+    for (; read < lines.length; read++) {
+      let record;
+
+      try {
+        record = JSON.parse(lines[read]);
+      } catch (error) {
+        break;
+      }
+
+      if (record.op !== COMMIT_OP) {
+        pending.push(record);
+      } else if (record.count === pending.length) {
+        records.push(...pending);
+        pending = [];
+      } else {
+        break;
+      }
+    }
+
+    if (pending.length > 0 || read < lines.length) {
+      this.logger.warn(`Discarding an uncommitted batch from the context storage journal in ${this.journalFile}`);
+    }
+
+    if (records.length > 0) {
+      this.logger.info(`Replaying ${records.length} journaled context changes from ${this.journalFile}`);
+    }
+
+    for (const record of records) {
+      await this._apply(record);
+    }
+
+    await this._clearJournal();
+  }
+
+  /**
+   * Applies one journal record to the context files
+   * @private
+   */
+  async _apply(record) {
+    const file = this.fileFor(record.id);
+
+    if (record.op === 'delete') {
+      await fs.promises.rm(file, { force: true });
+    } else {
+      await this._writeAtomic(file, record.data);
+    }
+  }
+
+  /**
+   * Writes a file through a synced temporary file and a rename
+   * @private
+   */
+  async _writeAtomic(file, content) {
+    const temp = `${file}${TEMP_MARKER}${process.pid}-${Date.now()}`;
+    const handle = await fs.promises.open(temp, 'w');
+
+    try {
+      await handle.writeFile(content, 'utf8');
+      if (this.fsync) {
+        await handle.sync();
+      }
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      await fs.promises.rename(temp, file);
+    } catch (error) {
+      await fs.promises.rm(temp, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Appends a batch to the journal, then its commit record, syncing after each
+   * @private
+   */
+  async _appendJournal(records) {
+    const handle = await fs.promises.open(this.journalFile, 'a');
+
+    try {
+      await handle.appendFile(records.map(record => `${JSON.stringify(record)}\n`).join(''), 'utf8');
+      if (this.fsync) {
+        await handle.sync();
+      }
+
+      // The batch counts only once its commit record is on disk behind it
+      await handle.appendFile(`${JSON.stringify({ op: COMMIT_OP, count: records.length })}\n`, 'utf8');
+      if (this.fsync) {
+        await handle.sync();
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Empties the journal once its records are applied
+   * @private
+   */
+  async _clearJournal() {
+    await fs.promises.writeFile(this.journalFile, '');
+  }
+}
+
+module.exports = FileStorageAdapter;
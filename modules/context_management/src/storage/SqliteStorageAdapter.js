@@ -0,0 +1,526 @@
+/**
+ * SqliteStorageAdapter.js
+ *
+ * Stores contexts, their version history and memory items in an embedded
+ * SQLite database through the better-sqlite3 package.
+ *
+ * Memory items keep their type, timestamps, importance and tags in indexed
+ * columns, so ContextMemorySystem can push tag, time and importance filters,
+ * sorting and limits down into SQL. With `encryption`, context bodies,
+ * version snapshots and memory contents are stored as BLOBs holding an
+ * EnvelopeEncryption envelope; text rows are plain JSON. Rows written before
+ * encryption was enabled, or under an older master key, are re-encrypted when
+ * they are loaded.
+ *
+ * The schema version is kept in `PRAGMA user_version`; open() applies the
+ * pending entries of MIGRATIONS in order.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const { ErrorCode, ProtocolError, ResourceError, ValidationError } = require('../../../../core/src/errors/acip-error');
+
+/**
+ * Schema migrations, applied in order; append new entries, never edit applied ones
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create context, version and memory tables',
+    statements: [
+      `CREATE TABLE contexts (
+        id TEXT PRIMARY KEY,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        metadata TEXT NOT NULL,
+        body BLOB NOT NULL
+      )`,
+      `CREATE TABLE context_versions (
+        context_id TEXT NOT NULL REFERENCES contexts(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        author TEXT,
+        reason TEXT,
+        body BLOB NOT NULL,
+        PRIMARY KEY (context_id, version)
+      )`,
+      `CREATE TABLE memories (
+        type TEXT NOT NULL,
+        memory_key TEXT NOT NULL,
+        id TEXT NOT NULL,
+        context_id TEXT,
+        timestamp INTEGER NOT NULL,
+        last_accessed INTEGER NOT NULL,
+        importance REAL NOT NULL,
+        access_count INTEGER NOT NULL,
+        tags TEXT NOT NULL,
+        metadata TEXT NOT NULL,
+        content BLOB,
+        PRIMARY KEY (type, memory_key)
+      )`,
+      'CREATE INDEX memories_type_timestamp ON memories (type, timestamp)',
+      'CREATE INDEX memories_importance ON memories (importance)',
+      'CREATE INDEX memories_context ON memories (context_id)',
+      `CREATE TABLE memory_tags (
+        type TEXT NOT NULL,
+        memory_key TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        PRIMARY KEY (tag, type, memory_key),
+        FOREIGN KEY (type, memory_key) REFERENCES memories (type, memory_key) ON DELETE CASCADE
+      )`,
+      'CREATE INDEX memory_tags_memory ON memory_tags (type, memory_key)'
+    ]
+  }
+];
+
+// Query sort options mapped to columns
+const SORT_COLUMNS = {
+  timestamp: 'timestamp',
+  importance: 'importance',
+  accessCount: 'access_count',
+  lastAccessed: 'last_accessed'
+};
+
+class SqliteStorageAdapter extends StorageAdapter {
+  /**
+   * Creates a SQLite storage adapter
+   * @param {Object} options - Adapter options
+   * @param {string} [options.filename] - Database file (default: `<storagePath>/contexts.sqlite`)
+   * @param {string} [options.storagePath='./context-storage'] - Directory for the default database file
+   * @param {EnvelopeEncryption} [options.encryption] - Encrypts context bodies and memory contents when set
+   * @param {Object} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.filename = options.filename || path.join(options.storagePath || './context-storage', 'contexts.sqlite');
+    this.db = null;
+    this.statements = null;
+  }
+
+  /**
+   * Opens the database and applies pending schema migrations
+   * @returns {Promise<void>}
+   */
+  async open() {
+    const Database = this._loadDriver();
+
+    if (this.filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+    }
+
+    this.db = new Database(this.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    this._migrate();
+    this._prepareStatements();
+    await super.open();
+  }
+
+  /**
+   * Closes the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.statements = null;
+    }
+
+    await super.close();
+  }
+
+  /**
+   * Gets the schema version of the open database
+   * @returns {number} Applied migration version
+   */
+  getSchemaVersion() {
+    return this.db.pragma('user_version', { simple: true });
+  }
+
+  /**
+   * Loads all stored contexts
+   * @returns {Promise<Array<Object>>} Stored context objects
+   * @throws {ValidationError} If an encrypted context fails its integrity check
+   */
+  async loadAll() {
+    const rows = this.statements.selectContexts.all();
+    const contexts = rows.map(row => ({
+      id: row.id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      metadata: JSON.parse(row.metadata),
+      ...this._decode(row.body, `context:${row.id}`)
+    }));
+
+    this._reencrypt(rows, (row, index) => this.statements.updateContextBody.run(
+      this._encode({ data: contexts[index].data, content: contexts[index].content }, `context:${row.id}`),
+      row.id
+    ));
+
+    return contexts;
+  }
+
+  /**
+   * Stores contexts and their versions and removes deleted contexts in one transaction
+   * @param {Array<Object>} contexts - Contexts to store
+   * @param {Array<string>} [deletedIds] - IDs of contexts to remove, with their versions
+   * @param {Object} [options] - Save options
+   * @param {Map<string, Array<Object>>} [options.versions] - Version entries per context ID;
+   *   they replace the stored versions of that context
+   * @returns {Promise<void>}
+   */
+  async saveAll(contexts, deletedIds = [], options = {}) {
+    const versions = options.versions || new Map();
+
+    this.db.transaction(() => {
+      for (const context of contexts) {
+        this.statements.upsertContext.run({
+          id: context.id,
+          createdAt: context.createdAt,
+          updatedAt: context.updatedAt,
+          version: context.metadata.version,
+          metadata: JSON.stringify(context.metadata),
+          body: this._encode({ data: context.data, content: context.content }, `context:${context.id}`)
+        });
+
+        if (versions.has(context.id)) {
+          this.statements.deleteVersions.run(context.id);
+          for (const entry of versions.get(context.id)) {
+            this.statements.insertVersion.run({
+              contextId: context.id,
+              version: entry.version,
+              timestamp: entry.timestamp,
+              author: entry.author,
+              reason: entry.reason,
+              body: this._encode(entry.data, `context:${context.id}:${entry.version}`)
+            });
+          }
+        }
+      }
+
+      for (const id of deletedIds) {
+        this.statements.deleteContext.run(id);
+      }
+    })();
+  }
+
+  /**
+   * Loads the stored versions of a context, oldest first
+   * @param {string} contextId - Context ID
+   * @returns {Promise<Array<Object>>} Version entries
+   */
+  async loadVersions(contextId) {
+    const rows = this.statements.selectVersions.all(contextId);
+    const versions = rows.map(row => ({
+      version: row.version,
+      timestamp: row.timestamp,
+      author: row.author,
+      reason: row.reason,
+      data: this._decode(row.body, `context:${contextId}:${row.version}`)
+    }));
+
+    this._reencrypt(rows, (row, index) => this.statements.updateVersionBody.run(
+      this._encode(versions[index].data, `context:${contextId}:${row.version}`),
+      contextId,
+      row.version
+    ));
+
+    return versions;
+  }
+
+  /**
+   * Loads all memory items
+   * @returns {Array<Object>} Memory items
+   */
+  loadMemories() {
+    const rows = this.statements.selectMemories.all();
+    const items = rows.map(row => this._memoryFromRow(row));
+
+    this._reencrypt(rows, (row, index) => this.statements.updateMemoryContent.run(
+      this._encode(items[index].content, `memory:${row.type}:${row.memory_key}`),
+      row.type,
+      row.memory_key
+    ), 'content');
+
+    return items;
+  }
+
+  /**
+   * Inserts or replaces a memory item
+   * @param {Object} item - Memory item
+   * @param {string} key - Key of the item in its memory store (the concept for semantic memories)
+   */
+  saveMemory(item, key = item.id) {
+    this.db.transaction(() => {
+      this.statements.upsertMemory.run({
+        type: item.type,
+        key,
+        id: item.id,
+        contextId: (item.metadata && item.metadata.contextId) || null,
+        timestamp: item.timestamp,
+        lastAccessed: item.lastAccessed || item.timestamp,
+        importance: item.importance || 0,
+        accessCount: item.accessCount || 0,
+        tags: JSON.stringify(item.tags || []),
+        metadata: JSON.stringify(item.metadata || {}),
+        content: this._encode(item.content, `memory:${item.type}:${key}`)
+      });
+
+      this.statements.deleteTags.run(item.type, key);
+      for (const tag of new Set(item.tags || [])) {
+        this.statements.insertTag.run(item.type, key, tag);
+      }
+    })();
+  }
+
+  /**
+   * Removes a memory item
+   * @param {string} type - Memory type
+   * @param {string} key - Key of the item in its memory store
+   */
+  deleteMemory(type, key) {
+    this.statements.deleteMemory.run(type, key);
+  }
+
+  /**
+   * Finds memory items matching the filters that can run in SQL
+   * @param {Object} query - Query criteria (tags, timeStart, timeEnd, minImportance, maxImportance)
+   * @param {Object} options - Query options
+   * @param {Array<string>} options.memoryTypes - Memory types to search
+   * @param {string} [options.sortBy] - timestamp, importance, accessCount or lastAccessed
+   * @param {boolean} [options.sortDesc] - Sort descending
+   * @param {number} [options.limit] - Maximum number of results
+   * @returns {Array<{type: string, key: string}>} Keys of the matching items, in result order
+   */
+  queryMemoryKeys(query, options) {
+    const conditions = [`type IN (${options.memoryTypes.map(() => '?').join(', ')})`];
+    const params = [...options.memoryTypes];
+
+    if (query.tags && query.tags.length > 0) {
+      const tags = [...new Set(query.tags)];
+      conditions.push(`(SELECT COUNT(*) FROM memory_tags t
+        WHERE t.type = m.type AND t.memory_key = m.memory_key AND t.tag IN (${tags.map(() => '?').join(', ')})) = ?`);
+      params.push(...tags, tags.length);
+    }
+
+    // Falsy bounds are ignored, as in the in-memory query
+    const bounds = [
+      ['timestamp >= ?', query.timeStart],
+      ['timestamp <= ?', query.timeEnd],
+      ['importance >= ?', query.minImportance],
+      ['importance <= ?', query.maxImportance]
+    ];
+
+    for (const [condition, value] of bounds) {
+      if (value) {
+        conditions.push(condition);
+        params.push(value);
+      }
+    }
+
+    const sortColumn = SORT_COLUMNS[options.sortBy];
+    let sql = `SELECT type, memory_key FROM memories m WHERE ${conditions.join(' AND ')}
+      ORDER BY ${sortColumn ? `${sortColumn} ${options.sortDesc ? 'DESC' : 'ASC'}, ` : ''}rowid`;
+
+    if (options.limit) {
+      sql += ' LIMIT ?';
+      params.push(options.limit);
+    }
+
+    return this.db.prepare(sql).all(...params).map(row => ({ type: row.type, key: row.memory_key }));
+  }
+
+  /**
+   * Loads the better-sqlite3 driver
+   * @private
+   */
+  _loadDriver() {
+    try {
+      return require('better-sqlite3');
+    } catch (error) {
+      throw new ResourceError(
+        ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED,
+        'SQLite context storage needs the better-sqlite3 package (npm install better-sqlite3)',
+        { cause: error }
+      );
+    }
+  }
+
+  /**
+   * Applies the migrations newer than the database's schema version
+   * @private
+   */
+  _migrate() {
+    const current = this.getSchemaVersion();
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    if (current > latest) {
+      throw new ProtocolError(
+        ErrorCode.PROTOCOL_UNSUPPORTED_VERSION,
+        `Context database ${this.filename} has schema version ${current}, newer than the supported ${latest}`,
+        { details: { filename: this.filename, current, latest } }
+      );
+    }
+
+    for (const migration of MIGRATIONS.filter(candidate => candidate.version > current)) {
+      this.db.transaction(() => {
+        for (const statement of migration.statements) {
+          this.db.exec(statement);
+        }
+        this.db.pragma(`user_version = ${migration.version}`);
+      })();
+
+      this.logger.info(`Migrated context database to schema version ${migration.version}: ${migration.description}`);
+    }
+  }
+
+  /**
+   * Prepares the statements used on every save and load
+   * @private
+   */
+  _prepareStatements() {
+    const db = this.db;
+
+    this.statements = {
+      selectContexts: db.prepare('SELECT * FROM contexts'),
+      upsertContext: db.prepare(`INSERT INTO contexts (id, created_at, updated_at, version, metadata, body)
+        VALUES (@id, @createdAt, @updatedAt, @version, @metadata, @body)
+        ON CONFLICT (id) DO UPDATE SET updated_at = excluded.updated_at, version = excluded.version,
+          metadata = excluded.metadata, body = excluded.body`),
+      updateContextBody: db.prepare('UPDATE contexts SET body = ? WHERE id = ?'),
+      deleteContext: db.prepare('DELETE FROM contexts WHERE id = ?'),
+      selectVersions: db.prepare('SELECT * FROM context_versions WHERE context_id = ? ORDER BY version'),
+      insertVersion: db.prepare(`INSERT INTO context_versions (context_id, version, timestamp, author, reason, body)
+        VALUES (@contextId, @version, @timestamp, @author, @reason, @body)`),
+      updateVersionBody: db.prepare('UPDATE context_versions SET body = ? WHERE context_id = ? AND version = ?'),
+      deleteVersions: db.prepare('DELETE FROM context_versions WHERE context_id = ?'),
+      selectMemories: db.prepare('SELECT * FROM memories ORDER BY rowid'),
+      upsertMemory: db.prepare(`INSERT INTO memories (type, memory_key, id, context_id, timestamp, last_accessed,
+          importance, access_count, tags, metadata, content)
+        VALUES (@type, @key, @id, @contextId, @timestamp, @lastAccessed, @importance, @accessCount, @tags, @metadata, @content)
+        ON CONFLICT (type, memory_key) DO UPDATE SET id = excluded.id, context_id = excluded.context_id,
+          timestamp = excluded.timestamp, last_accessed = excluded.last_accessed, importance = excluded.importance,
+          access_count = excluded.access_count, tags = excluded.tags, metadata = excluded.metadata,
+          content = excluded.content`),
+      updateMemoryContent: db.prepare('UPDATE memories SET content = ? WHERE type = ? AND memory_key = ?'),
+      deleteMemory: db.prepare('DELETE FROM memories WHERE type = ? AND memory_key = ?'),
+      deleteTags: db.prepare('DELETE FROM memory_tags WHERE type = ? AND memory_key = ?'),
+      insertTag: db.prepare('INSERT INTO memory_tags (type, memory_key, tag) VALUES (?, ?, ?)')
+    };
+  }
+
+  /**
+   * Converts a memories row to a memory item
+   * @private
+   */
+  _memoryFromRow(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      content: this._decode(row.content, `memory:${row.type}:${row.memory_key}`),
+      timestamp: row.timestamp,
+      lastAccessed: row.last_accessed,
+      importance: row.importance,
+      accessCount: row.access_count,
+      tags: JSON.parse(row.tags),
+      metadata: JSON.parse(row.metadata)
+    };
+  }
+
+  /**
+   * Rewrites the loaded rows that are stored in the clear or under an older
+   * master key, in one transaction
+   * @param {Array<Object>} rows - Loaded rows
+   * @param {Function} update - (row, index) => void; writes the row re-encrypted
+   * @param {string} [column='body'] - Column holding the stored value
+   * @private
+   */
+  _reencrypt(rows, update, column = 'body') {
+    if (!this.encryption) {
+      return;
+    }
+
+    const stale = [];
+
+    rows.forEach((row, index) => {
+      const value = row[column];
+
+      if (value !== null && (!Buffer.isBuffer(value) || !this.encryption.isCurrent(JSON.parse(value.toString('utf8'))))) {
+        stale.push([row, index]);
+      }
+    });
+
+    if (stale.length === 0) {
+      return;
+    }
+
+    this.db.transaction(() => {
+      for (const [row, index] of stale) {
+        update(row, index);
+      }
+    })();
+
+    this.logger.info(`Re-encrypted ${stale.length} stored records with master key ${this.encryption.keyProvider.getCurrentKeyId()}`);
+  }
+
+  /**
+   * Serializes a value for a content column, encrypting it when enabled
+   * @param {*} value - Value to store
+   * @param {string} recordId - Identity the encrypted value is bound to
+   * @private
+   */
+  _encode(value, recordId) {
+    if (!this.encryption) {
+      return JSON.stringify(value === undefined ? null : value);
+    }
+
+    return Buffer.from(JSON.stringify(this.encryption.encrypt(value, recordId)), 'utf8');
+  }
+
+  /**
+   * Reads a content column; BLOBs hold encryption envelopes, text is plain JSON
+   * @param {string|Buffer|null} value - Column value
+   * @param {string} recordId - Identity the encrypted value must be bound to
+   * @private
+   */
+  _decode(value, recordId) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    if (!Buffer.isBuffer(value)) {
+      return JSON.parse(value);
+    }
+
+    if (!this.encryption) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_MISSING_REQUIRED,
+        `Context database ${this.filename} holds encrypted data but no encryption is configured`,
+        { details: { recordId } }
+      );
+    }
+
+    let envelope;
+
+    try {
+      envelope = JSON.parse(value.toString('utf8'));
+    } catch (error) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_INVALID_FORMAT,
+        `Stored record ${recordId} failed its integrity check`,
+        { details: { recordId }, cause: error }
+      );
+    }
+
+    return this.encryption.decrypt(envelope, recordId);
+  }
+}
+
+SqliteStorageAdapter.MIGRATIONS = MIGRATIONS;
+
+module.exports = SqliteStorageAdapter;
@@ -0,0 +1,229 @@
+/**
+ * StateStorageAdapter.js
+ *
+ * Stores contexts and memory items in the core StateManager, so the Context
+ * Management module shares one persistence layer with the other modules.
+ * Under Core the module receives its own state namespace; outside Core pass a
+ * StateManager namespace view as `stateManager`.
+ *
+ * Contexts are kept under `context:<id>` and memory items under
+ * `memory:<type>:<key>`. Memory items are read once in open(), because the
+ * memory system reads them synchronously; their writes run in the background
+ * and close() waits for them.
+ *
+ * With encryption, a context keeps its ID, timestamps and metadata in the clear
+ * and its data and content in an `encrypted` envelope; a memory item does the
+ * same with its content.
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+const { ErrorCode, ResourceError, ValidationError } = require('../../../../core/src/errors/acip-error');
+
+const CONTEXT_PREFIX = 'context:';
+const MEMORY_PREFIX = 'memory:';
+
+class StateStorageAdapter extends StorageAdapter {
+  /**
+   * Creates a state storage adapter
+   * @param {Object} options - Adapter options
+   * @param {Object} options.stateManager - StateManager namespace view (get, set, delete, keys)
+   * @param {EnvelopeEncryption} [options.encryption] - Encrypts context and memory contents when set
+   * @param {Object} [options.logger] - Logger
+   * @throws {ResourceError} If no state manager is given
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.stateManager) {
+      throw new ResourceError(
+        ErrorCode.RESOURCE_DEPENDENCY_UNSATISFIED,
+        'State context storage needs the core StateManager; register the module with Core or pass stateManager'
+      );
+    }
+
+    this.state = options.stateManager;
+    this.memories = [];
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Reads the stored memory items
+   * @returns {Promise<void>}
+   */
+  async open() {
+    this.memories = [];
+
+    for (const key of await this.state.keys()) {
+      if (key.startsWith(MEMORY_PREFIX)) {
+        this.memories.push({ key, stored: await this.state.get(key) });
+      }
+    }
+
+    await super.open();
+  }
+
+  /**
+   * Waits for pending memory writes
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.writing;
+    await super.close();
+  }
+
+  /**
+   * Loads all stored contexts
+   *
+   * Contexts stored in the clear or under an older master key are written
+   * back encrypted with the current one.
+   *
+   * @returns {Promise<Array<Object>>} Stored context objects
+   * @throws {ValidationError} If an encrypted context fails its integrity check
+   */
+  async loadAll() {
+    const contexts = [];
+    const reencrypt = [];
+
+    for (const key of await this.state.keys()) {
+      if (!key.startsWith(CONTEXT_PREFIX)) {
+        continue;
+      }
+
+      const stored = await this.state.get(key);
+      const context = this._decrypt(stored, `context:${stored.id}`);
+
+      if (this._isStale(stored)) {
+        reencrypt.push(context);
+      }
+
+      contexts.push(context);
+    }
+
+    if (reencrypt.length > 0) {
+      await this.saveAll(reencrypt);
+      this.logger.info(`Re-encrypted ${reencrypt.length} stored contexts with master key ${this.encryption.keyProvider.getCurrentKeyId()}`);
+    }
+
+    return contexts;
+  }
+
+  /**
+   * Stores contexts and removes deleted ones
+   * @param {Array<Object>} contexts - Contexts to store
+   * @param {Array<string>} [deletedIds] - IDs of contexts to remove
+   * @returns {Promise<void>}
+   */
+  async saveAll(contexts, deletedIds = []) {
+    // Encrypt up front so later changes to the contexts do not leak into this batch
+    const records = contexts.map(context => this._encrypt(context, ['data', 'content'], `context:${context.id}`));
+
+    for (const record of records) {
+      await this.state.set(`${CONTEXT_PREFIX}${record.id}`, record);
+    }
+
+    for (const id of deletedIds) {
+      await this.state.delete(`${CONTEXT_PREFIX}${id}`);
+    }
+  }
+
+  /**
+   * Loads the memory items read in open()
+   * @returns {Array<Object>} Memory items
+   */
+  loadMemories() {
+    return this.memories.map(({ key, stored }) => {
+      const item = this._decrypt(stored, key);
+
+      if (this._isStale(stored)) {
+        this._write(() => this.state.set(key, this._encrypt(item, ['content'], key)));
+      }
+
+      return item;
+    });
+  }
+
+  /**
+   * Inserts or replaces a memory item
+   * @param {Object} item - Memory item
+   * @param {string} key - Key of the item in its memory store (the concept for semantic memories)
+   */
+  saveMemory(item, key = item.id) {
+    const stateKey = `${MEMORY_PREFIX}${item.type}:${key}`;
+    const record = this._encrypt(item, ['content'], stateKey);
+
+    this._write(() => this.state.set(stateKey, record));
+  }
+
+  /**
+   * Removes a memory item
+   * @param {string} type - Memory type
+   * @param {string} key - Key of the item in its memory store
+   */
+  deleteMemory(type, key) {
+    this._write(() => this.state.delete(`${MEMORY_PREFIX}${type}:${key}`));
+  }
+
+  /**
+   * Queues a background write; a failed write is logged and does not stop later ones
+   * @private
+   */
+  _write(operation) {
+    const run = () => operation().catch(error => {
+      this.logger.error(`Failed to write memory to state storage: ${error.message}`);
+    });
+
+    this.writing = this.writing.then(run, run);
+  }
+
+  /**
+   * Moves fields of a record into an encrypted envelope when encryption is enabled
+   * @private
+   */
+  _encrypt(record, fields, recordId) {
+    if (!this.encryption) {
+      return record;
+    }
+
+    const stored = { ...record };
+    const secret = {};
+
+    for (const field of fields) {
+      secret[field] = record[field];
+      delete stored[field];
+    }
+
+    return { ...stored, encrypted: this.encryption.encrypt(secret, recordId) };
+  }
+
+  /**
+   * Restores the fields of an encrypted record
+   * @private
+   */
+  _decrypt(stored, recordId) {
+    if (!stored.encrypted) {
+      return stored;
+    }
+
+    if (!this.encryption) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_MISSING_REQUIRED,
+        `Record ${recordId} in state storage is encrypted but no encryption is configured`,
+        { details: { recordId } }
+      );
+    }
+
+    const { encrypted, ...record } = stored;
+    return { ...record, ...this.encryption.decrypt(encrypted, recordId) };
+  }
+
+  /**
+   * Checks whether a record is stored in the clear or under an older master key
+   * while encryption is enabled
+   * @private
+   */
+  _isStale(stored) {
+    return Boolean(this.encryption) && !(stored.encrypted && this.encryption.isCurrent(stored.encrypted));
+  }
+}
+
+module.exports = StateStorageAdapter;
@@ -0,0 +1,91 @@
+/**
+ * StorageAdapter.js
+ *
+ * Base class for context storage backends. ContextManager loads every stored
+ * context on start() and hands changed and deleted contexts back to the adapter
+ * when it persists. Adapters receive plain context objects and must store them
+ * as JSON so they can be restored as they were.
+ *
+ * Adapters may also keep version history (loadVersions) and memory items
+ * (loadMemories, saveMemory, deleteMemory, queryMemoryKeys); see
+ * SqliteStorageAdapter. ContextManager uses these when they are present.
+ *
+ * With an EnvelopeEncryption instance in `options.encryption`, adapters store
+ * context contents and memory contents encrypted, and re-encrypt records
+ * written under an older master key when they load them.
+ */
+
+const { ErrorCode, createError } = require('../../../../core/src/errors/acip-error');
+
+class StorageAdapter {
+  /**
+   * Creates a storage adapter
+   * @param {Object} options - Adapter options
+   * @param {EnvelopeEncryption} [options.encryption] - Encrypts stored contents when set
+   * @param {Object} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.logger = options.logger || console;
+    this.encryption = options.encryption || null;
+    this.opened = false;
+  }
+
+  /**
+   * Opens the storage, e.g. creating directories or connecting, and recovers
+   * from an interrupted write
+   * @returns {Promise<void>}
+   */
+  async open() {
+    this.opened = true;
+  }
+
+  /**
+   * Closes the storage
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.opened = false;
+  }
+
+  /**
+   * Loads all stored contexts
+   * @returns {Promise<Array<Object>>} Stored context objects
+   */
+  async loadAll() {
+    throw createError(ErrorCode.INTERNAL_ERROR, 'loadAll method must be implemented by subclasses');
+  }
+
+  /**
+   * Stores contexts and removes deleted ones as one batch
+   * @param {Array<Object>} contexts - Contexts to store
+   * @param {Array<string>} [deletedIds] - IDs of contexts to remove
+   * @param {Object} [options] - Save options
+   * @param {Map<string, Array<Object>>} [options.versions] - Version history per context ID,
+   *   for adapters that store it
+   * @returns {Promise<void>}
+   */
+  async saveAll(contexts, deletedIds = [], options = {}) {
+    throw createError(ErrorCode.INTERNAL_ERROR, 'saveAll method must be implemented by subclasses');
+  }
+
+  /**
+   * Stores one context
+   * @param {Object} context - Context to store
+   * @returns {Promise<void>}
+   */
+  async save(context) {
+    return this.saveAll([context]);
+  }
+
+  /**
+   * Removes one context
+   * @param {string} contextId - Context ID
+   * @returns {Promise<void>}
+   */
+  async delete(contextId) {
+    return this.saveAll([], [contextId]);
+  }
+}
+
+module.exports = StorageAdapter;
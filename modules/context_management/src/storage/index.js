@@ -0,0 +1,64 @@
+/**
+ * Context storage adapters
+ *
+ * ContextManager picks an adapter by `storageType`: 'file', 'sqlite' (also
+ * 'database'), or 'state' for the core StateManager. Register further adapters
+ * with registerStorageAdapter().
+ */
+
+const StorageAdapter = require('./StorageAdapter');
+const FileStorageAdapter = require('./FileStorageAdapter');
+const SqliteStorageAdapter = require('./SqliteStorageAdapter');
+const StateStorageAdapter = require('./StateStorageAdapter');
+const EnvelopeEncryption = require('./EnvelopeEncryption');
+const { ErrorCode, ValidationError } = require('../../../../core/src/errors/acip-error');
+
+// storageType -> adapter class
+const adapters = new Map([
+  ['file', FileStorageAdapter],
+  ['sqlite', SqliteStorageAdapter],
+  ['database', SqliteStorageAdapter],
+  ['state', StateStorageAdapter]
+]);
+
+/**
+ * Registers an adapter class for a storage type
+ * @param {string} type - Storage type, as used in the `storageType` option
+ * @param {Function} AdapterClass - Subclass of StorageAdapter
+ */
+function registerStorageAdapter(type, AdapterClass) {
+  adapters.set(type, AdapterClass);
+}
+
+/**
+ * Creates the adapter for a storage type
+ * @param {string} type - Storage type
+ * @param {Object} options - Adapter options
+ * @returns {StorageAdapter} Adapter instance
+ * @throws {ValidationError} If no adapter is registered for the type
+ */
+function createStorageAdapter(type, options = {}) {
+  const AdapterClass = adapters.get(type);
+
+  if (!AdapterClass) {
+    throw new ValidationError(
+      ErrorCode.VALIDATION_INVALID_FORMAT,
+      `Unsupported context storage type '${type}', expected one of: memory, ${[...adapters.keys()].join(', ')}`,
+      { details: { storageType: type } }
+    );
+  }
+
+  return new AdapterClass(options);
+}
+
+module.exports = {
+  StorageAdapter,
+  FileStorageAdapter,
+  SqliteStorageAdapter,
+  StateStorageAdapter,
+  EnvelopeEncryption,
+  MasterKeyProvider: EnvelopeEncryption.MasterKeyProvider,
+  LocalMasterKeyProvider: EnvelopeEncryption.LocalMasterKeyProvider,
+  registerStorageAdapter,
+  createStorageAdapter
+};
@@ -0,0 +1,126 @@
+/**
+ * ExtractiveSummarizer.js
+ *
+ * Local summarizer that needs no model: it picks the sentences of the window
+ * items whose terms are specific to few items, preferring sentences with
+ * numbers, and keeps them in their original order within the token budget. Each line
+ * starts with the [n] marker of the item it was taken from.
+ *
+ * It works offline and synchronously, so it suits tests and deployments
+ * without a summarization model.
+ */
+
+const Summarizer = require('./Summarizer');
+const { tokenizers } = require('../../../../core/src/tokenizers');
+
+// Sentence ends, line breaks and list bullets
+const SENTENCE_BOUNDARY = /(?<=[.!?。！？])\s+|\n+/;
+const SOURCE_MARKER = /^(?:[-*]\s*)?(?:\[\d+\]\s*)+/;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'i', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was', 'we', 'were', 'will', 'with', 'you'
+]);
+
+class ExtractiveSummarizer extends Summarizer {
+  /**
+   * Creates an extractive summarizer
+   * @param {Object} options - Summarizer options
+   * @param {number} [options.maxSentences=8] - Most sentences in a summary
+   * @param {Object} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.maxSentences = options.maxSentences || 8;
+  }
+
+  /**
+   * Summarizes window items by extracting their key sentences
+   * @param {Array<Object>} items - Window items, oldest first
+   * @param {Object} [options] - Summary options
+   * @param {number} [options.maxTokens=300] - Token budget for the summary
+   * @param {Object} [options.tokenizer] - Tokenizer the budget is counted with
+   * @returns {string} Summary lines of the form "[n] sentence"
+   */
+  summarize(items, options = {}) {
+    const { maxTokens = 300, tokenizer = tokenizers.get() } = options;
+    const sentences = [];
+    const seen = new Set();
+
+    items.forEach((item, index) => {
+      for (const part of Summarizer.itemText(item).split(SENTENCE_BOUNDARY)) {
+        // Markers of an earlier summary point into that summary's own sources
+        const text = part.replace(SOURCE_MARKER, '').trim();
+
+        if (text && !seen.has(text.toLowerCase())) {
+          seen.add(text.toLowerCase());
+          sentences.push({
+            text,
+            source: index + 1,
+            position: sentences.length,
+            words: (text.toLowerCase().match(WORD) || []).filter(word => !STOP_WORDS.has(word))
+          });
+        }
+      }
+    });
+
+    // Number of items each word appears in; words found in every item, such as
+    // acknowledgements, say little about any of them
+    const itemsWithWord = new Map();
+    for (const source of new Set(sentences.map(sentence => sentence.source))) {
+      const words = new Set(sentences.filter(sentence => sentence.source === source).flatMap(sentence => sentence.words));
+      for (const word of words) {
+        itemsWithWord.set(word, (itemsWithWord.get(word) || 0) + 1);
+      }
+    }
+
+    for (const sentence of sentences) {
+      const weight = sentence.words.reduce((total, word) => total + Math.log(1 + items.length / itemsWithWord.get(word)), 0);
+      sentence.score = weight / Math.sqrt(sentence.words.length || 1) + (/\d/.test(sentence.text) ? 1 : 0);
+    }
+
+    const selected = [];
+    let tokens = 0;
+
+    for (const sentence of [...sentences].sort((a, b) => b.score - a.score || a.position - b.position)) {
+      if (selected.length >= this.maxSentences) {
+        break;
+      }
+
+      const line = `[${sentence.source}] ${sentence.text}`;
+      const lineTokens = tokenizer.count(line) + 1;
+
+      if (tokens + lineTokens <= maxTokens) {
+        selected.push({ ...sentence, line });
+        tokens += lineTokens;
+      }
+    }
+
+    if (selected.length === 0 && sentences.length > 0) {
+      return this._truncate(`[${sentences[0].source}] ${sentences[0].text}`, maxTokens, tokenizer);
+    }
+
+    return selected
+      .sort((a, b) => a.position - b.position)
+      .map(sentence => sentence.line)
+      .join('\n');
+  }
+
+  /**
+   * Shortens a line word by word until it fits the budget
+   * @private
+   */
+  _truncate(line, maxTokens, tokenizer) {
+    const words = line.split(' ');
+
+    while (words.length > 1 && tokenizer.count(`${words.join(' ')}…`) > maxTokens) {
+      words.pop();
+    }
+
+    return `${words.join(' ')}…`;
+  }
+}
+
+module.exports = ExtractiveSummarizer;
@@ -0,0 +1,80 @@
+/**
+ * ModelSummarizer.js
+ *
+ * Summarizer that asks a model through the ModelInvocationModule to summarize
+ * the window items. The items are sent as a numbered list and the model is
+ * instructed to cite them as [n], so the summary keeps its source references.
+ */
+
+const Summarizer = require('./Summarizer');
+const { ErrorCode, ValidationError } = require('../../../../core/src/errors/acip-error');
+
+const DEFAULT_INSTRUCTIONS = [
+  'Summarize the earlier part of a conversation so it can replace the original messages.',
+  'Keep every fact, decision, name, number and open question; drop greetings and repetition.',
+  'Write one statement per line and end each line with the [n] markers of the messages it comes from.',
+  'Reply with the summary only.'
+].join(' ');
+
+class ModelSummarizer extends Summarizer {
+  /**
+   * Creates a model summarizer
+   * @param {Object} options - Summarizer options
+   * @param {Object} options.modelInvocation - ModelInvocationModule instance
+   * @param {string} [options.model] - Model to summarize with (the module selects one if omitted)
+   * @param {string} [options.instructions] - System instructions for the model
+   * @param {Object} [options.parameters] - Additional invocation parameters
+   * @param {Object} [options.logger] - Logger
+   * @throws {ValidationError} If no ModelInvocationModule is given
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.modelInvocation) {
+      throw new ValidationError(
+        ErrorCode.VALIDATION_MISSING_REQUIRED,
+        'ModelSummarizer requires a modelInvocation module'
+      );
+    }
+
+    this.modelInvocation = options.modelInvocation;
+    this.model = options.model;
+    this.instructions = options.instructions || DEFAULT_INSTRUCTIONS;
+    this.parameters = options.parameters || {};
+  }
+
+  /**
+   * Summarizes window items with the model
+   * @param {Array<Object>} items - Window items, oldest first
+   * @param {Object} [options] - Summary options
+   * @param {number} [options.maxTokens=300] - Token budget for the summary
+   * @returns {Promise<string>} Summary text with [n] source markers
+   */
+  async summarize(items, options = {}) {
+    const { maxTokens = 300 } = options;
+
+    const messages = items.map((item, index) => {
+      const label = item.role || item.type;
+      return `[${index + 1}]${label ? ` (${label})` : ''} ${Summarizer.itemText(item)}`;
+    });
+
+    const response = await this.modelInvocation.invoke({
+      model: this.model,
+      input: {
+        messages: [
+          { role: 'system', content: `${this.instructions} Stay under ${maxTokens} tokens.` },
+          { role: 'user', content: messages.join('\n\n') }
+        ]
+      },
+      parameters: {
+        temperature: 0,
+        ...this.parameters,
+        maxTokens
+      }
+    });
+
+    return response.output.message.content.trim();
+  }
+}
+
+module.exports = ModelSummarizer;
@@ -0,0 +1,71 @@
+/**
+ * Summarizer.js
+ *
+ * Base class for the summarizers AdaptiveWindowManager uses to compress the
+ * oldest part of a context window into one summary item.
+ *
+ * summarize() receives the window items to compress, oldest first, and returns
+ * the summary text, or a Promise of it. The summary should point to the items
+ * it draws from as [n], the 1-based position of the item in the list, so the
+ * window manager can map each statement back to its sources.
+ */
+
+const { ErrorCode, createError } = require('../../../../core/src/errors/acip-error');
+
+// Fields of window items that describe the item rather than hold its content
+const DESCRIPTIVE_FIELDS = new Set(['id', 'type', 'role', 'timestamp', 'tokenCount', 'sources', 'summarizedItems']);
+
+class Summarizer {
+  /**
+   * Creates a summarizer
+   * @param {Object} options - Summarizer options
+   * @param {Object} [options.logger] - Logger
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Summarizes window items
+   * @param {Array<Object>} items - Window items, oldest first
+   * @param {Object} [options] - Summary options
+   * @param {number} [options.maxTokens] - Token budget for the summary
+   * @param {Object} [options.tokenizer] - Tokenizer the budget is counted with
+   * @returns {string|Promise<string>} Summary text with [n] source markers
+   */
+  summarize(items, options = {}) {
+    throw createError(ErrorCode.INTERNAL_ERROR, 'summarize method must be implemented by subclasses');
+  }
+
+  /**
+   * Gets the text of a window item: a string content as is, otherwise the
+   * string values of the item, skipping descriptive fields such as type and role
+   * @param {Object} item - Window item
+   * @returns {string} Item text
+   */
+  static itemText(item) {
+    if (typeof item.content === 'string') {
+      return item.content;
+    }
+
+    const texts = [];
+    const collect = value => {
+      if (typeof value === 'string') {
+        texts.push(value);
+      } else if (typeof value === 'number' || typeof value === 'boolean') {
+        texts.push(String(value));
+      } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(collect);
+      }
+    };
+
+    Object.entries(item)
+      .filter(([key]) => !DESCRIPTIVE_FIELDS.has(key))
+      .forEach(([, value]) => collect(value));
+
+    return texts.join('\n');
+  }
+}
+
+module.exports = Summarizer;
@@ -0,0 +1,18 @@
+/**
+ * Summarizers for window compression
+ *
+ * AdaptiveWindowManager uses a summarizer, given as the `summarizer` option, to
+ * compress the oldest window items into one summary item when the window
+ * overflows. ExtractiveSummarizer runs locally; ModelSummarizer calls a model
+ * through the ModelInvocationModule.
+ */
+
+const Summarizer = require('./Summarizer');
+const ExtractiveSummarizer = require('./ExtractiveSummarizer');
+const ModelSummarizer = require('./ModelSummarizer');
+
+module.exports = {
+  Summarizer,
+  ExtractiveSummarizer,
+  ModelSummarizer
+};
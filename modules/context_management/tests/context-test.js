@@ -5,13 +5,27 @@
  * specifically testing the ContextManager, AdaptiveWindowManager, and ContextMemorySystem.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 // Import the Context Management module
 const {
   ContextManager,
   AdaptiveWindowManager, 
   ContextMemorySystem,
-  MemoryType
+  LocalMasterKeyProvider,
+  ExtractiveSummarizer,
+  ModelSummarizer,
+  MemoryType,
+  FileStorageAdapter,
+  SqliteStorageAdapter,
+  EnvelopeEncryption
 } = require('../src');
+const { StateManager } = require('../../../core/src/state/state-manager');
+const { ModuleRegistry } = require('../../../core/src/registry/module-registry');
+const { MessageRouter } = require('../../../core/src/messages');
 
 // Setup logging
 const logger = {
@@ -38,6 +52,9 @@ const config = {
   }
 };
 
+// Test sections that could not run in this environment
+const skipped = [];
+
 /**
  * Run tests for the Context Management module
  */
@@ -75,11 +92,45 @@ async function runTests() {
       console.error('Error in end-to-end test:', e);
     });
     
+    // Test window compression
+    console.log('\nTesting window compression...');
+    await testWindowCompression().catch(e => {
+      console.error('Error in window compression test:', e);
+    });
+    
+    // Test file storage
+    console.log('\nTesting file storage...');
+    await testFileStorage().catch(e => {
+      console.error('Error in file storage test:', e);
+    });
+    
+    // Test shared state storage
+    console.log('\nTesting state storage...');
+    await testStateStorage().catch(e => {
+      console.error('Error in state storage test:', e);
+    });
+    
+    // Test encrypted storage
+    console.log('\nTesting encrypted storage...');
+    await testEncryptedStorage().catch(e => {
+      console.error('Error in encrypted storage test:', e);
+    });
+    
+    // Test SQLite storage
+    console.log('\nTesting SQLite storage...');
+    await testSqliteStorage().catch(e => {
+      console.error('Error in SQLite storage test:', e);
+    });
+    
     // Clean up
     console.log('\nCleaning up...');
     await contextManager.destroy();
     
-    console.log('\n✅ All tests completed successfully!');
+    if (skipped.length > 0) {
+      console.log(`\n⚠️ Tests completed, skipped: ${skipped.join('; ')}`);
+    } else {
+      console.log('\n✅ All tests completed successfully!');
+    }
     
   } catch (error) {
     console.error('\n❌ Test failed:', error);
@@ -196,12 +247,91 @@ async function testAdaptiveWindow(contextManager) {
     // Get updated window config
     const context = contextManager.getContext(contextId);
     console.log(`  - Window has ${context.content.window.length} items`);
+    
+    // Compare tokenizers on the same content
+    const windowManager = contextManager.windowManager;
+    const bpeTokens = windowManager.countTokens(complexData);
+    windowManager.setTokenizer({ tokenizer: 'heuristic' });
+    console.log(`  - ${windowManager.tokenizer.name}: ${windowManager.countTokens(complexData)} tokens, acip_base: ${bpeTokens} tokens`);
+    windowManager.setTokenizer({ tokenizer: 'acip_base' });
   } catch (error) {
     console.error('  - Error in adaptive window test:', error);
     throw error;
   }
 }
 
+/**
+ * Test summarizing compression of an overflowing window
+ */
+async function testWindowCompression() {
+  const compressionConfig = {
+    ...config,
+    initialWindowSize: 120,
+    windowOptions: {
+      minSize: 120,
+      maxSize: 120,
+      adaptToComplexity: false,
+      summarizer: new ExtractiveSummarizer(),
+      summaryMaxTokens: 40
+    }
+  };
+  const facts = [
+    'The customer account number is 48213.',
+    'They prefer delivery on Tuesdays. The warehouse in Leeds ships the order.',
+    'Please keep the invoice address unchanged.',
+    'The order total is 1,240 EUR including shipping.',
+    'Express delivery was declined because of the cost.',
+    'The contact person is Dana Okafor from purchasing.'
+  ];
+  
+  const contextManager = new ContextManager(compressionConfig);
+  contextManager.createContext('long-conversation');
+  
+  let result;
+  for (const [index, fact] of facts.entries()) {
+    result = contextManager.addToContext('long-conversation', {
+      type: 'message',
+      role: index % 2 === 0 ? 'user' : 'assistant',
+      content: `${fact} ${'Noted, thanks for the update. '.repeat(3)}`
+    });
+  }
+  
+  const window = contextManager.getContext('long-conversation').content.window;
+  const summary = window.find(item => item.type === 'summary');
+  console.log(`  - Last adjustment: ${result.adjustmentType}, window has ${window.length} items`);
+  console.log(`  - Summary of ${summary.summarizedItems} items (${summary.tokenCount} tokens):\n${summary.content.replace(/^/gm, '      ')}`);
+  console.log(`  - Source [1]: ${summary.sources[0].type} from ${new Date(summary.sources[0].timestamp).toISOString()}`);
+  
+  const archived = contextManager.retrieveMemory(summary.memoryId);
+  console.log(`  - Archived memory holds ${archived.content.length} original items`);
+  
+  // A model summary arrives after addToContext returns
+  const modelInvocation = {
+    invoke: async ({ input }) => ({
+      output: { message: { content: `[1] ${input.messages[1].content.split('\n')[0].slice(4, 60)}` } }
+    })
+  };
+  const modelConfig = {
+    ...compressionConfig,
+    windowOptions: { ...compressionConfig.windowOptions, summarizer: new ModelSummarizer({ modelInvocation }) }
+  };
+  
+  const asyncManager = new ContextManager(modelConfig);
+  asyncManager.createContext('async-conversation');
+  const compressed = new Promise(resolve => asyncManager.on('context:compressed', resolve));
+  
+  for (const fact of facts) {
+    result = asyncManager.addToContext('async-conversation', { type: 'message', role: 'user', content: `${fact} ${'More detail follows. '.repeat(4)}` });
+    if (result.pendingSummary) {
+      break;
+    }
+  }
+  
+  const { summary: modelSummary } = await compressed;
+  console.log(`  - Model summary: ${modelSummary.content}`);
+  console.log(`  - Context version after summary: ${asyncManager.getContext('async-conversation').metadata.version}`);
+}
+
 /**
  * Test memory system
  */
@@ -334,6 +464,291 @@ async function testEndToEndScenarios(contextManager) {
   console.log(`  - Memory items: ${stats.memory.counts.total}`);
 }
 
+/**
+ * Test that contexts survive a restart with file storage
+ */
+async function testFileStorage() {
+  const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'acip-context-'));
+  const fileConfig = { ...config, storageType: 'file', storagePath, persistInterval: 0 };
+  
+  try {
+    // Create contexts and persist them on stop
+    const first = new ContextManager(fileConfig);
+    await first.initialize();
+    await first.start();
+    first.createContext('persisted-context', { user: 'user123' });
+    first.updateContext('persisted-context', { step: 2 });
+    first.createContext('deleted-context', {});
+    first.deleteContext('deleted-context');
+    await first.stop();
+    console.log(`  - Stored files: ${fs.readdirSync(path.join(storagePath, 'contexts')).join(', ')}`);
+    
+    // A new manager loads them on start
+    const second = new ContextManager(fileConfig);
+    await second.initialize();
+    await second.start();
+    const restored = second.getContext('persisted-context');
+    console.log(`  - Restored context: ${restored.id}, v${restored.metadata.version}, data ${JSON.stringify(restored.data)}`);
+    console.log(`  - Deleted context restored: ${second.getContext('deleted-context') !== null}`);
+    await second.stop();
+    
+    // A failed background persist is reported and retried on the next tick
+    const third = new ContextManager({ ...fileConfig, persistInterval: 20 });
+    await third.initialize();
+    await third.start();
+    const saveAll = third.storage.saveAll.bind(third.storage);
+    third.storage.saveAll = async () => { throw new Error('disk full'); };
+    let failure = null;
+    third.on('storage:persist-failed', event => { failure = event; });
+    third.updateContext('persisted-context', { step: 3 });
+    await new Promise(resolve => setTimeout(resolve, 60));
+    console.log(`  - Background persist failure reported: ${failure && failure.error}`);
+    third.storage.saveAll = saveAll;
+    await third.stop();
+    const saved = JSON.parse(fs.readFileSync(path.join(storagePath, 'contexts', 'persisted-context.json'), 'utf8'));
+    console.log(`  - Saved on stop after the failure: step ${saved.data.step}`);
+    
+    // After a crash, committed batches are replayed and a partial batch is dropped
+    const journal = path.join(storagePath, 'journal.ndjson');
+    const record = (id, step) => JSON.stringify({ op: 'save', id, data: JSON.stringify({ id, metadata: { version: 1 }, data: { step } }) });
+    fs.writeFileSync(journal, [
+      record('committed-a', 1), record('committed-b', 1), JSON.stringify({ op: 'commit', count: 2 }),
+      record('partial-a', 1), record('partial-b', 1).slice(0, 20)
+    ].join('\n'));
+    const recovered = new FileStorageAdapter({ storagePath, fsync: false, logger });
+    await recovered.open();
+    const recoveredIds = (await recovered.loadAll()).map(context => context.id).filter(id => id !== 'persisted-context');
+    console.log(`  - Recovered from journal: ${recoveredIds.sort().join(', ')} (expected committed-a, committed-b)`);
+    console.log(`  - Journal emptied: ${fs.readFileSync(journal, 'utf8') === ''}`);
+  } finally {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test storing contexts and memories in the core StateManager
+ */
+async function testStateStorage() {
+  const stateManager = new StateManager({}, logger);
+  const stateConfig = {
+    ...config,
+    storageType: 'state',
+    stateManager: stateManager.namespace('context-management'),
+    persistInterval: 0
+  };
+  
+  const first = new ContextManager(stateConfig);
+  await first.initialize();
+  await first.start();
+  first.createContext('shared-context', { user: 'user123' });
+  first.storeMemory('shared-context', { type: MemoryType.LONG_TERM, content: 'Prefers short answers', tags: ['preference'] });
+  await first.stop();
+  console.log(`  - State keys: ${(await stateManager.keys('context-management')).join(', ')}`);
+  
+  const second = new ContextManager(stateConfig);
+  await second.initialize();
+  await second.start();
+  const memories = second.queryMemories({ tags: ['preference'] });
+  console.log(`  - Restored context: ${second.getContext('shared-context').data.user}, memories: ${memories.length}`);
+  await second.stop();
+}
+
+/**
+ * Test encryption at rest with key rotation and tamper detection
+ */
+async function testEncryptedStorage() {
+  const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'acip-context-'));
+  const keyProvider = new LocalMasterKeyProvider({ keys: { 'key-1': crypto.randomBytes(32) } });
+  const encryptedConfig = {
+    ...config,
+    storageType: 'file',
+    storagePath,
+    persistInterval: 0,
+    privacySettings: { encryptStorage: true, masterKeyProvider: keyProvider }
+  };
+  
+  try {
+    const first = new ContextManager(encryptedConfig);
+    await first.initialize();
+    await first.start();
+    first.createContext('secret-context', { apiToken: 'tok-123' });
+    await first.stop();
+    
+    const file = path.join(storagePath, 'contexts', 'secret-context.json');
+    const stored = fs.readFileSync(file, 'utf8');
+    console.log(`  - Plaintext in stored file: ${stored.includes('tok-123')}, key ID: ${JSON.parse(stored).encrypted.kid}`);
+    
+    // Rotate the master key; the context is re-encrypted on the next persist
+    const second = new ContextManager(encryptedConfig);
+    await second.initialize();
+    await second.start();
+    second.rotateEncryptionKey('key-2', crypto.randomBytes(32));
+    
+    // Other modules cannot rotate the key through a message
+    const registry = new ModuleRegistry({}, logger);
+    const router = new MessageRouter({ registry }, logger);
+    await registry.register({ id: 'context-manager', version: '0.1.0' }, second);
+    const denied = await router.request('agent-1', 'context-manager', 'rotateEncryptionKey', ['key-3', crypto.randomBytes(32).toString('hex')]);
+    console.log(`  - Key rotation via message: ${denied.content.code}`);
+    router.close();
+    
+    await second.stop();
+    console.log(`  - Key ID after rotation: ${JSON.parse(fs.readFileSync(file, 'utf8')).encrypted.kid}`);
+    
+    // Moving an encrypted body to another context fails the integrity check
+    const copy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    copy.id = 'other-context';
+    fs.writeFileSync(path.join(storagePath, 'contexts', 'other-context.json'), JSON.stringify(copy));
+    
+    const third = new ContextManager(encryptedConfig);
+    await third.initialize();
+    third.on('error', ({ error }) => console.log(`  - Tampered context rejected: ${error}`));
+    await third.start().catch(error => console.log(`  - Start failed: ${error.code}, state ${third.state}`));
+  } finally {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test the SQLite adapter: migrations, context versions, memory queries run in
+ * SQL and encrypted columns
+ */
+async function testSqliteStorage() {
+  const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'acip-context-'));
+  const filename = path.join(storagePath, 'contexts.sqlite');
+  const keyProvider = new LocalMasterKeyProvider({ keys: { 'key-1': crypto.randomBytes(32) } });
+  const memory = (id, tags, importance, timestamp) => ({
+    id, type: MemoryType.LONG_TERM, content: `Memory ${id}`, tags, importance, timestamp, metadata: { contextId: 'ctx-1' }
+  });
+  
+  try {
+    // open() creates the schema; reopening applies no migration
+    const adapter = new SqliteStorageAdapter({ filename, logger });
+    try {
+      await adapter.open();
+    } catch (error) {
+      if (error.code === 'RESOURCE_DEPENDENCY_UNSATISFIED') {
+        console.log('  - Skipped: better-sqlite3 is not installed');
+        skipped.push('SQLite storage (better-sqlite3 is not installed)');
+        return;
+      }
+      throw error;
+    }
+    const latest = SqliteStorageAdapter.MIGRATIONS[SqliteStorageAdapter.MIGRATIONS.length - 1].version;
+    console.log(`  - Schema version: ${adapter.getSchemaVersion()} (latest ${latest})`);
+    
+    // saveAll stores contexts with their versions and removes deleted ones in one transaction
+    const context = (id, version, data) => ({
+      id, createdAt: 1000, updatedAt: 1000 + version, metadata: { version }, data, content: { notes: id }
+    });
+    await adapter.saveAll([context('ctx-1', 2, { step: 2 }), context('ctx-2', 1, {})], [], {
+      versions: new Map([['ctx-1', [
+        { version: 1, timestamp: 1001, author: 'user', reason: 'create', data: { step: 1 } },
+        { version: 2, timestamp: 1002, author: 'user', reason: 'update', data: { step: 2 } }
+      ]]])
+    });
+    await adapter.saveAll([], ['ctx-2']);
+    const contexts = await adapter.loadAll();
+    console.log(`  - Loaded contexts: ${contexts.map(c => `${c.id} v${c.metadata.version} ${JSON.stringify(c.data)}`).join(', ')}`);
+    const versions = await adapter.loadVersions('ctx-1');
+    console.log(`  - Versions of ctx-1: ${versions.map(v => `${v.version}:${v.reason}:${v.data.step}`).join(', ')}`);
+    console.log(`  - Versions of deleted ctx-2: ${(await adapter.loadVersions('ctx-2')).length}`);
+    
+    // Tag filters match items carrying every tag, counted in SQL; limit and sort run there too
+    adapter.saveMemory(memory('m1', ['a', 'b'], 0.2, 100));
+    adapter.saveMemory(memory('m2', ['a'], 0.9, 200));
+    adapter.saveMemory(memory('m3', ['a', 'b', 'c'], 0.7, 300));
+    adapter.saveMemory(memory('m4', ['b', 'b'], 0.5, 400));
+    const types = { memoryTypes: [MemoryType.LONG_TERM] };
+    const keys = (query, options) => adapter.queryMemoryKeys(query, { ...types, ...options }).map(k => k.key).join(', ');
+    console.log(`  - Tags [a, b]: ${keys({ tags: ['a', 'b'] }, {})} (expected m1, m3)`);
+    console.log(`  - Tags [a, a]: ${keys({ tags: ['a', 'a'] }, {})} (expected m1, m2, m3)`);
+    console.log(`  - Tag [b], importance desc, limit 2: ${keys({ tags: ['b'] }, { sortBy: 'importance', sortDesc: true, limit: 2 })} (expected m3, m4)`);
+    console.log(`  - Since 200, by timestamp: ${keys({ timeStart: 200 }, { sortBy: 'timestamp' })} (expected m2, m3, m4)`);
+    adapter.deleteMemory(MemoryType.LONG_TERM, 'm3');
+    console.log(`  - Tags [a, b] after deleting m3: ${keys({ tags: ['a', 'b'] }, {})} (expected m1)`);
+    await adapter.close();
+    
+    const reopened = new SqliteStorageAdapter({ filename, logger });
+    await reopened.open();
+    console.log(`  - Memories after reopening: ${reopened.loadMemories().map(item => `${item.id}[${item.tags}]`).join(', ')}`);
+    
+    // A database from a newer release is refused
+    reopened.db.pragma(`user_version = ${latest + 1}`);
+    await reopened.close();
+    try {
+      await new SqliteStorageAdapter({ filename, logger }).open();
+      console.log('  - Newer schema opened: true');
+    } catch (error) {
+      console.log(`  - Newer schema refused: ${error.code}`);
+    }
+    fs.rmSync(filename, { force: true });
+    
+    // Plain rows are re-encrypted when an encrypting adapter loads them
+    const plain = new SqliteStorageAdapter({ filename, logger });
+    await plain.open();
+    await plain.saveAll([context('ctx-1', 1, { apiToken: 'tok-123' })], [], {
+      versions: new Map([['ctx-1', [{ version: 1, timestamp: 1001, author: 'user', reason: 'create', data: { apiToken: 'tok-123' } }]]])
+    });
+    plain.saveMemory({ ...memory('m1', ['secret'], 0.5, 100), content: 'tok-456' });
+    await plain.close();
+    
+    const encryption = new EnvelopeEncryption({ keyProvider });
+    const encrypted = new SqliteStorageAdapter({ filename, logger, encryption });
+    await encrypted.open();
+    const restored = await encrypted.loadAll();
+    const restoredVersions = await encrypted.loadVersions('ctx-1');
+    const restoredMemories = encrypted.loadMemories();
+    console.log(`  - Read before re-encryption: ${restored[0].data.apiToken}, ${restoredVersions[0].data.apiToken}, ${restoredMemories[0].content}`);
+    const rows = [
+      encrypted.db.prepare('SELECT body FROM contexts').get().body,
+      encrypted.db.prepare('SELECT body FROM context_versions').get().body,
+      encrypted.db.prepare('SELECT content FROM memories').get().content
+    ];
+    console.log(`  - Columns stored as BLOBs: ${rows.every(Buffer.isBuffer)}, plaintext left: ${rows.some(row => row.toString().includes('tok-'))}`);
+    console.log(`  - Memory tags still queryable: ${encrypted.queryMemoryKeys({ tags: ['secret'] }, types).length}`);
+    
+    // Moving an encrypted body to another row fails the integrity check
+    encrypted.db.prepare('INSERT INTO contexts SELECT \'ctx-copy\', created_at, updated_at, version, metadata, body FROM contexts').run();
+    try {
+      await encrypted.loadAll();
+      console.log('  - Copied body accepted: true');
+    } catch (error) {
+      console.log(`  - Copied body rejected: ${error.code}`);
+    }
+    encrypted.db.prepare('DELETE FROM contexts WHERE id = ?').run('ctx-copy');
+    await encrypted.close();
+    
+    // Without encryption configured, encrypted rows cannot be read
+    const unconfigured = new SqliteStorageAdapter({ filename, logger });
+    await unconfigured.open();
+    try {
+      await unconfigured.loadAll();
+      console.log('  - Encrypted rows read without a key: true');
+    } catch (error) {
+      console.log(`  - Encrypted rows without encryption configured: ${error.code}`);
+    }
+    await unconfigured.close();
+    
+    // Through ContextManager, memory queries use the SQL pushdown
+    const sqliteConfig = {
+      ...config,
+      storageType: 'sqlite',
+      storagePath,
+      persistInterval: 0,
+      privacySettings: { encryptStorage: true, masterKeyProvider: keyProvider }
+    };
+    const manager = new ContextManager(sqliteConfig);
+    await manager.initialize();
+    await manager.start();
+    manager.storeMemory('ctx-1', { type: MemoryType.LONG_TERM, content: 'Prefers short answers', tags: ['preference'] });
+    console.log(`  - Memories tagged preference via ContextManager: ${manager.queryMemories({ tags: ['preference'] }).length}`);
+    await manager.stop();
+  } finally {
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  }
+}
+
 // Run the tests
 runTests()
   .catch(err => {
@@ -5,7 +5,6 @@
  * for invoking AI models across different providers, architectures, and deployment environments.
  */
 
-const EventEmitter = require('events');
 const ModelRegistry = require('./model-management/ModelRegistry');
 const ProviderRegistry = require('./providers/ProviderRegistry');
 const RequestRouter = require('./orchestration/RequestRouter');
@@ -16,8 +15,10 @@ const MetricsCollector = require('./observability/MetricsCollector');
 const StreamManager = require('./execution/StreamManager');
 const { validateInvocationOptions, validateConfig } = require('./utils/validators');
 const { generateRequestId } = require('./utils/identifiers');
+const { ContextEventEmitter, runWithContext } = require('../../../core/src/utils/request-context');
+const { getTracer } = require('../../../core/src/utils/tracing');
 
-class ModelInvocationModule extends EventEmitter {
+class ModelInvocationModule extends ContextEventEmitter {
   /**
    * Creates a new instance of the ModelInvocationModule
    * @param {Object} options - Configuration options for the module
@@ -28,24 +29,27 @@ class ModelInvocationModule extends EventEmitter {
     // Initialize configuration
     this.configManager = new ConfigManager(options);
     this.config = this.configManager.getConfig();
+    this.tracer = options.tracer || getTracer();
     
     // Initialize core components
     this.modelRegistry = new ModelRegistry(this.config);
     this.providerRegistry = new ProviderRegistry(this.config);
     this.cacheManager = new CacheManager(this.config.caching);
     this.metricsCollector = new MetricsCollector(this.config.observability);
-    this.streamManager = new StreamManager(this.config.streaming);
+    this.streamManager = new StreamManager(this.config.streaming, { tracer: this.tracer });
     
     // Initialize orchestration components
     this.requestRouter = new RequestRouter({
       modelRegistry: this.modelRegistry,
       providerRegistry: this.providerRegistry,
-      config: this.config
+      config: this.config,
+      tracer: this.tracer
     });
     
     this.chainManager = new ChainManager({
       modelInvocationModule: this,
-      config: this.config
+      config: this.config,
+      tracer: this.tracer
     });
     
     // Active requests tracking
@@ -64,6 +68,9 @@ class ModelInvocationModule extends EventEmitter {
    */
   async _initialize() {
     try {
+      // Read the configuration file; components share the refreshed config object
+      await this.configManager.load();
+      
       // Load provider configurations
       await this.providerRegistry.loadProviders();
       
@@ -88,6 +95,11 @@ class ModelInvocationModule extends EventEmitter {
    * @private
    */
   _registerEventHandlers() {
+    // A model whose tokenizer is missing gets approximate token counts
+    this.modelRegistry.on('tokenizerFallback', (data) => {
+      this.emit('tokenizerFallback', data);
+    });
+    
     this.requestRouter.on('requestStarted', (data) => {
       this.emit('requestStarted', data);
       this.metricsCollector.recordRequestStart(data);
@@ -106,22 +118,60 @@ class ModelInvocationModule extends EventEmitter {
     });
   }
   
+  /**
+   * Build the request context that follows a request through routing, providers and caching
+   * @param {Object} options - Invocation options
+   * @param {string} requestId - ID of the request
+   * @returns {Object} - Context fields
+   * @private
+   */
+  _requestContext(options, requestId) {
+    return {
+      requestId,
+      userId: options.userId,
+      sessionId: options.sessionId,
+      traceId: options.traceId
+    };
+  }
+  
   /**
    * Invoke an AI model
    * @param {Object} options - Invocation options
    * @returns {Promise<Object>} - The model response
    */
   async invoke(options) {
+    // Generate a unique request ID
+    const requestId = (options && options.requestId) || generateRequestId();
+    
+    return runWithContext(this._requestContext(options || {}, requestId), () =>
+      this.tracer.withSpan('model.invoke', {
+        attributes: {
+          'request.id': requestId,
+          'model.id': options && options.model,
+          'provider.name': options && options.provider
+        }
+      }, () => this._invoke(options, requestId)));
+  }
+  
+  /**
+   * Invoke an AI model within the request context
+   * @param {Object} options - Invocation options
+   * @param {string} requestId - ID of the request
+   * @returns {Promise<Object>} - The model response
+   * @private
+   */
+  async _invoke(options, requestId) {
     try {
       // Validate options
       validateInvocationOptions(options);
       
-      // Generate a unique request ID
-      const requestId = options.requestId || generateRequestId();
-      
       // Check cache if enabled
       if (this.config.caching.enabled && !options.skipCache) {
-        const cachedResponse = this.cacheManager.get(options);
+        const cachedResponse = this.tracer.withSpan('cache.lookup', span => {
+          const cached = this.cacheManager.get(options);
+          span.setAttribute('cache.hit', Boolean(cached));
+          return cached;
+        });
         if (cachedResponse) {
           this.metricsCollector.recordCacheHit({
             requestId,
@@ -186,8 +236,9 @@ class ModelInvocationModule extends EventEmitter {
       // Track the active request
       this.activeRequests.set(requestId, request);
       
-      // Create and return the stream
-      return this.streamManager.createStream(request, this.requestRouter);
+      // Create and return the stream; work it starts keeps the request context
+      return runWithContext(this._requestContext(options, requestId),
+        () => this.streamManager.createStream(request, this.requestRouter));
     } catch (error) {
       this.metricsCollector.recordError({
         type: 'stream_invocation_error',
@@ -223,7 +274,10 @@ class ModelInvocationModule extends EventEmitter {
       
       // Execute batch requests
       const batchResponses = await Promise.all(
-        batchRequests.map(request => this.requestRouter.routeRequest(request))
+        batchRequests.map(request => runWithContext(
+          this._requestContext(request, request.requestId),
+          () => this.requestRouter.routeRequest(request)
+        ))
       );
       
       return batchResponses;
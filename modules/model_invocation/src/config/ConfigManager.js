@@ -1,238 +1,239 @@
 /**
  * ConfigManager for the Model Invocation Module
  * 
- * Manages configuration for the Model Invocation Module, including loading, validating,
- * and providing access to configuration values.
+ * Manages configuration for the Model Invocation Module as a view over the `model_invocation`
+ * section of the core ConfigLoader. The shared acip.config file, ACIP_ environment variables,
+ * file watching and saving are handled by the loader for every module alike.
  */
 
-const fs = require('fs');
-const path = require('path');
+const { ConfigLoader } = require('../../../../core/src/config/config-loader');
+const { ErrorCode, ValidationError } = require('../../../../core/src/errors/acip-error');
 const { validateConfig } = require('../utils/validators');
 
-class ConfigManager {
-  /**
-   * Creates a new ConfigManager instance
-   * @param {Object} options - Options including config overrides
-   */
-  constructor(options = {}) {
-    this.configPath = options.configPath || process.env.MODEL_INVOCATION_CONFIG_PATH;
-    this.config = this._loadConfig(options);
-  }
-  
-  /**
-   * Load and merge configuration from multiple sources
-   * @param {Object} options - Options including config overrides
-   * @returns {Object} - The merged configuration
-   * @private
-   */
-  _loadConfig(options) {
-    // Start with default configuration
-    let config = this._getDefaultConfig();
-    
-    // Load configuration from file if specified
-    if (this.configPath && fs.existsSync(this.configPath)) {
-      try {
-        const fileConfig = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
-        config = this._mergeConfigs(config, fileConfig);
-      } catch (error) {
-        console.error(`Error loading config file: ${error.message}`);
-      }
+/**
+ * Name of this module's section in the shared configuration
+ */
+const CONFIG_SECTION = 'model_invocation';
+
+/**
+ * Default configuration
+ */
+const DEFAULT_CONFIG = {
+  providers: {
+    openai: {
+      enabled: true,
+      apiKeyEnvVar: 'OPENAI_API_KEY',
+      baseUrl: 'https://api.openai.com/v1',
+      defaultModel: 'gpt-3.5-turbo',
+      requestTimeout: 30000
+    },
+    anthropic: {
+      enabled: false,
+      apiKeyEnvVar: 'ANTHROPIC_API_KEY',
+      baseUrl: 'https://api.anthropic.com',
+      defaultModel: 'claude-instant-1',
+      requestTimeout: 60000
+    },
+    localModels: {
+      enabled: false,
+      endpoints: {}
     }
-    
-    // Override with any options provided directly
-    if (options) {
-      config = this._mergeConfigs(config, options);
+  },
+  defaults: {
+    provider: 'openai',
+    parameters: {
+      temperature: 0.7,
+      topP: 1.0,
+      maxTokens: 1000
+    },
+    retryConfig: {
+      maxRetries: 3,
+      initialDelayMs: 1000,
+      maxDelayMs: 10000
     }
-    
-    // Process environment variables in config values
-    config = this._processEnvironmentVariables(config);
-    
-    // Validate the final configuration
-    try {
-      validateConfig(config);
-    } catch (error) {
-      console.error(`Configuration validation error: ${error.message}`);
-      throw error;
+  },
+  selectionStrategy: {
+    prioritizeBy: ['capability', 'cost', 'latency'],
+    costWeighting: 0.4,
+    latencyWeighting: 0.3,
+    capabilityWeighting: 0.3
+  },
+  caching: {
+    enabled: true,
+    ttlSeconds: 3600,
+    maxEntries: 1000,
+    excludeModels: []
+  },
+  optimization: {
+    requestBatching: {
+      enabled: true,
+      maxBatchSize: 20,
+      maxDelayMs: 50
+    },
+    compression: {
+      enabled: true,
+      threshold: 1024
+    }
+  },
+  streaming: {
+    defaultEnabled: true,
+    bufferSize: 1024
+  },
+  security: {
+    inputValidation: {
+      enabled: true,
+      maxContentLength: 100000
+    },
+    outputFiltering: {
+      enabled: false,
+      policies: []
+    }
+  },
+  observability: {
+    metrics: {
+      enabled: true,
+      detailedTokenUsage: true
+    },
+    logging: {
+      level: 'info',
+      includePrompts: false,
+      includeResponses: false
+    },
+    tracing: {
+      enabled: false,
+      sampleRate: 0.1
+    }
+  },
+  quotas: {
+    enabled: false,
+    defaultLimits: {
+      requestsPerMinute: 100,
+      tokensPerDay: 1000000
+    }
+  },
+  tokenizers: {
+    default: null,  // Tokenizer for models without a match below (null: the core registry's default, the bundled acip_base)
+    dataPath: null, // Directory with <name>.tiktoken vocabulary files, e.g. cl100k_base.tiktoken
+    models: {       // Model name patterns ('*' matches anything) -> tokenizer; the longest match wins
+      'gpt-4o*': 'o200k_base',
+      'o1*': 'o200k_base',
+      'o3*': 'o200k_base',
+      'gpt-4*': 'cl100k_base',
+      'gpt-3.5*': 'cl100k_base',
+      'text-embedding-3*': 'cl100k_base',
+      'text-embedding-ada-002': 'cl100k_base'
     }
-    
-    return config;
   }
-  
-  /**
-   * Gets the default configuration
-   * @returns {Object} - The default configuration
-   * @private
-   */
-  _getDefaultConfig() {
-    return {
-      providers: {
-        openai: {
-          enabled: true,
-          apiKeyEnvVar: 'OPENAI_API_KEY',
-          baseUrl: 'https://api.openai.com/v1',
-          defaultModel: 'gpt-3.5-turbo',
-          requestTimeout: 30000
-        },
-        anthropic: {
-          enabled: false,
-          apiKeyEnvVar: 'ANTHROPIC_API_KEY',
-          baseUrl: 'https://api.anthropic.com',
-          defaultModel: 'claude-instant-1',
-          requestTimeout: 60000
-        },
-        localModels: {
-          enabled: false,
-          endpoints: {}
+};
+
+/**
+ * JSON Schema for the parts of the configuration with a fixed shape
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    providers: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          apiKey: { type: 'string' },
+          apiKeyEnvVar: { type: 'string' },
+          baseUrl: { type: 'string' },
+          defaultModel: { type: 'string' },
+          requestTimeout: { type: 'integer', minimum: 0 }
         }
-      },
-      defaults: {
-        provider: 'openai',
-        parameters: {
-          temperature: 0.7,
-          topP: 1.0,
-          maxTokens: 1000
-        },
+      }
+    },
+    defaults: {
+      type: 'object',
+      properties: {
+        provider: { type: 'string' },
+        parameters: { type: 'object' },
         retryConfig: {
-          maxRetries: 3,
-          initialDelayMs: 1000,
-          maxDelayMs: 10000
-        }
-      },
-      selectionStrategy: {
-        prioritizeBy: ['capability', 'cost', 'latency'],
-        costWeighting: 0.4,
-        latencyWeighting: 0.3,
-        capabilityWeighting: 0.3
-      },
-      caching: {
-        enabled: true,
-        ttlSeconds: 3600,
-        maxEntries: 1000,
-        excludeModels: []
-      },
-      optimization: {
-        requestBatching: {
-          enabled: true,
-          maxBatchSize: 20,
-          maxDelayMs: 50
-        },
-        compression: {
-          enabled: true,
-          threshold: 1024
-        }
-      },
-      streaming: {
-        defaultEnabled: true,
-        bufferSize: 1024
-      },
-      security: {
-        inputValidation: {
-          enabled: true,
-          maxContentLength: 100000
-        },
-        outputFiltering: {
-          enabled: false,
-          policies: []
-        }
-      },
-      observability: {
-        metrics: {
-          enabled: true,
-          detailedTokenUsage: true
-        },
-        logging: {
-          level: 'info',
-          includePrompts: false,
-          includeResponses: false
-        },
-        tracing: {
-          enabled: false,
-          sampleRate: 0.1
-        }
-      },
-      quotas: {
-        enabled: false,
-        defaultLimits: {
-          requestsPerMinute: 100,
-          tokensPerDay: 1000000
+          type: 'object',
+          properties: {
+            maxRetries: { type: 'integer', minimum: 0 },
+            initialDelayMs: { type: 'integer', minimum: 0 },
+            maxDelayMs: { type: 'integer', minimum: 0 }
+          }
         }
       }
-    };
+    },
+    caching: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        ttlSeconds: { type: 'integer', minimum: 0 },
+        maxEntries: { type: 'integer', minimum: 0 },
+        excludeModels: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    tokenizers: {
+      type: 'object',
+      properties: {
+        default: { type: ['string', 'null'] },
+        dataPath: { type: ['string', 'null'] },
+        models: { type: 'object', additionalProperties: { type: 'string' } }
+      }
+    }
   }
-  
+};
+
+class ConfigManager {
   /**
-   * Deep merge two configuration objects
-   * @param {Object} target - Target object to merge into
-   * @param {Object} source - Source object to merge from
-   * @returns {Object} - Merged configuration
-   * @private
+   * Creates a new ConfigManager instance
+   * @param {Object} options - Options including config overrides
+   * @param {ConfigLoader} [options.configLoader] - Shared core loader; this module reads its `model_invocation` section
+   * @param {string} [options.configPath] - Module-only configuration file holding this module's settings at its top level
    */
-  _mergeConfigs(target, source) {
-    const output = { ...target };
+  constructor(options = {}) {
+    const {
+      configLoader,
+      configPath = process.env.MODEL_INVOCATION_CONFIG_PATH,
+      watchConfig,
+      logger,
+      ...overrides
+    } = options;
     
-    for (const key in source) {
-      if (Object.prototype.hasOwnProperty.call(source, key)) {
-        if (
-          source[key] &&
-          typeof source[key] === 'object' &&
-          !Array.isArray(source[key]) &&
-          target[key] &&
-          typeof target[key] === 'object' &&
-          !Array.isArray(target[key])
-        ) {
-          // Recursively merge objects
-          output[key] = this._mergeConfigs(target[key], source[key]);
-        } else {
-          // For arrays and primitives, overwrite
-          output[key] = source[key];
-        }
-      }
-    }
+    this.configPath = configPath;
+    this.loader = configLoader || new ConfigLoader({ configPath, watchConfig }, logger);
+    
+    // Options given directly take precedence over the configuration file
+    this.section = this.loader.section(configLoader || !configPath ? CONFIG_SECTION : null, {
+      defaults: DEFAULT_CONFIG,
+      schema: CONFIG_SCHEMA,
+      overrides
+    });
     
-    return output;
+    // Components keep a reference to this object, so it is refreshed in place
+    this.config = {};
+    this._refresh();
   }
   
   /**
-   * Process environment variables in configuration strings
-   * @param {Object} config - The configuration object
-   * @returns {Object} - Processed configuration
-   * @private
+   * Load the configuration file through the loader
+   * @param {boolean} [reload=false] - Whether to reload a shared loader that has already loaded
+   * @returns {Promise<Object>} - The loaded configuration
    */
-  _processEnvironmentVariables(config) {
-    const processValue = (value) => {
-      if (typeof value === 'string' && value.startsWith('${') && value.endsWith('}')) {
-        const envVar = value.slice(2, -1);
-        return process.env[envVar] || '';
-      }
-      return value;
-    };
-    
-    const processObject = (obj) => {
-      const processed = {};
-      
-      for (const key in obj) {
-        if (Object.prototype.hasOwnProperty.call(obj, key)) {
-          const value = obj[key];
-          
-          if (value && typeof value === 'object' && !Array.isArray(value)) {
-            processed[key] = processObject(value);
-          } else if (Array.isArray(value)) {
-            processed[key] = value.map(item => {
-              if (item && typeof item === 'object') {
-                return processObject(item);
-              }
-              return processValue(item);
-            });
-          } else {
-            processed[key] = processValue(value);
-          }
-        }
-      }
-      
-      return processed;
-    };
+  async load(reload = false) {
+    await this.section.load(reload);
+    this._refresh();
     
-    return processObject(config);
+    return this.config;
+  }
+  
+  /**
+   * Register a callback for configuration changes picked up by the loader
+   * @param {Function} callback - Called with the new configuration and the list of changes
+   * @returns {Function} - Function that removes the callback
+   */
+  onConfigChange(callback) {
+    return this.section.onChange((config, changes) => {
+      this._refresh();
+      callback(this.config, changes);
+    });
   }
   
   /**
@@ -268,36 +269,45 @@ class ConfigManager {
    * @param {Object} updates - Configuration updates
    */
   updateConfig(updates) {
-    this.config = this._mergeConfigs(this.config, updates);
+    this.section.update(updates);
+    this._refresh();
   }
   
   /**
    * Save the current configuration to a file
    * @param {string} filePath - Path to save the configuration to
-   * @returns {boolean} - Whether the save was successful
+   * @returns {Promise<boolean>} - Whether the save was successful
    */
-  saveConfig(filePath) {
-    filePath = filePath || this.configPath;
-    
-    if (!filePath) {
-      throw new Error('No file path provided for saving configuration');
+  async saveConfig(filePath) {
+    if (!filePath && !this.loader.configPath) {
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'No file path provided for saving configuration');
     }
     
     try {
-      // Create directory if it doesn't exist
-      const dir = path.dirname(filePath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      
-      // Write the configuration to file
-      fs.writeFileSync(filePath, JSON.stringify(this.config, null, 2), 'utf8');
+      await this.section.save(filePath);
       return true;
     } catch (error) {
       console.error(`Error saving configuration: ${error.message}`);
       return false;
     }
   }
+  
+  /**
+   * Replace the contents of the configuration object with the current section
+   * @private
+   */
+  _refresh() {
+    const config = this.section.get();
+    
+    // Validate the final configuration
+    validateConfig(config);
+    
+    for (const key of Object.keys(this.config)) {
+      delete this.config[key];
+    }
+    
+    Object.assign(this.config, config);
+  }
 }
 
-module.exports = ConfigManager; 
\ No newline at end of file
+module.exports = ConfigManager;
\ No newline at end of file
@@ -7,13 +7,18 @@
 
 const EventEmitter = require('events');
 const { generateRequestId } = require('../utils/identifiers');
+const { getTracer } = require('../../../../core/src/utils/tracing');
+const { ErrorCode, ServiceError } = require('../../../../core/src/errors/acip-error');
 
 class StreamManager {
   /**
    * Creates a new StreamManager instance
    * @param {Object} config - Stream configuration
+   * @param {Object} [options] - Stream manager options
+   * @param {Tracer} [options.tracer] - Tracer for stream spans, defaults to the global tracer
    */
-  constructor(config = {}) {
+  constructor(config = {}, options = {}) {
+    this.tracer = options.tracer || getTracer();
     this.bufferSize = config.bufferSize || 1024;
     this.streamTimeoutMs = config.streamTimeoutMs || 60000; // Default 60s timeout
     this.activeStreams = new Map();
@@ -38,18 +43,28 @@ class StreamManager {
     // Create stream-specific event emitter
     const streamEmitter = new EventEmitter();
     
+    // The stream span stays open until the provider stream ends or fails
+    const span = this.tracer.startSpan('stream', {
+      attributes: {
+        'request.id': streamId,
+        'model.id': request.model,
+        'provider.name': request.provider
+      }
+    });
+    
     // Update metrics
     this.streamMetrics.created++;
     this.streamMetrics.active++;
     
     try {
       // Start streaming request
-      this._handleStream(streamId, request, router, streamEmitter);
+      this.tracer.activate(span, () => this._handleStream(streamId, request, router, streamEmitter));
       
       // Store the stream in active streams
       this.activeStreams.set(streamId, {
         emitter: streamEmitter,
         request,
+        span,
         startTime: Date.now(),
         chunkCount: 0,
         completed: false
@@ -58,6 +73,8 @@ class StreamManager {
       // Return the emitter for the consumer to listen to
       return streamEmitter;
     } catch (error) {
+      span.recordException(error);
+      span.end();
       this._cleanupStream(streamId, error);
       streamEmitter.emit('error', error);
       throw error;
@@ -76,7 +93,7 @@ class StreamManager {
     try {
       // Set up timeout for the stream
       const timeoutId = setTimeout(() => {
-        const error = new Error(`Stream timeout after ${this.streamTimeoutMs}ms`);
+        const error = new ServiceError(ErrorCode.SERVICE_TIMEOUT, `Stream timeout after ${this.streamTimeoutMs}ms`, { details: { streamId } });
         this._emitErrorAndCleanup(streamId, streamEmitter, error);
       }, this.streamTimeoutMs);
       
@@ -97,6 +114,10 @@ class StreamManager {
         // Update metrics
         const stream = this.activeStreams.get(streamId);
         if (stream) {
+          if (stream.chunkCount === 0) {
+            stream.span.addEvent('first_chunk');
+          }
+          
           stream.chunkCount++;
           stream.lastActivity = Date.now();
         }
@@ -172,6 +193,13 @@ class StreamManager {
       clearTimeout(stream.timeoutId);
     }
     
+    // Close the stream span
+    stream.span.setAttribute('stream.chunk_count', stream.chunkCount);
+    if (error) {
+      stream.span.recordException(error);
+    }
+    stream.span.end();
+    
     // Remove from active streams
     this.activeStreams.delete(streamId);
     
@@ -202,7 +230,7 @@ class StreamManager {
     }
     
     // Create cancellation error
-    const error = new Error('Stream cancelled by user');
+    const error = new ServiceError(ErrorCode.SERVICE_UNAVAILABLE, 'Stream cancelled by user', { details: { streamId } });
     
     // Emit error and clean up
     this._emitErrorAndCleanup(streamId, stream.emitter, error);
@@ -6,6 +6,8 @@
  */
 
 const EventEmitter = require('events');
+const { ErrorCode, ValidationError } = require('../../../../core/src/errors/acip-error');
+const { getTracer } = require('../../../../core/src/utils/tracing');
 
 class RateLimiter {
   /**
@@ -15,8 +17,12 @@ class RateLimiter {
   constructor(options = {}) {
     this.config = options.config || {};
     this.metricsCollector = options.metricsCollector;
+    this.tracer = options.tracer || getTracer();
     this.events = new EventEmitter();
     
+    // Optional shared state namespace (core StateManager view) used to persist quotas
+    this.stateManager = options.stateManager || null;
+    
     // Rate limiting windows and storage
     this.windowSizes = {
       second: 1000,
@@ -50,9 +56,25 @@ class RateLimiter {
    */
   async checkRateLimit(request) {
     if (!request) {
-      throw new Error('Request is required');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Request is required');
     }
     
+    return this.tracer.withSpan('rate_limit', {
+      attributes: { 'request.id': request.requestId, 'model.id': request.modelId }
+    }, async span => {
+      const result = await this._checkRateLimit(request);
+      span.setAttribute('rate_limit.allowed', result.allowed);
+      return result;
+    });
+  }
+  
+  /**
+   * Check the rate limits for a validated request
+   * @param {Object} request - The request to check
+   * @returns {Promise<Object>} - Result with allowed status and limits info
+   * @private
+   */
+  async _checkRateLimit(request) {
     // Extract identifiers for rate limiting
     const userId = this._extractUserId(request);
     const appId = this._extractAppId(request);
@@ -279,7 +301,7 @@ class RateLimiter {
    */
   getUserUsage(userId) {
     if (!userId) {
-      throw new Error('User ID is required');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'User ID is required');
     }
     
     const usage = {
@@ -321,11 +343,11 @@ class RateLimiter {
    */
   setUserQuota(userId, quota) {
     if (!userId) {
-      throw new Error('User ID is required');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'User ID is required');
     }
     
     if (!quota) {
-      throw new Error('Quota configuration is required');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Quota configuration is required');
     }
     
     // Get existing quota or create new one
@@ -347,6 +369,7 @@ class RateLimiter {
     
     // Store quota
     this.userQuotas.set(userId, newQuota);
+    this._persistQuota(userId, newQuota);
     
     // Emit quota updated event
     this.events.emit('quota:updated', {
@@ -387,6 +410,7 @@ class RateLimiter {
       quota.tokensUsed = 0;
       quota.tokensRemaining = quota.tokensTotal;
       this.userQuotas.set(userId, quota);
+      this._persistQuota(userId, quota);
     }
     
     // Emit usage reset event
@@ -398,6 +422,27 @@ class RateLimiter {
     return true;
   }
   
+  /**
+   * Restore user quotas from the shared state store
+   * @returns {Promise<number>} - Number of quotas restored
+   */
+  async restoreQuotas() {
+    if (!this.stateManager) {
+      return 0;
+    }
+    
+    const userIds = await this.stateManager.keys();
+    
+    for (const userId of userIds) {
+      const quota = await this.stateManager.get(userId);
+      if (quota) {
+        this.userQuotas.set(userId, quota);
+      }
+    }
+    
+    return userIds.length;
+  }
+  
   /**
    * Get all current rate limits for a given user/app/model combination
    * @param {string} userId - User ID
@@ -673,6 +718,7 @@ class RateLimiter {
     
     // Store updated quota
     this.userQuotas.set(userId, quota);
+    this._persistQuota(userId, quota);
     
     // Check if quota has been exceeded
     if (quota.tokensRemaining <= 0) {
@@ -687,6 +733,22 @@ class RateLimiter {
     return quota;
   }
   
+  /**
+   * Write a quota through to the shared state store, if configured
+   * @param {string} userId - User ID
+   * @param {Object} quota - Quota to persist
+   * @private
+   */
+  _persistQuota(userId, quota) {
+    if (!this.stateManager) {
+      return;
+    }
+    
+    this.stateManager.set(userId, quota).catch(error => {
+      this.events.emit('quota:persistFailed', { userId, error, timestamp: Date.now() });
+    });
+  }
+  
   /**
    * Get count of requests in a time window
    * @param {string} key - Storage key
@@ -3,10 +3,15 @@
  * 
  * Manages the registry of available AI models across providers.
  * Handles model discovery, registration, and capabilities tracking.
+ * Also selects the tokenizer for each model. Counts match what the provider
+ * bills only when the provider's vocabulary is in `tokenizers.dataPath`;
+ * otherwise the bundled acip_base tokenizer gives approximate counts.
  */
 
 const EventEmitter = require('events');
 const { generateModelId, parseModelId } = require('../utils/identifiers');
+const { ErrorCode, ValidationError } = require('../../../../core/src/errors/acip-error');
+const { TokenizerRegistry, countTokens, tokenizers } = require('../../../../core/src/tokenizers');
 
 class ModelRegistry extends EventEmitter {
   /**
@@ -19,6 +24,17 @@ class ModelRegistry extends EventEmitter {
     this.models = new Map();
     this.modelsByProvider = new Map();
     this.modelCapabilities = new Map();
+    
+    // Tokenizer selection: a registry of tokenizers and model name patterns mapped to them
+    const tokenizerConfig = (config && config.tokenizers) || {};
+    this.tokenizers = (config && config.tokenizerRegistry) || (tokenizerConfig.dataPath || tokenizerConfig.default
+      ? new TokenizerRegistry({ dataPath: tokenizerConfig.dataPath, defaultTokenizer: tokenizerConfig.default })
+      : tokenizers);
+    this.tokenizerPatterns = Object.entries(tokenizerConfig.models || {})
+      .map(([pattern, tokenizer]) => ({ pattern, tokenizer, regex: this._patternToRegex(pattern) }))
+      .sort((a, b) => b.pattern.length - a.pattern.length);
+    this.unavailableTokenizers = new Set();
+    this.unmappedModels = new Set();
   }
   
   /**
@@ -73,7 +89,7 @@ class ModelRegistry extends EventEmitter {
     
     // Validate required properties
     if (!id || !providerId) {
-      throw new Error('Model ID and provider ID are required');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Model ID and provider ID are required');
     }
     
     // Create or update the model entry
@@ -318,6 +334,82 @@ class ModelRegistry extends EventEmitter {
     return this.models.has(modelId);
   }
   
+  /**
+   * Get the name of the tokenizer for a model
+   * 
+   * Uses the model's `properties.tokenizer` if set, otherwise the longest
+   * matching pattern in the `tokenizers.models` configuration. Falls back to
+   * the default tokenizer when no pattern matches, or when the selected
+   * tokenizer is not available, e.g. because its vocabulary file is missing.
+   * A 'tokenizerFallback' event is emitted once per unmapped model and once
+   * per missing tokenizer; unmapped models are reported with `tokenizer: null`.
+   * 
+   * @param {string} modelId - Model ID (provider:model) or model name
+   * @returns {string} - Tokenizer name
+   */
+  getTokenizerName(modelId) {
+    const model = this.getModel(modelId);
+    let name = model && model.properties && model.properties.tokenizer;
+    
+    if (!name) {
+      const { modelName } = parseModelId(modelId);
+      const match = this.tokenizerPatterns.find(({ regex }) => regex.test(modelName || modelId) || regex.test(modelId));
+      
+      if (!match) {
+        if (!this.unmappedModels.has(modelId)) {
+          this.unmappedModels.add(modelId);
+          this.emit('tokenizerFallback', {
+            modelId,
+            tokenizer: null,
+            fallback: this.tokenizers.defaultTokenizer
+          });
+        }
+        
+        return this.tokenizers.defaultTokenizer;
+      }
+      
+      name = match.tokenizer;
+    }
+    
+    if (!this.tokenizers.has(name)) {
+      if (!this.unavailableTokenizers.has(name)) {
+        this.unavailableTokenizers.add(name);
+        this.emit('tokenizerFallback', {
+          modelId,
+          tokenizer: name,
+          fallback: this.tokenizers.defaultTokenizer
+        });
+      }
+      
+      return this.tokenizers.defaultTokenizer;
+    }
+    
+    return name;
+  }
+  
+  /**
+   * Get the tokenizer for a model
+   * @param {string} modelId - Model ID (provider:model) or model name
+   * @returns {Object} - Tokenizer with a count(text) method
+   */
+  getTokenizer(modelId) {
+    return this.tokenizers.get(this.getTokenizerName(modelId));
+  }
+  
+  /**
+   * Count tokens with a model's tokenizer
+   * 
+   * The count matches the provider's only when getTokenizerName() selects the
+   * provider's vocabulary; after a 'tokenizerFallback' it is approximate.
+   * 
+   * @param {string} modelId - Model ID (provider:model) or model name
+   * @param {string|Object} content - Text, or a JSON value whose text values are counted
+   * @returns {number} - Token count
+   */
+  countTokens(modelId, content) {
+    return countTokens(content, this.getTokenizer(modelId));
+  }
+  
   /**
    * Find the best matching model based on criteria
    * @param {Object} criteria - Selection criteria
@@ -361,6 +453,17 @@ class ModelRegistry extends EventEmitter {
     // with more sophisticated selection logic
     return candidates[0];
   }
+  
+  /**
+   * Convert a model name pattern ('*' matches anything) to a regular expression
+   * @param {string} pattern - Model name pattern
+   * @returns {RegExp} - Regular expression matching the whole name
+   * @private
+   */
+  _patternToRegex(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
+  }
 }
 
 module.exports = ModelRegistry; 
\ No newline at end of file
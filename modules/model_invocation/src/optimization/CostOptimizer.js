@@ -6,6 +6,8 @@
  */
 
 const EventEmitter = require('events');
+const { ErrorCode, ValidationError } = require('../../../../core/src/errors/acip-error');
+const { getTracer } = require('../../../../core/src/utils/tracing');
 
 class CostOptimizer {
   /**
@@ -17,6 +19,7 @@ class CostOptimizer {
     this.cacheManager = options.cacheManager;
     this.metricsCollector = options.metricsCollector;
     this.config = options.config || {};
+    this.tracer = options.tracer || getTracer();
     this.events = new EventEmitter();
     
     // Initialize optimization strategies
@@ -63,7 +66,7 @@ class CostOptimizer {
    */
   async optimizeRequest(request, options = {}) {
     if (!request) {
-      throw new Error('Request is required for optimization');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Request is required for optimization');
     }
     
     // Skip optimization if explicitly disabled
@@ -71,6 +74,25 @@ class CostOptimizer {
       return request;
     }
     
+    return this.tracer.withSpan('cost_optimization', {
+      attributes: { 'request.id': request.requestId, 'model.id': request.modelId }
+    }, async span => {
+      const optimizedRequest = await this._optimizeRequest(request, options);
+      span.setAttribute('optimization.model_id', optimizedRequest.modelId);
+      span.setAttribute('optimization.batched', Boolean(optimizedRequest.optimizationResults.batchProcessing &&
+        optimizedRequest.optimizationResults.batchProcessing.batched));
+      return optimizedRequest;
+    });
+  }
+  
+  /**
+   * Apply the enabled optimization strategies to a request
+   * @param {Object} request - The original model request
+   * @param {Object} options - Optimization options
+   * @returns {Promise<Object>} - The optimized request
+   * @private
+   */
+  async _optimizeRequest(request, options) {
     // Create a copy of the request to optimize
     const originalRequest = { ...request };
     let optimizedRequest = { ...request };
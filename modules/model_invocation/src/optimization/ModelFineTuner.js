@@ -7,6 +7,7 @@
 
 const EventEmitter = require('events');
 const { generateId } = require('../utils/identifiers');
+const { ErrorCode, ResourceError, ValidationError } = require('../../../../core/src/errors/acip-error');
 
 class ModelFineTuner {
   /**
@@ -47,17 +48,17 @@ class ModelFineTuner {
     // Check if model supports fine-tuning
     const model = await this.modelRegistry.getModel(options.baseModelId);
     if (!model) {
-      throw new Error(`Model not found: ${options.baseModelId}`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Model not found: ${options.baseModelId}`, { details: { modelId: options.baseModelId } });
     }
     
     if (!model.capabilities?.includes('fine-tuning')) {
-      throw new Error(`Model ${options.baseModelId} does not support fine-tuning`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Model ${options.baseModelId} does not support fine-tuning`);
     }
     
     // Get the provider
     const provider = this.providerRegistry.getProvider(model.providerId);
     if (!provider || !provider.supportsFineTuning) {
-      throw new Error(`Provider ${model.providerId} does not support fine-tuning`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Provider ${model.providerId} does not support fine-tuning`);
     }
     
     // Create job object
@@ -99,18 +100,18 @@ class ModelFineTuner {
     // Get the job
     const job = this.activeJobs.get(jobId);
     if (!job) {
-      throw new Error(`Fine-tuning job not found: ${jobId}`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Fine-tuning job not found: ${jobId}`, { details: { jobId } });
     }
     
     // Check if the job can be started
     if (job.status !== 'created') {
-      throw new Error(`Fine-tuning job ${jobId} cannot be started (status: ${job.status})`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Fine-tuning job ${jobId} cannot be started (status: ${job.status})`, { details: { jobId, status: job.status } });
     }
     
     // Get the provider
     const provider = this.providerRegistry.getProvider(job.providerId);
     if (!provider) {
-      throw new Error(`Provider not found: ${job.providerId}`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Provider not found: ${job.providerId}`, { details: { providerId: job.providerId } });
     }
     
     try {
@@ -180,18 +181,18 @@ class ModelFineTuner {
     // Get the job
     const job = this.activeJobs.get(jobId);
     if (!job) {
-      throw new Error(`Fine-tuning job not found: ${jobId}`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Fine-tuning job not found: ${jobId}`, { details: { jobId } });
     }
     
     // Check if the job can be cancelled
     if (job.status !== 'running') {
-      throw new Error(`Fine-tuning job ${jobId} cannot be canceled (status: ${job.status})`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Fine-tuning job ${jobId} cannot be canceled (status: ${job.status})`, { details: { jobId, status: job.status } });
     }
     
     // Get the provider
     const provider = this.providerRegistry.getProvider(job.providerId);
     if (!provider) {
-      throw new Error(`Provider not found: ${job.providerId}`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Provider not found: ${job.providerId}`, { details: { providerId: job.providerId } });
     }
     
     try {
@@ -240,7 +241,7 @@ class ModelFineTuner {
       return this.jobHistory.get(jobId);
     }
     
-    throw new Error(`Fine-tuning job not found: ${jobId}`);
+    throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Fine-tuning job not found: ${jobId}`, { details: { jobId } });
   }
   
   /**
@@ -334,13 +335,13 @@ class ModelFineTuner {
     // Get the job
     const job = this.activeJobs.get(jobId);
     if (!job) {
-      throw new Error(`Fine-tuning job not found: ${jobId}`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Fine-tuning job not found: ${jobId}`, { details: { jobId } });
     }
     
     // Get the provider
     const provider = this.providerRegistry.getProvider(job.providerId);
     if (!provider) {
-      throw new Error(`Provider not found: ${job.providerId}`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Provider not found: ${job.providerId}`, { details: { providerId: job.providerId } });
     }
     
     // Get the current status from the provider
@@ -500,23 +501,23 @@ class ModelFineTuner {
    */
   _validateJobOptions(options) {
     if (!options) {
-      throw new Error('Fine-tuning job options are required');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Fine-tuning job options are required');
     }
     
     if (!options.baseModelId) {
-      throw new Error('Base model ID is required');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Base model ID is required');
     }
     
     if (!options.type) {
-      throw new Error('Fine-tuning type is required');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Fine-tuning type is required');
     }
     
     if (!this.supportedTypes[options.type]) {
-      throw new Error(`Unsupported fine-tuning type: ${options.type}`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Unsupported fine-tuning type: ${options.type}`, { details: { type: options.type } });
     }
     
     if (!options.trainingData || !Array.isArray(options.trainingData) || options.trainingData.length === 0) {
-      throw new Error('Training data is required and must be a non-empty array');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Training data is required and must be a non-empty array');
     }
   }
   
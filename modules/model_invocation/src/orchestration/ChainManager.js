@@ -8,6 +8,8 @@
 
 const EventEmitter = require('events');
 const { generateChainId } = require('../utils/identifiers');
+const { getTracer } = require('../../../../core/src/utils/tracing');
+const { ErrorCode, ResourceError, ValidationError, createError } = require('../../../../core/src/errors/acip-error');
 
 class ChainManager {
   /**
@@ -17,6 +19,7 @@ class ChainManager {
   constructor(options) {
     this.modelInvocationModule = options.modelInvocationModule;
     this.config = options.config;
+    this.tracer = options.tracer || getTracer();
     this.activeChains = new Map();
     this.chainDefinitions = new Map();
   }
@@ -83,12 +86,12 @@ class ChainManager {
     const chainState = this.activeChains.get(chainId);
     
     if (!chainState) {
-      throw new Error(`Chain ${chainId} not found`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Chain ${chainId} not found`, { details: { chainId } });
     }
     
     // Check if chain is already running
     if (chainState.status === 'running') {
-      throw new Error(`Chain ${chainId} is already running`);
+      throw new ResourceError(ErrorCode.RESOURCE_ALREADY_EXISTS, `Chain ${chainId} is already running`, { details: { chainId } });
     }
     
     // Initialize chain execution
@@ -109,7 +112,7 @@ class ChainManager {
       const firstStep = this._getFirstStep(chainState.definition);
       
       if (!firstStep) {
-        throw new Error(`Chain ${chainId} has no valid starting step`);
+        throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Chain ${chainId} has no valid starting step`, { details: { chainId } });
       }
       
       // Execute the chain from the first step
@@ -183,7 +186,7 @@ class ChainManager {
     const chainState = this.activeChains.get(chainId);
     
     if (!chainState) {
-      throw new Error(`Chain ${chainId} not found`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Chain ${chainId} not found`, { details: { chainId } });
     }
     
     return {
@@ -242,29 +245,14 @@ class ChainManager {
     });
     
     try {
-      let result;
-      
-      // Execute step based on type
-      switch (step.type) {
-        case 'model':
-          result = await this._executeModelStep(chainState, step);
-          break;
-          
-        case 'transform':
-          result = await this._executeTransformStep(chainState, step);
-          break;
-          
-        case 'condition':
-          result = await this._executeConditionStep(chainState, step);
-          break;
-          
-        case 'output':
-          result = await this._executeOutputStep(chainState, step);
-          break;
-          
-        default:
-          throw new Error(`Unknown step type: ${step.type}`);
-      }
+      // Execute the step in its own span so later steps are not counted in its latency
+      const result = await this.tracer.withSpan('chain.step', {
+        attributes: {
+          'chain.id': chainState.id,
+          'chain.step.id': step.id,
+          'chain.step.type': step.type
+        }
+      }, () => this._runStep(chainState, step));
       
       // Store step result
       chainState.results[step.id] = result;
@@ -282,7 +270,7 @@ class ChainManager {
         const nextStep = chainState.definition.steps[step.next];
         
         if (!nextStep) {
-          throw new Error(`Next step ${step.next} not found in chain definition`);
+          throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Next step ${step.next} not found in chain definition`, { details: { stepId: step.id, next: step.next } });
         }
         
         return this._executeStep(chainState, nextStep);
@@ -304,6 +292,32 @@ class ChainManager {
     }
   }
   
+  /**
+   * Execute a single step based on its type
+   * @param {Object} chainState - The current chain state
+   * @param {Object} step - The step to execute
+   * @returns {Promise<*>} - The step result
+   * @private
+   */
+  async _runStep(chainState, step) {
+    switch (step.type) {
+      case 'model':
+        return this._executeModelStep(chainState, step);
+        
+      case 'transform':
+        return this._executeTransformStep(chainState, step);
+        
+      case 'condition':
+        return this._executeConditionStep(chainState, step);
+        
+      case 'output':
+        return this._executeOutputStep(chainState, step);
+        
+      default:
+        throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Unknown step type: ${step.type}`, { details: { stepId: step.id, type: step.type } });
+    }
+  }
+  
   /**
    * Execute a model invocation step
    * @param {Object} chainState - The current chain state
@@ -354,7 +368,7 @@ class ChainManager {
         
         return transformFn(inputData, chainState.variables, chainState.results);
       } catch (error) {
-        throw new Error(`Error in transform step ${step.id}: ${error.message}`);
+        throw createError(ErrorCode.INTERNAL_ERROR, `Error in transform step ${step.id}: ${error.message}`, { cause: error, details: { stepId: step.id } });
       }
     }
     
@@ -390,7 +404,7 @@ class ChainManager {
         
         conditionResult = conditionFn(inputData, chainState.variables, chainState.results);
       } catch (error) {
-        throw new Error(`Error in condition step ${step.id}: ${error.message}`);
+        throw createError(ErrorCode.INTERNAL_ERROR, `Error in condition step ${step.id}: ${error.message}`, { cause: error, details: { stepId: step.id } });
       }
     }
     
@@ -430,7 +444,7 @@ class ChainManager {
         
         return formatFn(inputData, chainState.variables, chainState.results);
       } catch (error) {
-        throw new Error(`Error in output step ${step.id}: ${error.message}`);
+        throw createError(ErrorCode.INTERNAL_ERROR, `Error in output step ${step.id}: ${error.message}`, { cause: error, details: { stepId: step.id } });
       }
     }
     
@@ -583,7 +597,7 @@ class ChainManager {
       const definition = this.chainDefinitions.get(chainConfig);
       
       if (!definition) {
-        throw new Error(`Chain definition not found: ${chainConfig}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Chain definition not found: ${chainConfig}`);
       }
       
       return { definition, name: chainConfig };
@@ -593,7 +607,7 @@ class ChainManager {
         const definition = this.chainDefinitions.get(chainConfig.name);
         
         if (!definition) {
-          throw new Error(`Chain definition not found: ${chainConfig.name}`);
+          throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Chain definition not found: ${chainConfig.name}`);
         }
         
         return { definition, name: chainConfig.name };
@@ -611,7 +625,7 @@ class ChainManager {
       return { definition: chainConfig, name: chainConfig.name };
     }
     
-    throw new Error('Invalid chain configuration');
+    throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Invalid chain configuration');
   }
   
   /**
@@ -622,25 +636,25 @@ class ChainManager {
    */
   _validateChainDefinition(definition) {
     if (!definition || typeof definition !== 'object') {
-      throw new Error('Chain definition must be an object');
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Chain definition must be an object');
     }
     
     if (!definition.steps || typeof definition.steps !== 'object') {
-      throw new Error('Chain definition must have a steps object');
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Chain definition must have a steps object');
     }
     
     // Ensure all steps have IDs and types
     const stepIds = Object.keys(definition.steps);
     
     if (stepIds.length === 0) {
-      throw new Error('Chain must have at least one step');
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Chain must have at least one step');
     }
     
     for (const stepId of stepIds) {
       const step = definition.steps[stepId];
       
       if (!step.type) {
-        throw new Error(`Step ${stepId} must have a type`);
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, `Step ${stepId} must have a type`, { details: { stepId } });
       }
       
       // Set the ID on the step object
@@ -650,19 +664,19 @@ class ChainManager {
       switch (step.type) {
         case 'model':
           if (!step.request && !step.templateMessages) {
-            throw new Error(`Model step ${stepId} must have a request or templateMessages`);
+            throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, `Model step ${stepId} must have a request or templateMessages`, { details: { stepId } });
           }
           break;
           
         case 'condition':
           if ((!step.condition && !step.conditionCode) || !step.then || !step.else) {
-            throw new Error(`Condition step ${stepId} must have a condition/conditionCode, 'then', and 'else' properties`);
+            throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, `Condition step ${stepId} must have a condition/conditionCode, 'then', and 'else' properties`, { details: { stepId } });
           }
           break;
           
         case 'transform':
           if (!step.transform && !step.transformCode) {
-            throw new Error(`Transform step ${stepId} must have a transform function or transformCode`);
+            throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, `Transform step ${stepId} must have a transform function or transformCode`, { details: { stepId } });
           }
           break;
           
@@ -671,7 +685,7 @@ class ChainManager {
           break;
           
         default:
-          throw new Error(`Unknown step type: ${step.type} for step ${stepId}`);
+          throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Unknown step type: ${step.type} for step ${stepId}`, { details: { stepId, type: step.type } });
       }
     }
   }
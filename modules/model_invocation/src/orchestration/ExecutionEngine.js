@@ -6,6 +6,8 @@
  */
 
 const EventEmitter = require('events');
+const { getTracer } = require('../../../../core/src/utils/tracing');
+const { ErrorCode, ResourceError, ServiceError, ValidationError } = require('../../../../core/src/errors/acip-error');
 
 class ExecutionEngine {
   /**
@@ -19,6 +21,7 @@ class ExecutionEngine {
     this.cacheManager = options.cacheManager;
     this.metricsCollector = options.metricsCollector;
     this.config = options.config || {};
+    this.tracer = options.tracer || getTracer();
     
     // Active executions
     this.activeExecutions = new Map();
@@ -74,7 +77,7 @@ class ExecutionEngine {
       const handler = this.executionHandlers[plan.type];
       
       if (!handler) {
-        throw new Error(`Unsupported execution plan type: ${plan.type}`);
+        throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Unsupported execution plan type: ${plan.type}`, { details: { type: plan.type } });
       }
       
       // Execute the plan
@@ -161,7 +164,7 @@ class ExecutionEngine {
     const context = this.activeExecutions.get(executionId);
     
     if (!context) {
-      throw new Error(`Execution not found: ${executionId}`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Execution not found: ${executionId}`, { details: { executionId } });
     }
     
     return {
@@ -355,7 +358,7 @@ class ExecutionEngine {
         .filter(r => r.status === 'rejected')
         .map(r => r.reason);
       
-      throw new Error(`All parallel steps failed: ${errors.map(e => e.message).join(', ')}`);
+      throw new ServiceError(ErrorCode.MODEL_UNAVAILABLE, `All parallel steps failed: ${errors.map(e => e.message).join(', ')}`);
     }
     
     // Select the result based on the selection strategy
@@ -465,7 +468,7 @@ class ExecutionEngine {
         .filter(r => r.status === 'rejected')
         .map(r => r.reason);
       
-      throw new Error(`Not enough successful results for verification: ${errors.map(e => e.message).join(', ')}`);
+      throw new ServiceError(ErrorCode.MODEL_UNAVAILABLE, `Not enough successful results for verification: ${errors.map(e => e.message).join(', ')}`);
     }
     
     // Verify and select the result based on the verification strategy
@@ -478,7 +481,7 @@ class ExecutionEngine {
       const primaryResult = successfulResults.find(r => r.stepId === primaryStepId);
       
       if (!primaryResult) {
-        throw new Error(`Primary step ${primaryStepId} failed`);
+        throw new ServiceError(ErrorCode.MODEL_UNAVAILABLE, `Primary step ${primaryStepId} failed`, { details: { stepId: primaryStepId } });
       }
       
       // Compare primary result with others and emit verification event
@@ -499,7 +502,7 @@ class ExecutionEngine {
       );
       
       if (!verification.consensus) {
-        throw new Error(`No consensus among model results: ${verification.details}`);
+        throw new ServiceError(ErrorCode.MODEL_UNAVAILABLE, `No consensus among model results: ${verification.details}`);
       }
       
       return successfulResults[0].result;
@@ -581,7 +584,7 @@ class ExecutionEngine {
         // Check if we should fall back based on result
         if (fallbackCondition === 'quality' && this._isLowQualityResult(result)) {
           // Record the error and continue to next fallback
-          const error = new Error('Low quality result');
+          const error = new ServiceError(ErrorCode.MODEL_UNAVAILABLE, 'Low quality result');
           context.errors.set(step.id, error);
           lastError = error;
           
@@ -617,7 +620,7 @@ class ExecutionEngine {
     }
     
     // If we get here, all steps failed
-    throw new Error(`All fallback steps failed: ${lastError?.message || 'Unknown error'}`);
+    throw new ServiceError(ErrorCode.MODEL_UNAVAILABLE, `All fallback steps failed: ${lastError?.message || 'Unknown error'}`);
   }
   
   /**
@@ -661,7 +664,11 @@ class ExecutionEngine {
     }
     
     try {
-      return await this.cacheManager.get(request);
+      return await this.tracer.withSpan('cache.lookup', { attributes: { 'request.id': request.requestId } }, async span => {
+        const cached = await this.cacheManager.get(request);
+        span.setAttribute('cache.hit', Boolean(cached));
+        return cached;
+      });
     } catch (error) {
       // Log error but don't fail the request
       console.error('Cache retrieval error:', error);
@@ -812,33 +819,33 @@ class ExecutionEngine {
    */
   _validatePlan(plan) {
     if (!plan || typeof plan !== 'object') {
-      throw new Error('Execution plan must be an object');
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Execution plan must be an object');
     }
     
     if (!plan.type || !this.executionHandlers[plan.type]) {
-      throw new Error(`Unsupported execution plan type: ${plan.type}`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Unsupported execution plan type: ${plan.type}`, { details: { type: plan.type } });
     }
     
     if (!plan.steps || !Array.isArray(plan.steps) || plan.steps.length === 0) {
-      throw new Error('Execution plan must have at least one step');
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Execution plan must have at least one step');
     }
     
     // Validate each step
     for (const step of plan.steps) {
       if (!step.id) {
-        throw new Error('Each step must have an ID');
+        throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Each step must have an ID');
       }
       
       if (!step.modelId) {
-        throw new Error(`Step ${step.id} must have a modelId`);
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, `Step ${step.id} must have a modelId`, { details: { stepId: step.id } });
       }
       
       if (!step.providerId) {
-        throw new Error(`Step ${step.id} must have a providerId`);
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, `Step ${step.id} must have a providerId`, { details: { stepId: step.id } });
       }
       
       if (!step.request || typeof step.request !== 'object') {
-        throw new Error(`Step ${step.id} must have a request object`);
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, `Step ${step.id} must have a request object`, { details: { stepId: step.id } });
       }
     }
   }
@@ -5,6 +5,8 @@
  * requirements, available models, and runtime conditions.
  */
 
+const { ErrorCode, ResourceError, ServiceError, ValidationError } = require('../../../../core/src/errors/acip-error');
+
 class ExecutionPlanner {
   /**
    * Creates a new ExecutionPlanner instance
@@ -39,7 +41,7 @@ class ExecutionPlanner {
     const strategy = this.strategies[strategyName];
     
     if (!strategy) {
-      throw new Error(`Unknown execution strategy: ${strategyName}`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Unknown execution strategy: ${strategyName}`, { details: { strategy: strategyName } });
     }
     
     // Create the execution plan using the selected strategy
@@ -283,7 +285,7 @@ class ExecutionPlanner {
       const model = await this.modelRegistry.getModel(request.modelId);
       
       if (!model) {
-        throw new Error(`Model not found: ${request.modelId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Model not found: ${request.modelId}`, { details: { modelId: request.modelId } });
       }
       
       return model;
@@ -310,7 +312,7 @@ class ExecutionPlanner {
       const model = await this.modelRegistry.getModel(request.modelId);
       
       if (!model) {
-        throw new Error(`Model not found: ${request.modelId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Model not found: ${request.modelId}`, { details: { modelId: request.modelId } });
       }
       
       models.push(model);
@@ -349,7 +351,7 @@ class ExecutionPlanner {
       const model = await this.modelRegistry.getModel(request.modelId);
       
       if (!model) {
-        throw new Error(`Model not found: ${request.modelId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Model not found: ${request.modelId}`, { details: { modelId: request.modelId } });
       }
       
       models.push(model);
@@ -420,17 +422,17 @@ class ExecutionPlanner {
     const model = await this.modelRegistry.getModel(modelId);
     
     if (!model) {
-      throw new Error(`Model not found: ${modelId}`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Model not found: ${modelId}`, { details: { modelId } });
     }
     
     const provider = this.providerRegistry.getProvider(model.providerId);
     
     if (!provider) {
-      throw new Error(`Provider not found for model: ${modelId}`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Provider not found for model: ${modelId}`, { details: { modelId } });
     }
     
     if (!this.providerManager.isProviderHealthy(model.providerId)) {
-      throw new Error(`Provider ${model.providerId} is not healthy`);
+      throw new ServiceError(ErrorCode.MODEL_UNAVAILABLE, `Provider ${model.providerId} is not healthy`, { details: { providerId: model.providerId } });
     }
     
     return provider;
@@ -7,6 +7,7 @@
 
 const EventEmitter = require('events');
 const { generateId } = require('../utils/identifiers');
+const { ErrorCode, ResourceError } = require('../../../../core/src/errors/acip-error');
 
 class ProviderManager {
   /**
@@ -152,7 +153,7 @@ class ProviderManager {
     const provider = this.getProvider(providerId);
     
     if (!provider) {
-      throw new Error(`Provider ${providerId} not found`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Provider ${providerId} not found`, { details: { providerId } });
     }
     
     return this._performHealthCheck(provider);
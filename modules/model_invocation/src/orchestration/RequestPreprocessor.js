@@ -11,6 +11,8 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { validateModelRequest } = require('../utils/validation');
+const { ErrorCode, ValidationError } = require('../../../../core/src/errors/acip-error');
+const { getContext } = require('../../../../core/src/utils/request-context');
 
 class RequestPreprocessor {
   /**
@@ -37,12 +39,12 @@ class RequestPreprocessor {
     const validationResult = validateModelRequest(request);
     
     if (!validationResult.valid) {
-      throw new Error(`Invalid request: ${validationResult.errors.join(', ')}`);
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Invalid request: ${validationResult.errors.join(', ')}`, { details: { errors: validationResult.errors } });
     }
     
     // Assign a request ID if not present
     if (!request.requestId) {
-      request.requestId = this._generateRequestId();
+      request.requestId = getContext().requestId || this._generateRequestId();
     }
     
     // Apply defaults for missing values
@@ -8,6 +8,8 @@
 const EventEmitter = require('events');
 const ModelSelector = require('./ModelSelector');
 const { parseModelId } = require('../utils/identifiers');
+const { ErrorCode, ResourceError, ServiceError, ValidationError } = require('../../../../core/src/errors/acip-error');
+const { getTracer, SpanKind } = require('../../../../core/src/utils/tracing');
 
 class RequestRouter extends EventEmitter {
   /**
@@ -19,6 +21,7 @@ class RequestRouter extends EventEmitter {
     this.modelRegistry = options.modelRegistry;
     this.providerRegistry = options.providerRegistry;
     this.config = options.config;
+    this.tracer = options.tracer || getTracer();
     this.modelSelector = new ModelSelector({ 
       modelRegistry: this.modelRegistry,
       config: this.config
@@ -54,7 +57,7 @@ class RequestRouter extends EventEmitter {
       const provider = this._getProviderForModel(model.id);
       
       if (!provider) {
-        throw new Error(`No provider available for model ${model.id}`);
+        throw new ServiceError(ErrorCode.MODEL_UNAVAILABLE, `No provider available for model ${model.id}`, { details: { modelId: model.id } });
       }
       
       // Execute the request with the selected provider
@@ -65,7 +68,14 @@ class RequestRouter extends EventEmitter {
         requestedModel: request.model
       };
       
-      const response = await provider.invokeModel(finalRequest);
+      const response = await this.tracer.withSpan('provider.call', {
+        kind: SpanKind.CLIENT,
+        attributes: {
+          'request.id': request.requestId,
+          'model.id': model.id,
+          'provider.name': provider.name
+        }
+      }, () => provider.invokeModel(finalRequest));
       
       // Calculate request duration
       const duration = Date.now() - startTime;
@@ -149,7 +159,7 @@ class RequestRouter extends EventEmitter {
       const selectedModel = await this.modelSelector.selectModel(request.selector);
       
       if (!selectedModel) {
-        throw new Error('No suitable model found for the requested criteria');
+        throw new ServiceError(ErrorCode.MODEL_UNAVAILABLE, 'No suitable model found for the requested criteria');
       }
       
       return selectedModel;
@@ -193,7 +203,7 @@ class RequestRouter extends EventEmitter {
     const defaultModel = this.config.providers[defaultProvider]?.defaultModel;
     
     if (!defaultModel) {
-      throw new Error('No model specified and no default model configured');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'No model specified and no default model configured');
     }
     
     return {
@@ -225,11 +235,11 @@ class RequestRouter extends EventEmitter {
     const provider = this.providerRegistry.getProvider(providerId);
     
     if (!provider) {
-      throw new Error(`Provider ${providerId} not found for model ${modelId}`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Provider ${providerId} not found for model ${modelId}`, { details: { providerId, modelId } });
     }
     
     if (!provider.enabled) {
-      throw new Error(`Provider ${providerId} is disabled`);
+      throw new ServiceError(ErrorCode.MODEL_UNAVAILABLE, `Provider ${providerId} is disabled`, { retryable: false, details: { providerId } });
     }
     
     return provider;
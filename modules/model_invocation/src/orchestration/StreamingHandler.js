@@ -7,6 +7,7 @@
 
 const EventEmitter = require('events');
 const { parseModelId } = require('../utils/identifiers');
+const { ErrorCode, ResourceError, ServiceError, ValidationError } = require('../../../../core/src/errors/acip-error');
 
 class StreamingHandler extends EventEmitter {
   /**
@@ -41,12 +42,12 @@ class StreamingHandler extends EventEmitter {
       const provider = this._getProviderForModel(modelInfo);
       
       if (!provider) {
-        throw new Error(`No provider available for model ${modelInfo.id}`);
+        throw new ServiceError(ErrorCode.MODEL_UNAVAILABLE, `No provider available for model ${modelInfo.id}`, { details: { modelId: modelInfo.id } });
       }
       
       // Check if streaming is supported
       if (!provider.supportsFeature('streaming')) {
-        throw new Error(`Provider ${provider.name} does not support streaming for model ${modelInfo.id}`);
+        throw new ServiceError(ErrorCode.MODEL_UNAVAILABLE, `Provider ${provider.name} does not support streaming for model ${modelInfo.id}`, { retryable: false, details: { modelId: modelInfo.id } });
       }
       
       // Execute the streaming request with the selected provider
@@ -132,7 +133,7 @@ class StreamingHandler extends EventEmitter {
     const cancelled = provider.cancelRequest(requestId);
     
     if (cancelled) {
-      this._cleanupStream(requestId, new Error('Stream cancelled by user'));
+      this._cleanupStream(requestId, new ServiceError(ErrorCode.SERVICE_UNAVAILABLE, 'Stream cancelled by user', { details: { requestId } }));
     }
     
     return cancelled;
@@ -221,7 +222,7 @@ class StreamingHandler extends EventEmitter {
     const defaultModel = this.config.providers[defaultProvider]?.defaultModel;
     
     if (!defaultModel) {
-      throw new Error('No model specified and no default model configured');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'No model specified and no default model configured');
     }
     
     return {
@@ -254,11 +255,11 @@ class StreamingHandler extends EventEmitter {
     const provider = this.providerRegistry.getProvider(providerId);
     
     if (!provider) {
-      throw new Error(`Provider ${providerId} not found for model ${modelId}`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Provider ${providerId} not found for model ${modelId}`, { details: { providerId, modelId } });
     }
     
     if (!provider.enabled) {
-      throw new Error(`Provider ${providerId} is disabled`);
+      throw new ServiceError(ErrorCode.MODEL_UNAVAILABLE, `Provider ${providerId} is disabled`, { retryable: false, details: { providerId } });
     }
     
     return provider;
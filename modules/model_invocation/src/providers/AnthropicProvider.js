@@ -9,6 +9,7 @@ const BaseProvider = require('./BaseProvider');
 const EventEmitter = require('events');
 const fetch = require('node-fetch');
 const AbortController = require('abort-controller');
+const { AcipError, ErrorCode } = require('../../../../core/src/errors/acip-error');
 
 class AnthropicProvider extends BaseProvider {
   /**
@@ -31,7 +32,7 @@ class AnthropicProvider extends BaseProvider {
    */
   async initialize() {
     if (!this.apiKey) {
-      throw new Error('Anthropic API key is required');
+      throw this._createError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Anthropic API key is required');
     }
     
     // Test connection
@@ -39,7 +40,7 @@ class AnthropicProvider extends BaseProvider {
       await this.testConnection();
       this.initialized = true;
     } catch (error) {
-      throw new Error(`Failed to initialize Anthropic provider: ${error.message}`);
+      throw this._createError(this._errorCodeOf(error), `Failed to initialize Anthropic provider: ${error.message}`, null, { cause: error });
     }
     
     return Promise.resolve();
@@ -72,7 +73,7 @@ class AnthropicProvider extends BaseProvider {
       
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(`Anthropic API error: ${error.error?.message || 'Unknown error'}`);
+        throw this._createError(this._errorCodeForStatus(response.status), `Anthropic API error: ${error.error?.message || 'Unknown error'}`);
       }
       
       return {
@@ -80,7 +81,7 @@ class AnthropicProvider extends BaseProvider {
         message: 'Successfully connected to Anthropic API'
       };
     } catch (error) {
-      throw new Error(`Anthropic connection test failed: ${error.message}`);
+      throw this._createError(this._errorCodeOf(error), `Anthropic connection test failed: ${error.message}`, null, { cause: error });
     }
   }
   
@@ -185,7 +186,12 @@ class AnthropicProvider extends BaseProvider {
       
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(`Anthropic API error: ${error.error?.message || 'Unknown error'}`);
+        throw this._createError(
+          this._errorCodeForStatus(response.status),
+          `Anthropic API error: ${error.error?.message || 'Unknown error'}`,
+          request,
+          { details: { status: response.status } }
+        );
       }
       
       const data = await response.json();
@@ -195,7 +201,7 @@ class AnthropicProvider extends BaseProvider {
       this.activeRequests.delete(request.requestId);
       
       if (error.name === 'AbortError') {
-        throw new Error(`Anthropic request timeout after ${request.timeout || this.requestTimeout}ms`);
+        throw this._createError(ErrorCode.SERVICE_TIMEOUT, `Anthropic request timeout after ${request.timeout || this.requestTimeout}ms`, request);
       }
       
       throw this._handleError(error, request);
@@ -219,7 +225,7 @@ class AnthropicProvider extends BaseProvider {
     const controller = new AbortController();
     const timeout = setTimeout(() => {
       controller.abort();
-      stream.emit('error', new Error(`Anthropic stream request timeout after ${request.timeout || this.requestTimeout}ms`));
+      stream.emit('error', this._createError(ErrorCode.SERVICE_TIMEOUT, `Anthropic stream request timeout after ${request.timeout || this.requestTimeout}ms`, request));
     }, request.timeout || this.requestTimeout);
     
     // Store the controller for potential cancellation
@@ -238,7 +244,12 @@ class AnthropicProvider extends BaseProvider {
       .then(response => {
         if (!response.ok) {
           return response.json().then(error => {
-            throw new Error(`Anthropic API error: ${error.error?.message || 'Unknown error'}`);
+            throw this._createError(
+              this._errorCodeForStatus(response.status),
+              `Anthropic API error: ${error.error?.message || 'Unknown error'}`,
+              request,
+              { details: { status: response.status } }
+            );
           });
         }
         
@@ -499,16 +510,26 @@ class AnthropicProvider extends BaseProvider {
    * Handle API errors
    * @param {Error} error - The error to handle
    * @param {Object} request - The original request
-   * @returns {Error} - Standardized error
+   * @returns {AcipError} - Standardized error
    * @private
    */
   _handleError(error, request) {
+    // Errors raised above are already standardized
+    if (error instanceof AcipError) {
+      return error;
+    }
+    
     // Extract API error if available
     if (error.response) {
       try {
         const data = error.response.json();
         if (data.error) {
-          return new Error(`Anthropic API error: ${data.error.message || 'Unknown error'}`);
+          return this._createError(
+            this._errorCodeForStatus(error.response.status),
+            `Anthropic API error: ${data.error.message || 'Unknown error'}`,
+            request,
+            { cause: error }
+          );
         }
       } catch (e) {
         // Ignore JSON parsing errors
@@ -517,11 +538,11 @@ class AnthropicProvider extends BaseProvider {
     
     // Convert AbortError to timeout error
     if (error.name === 'AbortError') {
-      return new Error(`Anthropic request timeout after ${request.timeout || this.requestTimeout}ms`);
+      return this._createError(ErrorCode.SERVICE_TIMEOUT, `Anthropic request timeout after ${request.timeout || this.requestTimeout}ms`, request, { cause: error });
     }
     
     // Return original error with provider prefix
-    return new Error(`Anthropic provider error: ${error.message}`);
+    return this._createError(this._errorCodeForException(error), `Anthropic provider error: ${error.message}`, request, { cause: error });
   }
 }
 
@@ -6,6 +6,10 @@
  */
 
 const EventEmitter = require('events');
+const { AcipError, ErrorCode, createError } = require('../../../../core/src/errors/acip-error');
+
+// Error codes raised by Node when a connection cannot be established
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EHOSTUNREACH'];
 
 class BaseProvider extends EventEmitter {
   /**
@@ -74,7 +78,7 @@ class BaseProvider extends EventEmitter {
    */
   async invokeModel(request) {
     // This must be implemented by subclasses
-    throw new Error('invokeModel method must be implemented by subclasses');
+    throw createError(ErrorCode.INTERNAL_ERROR, 'invokeModel method must be implemented by subclasses');
   }
   
   /**
@@ -84,7 +88,7 @@ class BaseProvider extends EventEmitter {
    */
   invokeModelStream(request) {
     // This must be implemented by subclasses
-    throw new Error('invokeModelStream method must be implemented by subclasses');
+    throw createError(ErrorCode.INTERNAL_ERROR, 'invokeModelStream method must be implemented by subclasses');
   }
   
   /**
@@ -138,7 +142,78 @@ class BaseProvider extends EventEmitter {
    */
   _handleError(error, request) {
     // Override in subclasses for provider-specific error handling
-    return error;
+    if (error instanceof AcipError) {
+      return error;
+    }
+    
+    if (error.name === 'AbortError') {
+      return this._createError(ErrorCode.SERVICE_TIMEOUT, `${this.name} request timed out`, request, { cause: error });
+    }
+    
+    return this._createError(this._errorCodeForException(error), `${this.name} error: ${error.message}`, request, { cause: error });
+  }
+  
+  /**
+   * Create a standard ACIP error annotated with provider and request details
+   * @param {string} code - ACIP error code
+   * @param {string} message - Error message
+   * @param {Object} [request] - The original request
+   * @param {Object} [options] - Additional error options (details, cause)
+   * @returns {AcipError} - Standardized error
+   * @protected
+   */
+  _createError(code, message, request, options = {}) {
+    return createError(code, message, {
+      cause: options.cause,
+      requestId: request?.requestId,
+      details: {
+        provider: this.name,
+        modelId: request?.modelId || request?.model,
+        ...options.details
+      }
+    });
+  }
+  
+  /**
+   * Map an HTTP status returned by a provider API to an ACIP error code
+   * @param {number} status - HTTP status code
+   * @returns {string} - ACIP error code
+   * @protected
+   */
+  _errorCodeForStatus(status) {
+    if (status === 400 || status === 422) return ErrorCode.VALIDATION_INVALID_FORMAT;
+    if (status === 401) return ErrorCode.AUTH_UNAUTHORIZED;
+    if (status === 403) return ErrorCode.AUTH_FORBIDDEN;
+    if (status === 404) return ErrorCode.RESOURCE_NOT_FOUND;
+    if (status === 408) return ErrorCode.SERVICE_TIMEOUT;
+    if (status === 429) return ErrorCode.RATE_LIMITED;
+    return ErrorCode.MODEL_UNAVAILABLE;
+  }
+  
+  /**
+   * Get the ACIP error code of an error, mapping low-level exceptions
+   * @param {Error} error - The error
+   * @returns {string} - ACIP error code
+   * @protected
+   */
+  _errorCodeOf(error) {
+    return error instanceof AcipError ? error.code : this._errorCodeForException(error);
+  }
+  
+  /**
+   * Map a low-level exception to an ACIP error code
+   * @param {Error} error - The exception
+   * @returns {string} - ACIP error code
+   * @protected
+   */
+  _errorCodeForException(error) {
+    const code = error.code || error.cause?.code;
+    
+    if (NETWORK_ERROR_CODES.includes(code) || (error.name === 'TypeError' && error.message === 'fetch failed')) {
+      return ErrorCode.NETWORK_CONNECTION_FAILED;
+    }
+    
+    return ErrorCode.MODEL_UNAVAILABLE;
   }
   
   /**
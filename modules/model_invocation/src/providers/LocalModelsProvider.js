@@ -9,6 +9,7 @@ const BaseProvider = require('./BaseProvider');
 const EventEmitter = require('events');
 const fetch = require('node-fetch');
 const AbortController = require('abort-controller');
+const { AcipError, ErrorCode } = require('../../../../core/src/errors/acip-error');
 
 class LocalModelsProvider extends BaseProvider {
   /**
@@ -50,7 +51,7 @@ class LocalModelsProvider extends BaseProvider {
    */
   async testConnection() {
     if (Object.keys(this.endpoints).length === 0) {
-      throw new Error('No local model endpoints configured');
+      throw this._createError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'No local model endpoints configured');
     }
     
     const results = {
@@ -131,7 +132,7 @@ class LocalModelsProvider extends BaseProvider {
     const modelInfo = this.models.get(modelId);
     
     if (!modelInfo) {
-      throw new Error(`Local model "${modelId}" not found`);
+      throw this._createError(ErrorCode.RESOURCE_NOT_FOUND, `Local model "${modelId}" not found`, request);
     }
     
     const endpoint = modelInfo.endpoint;
@@ -163,7 +164,12 @@ class LocalModelsProvider extends BaseProvider {
       this.activeRequests.delete(request.requestId);
       
       if (!response.ok) {
-        throw new Error(`Local model API error: HTTP status ${response.status}`);
+        throw this._createError(
+          this._errorCodeForStatus(response.status),
+          `Local model API error: HTTP status ${response.status}`,
+          request,
+          { details: { status: response.status } }
+        );
       }
       
       const data = await response.json();
@@ -173,7 +179,7 @@ class LocalModelsProvider extends BaseProvider {
       this.activeRequests.delete(request.requestId);
       
       if (error.name === 'AbortError') {
-        throw new Error(`Local model request timeout after ${request.timeout || this.requestTimeout}ms`);
+        throw this._createError(ErrorCode.SERVICE_TIMEOUT, `Local model request timeout after ${request.timeout || this.requestTimeout}ms`, request);
       }
       
       throw this._handleError(error, request);
@@ -191,7 +197,7 @@ class LocalModelsProvider extends BaseProvider {
     const modelInfo = this.models.get(modelId);
     
     if (!modelInfo) {
-      stream.emit('error', new Error(`Local model "${modelId}" not found`));
+      stream.emit('error', this._createError(ErrorCode.RESOURCE_NOT_FOUND, `Local model "${modelId}" not found`, request));
       return stream;
     }
     
@@ -205,7 +211,7 @@ class LocalModelsProvider extends BaseProvider {
     const controller = new AbortController();
     const timeout = setTimeout(() => {
       controller.abort();
-      stream.emit('error', new Error(`Local model stream request timeout after ${request.timeout || this.requestTimeout}ms`));
+      stream.emit('error', this._createError(ErrorCode.SERVICE_TIMEOUT, `Local model stream request timeout after ${request.timeout || this.requestTimeout}ms`, request));
     }, request.timeout || this.requestTimeout);
     
     // Store the controller for potential cancellation
@@ -222,7 +228,12 @@ class LocalModelsProvider extends BaseProvider {
     })
       .then(response => {
         if (!response.ok) {
-          throw new Error(`Local model API error: HTTP status ${response.status}`);
+          throw this._createError(
+            this._errorCodeForStatus(response.status),
+            `Local model API error: HTTP status ${response.status}`,
+            request,
+            { details: { status: response.status } }
+          );
         }
         
         const reader = response.body.getReader();
@@ -515,17 +526,22 @@ class LocalModelsProvider extends BaseProvider {
    * Handle API errors
    * @param {Error} error - The error to handle
    * @param {Object} request - The original request
-   * @returns {Error} - Standardized error
+   * @returns {AcipError} - Standardized error
    * @private
    */
   _handleError(error, request) {
+    // Errors raised above are already standardized
+    if (error instanceof AcipError) {
+      return error;
+    }
+    
     // Convert AbortError to timeout error
     if (error.name === 'AbortError') {
-      return new Error(`Local model request timeout after ${request.timeout || this.requestTimeout}ms`);
+      return this._createError(ErrorCode.SERVICE_TIMEOUT, `Local model request timeout after ${request.timeout || this.requestTimeout}ms`, request, { cause: error });
     }
     
     // Return original error with provider prefix
-    return new Error(`Local model provider error: ${error.message}`);
+    return this._createError(this._errorCodeForException(error), `Local model provider error: ${error.message}`, request, { cause: error });
   }
 }
 
@@ -9,6 +9,7 @@ const BaseProvider = require('./BaseProvider');
 const EventEmitter = require('events');
 const fetch = require('node-fetch');
 const AbortController = require('abort-controller');
+const { AcipError, ErrorCode } = require('../../../../core/src/errors/acip-error');
 
 class OpenAIProvider extends BaseProvider {
   /**
@@ -31,7 +32,7 @@ class OpenAIProvider extends BaseProvider {
    */
   async initialize() {
     if (!this.apiKey) {
-      throw new Error('OpenAI API key is required');
+      throw this._createError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'OpenAI API key is required');
     }
     
     // Test connection
@@ -39,7 +40,7 @@ class OpenAIProvider extends BaseProvider {
       await this.testConnection();
       this.initialized = true;
     } catch (error) {
-      throw new Error(`Failed to initialize OpenAI provider: ${error.message}`);
+      throw this._createError(this._errorCodeOf(error), `Failed to initialize OpenAI provider: ${error.message}`, null, { cause: error });
     }
     
     return Promise.resolve();
@@ -59,7 +60,7 @@ class OpenAIProvider extends BaseProvider {
       
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(`OpenAI API error: ${error.error?.message || 'Unknown error'}`);
+        throw this._createError(this._errorCodeForStatus(response.status), `OpenAI API error: ${error.error?.message || 'Unknown error'}`);
       }
       
       const data = await response.json();
@@ -68,7 +69,7 @@ class OpenAIProvider extends BaseProvider {
         models: data.data.length
       };
     } catch (error) {
-      throw new Error(`OpenAI connection test failed: ${error.message}`);
+      throw this._createError(this._errorCodeOf(error), `OpenAI connection test failed: ${error.message}`, null, { cause: error });
     }
   }
   
@@ -86,7 +87,7 @@ class OpenAIProvider extends BaseProvider {
       
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(`OpenAI API error: ${error.error?.message || 'Unknown error'}`);
+        throw this._createError(this._errorCodeForStatus(response.status), `OpenAI API error: ${error.error?.message || 'Unknown error'}`);
       }
       
       const data = await response.json();
@@ -152,7 +153,12 @@ class OpenAIProvider extends BaseProvider {
       
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(`OpenAI API error: ${error.error?.message || 'Unknown error'}`);
+        throw this._createError(
+          this._errorCodeForStatus(response.status),
+          `OpenAI API error: ${error.error?.message || 'Unknown error'}`,
+          request,
+          { details: { status: response.status } }
+        );
       }
       
       const data = await response.json();
@@ -162,7 +168,7 @@ class OpenAIProvider extends BaseProvider {
       this.activeRequests.delete(request.requestId);
       
       if (error.name === 'AbortError') {
-        throw new Error(`OpenAI request timeout after ${request.timeout || this.requestTimeout}ms`);
+        throw this._createError(ErrorCode.SERVICE_TIMEOUT, `OpenAI request timeout after ${request.timeout || this.requestTimeout}ms`, request);
       }
       
       throw this._handleError(error, request);
@@ -187,7 +193,7 @@ class OpenAIProvider extends BaseProvider {
     const controller = new AbortController();
     const timeout = setTimeout(() => {
       controller.abort();
-      stream.emit('error', new Error(`OpenAI stream request timeout after ${request.timeout || this.requestTimeout}ms`));
+      stream.emit('error', this._createError(ErrorCode.SERVICE_TIMEOUT, `OpenAI stream request timeout after ${request.timeout || this.requestTimeout}ms`, request));
     }, request.timeout || this.requestTimeout);
     
     // Store the controller for potential cancellation
@@ -203,7 +209,12 @@ class OpenAIProvider extends BaseProvider {
       .then(response => {
         if (!response.ok) {
           return response.json().then(error => {
-            throw new Error(`OpenAI API error: ${error.error?.message || 'Unknown error'}`);
+            throw this._createError(
+              this._errorCodeForStatus(response.status),
+              `OpenAI API error: ${error.error?.message || 'Unknown error'}`,
+              request,
+              { details: { status: response.status } }
+            );
           });
         }
         
@@ -548,16 +559,26 @@ class OpenAIProvider extends BaseProvider {
    * Handle API errors
    * @param {Error} error - The error to handle
    * @param {Object} request - The original request
-   * @returns {Error} - Standardized error
+   * @returns {AcipError} - Standardized error
    * @private
    */
   _handleError(error, request) {
+    // Errors raised above are already standardized
+    if (error instanceof AcipError) {
+      return error;
+    }
+    
     // Extract API error if available
     if (error.response) {
       try {
         const data = error.response.json();
         if (data.error) {
-          return new Error(`OpenAI API error: ${data.error.message || 'Unknown error'}`);
+          return this._createError(
+            this._errorCodeForStatus(error.response.status),
+            `OpenAI API error: ${data.error.message || 'Unknown error'}`,
+            request,
+            { cause: error }
+          );
         }
       } catch (e) {
         // Ignore JSON parsing errors
@@ -566,11 +587,11 @@ class OpenAIProvider extends BaseProvider {
     
     // Convert AbortError to timeout error
     if (error.name === 'AbortError') {
-      return new Error(`OpenAI request timeout after ${request.timeout || this.requestTimeout}ms`);
+      return this._createError(ErrorCode.SERVICE_TIMEOUT, `OpenAI request timeout after ${request.timeout || this.requestTimeout}ms`, request, { cause: error });
     }
     
     // Return original error with provider prefix
-    return new Error(`OpenAI provider error: ${error.message}`);
+    return this._createError(this._errorCodeForException(error), `OpenAI provider error: ${error.message}`, request, { cause: error });
   }
 }
 
@@ -9,6 +9,7 @@ const EventEmitter = require('events');
 const OpenAIProvider = require('./OpenAIProvider');
 const AnthropicProvider = require('./AnthropicProvider');
 const LocalModelsProvider = require('./LocalModelsProvider');
+const { ErrorCode, ResourceError, ServiceError } = require('../../../../core/src/errors/acip-error');
 
 class ProviderRegistry extends EventEmitter {
   /**
@@ -214,11 +215,11 @@ class ProviderRegistry extends EventEmitter {
     const provider = this.getProvider(providerId);
     
     if (!provider) {
-      throw new Error(`Provider ${providerId} not found`);
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Provider ${providerId} not found`, { details: { providerId } });
     }
     
     if (typeof provider.testConnection !== 'function') {
-      throw new Error(`Provider ${providerId} does not support connection testing`);
+      throw new ServiceError(ErrorCode.SERVICE_UNAVAILABLE, `Provider ${providerId} does not support connection testing`, { details: { providerId } });
     }
     
     try {
@@ -7,6 +7,8 @@
 
 const EventEmitter = require('events');
 const { generateId } = require('../utils/identifiers');
+const { ErrorCode, ServiceError } = require('../../../../core/src/errors/acip-error');
+const { getTracer } = require('../../../../core/src/utils/tracing');
 
 class ContentModerator {
   /**
@@ -16,6 +18,7 @@ class ContentModerator {
   constructor(options = {}) {
     this.config = options.config || {};
     this.modelRegistry = options.modelRegistry;
+    this.tracer = options.tracer || getTracer();
     this.events = new EventEmitter();
     
     // Configure moderation settings
@@ -78,7 +81,7 @@ class ContentModerator {
     }
     
     // Perform moderation
-    const result = await this._moderateContent(content, 'input', request);
+    const result = await this._moderateWithSpan(content, 'input', request);
     
     // Store result in history
     this._addToHistory({
@@ -121,7 +124,7 @@ class ContentModerator {
     }
     
     // Perform moderation
-    const result = await this._moderateContent(content, 'output', request);
+    const result = await this._moderateWithSpan(content, 'output', request);
     
     // Store result in history
     this._addToHistory({
@@ -370,6 +373,28 @@ class ContentModerator {
     }
   }
   
+  /**
+   * Moderate content inside a tracing span
+   * @param {string} content - Content to moderate
+   * @param {string} type - Type of content ('input' or 'output')
+   * @param {Object} request - The original request
+   * @returns {Promise<Object>} - Moderation result
+   * @private
+   */
+  _moderateWithSpan(content, type, request) {
+    return this.tracer.withSpan('moderation', {
+      attributes: {
+        'request.id': request.requestId,
+        'moderation.type': type,
+        'moderation.model': this.moderationModel
+      }
+    }, async span => {
+      const result = await this._moderateContent(content, type, request);
+      span.setAttribute('moderation.passed', result.passed);
+      return result;
+    });
+  }
+  
   /**
    * Moderate content using configured methods
    * @param {string} content - Content to moderate
@@ -456,7 +481,7 @@ class ContentModerator {
       flaggedCategories = result.flagged || [];
       
     } else {
-      throw new Error(`Unsupported or unconfigured moderation service: ${service}`);
+      throw new ServiceError(ErrorCode.SERVICE_UNAVAILABLE, `Unsupported or unconfigured moderation service: ${service}`, { retryable: false, details: { service } });
     }
     
     // Determine if content passes moderation
@@ -519,7 +544,7 @@ class ContentModerator {
    */
   async _callOpenAIModerationAPI(content) {
     if (!this.externalServices.openai) {
-      throw new Error('OpenAI moderation service not configured');
+      throw new ServiceError(ErrorCode.SERVICE_UNAVAILABLE, 'OpenAI moderation service not configured', { retryable: false });
     }
     
     // Simple mock implementation
@@ -544,7 +569,7 @@ class ContentModerator {
    */
   async _callAzureContentModerator(content) {
     if (!this.externalServices.azure) {
-      throw new Error('Azure moderation service not configured');
+      throw new ServiceError(ErrorCode.SERVICE_UNAVAILABLE, 'Azure moderation service not configured', { retryable: false });
     }
     
     // Simple mock implementation
@@ -4,6 +4,8 @@
  * Provides validation functions for various inputs to the module.
  */
 
+const { ErrorCode, ValidationError } = require('../../../../core/src/errors/acip-error');
+
 /**
  * Validates invocation options
  * @param {Object} options - The options to validate
@@ -11,7 +13,7 @@
  */
 function validateInvocationOptions(options) {
   if (!options) {
-    throw new Error('Invocation options are required');
+    throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Invocation options are required');
   }
   
   // If model selector is used, no model is required
@@ -22,12 +24,12 @@ function validateInvocationOptions(options) {
   
   // Otherwise, model or model ID must be provided
   if (!options.model) {
-    throw new Error('Model ID is required in invocation options');
+    throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Model ID is required in invocation options');
   }
   
   // Input validation
   if (!options.input) {
-    throw new Error('Input is required in invocation options');
+    throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Input is required in invocation options');
   }
   
   // Messages validation if present (for chat models)
@@ -48,7 +50,7 @@ function validateInvocationOptions(options) {
  */
 function validateModelSelector(selector) {
   if (!selector.task && !selector.preferredProviders && !selector.minCapabilities) {
-    throw new Error('Model selector must include at least one selection criteria');
+    throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Model selector must include at least one selection criteria');
   }
 }
 
@@ -59,16 +61,16 @@ function validateModelSelector(selector) {
  */
 function validateMessages(messages) {
   if (!Array.isArray(messages) || messages.length === 0) {
-    throw new Error('Messages must be a non-empty array');
+    throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Messages must be a non-empty array');
   }
   
   for (const message of messages) {
     if (!message.role) {
-      throw new Error('Each message must have a role');
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Each message must have a role');
     }
     
     if (message.content === undefined && !message.function_call) {
-      throw new Error('Each message must have content or function_call');
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Each message must have content or function_call');
     }
   }
 }
@@ -80,16 +82,16 @@ function validateMessages(messages) {
  */
 function validateFunctions(functions) {
   if (!Array.isArray(functions)) {
-    throw new Error('Functions must be an array');
+    throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Functions must be an array');
   }
   
   for (const func of functions) {
     if (!func.name) {
-      throw new Error('Each function must have a name');
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Each function must have a name');
     }
     
     if (!func.parameters) {
-      throw new Error('Each function must have parameters defined');
+      throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Each function must have parameters defined');
     }
   }
 }
@@ -101,19 +103,19 @@ function validateFunctions(functions) {
  */
 function validateConfig(config) {
   if (!config) {
-    throw new Error('Configuration is required');
+    throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Configuration is required');
   }
   
   // Validate providers section
   if (!config.providers || Object.keys(config.providers).length === 0) {
-    throw new Error('At least one provider must be configured');
+    throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'At least one provider must be configured');
   }
   
   // Validate each provider configuration
   for (const [provider, providerConfig] of Object.entries(config.providers)) {
     if (providerConfig.enabled && provider !== 'localModels') {
       if (!providerConfig.apiKey && !providerConfig.apiKeyEnvVar) {
-        throw new Error(`API key is required for provider ${provider}`);
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, `API key is required for provider ${provider}`);
       }
     }
   }
@@ -5,6 +5,7 @@
  */
 
 const EventEmitter = require('events');
+const { ErrorCode, ValidationError } = require('../../../core/src/errors/acip-error');
 
 /**
  * Assistant class for creating conversational AI experiences
@@ -17,7 +18,7 @@ class Assistant {
    */
   constructor(modelInvocation, options = {}) {
     if (!modelInvocation) {
-      throw new Error('ModelInvocation instance is required');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'ModelInvocation instance is required');
     }
     
     this.modelInvocation = modelInvocation;
@@ -146,7 +147,7 @@ class Assistant {
    */
   async submitToolOutputs(toolOutputs, options = {}) {
     if (!toolOutputs || !Array.isArray(toolOutputs)) {
-      throw new Error('Tool outputs must be an array');
+      throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Tool outputs must be an array');
     }
     
     // Add tool outputs to history
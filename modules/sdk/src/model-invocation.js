@@ -6,6 +6,7 @@
  */
 
 const EventEmitter = require('events');
+const { ContentBlockedError, RateLimitError } = require('../../../core/src/errors/acip-error');
 
 /**
  * ModelInvocation class provides access to ACIP model invocation functionality
@@ -294,7 +295,9 @@ class ModelInvocation {
       if (this.options.contentModerationEnabled !== false) {
         const moderationResult = await this.contentModerator.moderateInput(fullRequest);
         if (!moderationResult.allowed) {
-          throw new Error(`Content moderation blocked request: ${moderationResult.reason}`);
+          throw new ContentBlockedError(`Content moderation blocked request: ${moderationResult.reason}`, {
+            details: { stage: 'request', categories: moderationResult.categories }
+          });
         }
       }
       
@@ -302,7 +305,10 @@ class ModelInvocation {
       if (this.options.rateLimitingEnabled !== false) {
         const rateLimitResult = await this.rateLimiter.checkRateLimit(fullRequest);
         if (!rateLimitResult.allowed) {
-          throw new Error(`Rate limit exceeded. Try again in ${Math.ceil(rateLimitResult.resetIn / 1000)} seconds`);
+          throw new RateLimitError(`Rate limit exceeded. Try again in ${Math.ceil(rateLimitResult.resetIn / 1000)} seconds`, {
+            retryAfter: rateLimitResult.resetIn,
+            details: { limitExceeded: rateLimitResult.limitExceeded, resetAt: rateLimitResult.resetAt }
+          });
         }
       }
       
@@ -352,7 +358,9 @@ class ModelInvocation {
       if (this.options.contentModerationEnabled !== false) {
         const moderationResult = await this.contentModerator.moderateOutput(optimizedRequest, response);
         if (!moderationResult.allowed) {
-          throw new Error(`Content moderation blocked response: ${moderationResult.reason}`);
+          throw new ContentBlockedError(`Content moderation blocked response: ${moderationResult.reason}`, {
+            details: { stage: 'response', categories: moderationResult.categories }
+          });
         }
       }
       
@@ -404,7 +412,9 @@ class ModelInvocation {
       if (this.options.contentModerationEnabled !== false) {
         const moderationResult = await this.contentModerator.moderateInput(streamRequest);
         if (!moderationResult.allowed) {
-          throw new Error(`Content moderation blocked request: ${moderationResult.reason}`);
+          throw new ContentBlockedError(`Content moderation blocked request: ${moderationResult.reason}`, {
+            details: { stage: 'request', categories: moderationResult.categories }
+          });
         }
       }
       
@@ -412,7 +422,10 @@ class ModelInvocation {
       if (this.options.rateLimitingEnabled !== false) {
         const rateLimitResult = await this.rateLimiter.checkRateLimit(streamRequest);
         if (!rateLimitResult.allowed) {
-          throw new Error(`Rate limit exceeded. Try again in ${Math.ceil(rateLimitResult.resetIn / 1000)} seconds`);
+          throw new RateLimitError(`Rate limit exceeded. Try again in ${Math.ceil(rateLimitResult.resetIn / 1000)} seconds`, {
+            retryAfter: rateLimitResult.resetIn,
+            details: { limitExceeded: rateLimitResult.limitExceeded, resetAt: rateLimitResult.resetAt }
+          });
         }
       }
       
@@ -6,6 +6,8 @@
  * and policy enforcement.
  */
 
+const { ErrorCode, ResourceError, ValidationError } = require('../../../core/src/errors/acip-error');
+
 /**
  * Permission types
  */
@@ -96,7 +98,7 @@ class AccessControlSystem {
   async defineRole(roleId, roleData) {
     try {
       if (!roleId) {
-        throw new Error('Role ID is required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Role ID is required');
       }
       
       const role = {
@@ -128,7 +130,7 @@ class AccessControlSystem {
   async defineResource(resourceId, resourceData) {
     try {
       if (!resourceId) {
-        throw new Error('Resource ID is required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Resource ID is required');
       }
       
       const resource = {
@@ -160,7 +162,7 @@ class AccessControlSystem {
   async definePolicy(policyId, policyData) {
     try {
       if (!policyId) {
-        throw new Error('Policy ID is required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Policy ID is required');
       }
       
       const policy = {
@@ -200,12 +202,12 @@ class AccessControlSystem {
   async grantPermission(roleId, permission) {
     try {
       if (!roleId || !permission) {
-        throw new Error('Role ID and permission are required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Role ID and permission are required');
       }
       
       // Check if role exists
       if (!this.roles.has(roleId)) {
-        throw new Error(`Role not found: ${roleId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Role not found: ${roleId}`, { details: { roleId } });
       }
       
       const role = this.roles.get(roleId);
@@ -237,12 +239,12 @@ class AccessControlSystem {
   async revokePermission(roleId, permission) {
     try {
       if (!roleId || !permission) {
-        throw new Error('Role ID and permission are required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Role ID and permission are required');
       }
       
       // Check if role exists
       if (!this.roles.has(roleId)) {
-        throw new Error(`Role not found: ${roleId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Role not found: ${roleId}`, { details: { roleId } });
       }
       
       const role = this.roles.get(roleId);
@@ -275,12 +277,12 @@ class AccessControlSystem {
   async assignRole(userId, roleId) {
     try {
       if (!userId || !roleId) {
-        throw new Error('User ID and Role ID are required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'User ID and Role ID are required');
       }
       
       // Check if role exists
       if (!this.roles.has(roleId)) {
-        throw new Error(`Role not found: ${roleId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Role not found: ${roleId}`, { details: { roleId } });
       }
       
       // In a real implementation, this would update the user's roles in a database
@@ -308,7 +310,7 @@ class AccessControlSystem {
       const { subject, resource, action, context = {} } = request;
       
       if (!subject || !resource || !action) {
-        throw new Error('Subject, resource, and action are required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Subject, resource, and action are required');
       }
       
       // Update stats
@@ -402,7 +404,7 @@ class AccessControlSystem {
   async getRolePermissions(roleId) {
     try {
       if (!this.roles.has(roleId)) {
-        throw new Error(`Role not found: ${roleId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Role not found: ${roleId}`, { details: { roleId } });
       }
       
       const role = this.roles.get(roleId);
@@ -6,8 +6,9 @@
  * and secure communication.
  */
 
-const EventEmitter = require('events');
 const crypto = require('crypto');
+const { ErrorCode, AuthError, ResourceError, ServiceError, ValidationError } = require('../../../core/src/errors/acip-error');
+const { ContextEventEmitter, updateContext } = require('../../../core/src/utils/request-context');
 
 class ModuleLifecycle {
   async initialize() {}
@@ -64,7 +65,8 @@ class AuthManager extends ModuleLifecycle {
     };
     
     this.logger = options.logger || console;
-    this.eventEmitter = new EventEmitter();
+    // Events carry the requestId, userId, sessionId and traceId of the current request
+    this.eventEmitter = new ContextEventEmitter();
     
     // Component references - these would be initialized with actual instances
     this.accessControl = null;
@@ -78,6 +80,9 @@ class AuthManager extends ModuleLifecycle {
     this.tokens = new Map();
     this.providers = new Map();
     
+    // Optional shared state namespace (core StateManager view) that users, sessions and tokens are written through to
+    this.stateManager = options.stateManager || null;
+    
     // Statistics
     this.stats = {
       userCount: 0,
@@ -107,6 +112,9 @@ class AuthManager extends ModuleLifecycle {
       // Initialize authentication providers
       await this._initializeProviders();
       
+      // Restore users, sessions and tokens from the shared state store
+      await this.restoreState();
+      
       this.logger.info('Authentication Manager initialized');
       return true;
     } catch (error) {
@@ -184,6 +192,44 @@ class AuthManager extends ModuleLifecycle {
     }
   }
   
+  /**
+   * Set the shared state store, e.g. the namespace Core hands to its modules
+   * @param {Object|null} stateManager - StateManager namespace view
+   */
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+  }
+  
+  /**
+   * Restore users, sessions and tokens from the shared state store
+   * @returns {Promise<number>} - Number of records restored
+   */
+  async restoreState() {
+    if (!this.stateManager) {
+      return 0;
+    }
+    
+    const stores = { user: this.users, session: this.sessions, token: this.tokens };
+    const keys = await this.stateManager.keys();
+    let restored = 0;
+    
+    for (const key of keys) {
+      const separator = key.indexOf(':');
+      const store = stores[key.slice(0, separator)];
+      const record = store && await this.stateManager.get(key);
+      
+      if (record) {
+        store.set(key.slice(separator + 1), record);
+        restored++;
+      }
+    }
+    
+    this.stats.userCount = this.users.size;
+    this.stats.sessionCount = [...this.sessions.values()].filter(session => session.status === 'active').length;
+    
+    return restored;
+  }
+  
   /**
    * Register a user
    * @param {string} username - Username
@@ -193,18 +239,18 @@ class AuthManager extends ModuleLifecycle {
   async registerUser(username, userInfo) {
     try {
       if (!username || !userInfo.password) {
-        throw new Error('Username and password are required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Username and password are required');
       }
       
       // Check if user already exists
       if (this._findUserByUsername(username)) {
-        throw new Error(`User ${username} already exists`);
+        throw new ResourceError(ErrorCode.RESOURCE_ALREADY_EXISTS, `User ${username} already exists`, { details: { username } });
       }
       
       // Validate password
       const passwordValid = this._validatePassword(userInfo.password);
       if (!passwordValid.valid) {
-        throw new Error(`Password validation failed: ${passwordValid.reason}`);
+        throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Password validation failed: ${passwordValid.reason}`);
       }
       
       // Hash password
@@ -229,6 +275,7 @@ class AuthManager extends ModuleLifecycle {
       
       // Store user
       this.users.set(userId, user);
+      this._persist('user', userId, user);
       
       // Update stats
       this.stats.userCount++;
@@ -312,6 +359,9 @@ class AuthManager extends ModuleLifecycle {
       // Generate tokens
       const tokens = await this._generateTokens(user, session.sessionId);
       
+      // The rest of the request now runs on behalf of this user
+      updateContext({ userId: user.userId, sessionId: session.sessionId });
+      
       this.logger.info(`User authenticated: ${username}`);
       this.eventEmitter.emit('auth:success', { userId: user.userId, username, sessionId: session.sessionId });
       
@@ -341,23 +391,23 @@ class AuthManager extends ModuleLifecycle {
       // Validate refresh token
       const tokenInfo = await this._validateToken(refreshToken);
       if (!tokenInfo.valid || tokenInfo.type !== 'refresh') {
-        throw new Error('Invalid refresh token');
+        throw new AuthError(ErrorCode.AUTH_FAILED, 'Invalid refresh token');
       }
       
       // Get user and session
       const user = this.users.get(tokenInfo.userId);
       if (!user) {
-        throw new Error('User not found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'User not found');
       }
       
       const session = this.sessions.get(tokenInfo.sessionId);
       if (!session) {
-        throw new Error('Session not found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'Session not found');
       }
       
       // Check if session is active
       if (session.status !== 'active') {
-        throw new Error('Session is not active');
+        throw new AuthError(ErrorCode.AUTH_UNAUTHORIZED, 'Session is not active');
       }
       
       // Generate new tokens
@@ -418,8 +468,11 @@ class AuthManager extends ModuleLifecycle {
       // Update session activity
       if (this.options.sessionOptions.extendSessionOnActivity) {
         session.lastActivity = Date.now();
+        this._persist('session', session.sessionId, session);
       }
       
+      updateContext({ userId: user.userId, sessionId: session.sessionId });
+      
       return {
         valid: true,
         userId: user.userId,
@@ -441,7 +494,7 @@ class AuthManager extends ModuleLifecycle {
   async logout(sessionId) {
     try {
       if (!this.sessions.has(sessionId)) {
-        throw new Error('Session not found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'Session not found');
       }
       
       const session = this.sessions.get(sessionId);
@@ -449,12 +502,14 @@ class AuthManager extends ModuleLifecycle {
       // Update session status
       session.status = 'ended';
       session.endedAt = Date.now();
+      this._persist('session', sessionId, session);
       
       // Invalidate tokens
       for (const [tokenId, token] of this.tokens.entries()) {
         if (token.sessionId === sessionId) {
           token.status = 'revoked';
           token.revokedAt = Date.now();
+          this._persist('token', tokenId, token);
         }
       }
       
@@ -490,7 +545,7 @@ class AuthManager extends ModuleLifecycle {
       // Get user
       const user = this.users.get(userId);
       if (!user) {
-        throw new Error('User not found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'User not found');
       }
       
       // If access control module is available, use it
@@ -554,7 +609,7 @@ class AuthManager extends ModuleLifecycle {
       // Get user
       const user = this.users.get(userId);
       if (!user) {
-        throw new Error('User not found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'User not found');
       }
       
       // If access control module is available, use it
@@ -595,7 +650,7 @@ class AuthManager extends ModuleLifecycle {
       // Check if user exists
       const user = this.users.get(userId);
       if (!user) {
-        throw new Error('User not found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'User not found');
       }
       
       // If secure communication module is available, use it
@@ -611,7 +666,7 @@ class AuthManager extends ModuleLifecycle {
         
         return channel;
       } else {
-        throw new Error('Secure communication module not available');
+        throw new ServiceError(ErrorCode.SERVICE_UNAVAILABLE, 'Secure communication module not available', { retryable: false });
       }
     } catch (error) {
       this.logger.error(`Failed to create secure channel: ${error.message}`);
@@ -628,7 +683,7 @@ class AuthManager extends ModuleLifecycle {
     try {
       const user = this.users.get(userId);
       if (!user) {
-        throw new Error('User not found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'User not found');
       }
       
       return this._sanitizeUser(user);
@@ -827,6 +882,7 @@ class AuthManager extends ModuleLifecycle {
     
     // Store session
     this.sessions.set(sessionId, session);
+    this._persist('session', sessionId, session);
     
     // Update stats
     this.stats.sessionCount++;
@@ -879,6 +935,8 @@ class AuthManager extends ModuleLifecycle {
     // Store tokens
     this.tokens.set(accessTokenId, accessToken);
     this.tokens.set(refreshTokenId, refreshToken);
+    this._persist('token', accessTokenId, accessToken);
+    this._persist('token', refreshTokenId, refreshToken);
     
     // Serialize tokens (in a real implementation, these would be JWTs)
     const serializedAccessToken = Buffer.from(JSON.stringify({
@@ -944,6 +1002,24 @@ class AuthManager extends ModuleLifecycle {
     }
   }
   
+  /**
+   * Write a user, session or token through to the shared state store, if configured
+   * @param {string} kind - 'user', 'session' or 'token'
+   * @param {string} id - Record ID
+   * @param {Object} record - Record to persist
+   * @private
+   */
+  _persist(kind, id, record) {
+    if (!this.stateManager) {
+      return;
+    }
+    
+    this.stateManager.set(`${kind}:${id}`, record).catch(error => {
+      this.logger.error(`Failed to persist ${kind} ${id}: ${error.message}`);
+      this.eventEmitter.emit('state:persistFailed', { kind, id, error: error.message });
+    });
+  }
+  
   /**
    * Sanitize user object for external use
    * @param {Object} user - User object
@@ -2,12 +2,60 @@
  * ConfigManager.js
  * 
  * Configuration management for the Security & Authentication module.
- * Handles loading, validating, and providing access to security configurations.
+ * A view over the `security_authentication` section of the core ConfigLoader, so the
+ * shared acip.config file, ACIP_ environment variables and file watching configure
+ * this module together with the rest of the stack.
  */
 
-const fs = require('fs');
-const path = require('path');
 const EventEmitter = require('events');
+const { ConfigLoader } = require('../../../core/src/config/config-loader');
+const { ErrorCode, ValidationError } = require('../../../core/src/errors/acip-error');
+const { validateSchema } = require('../../../core/src/utils/json-schema');
+
+/**
+ * Name of this module's section in the shared configuration
+ */
+const CONFIG_SECTION = 'security_authentication';
+
+/**
+ * JSON Schema for the security configuration
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    auth: {
+      type: 'object',
+      properties: {
+        providers: { type: 'array', items: { type: 'string' } },
+        tokenExpiry: { type: 'number' },
+        refreshTokenExpiry: { type: 'number' },
+        verificationRequired: { type: 'boolean' },
+        mfaEnabled: { type: 'boolean' }
+      }
+    },
+    accessControl: {
+      type: 'object',
+      properties: {
+        defaultPolicy: { enum: ['allow', 'deny'] },
+        cacheTimeout: { type: 'number' }
+      }
+    },
+    secureCommunication: {
+      type: 'object',
+      properties: {
+        defaultEncryptionLevel: { enum: ['none', 'standard', 'high', 'end_to_end'] }
+      }
+    },
+    privacy: {
+      type: 'object',
+      properties: {
+        defaultPrivacyLevel: { enum: ['minimal', 'basic', 'balanced', 'strict'] },
+        dataSensitivityLevels: { type: 'object' }
+      }
+    },
+    global: { type: 'object' }
+  }
+};
 
 /**
  * Configuration Manager class
@@ -17,15 +65,16 @@ class ConfigManager {
   /**
    * Constructor
    * @param {Object} options - Configuration options
+   * @param {ConfigLoader} [options.configLoader] - Shared core loader; this module reads its `security_authentication` section
+   * @param {string} [options.configPath] - Module-only configuration file holding this module's settings at its top level
    */
   constructor(options = {}) {
     this.options = {
-      // Default configuration
-      configPath: process.env.SECURITY_CONFIG_PATH || 'security.config.json',
+      // Module-only configuration file; without one the shared acip.config file is used
+      configPath: process.env.SECURITY_CONFIG_PATH,
       
       // Watch for config changes
       watchConfig: false,
-      watchInterval: 5000, // 5 seconds
       
       // Validation options
       validateOnLoad: true,
@@ -72,17 +121,10 @@ class ConfigManager {
     this.logger = options.logger || console;
     this.eventEmitter = new EventEmitter();
     
-    // Initialize configuration containers
-    this.rawConfig = {};
-    this.config = {
-      auth: { ...this.options.defaultAuthConfig },
-      accessControl: { ...this.options.defaultAccessControlConfig },
-      secureCommunication: { ...this.options.defaultSecureCommConfig },
-      privacy: { ...this.options.defaultPrivacyConfig },
-      global: {}
-    };
+    this._useLoader(this.options.configLoader, this.options.configPath);
     
-    this.watcher = null;
+    this.config = this.section.get();
+    this.unsubscribe = null;
     this.lastConfigChange = Date.now();
   }
   
@@ -93,15 +135,12 @@ class ConfigManager {
    */
   async initialize(configPath = null) {
     try {
-      // Use provided path or default
-      const cfgPath = configPath || this.options.configPath;
-      
       // Load configuration
-      await this.loadConfig(cfgPath);
+      await this.loadConfig(configPath);
       
-      // Set up config watcher if enabled
-      if (this.options.watchConfig) {
-        this._setupConfigWatcher(cfgPath);
+      // Follow changes picked up by the loader, e.g. from its file watcher
+      if (!this.unsubscribe) {
+        this._subscribe();
       }
       
       this.logger.info('Configuration Manager initialized');
@@ -114,37 +153,18 @@ class ConfigManager {
   
   /**
    * Load configuration from file
-   * @param {string} configPath - Path to configuration file
+   * @param {string} [configPath] - Path to a module-only configuration file
    * @returns {Promise<Object>} Loaded configuration
    */
   async loadConfig(configPath) {
     try {
-      this.logger.info(`Loading configuration from ${configPath}`);
-      
-      // Check if file exists
-      if (!fs.existsSync(configPath)) {
-        this.logger.warn(`Configuration file not found: ${configPath}`);
-        this.logger.info('Using default configuration');
-        
-        // Return current (default) config
-        return this.config;
+      if (configPath && configPath !== this.loader.configPath) {
+        this._useLoader(null, configPath);
       }
       
-      // Read and parse configuration file
-      const configData = fs.readFileSync(configPath, 'utf8');
-      this.rawConfig = JSON.parse(configData);
-      
-      // Validate configuration if enabled
-      if (this.options.validateOnLoad) {
-        const validationResult = this.validateConfig(this.rawConfig);
-        if (!validationResult.valid) {
-          this.logger.warn(`Configuration validation failed: ${validationResult.errors.join(', ')}`);
-          this.logger.info('Using default configuration with valid parts from file');
-        }
-      }
+      this.logger.info(`Loading configuration from ${this.loader.configPath || 'defaults'}`);
       
-      // Merge with default configuration
-      this._mergeConfig(this.rawConfig);
+      this.config = await this.section.load(true);
       
       this.lastConfigChange = Date.now();
       this.eventEmitter.emit('config:loaded', { config: this.config });
@@ -162,70 +182,16 @@ class ConfigManager {
    * @returns {Object} Validation result
    */
   validateConfig(config) {
-    const errors = [];
-    
     // Check if config is an object
     if (!config || typeof config !== 'object') {
-      errors.push('Configuration must be an object');
-      return { valid: false, errors };
+      return { valid: false, errors: ['Configuration must be an object'] };
     }
     
-    // Validate authentication configuration
-    if (config.auth) {
-      if (config.auth.tokenExpiry && typeof config.auth.tokenExpiry !== 'number') {
-        errors.push('auth.tokenExpiry must be a number');
-      }
-      
-      if (config.auth.refreshTokenExpiry && typeof config.auth.refreshTokenExpiry !== 'number') {
-        errors.push('auth.refreshTokenExpiry must be a number');
-      }
-      
-      if (config.auth.providers && !Array.isArray(config.auth.providers)) {
-        errors.push('auth.providers must be an array');
-      }
-    }
-    
-    // Validate access control configuration
-    if (config.accessControl) {
-      if (config.accessControl.defaultPolicy && 
-          !['allow', 'deny'].includes(config.accessControl.defaultPolicy)) {
-        errors.push("accessControl.defaultPolicy must be 'allow' or 'deny'");
-      }
-      
-      if (config.accessControl.cacheTimeout && 
-          typeof config.accessControl.cacheTimeout !== 'number') {
-        errors.push('accessControl.cacheTimeout must be a number');
-      }
-    }
-    
-    // Validate secure communication configuration
-    if (config.secureCommunication) {
-      if (config.secureCommunication.defaultEncryptionLevel && 
-          !['none', 'standard', 'high', 'end_to_end'].includes(
-            config.secureCommunication.defaultEncryptionLevel
-          )) {
-        errors.push("secureCommunication.defaultEncryptionLevel must be 'none', 'standard', 'high', or 'end_to_end'");
-      }
-    }
-    
-    // Validate privacy configuration
-    if (config.privacy) {
-      if (config.privacy.defaultPrivacyLevel && 
-          !['minimal', 'basic', 'balanced', 'strict'].includes(
-            config.privacy.defaultPrivacyLevel
-          )) {
-        errors.push("privacy.defaultPrivacyLevel must be 'minimal', 'basic', 'balanced', or 'strict'");
-      }
-      
-      if (config.privacy.dataSensitivityLevels && 
-          typeof config.privacy.dataSensitivityLevels !== 'object') {
-        errors.push('privacy.dataSensitivityLevels must be an object');
-      }
-    }
+    const result = validateSchema(CONFIG_SCHEMA, config);
     
     return { 
-      valid: errors.length === 0,
-      errors 
+      valid: result.valid,
+      errors: result.errors.map(error => `${error.path} ${error.message}`)
     };
   }
   
@@ -239,11 +205,15 @@ class ConfigManager {
       // Validate new configuration
       const validationResult = this.validateConfig(newConfig);
       if (!validationResult.valid) {
-        throw new Error(`Invalid configuration: ${validationResult.errors.join(', ')}`);
+        throw new ValidationError(
+          ErrorCode.VALIDATION_INVALID_FORMAT,
+          `Invalid configuration: ${validationResult.errors.join(', ')}`,
+          { details: { errors: validationResult.errors } }
+        );
       }
       
       // Deep merge new configuration with existing config
-      this._mergeConfig(newConfig);
+      this.config = this.section.update(newConfig);
       
       this.lastConfigChange = Date.now();
       this.eventEmitter.emit('config:updated', { config: this.config });
@@ -262,20 +232,7 @@ class ConfigManager {
    */
   async saveConfig(configPath = null) {
     try {
-      const savePath = configPath || this.options.configPath;
-      
-      // Create directory if it doesn't exist
-      const dir = path.dirname(savePath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      
-      // Write configuration to file
-      fs.writeFileSync(
-        savePath, 
-        JSON.stringify(this.config, null, 2), 
-        'utf8'
-      );
+      const savePath = await this.section.save(configPath);
       
       this.logger.info(`Configuration saved to ${savePath}`);
       this.eventEmitter.emit('config:saved', { path: savePath });
@@ -356,10 +313,14 @@ class ConfigManager {
    */
   async stop() {
     try {
-      // Stop file watcher if active
-      if (this.watcher) {
-        this.watcher.close();
-        this.watcher = null;
+      if (this.unsubscribe) {
+        this.unsubscribe();
+        this.unsubscribe = null;
+      }
+      
+      // A shared loader is owned by whoever created it
+      if (this.ownsLoader) {
+        this.loader.stopWatch();
       }
       
       this.logger.info('Configuration Manager stopped');
@@ -373,99 +334,61 @@ class ConfigManager {
   // Private methods
   
   /**
-   * Set up configuration file watcher
-   * @param {string} configPath - Path to watch
-   * @private
-   */
-  _setupConfigWatcher(configPath) {
-    try {
-      if (this.watcher) {
-        this.watcher.close();
-      }
-      
-      // Check if file exists before setting up watcher
-      if (!fs.existsSync(configPath)) {
-        this.logger.warn(`Cannot watch non-existent file: ${configPath}`);
-        return;
-      }
-      
-      // Set up file watcher
-      this.watcher = fs.watch(configPath, async (eventType) => {
-        if (eventType === 'change') {
-          // Debounce rapid changes
-          const now = Date.now();
-          if (now - this.lastConfigChange < 1000) {
-            return;
-          }
-          
-          this.logger.info(`Configuration file changed: ${configPath}`);
-          
-          try {
-            await this.loadConfig(configPath);
-            this.eventEmitter.emit('config:reloaded', { config: this.config });
-          } catch (error) {
-            this.logger.error(`Failed to reload configuration: ${error.message}`);
-          }
-        }
-      });
-      
-      this.logger.info(`Watching for changes in ${configPath}`);
-    } catch (error) {
-      this.logger.error(`Failed to set up config watcher: ${error.message}`);
-    }
-  }
-  
-  /**
-   * Merge configuration with defaults
-   * @param {Object} newConfig - New configuration
+   * Bind the manager to a loader section
+   * 
+   * A shared loader, or the default acip.config file, holds this module's settings
+   * under `security_authentication`. A module-only file holds them at its top level.
+   * 
+   * @param {ConfigLoader} [configLoader] - Shared loader
+   * @param {string} [configPath] - Module-only configuration file
    * @private
    */
-  _mergeConfig(newConfig) {
-    // Merge each section separately to avoid overwriting unspecified sections
-    if (newConfig.auth) {
-      this.config.auth = {
-        ...this.config.auth,
-        ...newConfig.auth
-      };
-    }
+  _useLoader(configLoader, configPath) {
+    const subscribed = Boolean(this.unsubscribe);
     
-    if (newConfig.accessControl) {
-      this.config.accessControl = {
-        ...this.config.accessControl,
-        ...newConfig.accessControl
-      };
+    if (subscribed) {
+      this.unsubscribe();
+      this.unsubscribe = null;
     }
     
-    if (newConfig.secureCommunication) {
-      this.config.secureCommunication = {
-        ...this.config.secureCommunication,
-        ...newConfig.secureCommunication
-      };
+    if (this.loader && this.ownsLoader) {
+      this.loader.stopWatch();
     }
     
-    if (newConfig.privacy) {
-      this.config.privacy = {
-        ...this.config.privacy,
-        ...newConfig.privacy
-      };
-      
-      // Special handling for nested objects
-      if (newConfig.privacy.dataSensitivityLevels) {
-        this.config.privacy.dataSensitivityLevels = {
-          ...this.config.privacy.dataSensitivityLevels,
-          ...newConfig.privacy.dataSensitivityLevels
-        };
-      }
-    }
+    this.ownsLoader = !configLoader;
+    this.loader = configLoader || new ConfigLoader({
+      configPath,
+      watchConfig: this.options.watchConfig
+    }, this.logger);
     
-    // Global settings
-    if (newConfig.global) {
-      this.config.global = {
-        ...this.config.global,
-        ...newConfig.global
-      };
+    this.section = this.loader.section(configLoader || !configPath ? CONFIG_SECTION : null, {
+      defaults: {
+        auth: this.options.defaultAuthConfig,
+        accessControl: this.options.defaultAccessControlConfig,
+        secureCommunication: this.options.defaultSecureCommConfig,
+        privacy: this.options.defaultPrivacyConfig,
+        global: {}
+      },
+      schema: this.options.validateOnLoad ? CONFIG_SCHEMA : undefined
+    });
+    
+    if (subscribed) {
+      this._subscribe();
     }
   }
+  
+  /**
+   * Follow changes to this module's section
+   * @private
+   */
+  _subscribe() {
+    this.unsubscribe = this.section.onChange(config => {
+      this.config = config;
+      this.lastConfigChange = Date.now();
+      this.logger.info('Configuration changed');
+      this.eventEmitter.emit('config:reloaded', { config: this.config });
+    });
+  }
 }
 
-module.exports = ConfigManager; 
\ No newline at end of file
+module.exports = ConfigManager;
\ No newline at end of file
@@ -7,6 +7,7 @@
 
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const { ErrorCode, AuthError, ResourceError, ValidationError } = require('../../../core/src/errors/acip-error');
 
 /**
  * Authentication methods
@@ -126,21 +127,21 @@ class IdentityVerification {
   async registerUser(username, userData) {
     try {
       if (!username) {
-        throw new Error('Username is required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Username is required');
       }
       
       if (!userData.password && !userData.externalAuth) {
-        throw new Error('Authentication credentials are required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Authentication credentials are required');
       }
       
       // Check if user already exists
       for (const user of this.users.values()) {
         if (user.username === username) {
-          throw new Error(`User ${username} already exists`);
+          throw new ResourceError(ErrorCode.RESOURCE_ALREADY_EXISTS, `User ${username} already exists`);
         }
         
         if (userData.email && user.email === userData.email) {
-          throw new Error(`Email ${userData.email} is already registered`);
+          throw new ResourceError(ErrorCode.RESOURCE_ALREADY_EXISTS, `Email ${userData.email} is already registered`);
         }
       }
       
@@ -148,7 +149,7 @@ class IdentityVerification {
       if (userData.password) {
         const passwordValid = this._validatePassword(userData.password);
         if (!passwordValid.valid) {
-          throw new Error(`Password validation failed: ${passwordValid.reason}`);
+          throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Password validation failed: ${passwordValid.reason}`);
         }
       }
       
@@ -365,14 +366,14 @@ class IdentityVerification {
       
       // Check if user exists
       if (!this.users.has(userId)) {
-        throw new Error('User not found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'User not found');
       }
       
       const user = this.users.get(userId);
       
       // Check if verification request exists
       if (!this.verificationRequests.has(userId)) {
-        throw new Error('No verification request found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'No verification request found');
       }
       
       const request = this.verificationRequests.get(userId);
@@ -385,16 +386,16 @@ class IdentityVerification {
         // If too many failed attempts, invalidate the request
         if (request.attempts >= 3) {
           this.verificationRequests.delete(userId);
-          throw new Error('Verification failed: too many attempts');
+          throw new AuthError(ErrorCode.AUTH_FAILED, 'Verification failed: too many attempts');
         }
         
-        throw new Error('Invalid verification token');
+        throw new AuthError(ErrorCode.AUTH_FAILED, 'Invalid verification token');
       }
       
       // Check if token has expired
       if (request.expiresAt < Date.now()) {
         this.verificationRequests.delete(userId);
-        throw new Error('Verification token has expired');
+        throw new AuthError(ErrorCode.AUTH_FAILED, 'Verification token has expired');
       }
       
       // Update user verification status
@@ -429,14 +430,14 @@ class IdentityVerification {
     try {
       // Check if user exists
       if (!this.users.has(userId)) {
-        throw new Error('User not found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'User not found');
       }
       
       const user = this.users.get(userId);
       
       // Validate MFA method
       if (!Object.values(AuthMethod).includes(method)) {
-        throw new Error(`Invalid MFA method: ${method}`);
+        throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Invalid MFA method: ${method}`);
       }
       
       // Set up MFA based on method
@@ -466,7 +467,7 @@ class IdentityVerification {
         case AuthMethod.BIOMETRIC:
           // Register biometric template
           if (!options.biometricTemplate) {
-            throw new Error('Biometric template is required');
+            throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Biometric template is required');
           }
           
           mfaData = {
@@ -479,7 +480,7 @@ class IdentityVerification {
           break;
           
         default:
-          throw new Error(`MFA method ${method} not implemented`);
+          throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `MFA method ${method} not implemented`);
       }
       
       // Update user's MFA settings
@@ -536,14 +537,14 @@ class IdentityVerification {
     try {
       // Check if user exists
       if (!this.users.has(userId)) {
-        throw new Error('User not found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'User not found');
       }
       
       const user = this.users.get(userId);
       
       // Check if user has MFA enabled
       if (!user.mfaEnabled || !user.mfaMethods || user.mfaMethods.length === 0) {
-        throw new Error('MFA not enabled for this user');
+        throw new AuthError(ErrorCode.AUTH_FORBIDDEN, 'MFA not enabled for this user');
       }
       
       // Get the specified MFA method or use the first available one
@@ -551,7 +552,7 @@ class IdentityVerification {
       const mfaMethod = user.mfaMethods.find(m => m.method === methodName);
       
       if (!mfaMethod) {
-        throw new Error(`MFA method ${methodName} not found`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `MFA method ${methodName} not found`);
       }
       
       // Verify token based on method
@@ -577,7 +578,7 @@ class IdentityVerification {
           break;
           
         default:
-          throw new Error(`MFA method ${mfaMethod.method} not implemented`);
+          throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `MFA method ${mfaMethod.method} not implemented`);
       }
       
       if (!tokenValid) {
@@ -659,21 +660,21 @@ class IdentityVerification {
     try {
       // Check if user exists
       if (!this.users.has(userId)) {
-        throw new Error('User not found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'User not found');
       }
       
       const user = this.users.get(userId);
       
       // Check if reset request exists
       if (!this.verificationRequests.has(userId)) {
-        throw new Error('No password reset request found');
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'No password reset request found');
       }
       
       const request = this.verificationRequests.get(userId);
       
       // Check request type
       if (request.type !== 'password_reset') {
-        throw new Error('Invalid request type');
+        throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, 'Invalid request type');
       }
       
       // Check if token matches
@@ -684,22 +685,22 @@ class IdentityVerification {
         // If too many failed attempts, invalidate the request
         if (request.attempts >= 3) {
           this.verificationRequests.delete(userId);
-          throw new Error('Password reset failed: too many attempts');
+          throw new AuthError(ErrorCode.AUTH_FAILED, 'Password reset failed: too many attempts');
         }
         
-        throw new Error('Invalid reset token');
+        throw new AuthError(ErrorCode.AUTH_FAILED, 'Invalid reset token');
       }
       
       // Check if token has expired
       if (request.expiresAt < Date.now()) {
         this.verificationRequests.delete(userId);
-        throw new Error('Reset token has expired');
+        throw new AuthError(ErrorCode.AUTH_FAILED, 'Reset token has expired');
       }
       
       // Validate new password
       const passwordValid = this._validatePassword(newPassword);
       if (!passwordValid.valid) {
-        throw new Error(`Password validation failed: ${passwordValid.reason}`);
+        throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Password validation failed: ${passwordValid.reason}`);
       }
       
       // Update user password
@@ -918,7 +919,7 @@ class IdentityVerification {
   async _createVerificationRequest(userId) {
     // Check if user exists
     if (!this.users.has(userId)) {
-      throw new Error('User not found');
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'User not found');
     }
     
     const user = this.users.get(userId);
@@ -963,7 +964,7 @@ class IdentityVerification {
   async _createLoginVerificationRequest(userId, loginInfo) {
     // Check if user exists
     if (!this.users.has(userId)) {
-      throw new Error('User not found');
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'User not found');
     }
     
     const user = this.users.get(userId);
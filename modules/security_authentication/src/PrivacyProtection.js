@@ -7,6 +7,7 @@
 
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const { ErrorCode, AuthError, ResourceError, ValidationError } = require('../../../core/src/errors/acip-error');
 
 /**
  * Privacy operation types
@@ -170,7 +171,7 @@ class PrivacyProtection {
       
       // Validate data subject
       if (!this.dataSubjects.has(subjectId)) {
-        throw new Error(`Data subject not found: ${subjectId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Data subject not found: ${subjectId}`);
       }
       
       // Generate consent ID
@@ -304,7 +305,7 @@ class PrivacyProtection {
       if (checkConsent && subjectId && purposeId) {
         const hasConsent = await this.hasConsent(subjectId, purposeId);
         if (!hasConsent) {
-          throw new Error(`No consent found for subject ${subjectId} and purpose ${purposeId}`);
+          throw new AuthError(ErrorCode.AUTH_FORBIDDEN, `No consent found for subject ${subjectId} and purpose ${purposeId}`);
         }
       }
       
@@ -348,7 +349,7 @@ class PrivacyProtection {
           break;
           
         default:
-          throw new Error(`Unsupported privacy operation: ${operationType}`);
+          throw new ValidationError(ErrorCode.VALIDATION_INVALID_FORMAT, `Unsupported privacy operation: ${operationType}`);
       }
       
       this.logger.debug(`Applied ${operationType} operation to data`);
@@ -375,7 +376,7 @@ class PrivacyProtection {
       
       // Validate data subject
       if (!this.dataSubjects.has(subjectId)) {
-        throw new Error(`Data subject not found: ${subjectId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Data subject not found: ${subjectId}`);
       }
       
       // Generate deletion request ID
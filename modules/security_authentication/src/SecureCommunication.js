@@ -7,6 +7,7 @@
 
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const { ErrorCode, ResourceError, ServiceError, ValidationError } = require('../../../core/src/errors/acip-error');
 
 /**
  * Encryption levels
@@ -29,6 +30,70 @@ const ChannelState = {
   ERROR: 'error'
 };
 
+/**
+ * Length of the initialization vector prepended to encrypted data
+ */
+const IV_LENGTH = 16;
+
+/**
+ * Length of the GCM authentication tag that follows the IV
+ */
+const AUTH_TAG_LENGTH = 16;
+
+/**
+ * Encrypt data with a symmetric key
+ * @param {Buffer} key - Symmetric key (32 bytes for AES-256)
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {Object} [options] - Encryption options
+ * @param {string} [options.algorithm='aes-256-gcm'] - GCM cipher algorithm
+ * @param {Buffer} [options.aad] - Additional authenticated data; the same value is needed to decrypt
+ * @returns {Buffer} Encrypted data (format: iv + authTag + encrypted)
+ */
+function encryptBuffer(key, plaintext, options = {}) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(options.algorithm || 'aes-256-gcm', key, iv);
+  
+  if (options.aad) {
+    cipher.setAAD(options.aad);
+  }
+  
+  const encrypted = Buffer.concat([
+    cipher.update(plaintext),
+    cipher.final()
+  ]);
+  
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+}
+
+/**
+ * Decrypt data produced by encryptBuffer
+ * @param {Buffer} key - Symmetric key
+ * @param {Buffer} data - Encrypted data (format: iv + authTag + encrypted)
+ * @param {Object} [options] - Decryption options
+ * @param {string} [options.algorithm='aes-256-gcm'] - GCM cipher algorithm
+ * @param {Buffer} [options.aad] - Additional authenticated data used for encryption
+ * @returns {Buffer} Decrypted data
+ * @throws {Error} If the data, its authentication tag or the AAD were altered
+ */
+function decryptBuffer(key, data, options = {}) {
+  const decipher = crypto.createDecipheriv(
+    options.algorithm || 'aes-256-gcm',
+    key,
+    data.subarray(0, IV_LENGTH)
+  );
+  
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH));
+  
+  if (options.aad) {
+    decipher.setAAD(options.aad);
+  }
+  
+  return Buffer.concat([
+    decipher.update(data.subarray(IV_LENGTH + AUTH_TAG_LENGTH)),
+    decipher.final()
+  ]);
+}
+
 /**
  * Secure Communication class
  * Manages encrypted communication channels
@@ -122,7 +187,7 @@ class SecureCommunication {
       } = options;
       
       if (!target) {
-        throw new Error('Target is required');
+        throw new ValidationError(ErrorCode.VALIDATION_MISSING_REQUIRED, 'Target is required');
       }
       
       // Generate channel keys
@@ -173,7 +238,7 @@ class SecureCommunication {
   async closeChannel(channelId) {
     try {
       if (!this.channels.has(channelId)) {
-        throw new Error(`Channel not found: ${channelId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Channel not found: ${channelId}`);
       }
       
       const channel = this.channels.get(channelId);
@@ -209,14 +274,14 @@ class SecureCommunication {
   async sendMessage(channelId, message) {
     try {
       if (!this.channels.has(channelId)) {
-        throw new Error(`Channel not found: ${channelId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Channel not found: ${channelId}`);
       }
       
       const channel = this.channels.get(channelId);
       
       // Check channel state
       if (channel.state !== ChannelState.ACTIVE) {
-        throw new Error(`Cannot send on channel in ${channel.state} state`);
+        throw new ServiceError(ErrorCode.SERVICE_UNAVAILABLE, `Cannot send on channel in ${channel.state} state`);
       }
       
       // Prepare message
@@ -487,39 +552,16 @@ class SecureCommunication {
     const symmetricKeyInfo = this.keys.symmetric.get(channel.keys.symmetricKeyId);
     
     if (!symmetricKeyInfo) {
-      throw new Error('Symmetric key not found');
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'Symmetric key not found');
     }
     
-    // Generate an initialization vector
-    const iv = crypto.randomBytes(16);
-    
-    // Encrypt the message
-    const cipher = crypto.createCipheriv(
-      symmetricKeyInfo.algorithm, 
-      symmetricKeyInfo.key,
-      iv
-    );
-    
     // Update stats
     this.stats.encryptionOperations++;
     
-    // Perform encryption
-    const encrypted = Buffer.concat([
-      cipher.update(serialized, 'utf8'),
-      cipher.final()
-    ]);
-    
-    // Get the authentication tag (for GCM mode)
-    const authTag = cipher.getAuthTag();
-    
-    // Combine all parts (format: iv + authTag + encrypted)
-    const result = Buffer.concat([
-      iv,
-      authTag,
-      encrypted
-    ]);
-    
-    return result;
+    // Encrypt the message (format: iv + authTag + encrypted)
+    return encryptBuffer(symmetricKeyInfo.key, Buffer.from(serialized, 'utf8'), {
+      algorithm: symmetricKeyInfo.algorithm
+    });
   }
   
   /**
@@ -534,32 +576,16 @@ class SecureCommunication {
     const symmetricKeyInfo = this.keys.symmetric.get(channel.keys.symmetricKeyId);
     
     if (!symmetricKeyInfo) {
-      throw new Error('Symmetric key not found');
+      throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, 'Symmetric key not found');
     }
     
-    // Extract parts (iv is 16 bytes, authTag is 16 bytes for GCM)
-    const iv = encryptedMessage.slice(0, 16);
-    const authTag = encryptedMessage.slice(16, 32);
-    const encrypted = encryptedMessage.slice(32);
-    
-    // Create decipher
-    const decipher = crypto.createDecipheriv(
-      symmetricKeyInfo.algorithm,
-      symmetricKeyInfo.key,
-      iv
-    );
-    
-    // Set authentication tag (for GCM mode)
-    decipher.setAuthTag(authTag);
-    
     // Update stats
     this.stats.decryptionOperations++;
     
     // Perform decryption
-    const decrypted = Buffer.concat([
-      decipher.update(encrypted),
-      decipher.final()
-    ]);
+    const decrypted = decryptBuffer(symmetricKeyInfo.key, encryptedMessage, {
+      algorithm: symmetricKeyInfo.algorithm
+    });
     
     // Parse the decrypted message
     const message = JSON.parse(decrypted.toString('utf8'));
@@ -577,14 +603,14 @@ class SecureCommunication {
   async _handleIncomingMessage(channelId, encryptedMessage) {
     try {
       if (!this.channels.has(channelId)) {
-        throw new Error(`Channel not found: ${channelId}`);
+        throw new ResourceError(ErrorCode.RESOURCE_NOT_FOUND, `Channel not found: ${channelId}`);
       }
       
       const channel = this.channels.get(channelId);
       
       // Check channel state
       if (channel.state !== ChannelState.ACTIVE) {
-        throw new Error(`Cannot receive on channel in ${channel.state} state`);
+        throw new ServiceError(ErrorCode.SERVICE_UNAVAILABLE, `Cannot receive on channel in ${channel.state} state`);
       }
       
       // Decrypt the message
@@ -616,4 +642,6 @@ class SecureCommunication {
 
 module.exports = SecureCommunication;
 module.exports.EncryptionLevel = EncryptionLevel;
-module.exports.ChannelState = ChannelState; 
\ No newline at end of file
+module.exports.ChannelState = ChannelState;
+module.exports.encryptBuffer = encryptBuffer;
+module.exports.decryptBuffer = decryptBuffer; 
\ No newline at end of file
@@ -24,6 +24,8 @@ module.exports = {
   SecureCommunication,
   EncryptionLevel: SecureCommunication.EncryptionLevel,
   ChannelState: SecureCommunication.ChannelState,
+  encryptBuffer: SecureCommunication.encryptBuffer,
+  decryptBuffer: SecureCommunication.decryptBuffer,
   
   // Privacy protection
   PrivacyProtection,
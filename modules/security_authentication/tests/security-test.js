@@ -9,6 +9,7 @@ const AccessControlSystem = require('../src/AccessControlSystem');
 const SecureCommunication = require('../src/SecureCommunication');
 const PrivacyProtection = require('../src/PrivacyProtection');
 const IdentityVerification = require('../src/IdentityVerification');
+const { StateManager } = require('../../../core/src/state/state-manager');
 
 // Silence logs during tests
 const silentLogger = {
@@ -51,6 +52,18 @@ async function testAuthManager() {
     const hasPermission = await authManager.checkPermission(user.userId, 'read', 'documents');
     console.log('Has permission:', hasPermission);
     
+    // Test restoring users and sessions from the shared state store
+    console.log('Testing shared state...');
+    const state = new StateManager({}, silentLogger).namespace('security-authentication');
+    const persisted = new AuthManager({ logger: silentLogger, stateManager: state });
+    await persisted.registerUser('stateuser', { password: 'SecureP@ss123' });
+    const session = await persisted.authenticate('stateuser', 'SecureP@ss123');
+    
+    const restarted = new AuthManager({ logger: silentLogger, stateManager: state });
+    await restarted.initialize();
+    const restoredToken = await restarted.verifyToken(session.accessToken);
+    console.log('Restored users:', restarted.getStats().userCount, 'token valid after restart:', restoredToken.valid);
+    
     console.log('AuthManager tests completed successfully');
     return true;
   } catch (error) {